@@ -0,0 +1,208 @@
+/**
+ * Local mock backend for the wireframe (no dependencies).
+ *   npm run mock:server            → http://localhost:4010, state kept in memory
+ *   npm run mock:server -- --file yard-state.json   → state also written to a file
+ *
+ * Routes (all JSON, CORS open):
+ *   GET    /api/yard/state   → stored document, 404 if none
+ *   PUT    /api/yard/state   → replace the document (written atomically via rename)
+ *   DELETE /api/yard/state   → forget the document
+ *   GET    /api/inbound      → a few external-shaped inbound records (some IDs repeat, to exercise dedupe)
+ *   WS     /api/sync         → relay: every text message is forwarded to all other connected clients
+ */
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const idx = args.indexOf(name);
+  return idx >= 0 && args[idx + 1] ? args[idx + 1] : fallback;
+};
+
+const PORT = Number(argValue("--port", process.env.PORT || 4010));
+const FILE = argValue("--file", null);
+
+let state = FILE && existsSync(FILE) ? JSON.parse(readFileSync(FILE, "utf8")) : null;
+
+function persist() {
+  if (!FILE) return;
+  const tmp = `${FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(state));
+  renameSync(tmp, FILE);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,PUT,POST,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type,Accept",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : null);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ISO 6346 check digit, so the stub hands out numbers the app accepts
+function withCheckDigit(first10) {
+  let n = 10;
+  const letters = {};
+  for (const ch of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+    if (n % 11 === 0) n++;
+    letters[ch] = n++;
+  }
+  const sum = [...first10].reduce((acc, ch, i) => acc + (letters[ch] ?? Number(ch)) * 2 ** i, 0);
+  return `${first10}${(sum % 11) % 10}`;
+}
+
+// Records use a carrier's field names on purpose; the app maps them onto its own container fields
+const INBOUND_POOL = Array.from({ length: 40 }, (_, i) => {
+  const arrival = new Date(Date.now() - (i % 5) * 24 * 60 * 60 * 1000);
+  return {
+    container_number: withCheckDigit(`${["MSCU", "HLXU", "CMAU"][i % 3]}${String(100000 + i * 7919).slice(-6)}`),
+    container_size: i % 3 === 0 ? "40" : "20",
+    container_type: ["GP", "RF", "OT", "DV"][i % 4],
+    priority: i % 6 === 0 ? "high" : "normal",
+    owner: ["A. Singh", "M. Chen", "N. Okafor"][i % 3],
+    customer: ["HarborLine", "Nova Freight", "Atlas Shipping"][i % 3],
+    commodity: ["Electronics", "Food Grade", "Steel Coils", "Apparel"][i % 4],
+    eta: arrival.toISOString(),
+    etd: new Date(arrival.getTime() + (3 + (i % 4)) * 24 * 60 * 60 * 1000).toISOString(),
+  };
+});
+
+function sampleInbound(n) {
+  return Array.from({ length: n }, () => INBOUND_POOL[Math.floor(Math.random() * INBOUND_POOL.length)]);
+}
+
+const routes = {
+  "GET /api/inbound": async () => [200, { containers: sampleInbound(4) }],
+  "GET /api/yard/state": async () => (state ? [200, state] : [404, { error: "No state stored" }]),
+  "PUT /api/yard/state": async (req) => {
+    const body = await readBody(req);
+    if (!body || typeof body !== "object") return [400, { error: "Expected a JSON document" }];
+    state = body;
+    persist();
+    return [200, { ok: true }];
+  },
+  "DELETE /api/yard/state": async () => {
+    state = null;
+    persist();
+    return [204, undefined];
+  },
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const path = new URL(req.url, `http://${req.headers.host}`).pathname;
+  const handler = routes[`${req.method} ${path}`];
+  if (!handler) return send(res, 404, { error: `No route for ${req.method} ${path}` });
+  try {
+    const [status, body] = await handler(req);
+    send(res, status, body);
+  } catch (err) {
+    send(res, 400, { error: err.message });
+  }
+});
+
+// Minimal WebSocket relay (RFC 6455 text frames only; enough for the app's sync messages)
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const syncClients = new Set();
+
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x80 | opcode, len]) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  if (len >= 126 && len < 65536) {
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else if (len >= 65536) {
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+// Complete frames at the start of `buffer` → [{ fin, opcode, payload }] plus the unread rest
+function readFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let len = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskAt = pos;
+    if (masked) pos += 4;
+    if (buffer.length < pos + len) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + len));
+    if (masked) for (let i = 0; i < len; i++) payload[i] ^= buffer[maskAt + (i % 4)];
+    frames.push({ fin, opcode, payload });
+    offset = pos + len;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+server.on("upgrade", (req, socket) => {
+  const path = new URL(req.url, `http://${req.headers.host}`).pathname;
+  const key = req.headers["sec-websocket-key"];
+  if (path !== "/api/sync" || !key) {
+    socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  syncClients.add(socket);
+
+  let pending = Buffer.alloc(0);
+  let message = [];
+  socket.on("data", (chunk) => {
+    const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+    pending = Buffer.from(rest);
+    for (const frame of frames) {
+      if (frame.opcode === 0x8) return socket.end(wsFrame(0x8, Buffer.alloc(0)));
+      if (frame.opcode === 0x9) {
+        socket.write(wsFrame(0xa, frame.payload));
+        continue;
+      }
+      if (frame.opcode !== 0x1 && frame.opcode !== 0x0) continue;
+      message.push(frame.payload);
+      if (!frame.fin) continue;
+      const out = wsFrame(0x1, Buffer.concat(message));
+      message = [];
+      for (const other of syncClients) if (other !== socket && !other.destroyed) other.write(out);
+    }
+  });
+  const drop = () => syncClients.delete(socket);
+  socket.on("close", drop);
+  socket.on("error", drop);
+});
+
+server.listen(PORT, () => {
+  console.log(`Yard mock server on http://localhost:${PORT}${FILE ? ` (file: ${FILE})` : ""}`);
+});
@@ -1,32 +1,149 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import LayoutEditor from "./components/LayoutEditor";
+import DepartureArchive from "./components/DepartureArchive";
+import GateOutDialog from "./components/GateOutDialog";
+import PlacementDetails from "./components/PlacementDetails";
+import RetrievalPlan from "./components/RetrievalPlan";
+import ContainerTimeline from "./components/ContainerTimeline";
+import EdiExchange from "./components/EdiExchange";
+import BulkImportDialog from "./components/BulkImportDialog";
+import OwnerCodeRegistry from "./components/OwnerCodeRegistry";
+import YardOverview from "./components/YardOverview";
+import ContainerSearch from "./components/ContainerSearch";
+import AlertsPanel from "./components/AlertsPanel";
+import ChangesPanel from "./components/ChangesPanel";
+import WorkOrderQueue from "./components/WorkOrderQueue";
+import AppointmentBook from "./components/AppointmentBook";
+import BillingDialog from "./components/BillingDialog";
+import PreStagingPanel from "./components/PreStagingPanel";
+import HazmatPanel from "./components/HazmatPanel";
+import HazmatOverrideDialog from "./components/HazmatOverrideDialog";
+import StackingAuditPanel from "./components/StackingAuditPanel";
+import ReeferPanel from "./components/ReeferPanel";
+import ReeferChart from "./components/ReeferChart";
+import SyncConflictDialog from "./components/SyncConflictDialog";
+import BackupDialog from "./components/BackupDialog";
+import RecoveryScreen from "./components/RecoveryScreen";
+import UserDirectory from "./components/UserDirectory";
+import {
+  DEFAULT_LAYOUT_CONFIG,
+  buildSlotId,
+  buildSlots,
+  emptyLayout,
+  findZone,
+  footprint,
+  isSlotBlocked,
+  isSlotPowered,
+  migrateLayout,
+  misalignedUnits,
+  parseSlotId,
+  placeInLayout,
+  slotCapacity,
+  slotStackLimit,
+  withoutContainer,
+} from "./yard/layout";
+import {
+  MANUAL_PLACEMENT,
+  PLACEMENT_STRATEGIES,
+  moveRejection,
+  placementRecord,
+  planAutoPlacement,
+  rankSlots,
+} from "./yard/placement";
+import { analyzeRehandles, planRetrieval } from "./yard/rehandle";
+import { STATUS } from "./yard/lifecycle";
+import { EVENT_TYPES, applyEvent, containerTimeline, createBatch, historyState, rebuildState } from "./yard/events";
+import {
+  SchemaError,
+  createBackup,
+  createDocument,
+  createSaveQueue,
+  createStorage,
+  loadRestorePoint,
+  migrateDocument,
+  saveRestorePoint,
+} from "./storage";
+import { isValidContainerNumber, validateContainerNumber } from "./yard/iso6346";
+import { ISO_SIZE_TYPE_CODES, MAX_SET_POINT_C, MIN_SET_POINT_C, isHazardous, isoSizeTypeCode, normalizeSetPointC } from "./yard/containerModel";
+import { hazmatLabel, hazmatViolations, yardHazmatViolations } from "./yard/hazmat";
+import { auditStacking, formatTonnes, restackViolations, stackLoad } from "./yard/stacking";
+import { alertsBySlot, computeAlerts } from "./yard/alerts";
+import { REEFER_ALARM_KINDS, formatCelsius, isReefer, pruneReadings, recordReadings, reeferUnits } from "./yard/reefer";
+import { dwellDays, slotDwell } from "./yard/dwell";
+import { computeSlotChanges, describeDiff, diffSummary, signOffDraft, signOffLog } from "./yard/slotChanges";
+import { newOrderId, openOrderFor, reservationsBySlot, reservedLayout } from "./yard/workOrders";
+import { appointmentReadiness, appointmentWindow, bookedFor, findWindow, isBooked, newAppointmentId, planPreStaging } from "./yard/appointments";
+import { appendMessage, createPeerId, createSync, createSyncTransports, helloMessage, receiveSyncMessage, snapshotMessage } from "./sync";
+import { createFeeds, createFileDropFeed, makeContainer, randomContainerNumber, runFeed } from "./feeds";
+import { createTelemetryFeeds, runTelemetry } from "./telemetry";
+import { ACTIONS, SYSTEM_ACTOR, batchDenial, createIdentity, deniedReason, resolveUser, roleLabel, switchDenial, switchNeedsPin } from "./auth";
 
 /**
  * Yard + Slot Management (Wireframe)
- * - Uses localStorage to persist:
- *   - inbound containers
- *   - yard layout (slot -> stack of container IDs)
- *   - container master data
- *   - previous slot signatures (to detect rearrangement)
+ * - Persists one versioned document (storage/schema.js) through the configured storage adapter (localStorage, IndexedDB or REST):
+ *   - the yard event log; containers, inbound queue, layout, layout configuration and
+ *     departure archive are all rebuilt from it
+ *   - legacy slot signatures (the rearrangement baseline from before sign-offs were events)
+ * - Older documents are migrated on load; damaged ones open a recovery screen instead of an empty yard
+ * - JSON backup/restore; resets, restores and migrations leave an automatic restore point
+ * - UI preferences (placement strategy) stay in localStorage
+ * - Local users with roles (auth/); every event is stamped with the acting user and checked against
+ *   their role's permissions before it is appended
  *
  * Features:
- * - "Poll" simulation adds random inbound containers to DB
- * - "Auto-place" puts inbound containers into first available slot (or stack limit)
+ * - Inbound feeds (simulator, HTTP JSON polling, JSON/CSV file drop) add containers to the queue,
+ *   deduplicated by container ID; the last poll's outcome is shown in the header
+ * - "Auto-place" scores every free slot with the chosen placement strategy and takes the best
  * - Manual move: select container -> move to another slot -> optional reorder inside slot
- * - Highlights slots whose container arrangement changed since last signature snapshot
+ * - Placements and moves (manual, drag-and-drop, auto-place) become equipment work orders; the layout only
+ *   changes when the driver completes one, and open orders hold their target tier (shown as ⌛ in the bay)
+ * - Dangerous goods: IMDG class/UN number per container, hazmat-approved zones and the IMDG segregation
+ *   table checked on every placement and move; a supervisor may override with a logged reason
+ * - 40FT containers take two neighbouring slots of a row (one tier in each stack, drawn as one wide chip);
+ *   20FT containers take one
+ * - Weight-aware stacking: gross weight per container, a load limit per slot (zone default or override);
+ *   heavier-on-lighter, 40FT-on-20FT and overweight stacks are refused on every placement and restack,
+ *   each slot shows a weight bar and the Stacking audit panel lists stacks that break a rule now
+ * - Truck appointments: trucks booked into daily time windows with a capacity; ahead of each window the
+ *   Pre-staging panel proposes moving its containers to top tiers in gate-side zones (as work orders)
+ * - Drag-and-drop between queue, slots and tiers with live valid/invalid targets; keyboard equivalent
+ *   (arrows, Enter, Alt+arrows, Escape) with screen-reader announcements
+ * - Dwell time per container and slot; overdue move-outs and long dwell raise alerts (thresholds configurable)
+ *   that show as badges in the bay until acknowledged
+ * - Reefers: a set point per unit and temperature readings from a telemetry source (simulator or HTTP);
+ *   out-of-range, unpowered or silent units raise alerts and a ❄ tag on their slot, and the container
+ *   panel charts the temperature history
+ * - Highlights slots whose container arrangement changed since their last sign-off; the Changes panel shows
+ *   the tier-by-tier diff and signs off slots or whole zones with a comment, kept in a sign-off log
+ * - Yard overview: every zone at once with fill / dwell / rearranged / reefer-hazmat heat layers; click to jump
+ * - Layout editor: add/rename/remove zones, size them, block slots or override their stack or load limit
+ * - Lifecycle: INBOUND → IN_YARD → RELEASED → GATED_OUT, gate-out confirmed with truck/driver/time
+ * - Billing: storage after free days, reefer surcharges and handling moves per company and period, priced
+ *   at an editable tariff; CSV export and printable HTML invoices
+ * - Rehandle analysis: counts blocking moves per slot and plans dig-outs for a chosen container
+ * - Live sync between tabs (BroadcastChannel) and operators (WebSocket relay): logs are merged batch by batch,
+ *   and an own change that lost a race (e.g. the last free tier) opens a conflict prompt instead of vanishing
+ * - Every operation is an event: undo/redo in the header, per-container move timeline
+ * - Bulk import: CSV/XLSX master data with a per-row validation preview before anything is committed
+ * - Search: fuzzy text over ID/owner/company/material plus status, size, type, priority, zone, date and
+ *   overdue filters; sortable results and named presets (kept in localStorage)
+ * - Container numbers are ISO 6346-checked on every entry path; an owner-code registry supplies company names
+ * - EDIFACT: CODECO/COARRI files import as registrations, placements and gate-outs; CODECO export
  */
 
 const LS_KEYS = {
+  PLACEMENT_STRATEGY: "yard.placementStrategy.v1", // strategy id
+  INBOUND_FEED: "yard.inboundFeed.v1", // feed id ("simulator" | "http")
+  REEFER_TELEMETRY: "yard.reeferTelemetry.v1", // telemetry source id ("simulator" | "http" | "off")
+  SEARCH_PRESETS: "yard.searchPresets.v1", // [{ name, filters }]
+  // Pre-storage-adapter state; only read when the adapter has nothing stored yet
+  EVENTS: "yard.events.v1", // [event] — append-only yard history
+  PREV_SIG: "yard.prevSig.v1", // { [slotId]: "id1|id2|..." } — acknowledged stacks before sign-offs were events
   CONTAINERS: "yard.containers.v1", // { [id]: container }
   INBOUND: "yard.inbound.v1", // [id]
   LAYOUT: "yard.layout.v1", // { [slotId]: [containerId, ...] }
-  PREV_SIG: "yard.prevSig.v1", // { [slotId]: "id1|id2|..." }
-};
-
-const DEFAULT_CONFIG = {
-  zones: ["A", "B", "C"],
-  rowsPerZone: 4,
-  colsPerZone: 6,
-  stackLimit: 2, // max containers per slot (wireframe)
+  LAYOUT_CONFIG: "yard.layoutConfig.v1", // { zones: [...], slots: { [slotId]: overrides } }
+  ARCHIVE: "yard.archive.v1", // { [id]: container } — gated out
 };
 
 function nowISO() {
@@ -45,111 +162,426 @@ function safeParse(json, fallback) {
 function loadLS(key, fallback) {
   return safeParse(localStorage.getItem(key), fallback);
 }
+// For yard data: a corrupt value must stop the load, not read as "nothing stored"
+function loadLSStrict(key, fallback) {
+  const raw = localStorage.getItem(key);
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw) ?? fallback;
+  } catch {
+    throw new SchemaError(`localStorage "${key}" is not valid JSON.`, [], raw);
+  }
+}
 function saveLS(key, value) {
   localStorage.setItem(key, JSON.stringify(value));
 }
 
-function randomId(prefix = "CONT") {
-  const n = Math.floor(Math.random() * 900000) + 100000;
-  return `${prefix}-${n}`;
+function placementEventDraft({ cid, slotId, stackIndex, placement }) {
+  return { type: EVENT_TYPES.CONTAINER_PLACED, containerId: cid, toSlot: slotId, stackIndex, payload: { placement } };
 }
 
-function randomFrom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function workOrderDraft({ cid, fromSlot, slotId, placement, appointmentId = null }) {
+  const payload = { orderId: newOrderId(), placement, ...(appointmentId ? { appointmentId } : {}) };
+  return { type: EVENT_TYPES.WORK_ORDER_CREATED, containerId: cid, fromSlot, toSlot: slotId, payload };
 }
 
-function buildSlotId(zone, r, c) {
-  // 1-indexed for human readability
-  return `${zone}-R${String(r).padStart(2, "0")}-C${String(c).padStart(2, "0")}`;
+function workOrderStep(type, order, payload = {}) {
+  return { type, containerId: order.containerId, fromSlot: order.fromSlot, toSlot: order.toSlot, payload: { orderId: order.id, ...payload } };
 }
 
-function slotSignature(stack) {
-  // IMPORTANT: Order matters; any reorder triggers highlight
-  return (stack || []).join("|");
+// Why `user` may not append these drafts, or null; system jobs (scheduled feed polls) pass no user
+function batchProblem(user, drafts) {
+  const denial = user ? batchDenial(user, drafts) : null;
+  if (denial) return denial;
+  // Every way of entering a container ends here, so this is where bad numbers are stopped
+  const badNumber = drafts.find((d) => d.type === EVENT_TYPES.CONTAINER_REGISTERED && !isValidContainerNumber(d.containerId));
+  return badNumber ? validateContainerNumber(badNumber.containerId).error : null;
 }
 
-function makeContainer(id) {
-  const sizes = ["20FT", "40FT"];
-  const types = ["DRY", "REEFER", "OPEN"];
-  const priorities = ["NORMAL", "HIGH"];
-  const owners = ["A. Singh", "R. Patel", "M. Chen", "K. Gomez", "S. Williams", "N. Okafor"];
-  const companies = ["BlueWave Logistics", "HarborLine", "Nova Freight", "Atlas Shipping", "Summit Trade"];
-  const materials = ["Steel Coils", "Apparel", "Electronics", "Food Grade", "Auto Parts", "Building Materials"];
-  const moveIn = new Date(Date.now() - Math.floor(Math.random() * 6) * 24 * 60 * 60 * 1000);
-  const moveOut = new Date(moveIn.getTime() + (Math.floor(Math.random() * 6) + 2) * 24 * 60 * 60 * 1000);
-  return {
-    id,
-    size: randomFrom(sizes),
-    type: randomFrom(types),
-    priority: Math.random() < 0.2 ? "HIGH" : randomFrom(priorities),
-    status: "INBOUND",
-    createdAt: nowISO(),
-    ownerName: randomFrom(owners),
-    companyName: randomFrom(companies),
-    material: randomFrom(materials),
-    moveInDate: moveIn.toISOString(),
-    moveOutDate: moveOut.toISOString(),
+function loadLegacyEvents() {
+  const stored = loadLSStrict(LS_KEYS.EVENTS, null);
+  if (Array.isArray(stored)) return stored;
+
+  // First run on the event log: carry over whatever the pre-event keys hold as one snapshot
+  const legacy = {
+    config: loadLSStrict(LS_KEYS.LAYOUT_CONFIG, DEFAULT_LAYOUT_CONFIG),
+    containers: loadLSStrict(LS_KEYS.CONTAINERS, {}),
+    inboundIds: loadLSStrict(LS_KEYS.INBOUND, []),
+    layout: loadLSStrict(LS_KEYS.LAYOUT, {}),
+    archive: loadLSStrict(LS_KEYS.ARCHIVE, {}),
   };
+  const hasLegacy = Object.keys(legacy.containers).length > 0 || Object.keys(legacy.archive).length > 0 || localStorage.getItem(LS_KEYS.LAYOUT_CONFIG);
+  if (!hasLegacy) return [];
+  return createBatch([], [{ type: EVENT_TYPES.YARD_INITIALIZED, payload: legacy }], { actor: "migration" });
 }
 
-function computeChangedSlots(layout, prevSigMap) {
-  const changed = new Set();
-  for (const [slotId, stack] of Object.entries(layout)) {
-    const sig = slotSignature(stack);
-    const prev = prevSigMap?.[slotId] ?? "";
-    if (sig !== prev) changed.add(slotId);
-  }
-  // Also: if a slot existed in prev but now missing (cleared), mark as changed
-  for (const slotId of Object.keys(prevSigMap || {})) {
-    if (!(slotId in layout)) {
-      changed.add(slotId);
-    }
-  }
-  return changed;
+// What the yard had in localStorage before storage adapters existed (a schema v1 document)
+function loadLegacyDocument() {
+  return { events: loadLegacyEvents(), prevSig: loadLSStrict(LS_KEYS.PREV_SIG, {}) };
 }
 
-export default function YardSlotWireframe() {
-  const config = DEFAULT_CONFIG;
-
-  const allSlots = useMemo(() => {
-    const slots = [];
-    for (const z of config.zones) {
-      for (let r = 1; r <= config.rowsPerZone; r++) {
-        for (let c = 1; c <= config.colsPerZone; c++) {
-          slots.push(buildSlotId(z, r, c));
-        }
-      }
-    }
-    return slots;
-  }, []);
+// A restored log gets fresh event IDs so that peers treat it as a new log, not as history to merge into
+function restampEvents(events, tag) {
+  return events.map((e) => ({ ...e, id: `${e.id}~${tag}` }));
+}
 
-  const [containers, setContainers] = useState(() => loadLS(LS_KEYS.CONTAINERS, {}));
-  const [inboundIds, setInboundIds] = useState(() => loadLS(LS_KEYS.INBOUND, []));
-  const [layout, setLayout] = useState(() => {
-    const l = loadLS(LS_KEYS.LAYOUT, {});
-    // Ensure every slot exists
-    const normalized = {};
-    for (const s of allSlots) normalized[s] = Array.isArray(l[s]) ? l[s] : [];
-    return normalized;
-  });
-  const [prevSig, setPrevSig] = useState(() => loadLS(LS_KEYS.PREV_SIG, {}));
+export default function YardSlotWireframe() {
+  const storage = useMemo(() => createStorage(), []);
+  const [storageStatus, setStorageStatus] = useState({ state: "loading" });
+  const saveQueue = useMemo(() => createSaveQueue(storage, setStorageStatus), [storage]);
+  const [hydrated, setHydrated] = useState(false);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
+  const [events, setEvents] = useState([]);
+  const [epoch, setEpoch] = useState(null); // when the log was last replaced wholesale; see storage/schema.js
+  const [loadError, setLoadError] = useState(null);
+  const [restorePoint, setRestorePoint] = useState(() => loadRestorePoint());
+  const [backupOpen, setBackupOpen] = useState(false);
+  const identity = useMemo(() => createIdentity(), []);
+  const [users, setUsers] = useState(() => identity.loadUsers());
+  const [currentUserId, setCurrentUserId] = useState(() => identity.loadCurrentId());
+  const [usersOpen, setUsersOpen] = useState(false);
+  const [appointmentsOpen, setAppointmentsOpen] = useState(false);
+  const [billingOpen, setBillingOpen] = useState(false);
+  const [hazmatPending, setHazmatPending] = useState(null); // { containerId, slotId, violations, drafts, action } awaiting an override
+  const currentUser = resolveUser(users, currentUserId);
+  const yard = useMemo(() => rebuildState(events), [events]);
+  const history = useMemo(() => historyState(events), [events]);
+  const {
+    config,
+    containers,
+    inboundIds,
+    layout,
+    archive,
+    ownerCodes,
+    alertSettings,
+    acknowledgedAlerts,
+    signedOffStacks,
+    equipment,
+    workOrders,
+    appointments,
+    appointmentSettings,
+    hazmatOverrides,
+    tariff,
+    skippedEvents,
+  } = yard;
+  // What placement checks see: open work orders hold their target tiers
+  const plannedLayout = useMemo(() => reservedLayout(layout, workOrders, containers), [layout, workOrders, containers]);
+  const reservations = useMemo(() => reservationsBySlot(workOrders, containers), [workOrders, containers]);
+  const orderList = useMemo(() => Object.values(workOrders).sort((a, b) => a.createdAt.localeCompare(b.createdAt)), [workOrders]);
+
+  const allSlots = useMemo(() => buildSlots(config), [config]);
+
+  const [prevSig, setPrevSig] = useState({}); // legacy baseline for slots not signed off since; see yard/slotChanges.js
+  const [reeferReadings, setReeferReadings] = useState({}); // telemetry, saved with the document but outside the log
 
   const [selectedContainerId, setSelectedContainerId] = useState(null);
   const [selectedSlotId, setSelectedSlotId] = useState(null);
-  const [selectedZone, setSelectedZone] = useState(DEFAULT_CONFIG.zones[0]);
+  const [selectedZone, setSelectedZone] = useState(() => config.zones[0].id);
   const [selectedBay, setSelectedBay] = useState(1);
   const [searchOpen, setSearchOpen] = useState(false);
-  const [searchType, setSearchType] = useState("owner");
-  const [searchValue, setSearchValue] = useState("");
+  const [searchPresets, setSearchPresets] = useState(() => loadLS(LS_KEYS.SEARCH_PRESETS, []));
+  const [layoutEditorOpen, setLayoutEditorOpen] = useState(false);
+  const [retrievalTargetId, setRetrievalTargetId] = useState(null);
+  const [gateOutId, setGateOutId] = useState(null);
+  const [archiveOpen, setArchiveOpen] = useState(false);
+  const [ediOpen, setEdiOpen] = useState(false);
+  const [bulkImportOpen, setBulkImportOpen] = useState(false);
+  const [ownerCodesOpen, setOwnerCodesOpen] = useState(false);
+  const [dragging, setDragging] = useState(null); // container ID while a mouse drag is in progress
+  const [carrying, setCarrying] = useState(null); // container ID picked up in keyboard mode
+  const [slotCursor, setSlotCursor] = useState(null); // keyboard position in the bay grid
+  const [announcement, setAnnouncement] = useState(""); // screen-reader live region
+  const slotRefs = useRef({});
+  const pendingFocusRef = useRef(null);
+  const [placementStrategy, setPlacementStrategy] = useState(() => loadLS(LS_KEYS.PLACEMENT_STRATEGY, PLACEMENT_STRATEGIES[0].id));
+  const feeds = useMemo(() => createFeeds(), []);
+  const [feedId, setFeedId] = useState(() => loadLS(LS_KEYS.INBOUND_FEED, "simulator"));
+  const [feedStatus, setFeedStatus] = useState(null); // last runFeed() result plus { added }
+  const [feedDragOver, setFeedDragOver] = useState(false);
+  const knownIdsRef = useRef([]);
+  const containersRef = useRef({});
+  const telemetryFeeds = useMemo(() => createTelemetryFeeds(), []);
+  const [telemetryId, setTelemetryId] = useState(() => loadLS(LS_KEYS.REEFER_TELEMETRY, "simulator"));
+  const [telemetryStatus, setTelemetryStatus] = useState(null); // last runTelemetry() result plus { finishedAt }
+  const [setPointDraft, setSetPointDraft] = useState(null); // { cid, value } while a set point is being edited
+  const reefersRef = useRef([]);
+  const [now, setNow] = useState(() => Date.now()); // dwell/overdue clock, minute resolution
+  const [peerId] = useState(() => createPeerId());
+  const [syncStatus, setSyncStatus] = useState({}); // { [transport]: { state, error? } }
+  const [syncConflicts, setSyncConflicts] = useState([]); // own batches rejected by a merge
+  const eventsRef = useRef([]);
+  const epochRef = useRef(null);
+  const sharedIdsRef = useRef(new Set()); // event IDs peers already have (sent or received)
+  const ownBatchIdsRef = useRef(new Set());
+  const syncRef = useRef(null);
+
+  // Recompute changed slots live, against each slot's last sign-off
+  const slotChanges = useMemo(
+    () => computeSlotChanges({ layout, containers, archive, signedOffStacks }, prevSig),
+    [layout, containers, archive, signedOffStacks, prevSig]
+  );
+  const changedSlots = useMemo(() => new Set(slotChanges.keys()), [slotChanges]);
+  const signOffs = useMemo(() => signOffLog(events, history.undone), [events, history.undone]);
+  const rehandles = useMemo(() => analyzeRehandles({ layout, containers }), [layout, containers]);
+  const alerts = useMemo(
+    () => computeAlerts(containers, alertSettings, acknowledgedAlerts, now, { config, reeferReadings }),
+    [containers, alertSettings, acknowledgedAlerts, now, config, reeferReadings]
+  );
+  const slotAlerts = useMemo(() => alertsBySlot(alerts), [alerts]);
+  const hazmatBreaches = useMemo(() => yardHazmatViolations({ config, layout, containers }), [config, layout, containers]);
+  const hasHazmat = useMemo(() => Object.values(containers).some(isHazardous), [containers]);
+  const unlevelUnits = useMemo(() => new Set(misalignedUnits(layout, containers)), [layout, containers]);
+  const stackingAudit = useMemo(() => auditStacking({ config, layout, containers }), [config, layout, containers]);
+  const reeferList = useMemo(() => reeferUnits({ config, containers, reeferReadings }), [config, containers, reeferReadings]);
+  const reeferAlerts = useMemo(() => alerts.filter((a) => a.kind in REEFER_ALARM_KINDS), [alerts]);
+  const reeferPower = useMemo(
+    () => ({
+      slots: allSlots.filter((slotId) => isSlotPowered(config, slotId) && !isSlotBlocked(config, slotId)).length,
+      used: new Set(reeferList.map((u) => u.slotId)).size,
+    }),
+    [allSlots, config, reeferList]
+  );
+  // { [slotId]: { label, severity, detail } } for the ❄ tag on slot cards
+  const slotReefers = useMemo(() => {
+    const bySlot = {};
+    for (const unit of reeferList) {
+      const open = reeferAlerts.filter((a) => a.containerId === unit.containerId && !a.acknowledged);
+      const entry = bySlot[unit.slotId] || (bySlot[unit.slotId] = { label: null, severity: null, detail: [] });
+      if (unit.last && entry.label == null) entry.label = `${unit.last.tempC.toFixed(1)}°`;
+      if (open.some((a) => a.severity === "critical")) entry.severity = "critical";
+      else if (open.length && !entry.severity) entry.severity = "warning";
+      entry.detail.push(
+        `${unit.containerId}: ${unit.last ? formatCelsius(unit.last.tempC) : "no reading"}, set ${formatCelsius(unit.setPointC)}`,
+        ...open.map((a) => `  ${a.message}`)
+      );
+    }
+    return bySlot;
+  }, [reeferList, reeferAlerts]);
+  const unweighedCount = useMemo(
+    () => [...new Set(Object.values(layout).flat())].filter((cid) => !containers[cid]?.grossWeightKg).length,
+    [layout, containers]
+  );
+  // Truck pickups: how ready each booked container is, and the moves that would get it ready
+  const pickupReadiness = useMemo(
+    () => appointmentReadiness({ config, layout: plannedLayout, containers, archive }, appointments, appointmentSettings),
+    [config, plannedLayout, containers, archive, appointments, appointmentSettings]
+  );
+  const stagingMoves = useMemo(
+    () => planPreStaging({ config, layout: plannedLayout, containers, workOrders }, appointments, appointmentSettings, placementStrategy, now),
+    [config, plannedLayout, containers, workOrders, appointments, appointmentSettings, placementStrategy, now]
+  );
+  const nextTruckWindow = useMemo(() => {
+    const starts = Object.values(appointments)
+      .filter(isBooked)
+      .map((a) => appointmentWindow(a, appointmentSettings)?.start)
+      .filter((start) => start > now);
+    return starts.length ? Math.min(...starts) : null;
+  }, [appointments, appointmentSettings, now]);
+  // Temporary slots come from the layout as planned, so a relocation never lands on a tier an open order holds
+  const retrievalPlan = useMemo(
+    () => (retrievalTargetId ? planRetrieval({ config, layout: plannedLayout, containers }, retrievalTargetId) : null),
+    [config, plannedLayout, containers, retrievalTargetId]
+  );
+
+  const hydrate = useCallback((doc) => {
+    // Peers catch up on stored history through the HELLO exchange, not as fresh appends
+    doc.events.forEach((e) => sharedIdsRef.current.add(e.id));
+    setEvents(doc.events);
+    setPrevSig(doc.prevSig || {});
+    setReeferReadings(doc.reeferReadings || {});
+    setEpoch(doc.epoch ?? null);
+    setSelectedZone(rebuildState(doc.events).config.zones[0].id);
+    setLoadError(null);
+    setHydrated(true);
+  }, []);
+
+  // Load once from the storage adapter, migrating older documents; nothing is saved until this succeeds
+  useEffect(() => {
+    let cancelled = false;
+    storage
+      .load()
+      .then((stored) => {
+        if (cancelled) return;
+        const original = stored ?? loadLegacyDocument();
+        const { doc, applied } = migrateDocument(original);
+        // A fresh install starts from an empty v1 document: nothing was stored, so nothing was migrated
+        const migrated = applied.length > 0 && (stored != null || original.events.length > 0);
+        if (migrated && original.events?.length) {
+          setRestorePoint(createBackup(original, `before migration ${applied.map((a) => a.split(":")[0]).join(", ")}`));
+        }
+        hydrate(doc);
+        setStorageStatus(migrated ? { state: "migrated", detail: applied.join("\n") } : { state: "loaded" });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setLoadError(err);
+        setStorageStatus({ state: "error", error: err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, loadAttempt, hydrate]);
+
+  useEffect(() => {
+    if (restorePoint) saveRestorePoint(restorePoint);
+  }, [restorePoint]);
+
+  // Persist: containers, inbound, layout (all in the event log), signatures and reefer readings go out in one write
+  useEffect(() => {
+    if (!hydrated) return;
+    saveQueue.save(createDocument({ events, prevSig, epoch: epoch ?? events[0]?.at ?? null, reeferReadings }));
+  }, [hydrated, saveQueue, events, prevSig, epoch, reeferReadings]);
+  useEffect(() => saveLS(LS_KEYS.PLACEMENT_STRATEGY, placementStrategy), [placementStrategy]);
+  useEffect(() => saveLS(LS_KEYS.INBOUND_FEED, feedId), [feedId]);
+  useEffect(() => saveLS(LS_KEYS.REEFER_TELEMETRY, telemetryId), [telemetryId]);
+  useEffect(() => saveLS(LS_KEYS.SEARCH_PRESETS, searchPresets), [searchPresets]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  useEffect(() => {
+    knownIdsRef.current = [...Object.keys(containers), ...Object.keys(archive)];
+    containersRef.current = containers;
+  }, [containers, archive]);
+  useEffect(() => {
+    reefersRef.current = reeferList.map((u) => ({
+      containerId: u.containerId,
+      slotId: u.slotId,
+      setPointC: u.setPointC,
+      powered: u.powered,
+      lastTempC: u.last?.tempC ?? null,
+    }));
+  }, [reeferList]);
+
+  // Live sync: merge what other tabs/operators append; own batches that lose a race come back as conflicts
+  useEffect(() => {
+    if (!hydrated) return;
+    const sync = createSync({
+      transports: createSyncTransports(),
+      onMessage: (message) => {
+        const { merge, reply } = receiveSyncMessage(peerId, epochRef.current, eventsRef.current, message);
+        if (reply) sync.publish(reply);
+        if (!merge) return;
+        merge.events.forEach((e) => sharedIdsRef.current.add(e.id));
+        if (merge.changed) {
+          eventsRef.current = merge.events;
+          setEvents(merge.events);
+        }
+        if (merge.reset) {
+          epochRef.current = message.epoch ?? null;
+          setEpoch(message.epoch ?? null);
+          setPrevSig({});
+        }
 
-  // Recompute changed slots live
-  const changedSlots = useMemo(() => computeChangedSlots(layout, prevSig), [layout, prevSig]);
+        const mine = merge.rejected.filter((r) => ownBatchIdsRef.current.has(r.batchId));
+        // A feed poll that raced another one only needs the containers nobody registered yet
+        const registrations = mine.filter((r) => r.events.every((e) => e.type === EVENT_TYPES.CONTAINER_REGISTERED));
+        if (registrations.length) {
+          setEvents((prev) => {
+            const current = rebuildState(prev);
+            const drafts = registrations
+              .flatMap((r) => r.events)
+              .filter((e) => !current.containers[e.containerId] && !current.archive[e.containerId])
+              .map((e) => ({ type: e.type, containerId: e.containerId, payload: e.payload }));
+            const actor = registrations[0].events[0].actor;
+            return drafts.length ? [...prev, ...createBatch(prev, drafts, { at: nowISO(), actor })] : prev;
+          });
+        }
+        const prompts = mine.filter((r) => !registrations.includes(r));
+        if (prompts.length) setSyncConflicts((prev) => [...prev, ...prompts]);
+      },
+      onStatus: (statuses, changed) => {
+        setSyncStatus(statuses);
+        if (statuses[changed].state === "open") sync.publish(helloMessage(peerId, epochRef.current, eventsRef.current));
+      },
+    });
+    syncRef.current = sync;
+    return () => {
+      sync.close();
+      syncRef.current = null;
+    };
+  }, [hydrated, peerId]);
+
+  // Publish whatever this tab appended since the last render
+  useEffect(() => {
+    eventsRef.current = events;
+    epochRef.current = epoch ?? events[0]?.at ?? null;
+    const fresh = events.filter((e) => !sharedIdsRef.current.has(e.id));
+    if (!fresh.length || !syncRef.current) return;
+    fresh.forEach((e) => {
+      sharedIdsRef.current.add(e.id);
+      ownBatchIdsRef.current.add(e.batchId);
+    });
+    const isSuffix = events[events.length - fresh.length] === fresh[0];
+    const message = isSuffix ? appendMessage(peerId, epochRef.current, events, fresh) : snapshotMessage(peerId, epochRef.current, events);
+    syncRef.current.publish(message);
+  }, [events, epoch, peerId]);
+
+  // Polling feeds run on their own interval; a poll can finish after other edits, so it only uses refs and setters.
+  // `user` is whoever polled by hand; scheduled polls have none and run as the system.
+  const pollFeed = useCallback(async (adapter, user = null) => {
+    const result = await runFeed(adapter, knownIdsRef.current);
+    const at = nowISO();
+    // Edits made while the feed was fetching may have registered some of the IDs already
+    const known = new Set(knownIdsRef.current);
+    const fresh = result.containers.filter((c) => !known.has(c.id));
+    const drafts = fresh.map((c) => ({
+      type: EVENT_TYPES.CONTAINER_REGISTERED,
+      containerId: c.id,
+      payload: { container: { ...c, createdAt: at, source: adapter.id } },
+    }));
+    const problem = drafts.length ? batchProblem(user, drafts) : null;
+    if (problem) {
+      setFeedStatus({ ...result, finishedAt: at, added: 0, error: problem });
+      return;
+    }
+    if (!drafts.length) {
+      setFeedStatus({ ...result, finishedAt: at, added: 0 });
+      return;
+    }
+    setEvents((prev) => {
+      // Same test-apply as commit(), against the log as it is when the update lands; an ID another tab
+      // registered in the meantime is left out rather than failing the poll. The status reports what this
+      // update appends (setting it again on a repeated run stores the same value).
+      const current = rebuildState(prev);
+      const still = drafts.filter((d) => !current.containers[d.containerId] && !current.archive[d.containerId]);
+      const batch = createBatch(prev, still, { at, actor: user?.id ?? SYSTEM_ACTOR });
+      try {
+        batch.reduce(applyEvent, current);
+      } catch (err) {
+        setFeedStatus({ ...result, finishedAt: at, added: 0, error: err.message });
+        return prev;
+      }
+      setFeedStatus({ ...result, finishedAt: at, added: batch.length });
+      return batch.length ? [...prev, ...batch] : prev;
+    });
+  }, []);
 
-  // Persist to localStorage
-  useEffect(() => saveLS(LS_KEYS.CONTAINERS, containers), [containers]);
-  useEffect(() => saveLS(LS_KEYS.INBOUND, inboundIds), [inboundIds]);
-  useEffect(() => saveLS(LS_KEYS.LAYOUT, layout), [layout]);
-  useEffect(() => saveLS(LS_KEYS.PREV_SIG, prevSig), [prevSig]);
+  useEffect(() => {
+    const feed = feeds[feedId];
+    if (!hydrated || !feed?.intervalMs) return;
+    const timer = setInterval(() => pollFeed(feed), feed.intervalMs);
+    return () => clearInterval(timer);
+  }, [hydrated, feeds, feedId, pollFeed]);
+
+  // Reefer readings go to their own capped store, not the event log; units that left meanwhile are dropped
+  const pollTelemetry = useCallback(async (adapter) => {
+    if (!reefersRef.current.length) return;
+    const result = await runTelemetry(adapter, reefersRef.current);
+    if (result.readings.length) {
+      setReeferReadings((prev) => pruneReadings(recordReadings(prev, containersRef.current, result.readings), containersRef.current));
+    }
+    setTelemetryStatus({ ...result, finishedAt: nowISO() });
+  }, []);
+
+  useEffect(() => {
+    const source = telemetryFeeds[telemetryId];
+    if (!hydrated || !source?.intervalMs) return;
+    const timer = setInterval(() => pollTelemetry(source), source.intervalMs);
+    return () => clearInterval(timer);
+  }, [hydrated, telemetryFeeds, telemetryId, pollTelemetry]);
 
   useEffect(() => {
     if (selectedContainerId) return;
@@ -161,202 +593,554 @@ export default function YardSlotWireframe() {
   }, [containers, inboundIds, selectedContainerId]);
 
   useEffect(() => {
-    const hasData =
-      Object.keys(containers).length > 0 ||
-      inboundIds.length > 0 ||
-      Object.values(layout).some((stack) => stack.length > 0);
-    if (hasData) return;
+    if (!hydrated || events.length > 0) return;
 
     const seededContainers = {};
     const seededInbound = [];
-    const seededLayout = {};
-    for (const slot of allSlots) seededLayout[slot] = [];
 
     const total = 12;
     for (let i = 0; i < total; i++) {
-      let id = randomId("CONT");
-      while (seededContainers[id]) id = randomId("CONT");
-      seededContainers[id] = makeContainer(id);
+      let id = randomContainerNumber();
+      while (seededContainers[id]) id = randomContainerNumber();
+      seededContainers[id] = { ...makeContainer(id), createdAt: nowISO() };
       seededInbound.unshift(id);
     }
 
-    const slotsIterator = allSlots[Symbol.iterator]();
-    let nextSlot = slotsIterator.next();
-    while (seededInbound.length > 0 && !nextSlot.done) {
-      const slotId = nextSlot.value;
-      const stack = seededLayout[slotId];
-      while (stack.length < config.stackLimit && seededInbound.length > 0) {
-        const cid = seededInbound.pop();
-        stack.push(cid);
-        seededContainers[cid] = {
-          ...seededContainers[cid],
-          status: "IN_YARD",
-          placedAt: nowISO(),
-          slotId,
-        };
-      }
-      nextSlot = slotsIterator.next();
+    const at = nowISO();
+    const seeded = planAutoPlacement(
+      { config, layout: emptyLayout(config), containers: seededContainers, inboundIds: seededInbound },
+      total,
+      placementStrategy,
+      at
+    );
+    const drafts = [
+      ...[...seededInbound].reverse().map((cid) => ({
+        type: EVENT_TYPES.CONTAINER_REGISTERED,
+        containerId: cid,
+        payload: { container: seededContainers[cid] },
+      })),
+      ...seeded.placements.map(placementEventDraft),
+    ];
+
+    setEvents(createBatch([], drafts, { at, actor: SYSTEM_ACTOR }));
+  }, [hydrated]);
+
+  // Helpers
+  // Append one user action to the log, or explain why it cannot happen
+  function commit(drafts) {
+    if (!drafts.length) return false;
+    const problem = batchProblem(currentUser, drafts);
+    if (problem) {
+      alert(problem);
+      return false;
+    }
+    const batch = createBatch(events, drafts, { at: nowISO(), actor: currentUser.id });
+    try {
+      batch.reduce(applyEvent, yard);
+    } catch (err) {
+      alert(err.message);
+      return false;
     }
+    setEvents([...events, ...batch]);
+    return true;
+  }
 
-    setContainers(seededContainers);
-    setInboundIds(seededInbound);
-    setLayout(seededLayout);
-  }, []);
+  // Undoing a batch takes the rights to make it: an operator cannot undo a layout change
+  function stepHistory(type, batchId) {
+    const denial = deniedReason(currentUser, ACTIONS.UNDO) || batchDenial(currentUser, events.filter((e) => e.batchId === batchId));
+    if (denial) {
+      alert(denial);
+      return;
+    }
+    setEvents([...events, ...createBatch(events, [{ type, payload: { batchId } }], { actor: currentUser.id })]);
+  }
+
+  function undo() {
+    if (history.undoBatch) stepHistory(EVENT_TYPES.UNDO, history.undoBatch);
+  }
+
+  function redo() {
+    if (history.redoBatch) stepHistory(EVENT_TYPES.REDO, history.redoBatch);
+  }
+
+  // Refuses (with the reason) when the current user's role does not allow `action`
+  function allowed(action) {
+    const reason = deniedReason(currentUser, action);
+    if (reason) alert(reason);
+    return !reason;
+  }
+
+  // Props for a header button the current user may not be allowed to use
+  function gate(action, style = null) {
+    const base = style || styles.button;
+    const reason = deniedReason(currentUser, action);
+    return { style: reason ? { ...base, opacity: 0.5 } : base, disabled: Boolean(reason), title: reason || undefined };
+  }
+
+  // Taking on more rights asks for the target user's PIN; see auth/identity.js
+  function switchUser(id) {
+    const target = users.find((u) => u.id === id);
+    const needsPin = switchNeedsPin(currentUser, target);
+    const pin = needsPin ? window.prompt(`PIN for ${target.name}:`) : null;
+    if (needsPin && pin == null) return;
+    const denial = switchDenial(currentUser, target, pin);
+    if (denial) {
+      alert(denial);
+      return;
+    }
+    identity.saveCurrentId(id);
+    setCurrentUserId(id);
+    setCarrying(null);
+  }
+
+  function saveUsers(next) {
+    identity.saveUsers(next);
+    setUsers(next);
+    setUsersOpen(false);
+  }
+
+  function dismissConflict(conflict) {
+    setSyncConflicts((prev) => prev.filter((c) => c.batchId !== conflict.batchId));
+  }
+
+  // Redo a rejected batch's placements/moves (or planned ones) as work orders to whatever slots rank
+  // best in the yard as planned now
+  function replanConflict(conflict) {
+    const at = nowISO();
+    const scratch = { config, layout: { ...plannedLayout }, containers };
+    const drafts = [];
+    for (const event of conflict.events) {
+      if (![EVENT_TYPES.CONTAINER_PLACED, EVENT_TYPES.CONTAINER_MOVED, EVENT_TYPES.WORK_ORDER_CREATED].includes(event.type)) continue;
+      const container = containers[event.containerId];
+      if (!container || openOrderFor(workOrders, container.id)) continue;
+      if (!event.fromSlot && container.status !== STATUS.INBOUND) continue;
+      const [best] = rankSlots({ ...scratch, layout: withoutContainer(scratch.layout, container.id) }, container, placementStrategy);
+      if (!best) continue;
+      drafts.push(workOrderDraft({ cid: container.id, fromSlot: container.slotId || null, slotId: best.slotId, placement: placementRecord(placementStrategy, best, at) }));
+      scratch.layout = placeInLayout(scratch.layout, container, best.slotId);
+    }
+    if (!drafts.length) {
+      alert("No free slot fits these containers any more.");
+      return;
+    }
+    if (commit(drafts)) dismissConflict(conflict);
+  }
+
+  function currentDocument() {
+    return createDocument({ events, prevSig, epoch: epoch ?? events[0]?.at ?? null, reeferReadings });
+  }
 
-  // Helpers
   function resetAll() {
+    if (!allowed(ACTIONS.RESET)) return;
+    if (!window.confirm("Clear all containers and their history? The current yard is kept as the restore point (Backups).")) return;
+    setRestorePoint(createBackup(currentDocument(), "before reset"));
     localStorage.removeItem(LS_KEYS.CONTAINERS);
     localStorage.removeItem(LS_KEYS.INBOUND);
     localStorage.removeItem(LS_KEYS.LAYOUT);
     localStorage.removeItem(LS_KEYS.PREV_SIG);
-    setContainers({});
-    setInboundIds([]);
-    const empty = {};
-    for (const s of allSlots) empty[s] = [];
-    setLayout(empty);
+    localStorage.removeItem(LS_KEYS.ARCHIVE);
+    localStorage.removeItem(LS_KEYS.LAYOUT_CONFIG);
+    localStorage.removeItem(LS_KEYS.EVENTS);
+    // Keep the yard's configuration (layout, owner codes, alert thresholds, equipment, truck windows); only the container history goes
+    setEvents(createBatch([], [{ type: EVENT_TYPES.YARD_INITIALIZED, payload: { config, ownerCodes, alertSettings, equipment, appointmentSettings, tariff } }], { actor: currentUser.id }));
     setPrevSig({});
+    setReeferReadings({});
+    setEpoch(nowISO());
     setSelectedContainerId(null);
     setSelectedSlotId(null);
   }
 
-  function pollInbound(count = 5) {
-    // Simulate a poll response populating DB with containers
-    const newContainers = { ...containers };
-    const newInbound = [...inboundIds];
+  // Replace the whole yard with a backup; what is replaced becomes the restore point
+  function restoreDocument(doc, label) {
+    if (hydrated) setRestorePoint(createBackup(currentDocument(), `before restoring ${label}`));
+    const at = nowISO();
+    hydrate({ ...doc, events: restampEvents(doc.events, Date.parse(at).toString(36)), epoch: at });
+    setSelectedContainerId(null);
+    setSelectedSlotId(null);
+    setRetrievalTargetId(null);
+    setBackupOpen(false);
+    setStorageStatus({ state: "restored", detail: label });
+  }
+
+  function dropFeedFile(e) {
+    e.preventDefault();
+    setFeedDragOver(false);
+    const [file] = e.dataTransfer?.files || e.target.files || [];
+    if (file && allowed(ACTIONS.POLL_FEED)) pollFeed(createFileDropFeed(file), currentUser);
+    if (e.target.value) e.target.value = "";
+  }
+
+  function autoPlace(n = 10) {
+    // Place up to n inbound containers into the best-scoring slot for the chosen strategy
+    const unplanned = inboundIds.filter((cid) => !openOrderFor(workOrders, cid));
+    const result = planAutoPlacement({ config, layout: plannedLayout, containers, inboundIds: unplanned }, n, placementStrategy, nowISO());
+
+    commit(result.placements.map((p) => workOrderDraft({ cid: p.cid, fromSlot: null, slotId: p.slotId, placement: p.placement })));
+    if (result.skipped.length) {
+      alert(`No valid slot for ${result.skipped.length} container(s): ${result.skipped.join(", ")}`);
+    }
+  }
+
+  // Placing or moving only plans the move: it becomes a work order, and the layout changes when it is completed
+  function moveContainerToSlot(cid, targetSlotId, placement = null) {
+    const container = containers[cid];
+    if (!container) return false;
+    const open = openOrderFor(workOrders, cid);
+    if (open) {
+      alert(`${cid} already has work order ${open.id} (${open.status.toLowerCase().replace(/_/g, " ")}) to ${open.toSlot}.`);
+      return false;
+    }
+    const fromSlot = container.slotId || null;
+    if (fromSlot === targetSlotId) return false;
+
+    // Target must have a free, unreserved tier and pass the hard placement rules; dangerous goods rules
+    // are checked separately since a supervisor may override them
+    const rejection = moveRejection({ config, layout: plannedLayout, containers }, cid, targetSlotId, { hazmatOverride: true });
+    if (rejection) {
+      alert(rejection);
+      return false;
+    }
+
+    const drafts = [workOrderDraft({ cid, fromSlot, slotId: targetSlotId, placement: placement || placementRecord(MANUAL_PLACEMENT, null, nowISO()) })];
+    const violations = hazmatViolations({ config, layout: withoutContainer(plannedLayout, cid), containers }, container, targetSlotId);
+    if (violations.length) return requestHazmatOverride({ containerId: cid, slotId: targetSlotId, violations, drafts, action: "plan the move" });
+    return commit(drafts);
+  }
 
-    for (let i = 0; i < count; i++) {
-      let id = randomId("CONT");
-      while (newContainers[id]) id = randomId("CONT");
-      newContainers[id] = makeContainer(id);
-      newInbound.unshift(id); // newest first
+  // Dangerous goods violations block the move, unless a supervisor overrides them with a reason
+  function requestHazmatOverride(pending) {
+    const denial = deniedReason(currentUser, ACTIONS.HAZMAT_OVERRIDE);
+    if (denial) {
+      alert(`${pending.violations.map((v) => v.message).join("\n")}\n\n${denial}`);
+      return false;
     }
+    setHazmatPending(pending);
+    return false;
+  }
 
-    setContainers(newContainers);
-    setInboundIds(newInbound);
+  function confirmHazmatOverride(reason) {
+    const { containerId, slotId, violations, drafts } = hazmatPending;
+    const orderId = drafts.find((d) => d.type === EVENT_TYPES.WORK_ORDER_CREATED)?.payload.orderId ?? null;
+    const override = {
+      type: EVENT_TYPES.HAZMAT_OVERRIDDEN,
+      containerId,
+      toSlot: slotId,
+      payload: { violations: violations.map((v) => v.message), reason, orderId },
+    };
+    if (commit([override, ...drafts])) setHazmatPending(null);
   }
 
-  function firstAvailableSlot() {
-    for (const s of allSlots) {
-      if ((layout[s] || []).length < config.stackLimit) return s;
+  // Completing executes the planned move against the yard as it is now
+  function completeWorkOrder(order) {
+    const container = containers[order.containerId];
+    if (!container || (container.slotId || null) !== (order.fromSlot || null)) {
+      alert(`${order.containerId} is no longer ${order.fromSlot ? `in ${order.fromSlot}` : "inbound"}; mark the order as failed.`);
+      return false;
+    }
+    // An override given when the order was planned covers its completion too
+    const hazmatOverride = hazmatOverrides.some((o) => o.orderId === order.id);
+    const rejection = moveRejection({ config, layout, containers }, order.containerId, order.toSlot, { hazmatOverride });
+    if (rejection) {
+      alert(`${rejection} Mark the order as failed and plan the move again.`);
+      return false;
     }
-    return null;
+    return commit([
+      workOrderStep(EVENT_TYPES.WORK_ORDER_COMPLETED, order),
+      {
+        type: order.fromSlot ? EVENT_TYPES.CONTAINER_MOVED : EVENT_TYPES.CONTAINER_PLACED,
+        containerId: order.containerId,
+        fromSlot: order.fromSlot,
+        toSlot: order.toSlot,
+        stackIndex: (layout[order.toSlot] || []).length,
+        payload: { placement: order.placement, workOrderId: order.id },
+      },
+    ]);
   }
 
-  function autoPlace(n = 10) {
-    // Place up to n inbound containers into first available slot
-    const newLayout = { ...layout };
-    const newContainers = { ...containers };
-    const newInbound = [...inboundIds];
-
-    let placed = 0;
-    while (newInbound.length > 0 && placed < n) {
-      const slot = firstAvailableSlot();
-      if (!slot) break;
-
-      const cid = newInbound.pop(); // place oldest first
-      const stack = [...(newLayout[slot] || [])];
-      stack.push(cid);
-      newLayout[slot] = stack;
-
-      newContainers[cid] = { ...newContainers[cid], status: "IN_YARD", placedAt: nowISO(), slotId: slot };
-      placed++;
+  function workOrderTransition(type, order, payload = {}) {
+    return commit([workOrderStep(type, order, payload)]);
+  }
+
+  function saveEquipment(list) {
+    if (!list.length) {
+      alert("Keep at least one piece of equipment.");
+      return false;
     }
+    return commit([{ type: EVENT_TYPES.EQUIPMENT_UPDATED, payload: { equipment: list } }]);
+  }
 
-    setLayout(newLayout);
-    setContainers(newContainers);
-    setInboundIds(newInbound);
+  function bookTruck(input) {
+    return commit([{ type: EVENT_TYPES.APPOINTMENT_BOOKED, payload: { appointment: { id: newAppointmentId(), ...input } } }]);
   }
 
-  function moveSelectedToSlot(targetSlotId) {
+  // Pre-staging moves are planned together, so they go in as one batch of work orders; the appointment marks them unbilled
+  function stageMoves(moves) {
+    const at = nowISO();
+    return commit(
+      moves.map((m) =>
+        workOrderDraft({
+          cid: m.containerId,
+          fromSlot: m.fromSlot,
+          slotId: m.toSlot,
+          placement: placementRecord(placementStrategy, m.best, at),
+          appointmentId: m.appointment.id,
+        })
+      )
+    );
+  }
+
+  function moveSelectedToSlot(targetSlotId, placement = null) {
     if (!selectedContainerId) return;
+    moveContainerToSlot(selectedContainerId, targetSlotId, placement);
+  }
 
-    const cid = selectedContainerId;
-    const newLayout = { ...layout };
+  // Drag-and-drop and keyboard drops: same slot means restack (onto tier `tierIndex`, default top)
+  function dropContainer(cid, slotId, tierIndex = null) {
+    const stack = layout[slotId] || [];
+    const from = stack.indexOf(cid);
+    if (from >= 0) {
+      const to = tierIndex ?? stack.length - 1;
+      if (to !== from) reorderWithinSlot(slotId, from, to);
+      return true;
+    }
+    return moveContainerToSlot(cid, slotId);
+  }
 
-    // Remove cid from wherever it is
-    for (const s of Object.keys(newLayout)) {
-      if (newLayout[s]?.includes(cid)) {
-        newLayout[s] = newLayout[s].filter((x) => x !== cid);
-      }
+  function reorderWithinSlot(slotId, fromIndex, toIndex) {
+    const stack = layout[slotId] || [];
+    if (fromIndex < 0 || fromIndex >= stack.length) return false;
+    if (toIndex < 0 || toIndex >= stack.length) return false;
+    const cid = stack[fromIndex];
+    const next = stack.filter((x) => x !== cid);
+    next.splice(toIndex, 0, cid);
+    const [stackingIssue] = restackViolations(config, slotId, stack, next, containers);
+    if (stackingIssue) {
+      alert(`Cannot restack ${slotId}: ${stackingIssue.message}`);
+      return false;
     }
+    // Dangerous goods rules depend on the slot, not the tier, so a restack cannot break them
+    return commit([
+      {
+        type: EVENT_TYPES.CONTAINER_RESTACKED,
+        containerId: cid,
+        fromSlot: slotId,
+        toSlot: slotId,
+        stackIndex: toIndex,
+        payload: { fromIndex },
+      },
+    ]);
+  }
 
-    // If it was inbound, remove from inbound list
-    const newInbound = inboundIds.filter((x) => x !== cid);
+  function toggleRelease(cid) {
+    const type = containers[cid]?.status === STATUS.RELEASED ? EVENT_TYPES.RELEASE_REVOKED : EVENT_TYPES.CONTAINER_RELEASED;
+    commit([{ type, containerId: cid, fromSlot: containers[cid]?.slotId ?? null }]);
+  }
 
-    // Add to target slot if space
-    const stack = [...(newLayout[targetSlotId] || [])];
-    if (stack.length >= config.stackLimit) {
-      alert(`Slot ${targetSlotId} is full (stack limit ${config.stackLimit}).`);
+  // Blank clears the set point; anything else must be a temperature a reefer unit can hold
+  function saveSetPoint(cid, text) {
+    const trimmed = text.trim();
+    const setPointC = trimmed ? normalizeSetPointC(trimmed) : null;
+    if (trimmed && setPointC == null) {
+      alert(`"${trimmed}" is not a set point between ${MIN_SET_POINT_C} and ${MAX_SET_POINT_C} °C.`);
       return;
     }
-    stack.push(cid);
-    newLayout[targetSlotId] = stack;
+    if (commit([{ type: EVENT_TYPES.REEFER_SET_POINT_CHANGED, containerId: cid, payload: { setPointC } }])) setSetPointDraft(null);
+  }
 
-    // Update container status
-    const newContainers = { ...containers };
-    newContainers[cid] = { ...(newContainers[cid] || { id: cid }), status: "IN_YARD", movedAt: nowISO(), slotId: targetSlotId };
+  function confirmGateOut(cid, details) {
+    const ok = commit([
+      {
+        type: EVENT_TYPES.CONTAINER_GATED_OUT,
+        containerId: cid,
+        fromSlot: containers[cid]?.slotId ?? null,
+        payload: { ...details, departedAt: new Date(details.departedAt).toISOString() },
+      },
+    ]);
+    if (!ok) return;
+    if (selectedContainerId === cid) setSelectedContainerId(null);
+    if (retrievalTargetId === cid) setRetrievalTargetId(null);
+    setGateOutId(null);
+  }
 
-    setLayout(newLayout);
-    setInboundIds(newInbound);
-    setContainers(newContainers);
+  function signOffSlots(slotIds, scope, comment) {
+    const draft = signOffDraft(slotChanges, slotIds, scope, comment);
+    return draft ? commit([draft]) : false;
   }
 
-  function reorderWithinSlot(slotId, fromIndex, toIndex) {
-    const stack = [...(layout[slotId] || [])];
-    if (fromIndex < 0 || fromIndex >= stack.length) return;
-    if (toIndex < 0 || toIndex >= stack.length) return;
-    const [item] = stack.splice(fromIndex, 1);
-    stack.splice(toIndex, 0, item);
-    setLayout({ ...layout, [slotId]: stack });
-  }
-
-  function removeFromSlot(slotId, cid) {
-    const newLayout = { ...layout, [slotId]: (layout[slotId] || []).filter((x) => x !== cid) };
-    // Put it back inbound (simulate gate-out / rework)
-    const newInbound = [cid, ...inboundIds.filter((x) => x !== cid)];
-    const newContainers = { ...containers, [cid]: { ...containers[cid], status: "INBOUND", slotId: null, updatedAt: nowISO() } };
-    setLayout(newLayout);
-    setInboundIds(newInbound);
-    setContainers(newContainers);
-  }
-
-  function snapshotSignatures() {
-    // "Acknowledge": set prevSig to current signatures, clearing highlights
-    const next = {};
-    for (const s of allSlots) {
-      next[s] = slotSignature(layout[s] || []);
+  function applyLayoutConfig(nextConfig, zoneRenames) {
+    const migrated = migrateLayout({ layout, containers, inboundIds }, nextConfig, zoneRenames, nowISO());
+    if (
+      migrated.displaced.length &&
+      !confirm(`${migrated.displaced.length} container(s) no longer fit the new layout and will go back to the inbound queue. Continue?`)
+    ) {
+      return;
     }
-    setPrevSig(next);
+
+    if (!commit([{ type: EVENT_TYPES.LAYOUT_CONFIGURED, payload: { config: nextConfig, zoneRenames } }])) return;
+
+    // Keep the bay view pointing at something that still exists
+    const nextZoneId = zoneRenames[selectedZone] || selectedZone;
+    const nextZone = findZone(nextConfig, nextZoneId) || nextConfig.zones[0];
+    setSelectedZone(nextZone.id);
+    setSelectedBay((bay) => Math.min(bay, nextZone.rows));
+    if (selectedSlotId && !(selectedSlotId in migrated.layout)) setSelectedSlotId(null);
+    setLayoutEditorOpen(false);
+  }
+
+  function focusSlot(slotId) {
+    setSelectedSlotId(slotId);
+    const parsed = parseSlotId(slotId);
+    if (parsed?.zone) setSelectedZone(parsed.zone);
+    if (parsed?.row) setSelectedBay(parsed.row);
   }
 
   function selectContainerFromSearch(container) {
     if (!container) return;
     setSelectedContainerId(container.id);
-    if (container.slotId) {
-      setSelectedSlotId(container.slotId);
-      const [zone, rowPart] = container.slotId.split("-");
-      const rowNumber = Number(rowPart?.replace("R", ""));
-      if (zone) setSelectedZone(zone);
-      if (rowNumber) setSelectedBay(rowNumber);
-    }
+    if (container.slotId) focusSlot(container.slotId);
     setSearchOpen(false);
   }
 
   // KPIs
   const inboundCount = inboundIds.length;
-  const inYardCount = Object.values(layout).reduce((acc, st) => acc + (st?.length || 0), 0);
-  const capacity = allSlots.length * config.stackLimit;
-  const utilizationPct = capacity ? Math.round((inYardCount / capacity) * 100) : 0;
+  const releasedCount = Object.values(containers).filter((c) => c.status === STATUS.RELEASED).length;
+  // A 40FT is one container but takes a tier in two stacks; utilization counts tiers
+  const inYardCount = new Set(Object.values(layout).flat()).size;
+  const usedTiers = Object.values(layout).reduce((acc, st) => acc + (st?.length || 0), 0);
+  const capacity = slotCapacity(config, allSlots);
+  const utilizationPct = capacity ? Math.round((usedTiers / capacity) * 100) : 0;
   const zoneAvailability = config.zones.map((zone) => {
-    const zoneSlots = allSlots.filter((slot) => slot.startsWith(`${zone}-`));
+    const zoneSlots = allSlots.filter((slot) => slot.startsWith(`${zone.id}-`) && !isSlotBlocked(config, slot));
     const used = zoneSlots.reduce((acc, slot) => acc + (layout[slot]?.length || 0), 0);
-    const total = zoneSlots.length * config.stackLimit;
-    return { zone, remaining: total - used, total };
+    const total = slotCapacity(config, zoneSlots);
+    return { zone: zone.id, remaining: Math.max(0, total - used), total };
   });
+  const activeZone = findZone(config, selectedZone) || config.zones[0];
   const baySlots = useMemo(() => {
     const rowLabel = `R${String(selectedBay).padStart(2, "0")}`;
     return allSlots.filter((slot) => slot.startsWith(`${selectedZone}-${rowLabel}`));
   }, [allSlots, selectedZone, selectedBay]);
+  // Badge rows get a fixed height in a bay holding a 40FT, so its chip lines up with the tier in its second slot
+  const bayHasWide = baySlots.some((slotId) => (layout[slotId] || []).some((cid) => containers[cid]?.size === "40FT"));
+
+  // While a container is dragged or carried: rejection reason per visible slot (null = valid target)
+  const movingId = dragging || carrying;
+  const dropTargets = useMemo(() => {
+    if (!movingId || !containers[movingId]) return null;
+    return Object.fromEntries(baySlots.map((slotId) => [slotId, moveRejection({ config, layout: plannedLayout, containers }, movingId, slotId)]));
+  }, [movingId, baySlots, config, plannedLayout, containers]);
+
+  // Keyboard moves may switch bays; focus the new slot once it is rendered
+  useEffect(() => {
+    if (!pendingFocusRef.current) return;
+    slotRefs.current[pendingFocusRef.current]?.focus();
+    pendingFocusRef.current = null;
+  });
+
+  // Drag-and-drop
+  function startDrag(e, cid) {
+    e.stopPropagation();
+    e.dataTransfer.setData("text/plain", cid);
+    e.dataTransfer.effectAllowed = "move";
+    setDragging(cid);
+    setSelectedContainerId(cid);
+  }
+
+  function allowDrop(e, slotId) {
+    if (!dragging || dropTargets?.[slotId]) return; // not calling preventDefault refuses the drop
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+  }
+
+  function dropDragged(e, slotId, tierIndex = null) {
+    e.preventDefault();
+    e.stopPropagation();
+    const cid = dragging;
+    setDragging(null);
+    if (cid) dropContainer(cid, slotId, tierIndex);
+  }
+
+  // Keyboard mode: arrows walk the rack, Enter picks up / drops, Alt+↑/↓ restacks, Escape cancels
+  function describeSlot(slotId, cid = carrying) {
+    const stack = layout[slotId] || [];
+    const load = stackLoad(config, slotId, stack, containers);
+    const base = `${slotId}, ${stack.length} of ${slotStackLimit(config, slotId)} tiers used, ${formatTonnes(load.totalKg)} of ${formatTonnes(load.limitKg)}`;
+    if (!cid) return `${base}${stack.length ? `, top ${stack[stack.length - 1]}` : ""}.`;
+    const rejection = moveRejection({ config, layout: plannedLayout, containers }, cid, slotId);
+    return rejection ? `${base}. Cannot drop ${cid} here: ${rejection}` : `${base}. Drop allowed.`;
+  }
+
+  function moveSlotCursor(slotId) {
+    const parsed = parseSlotId(slotId);
+    if (!parsed) return;
+    if (parsed.zone !== selectedZone) setSelectedZone(parsed.zone);
+    if (parsed.row !== selectedBay) setSelectedBay(parsed.row);
+    setSlotCursor(slotId);
+    pendingFocusRef.current = slotId;
+    setAnnouncement(describeSlot(slotId));
+  }
+
+  function pickUp(cid, fromLabel) {
+    const denial = deniedReason(currentUser, ACTIONS.PLACE);
+    if (denial) {
+      setAnnouncement(denial);
+      return;
+    }
+    setCarrying(cid);
+    setSelectedContainerId(cid);
+    setAnnouncement(`Picked up ${cid} from ${fromLabel}. Arrow keys choose a slot, Enter drops, Escape cancels.`);
+  }
+
+  function handleSlotKey(e, slotId) {
+    const parsed = parseSlotId(slotId);
+    const stack = layout[slotId] || [];
+    const step = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] }[e.key];
+
+    if (step && e.altKey) {
+      e.preventDefault();
+      const from = stack.indexOf(carrying);
+      if (from < 0 || !step[0]) return;
+      const to = from + step[0];
+      if (reorderWithinSlot(slotId, from, to)) setAnnouncement(`${carrying} now on tier ${to + 1} of ${stack.length} in ${slotId}.`);
+    } else if (step) {
+      e.preventDefault();
+      const row = parsed.row + step[0];
+      const col = parsed.col + step[1];
+      if (row < 1 || row > activeZone.rows || col < 1 || col > activeZone.cols) return;
+      moveSlotCursor(buildSlotId(parsed.zone, row, col));
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (!carrying) {
+        if (!stack.length) setAnnouncement(`${slotId} is empty; pick up a container from the inbound queue or another slot.`);
+        else pickUp(stack[stack.length - 1], slotId);
+        return;
+      }
+      const rejection = moveRejection({ config, layout: plannedLayout, containers }, carrying, slotId);
+      if (rejection) {
+        setAnnouncement(`Cannot drop ${carrying} in ${slotId}: ${rejection}`);
+        return;
+      }
+      if (dropContainer(carrying, slotId)) {
+        setAnnouncement(layout[slotId]?.includes(carrying) ? `${carrying} restacked in ${slotId}.` : `Work order created: ${carrying} to ${slotId}.`);
+        setCarrying(null);
+      }
+    } else if (e.key === "Escape" && carrying) {
+      e.preventDefault();
+      setAnnouncement(`Move of ${carrying} cancelled.`);
+      setCarrying(null);
+    }
+  }
+
+  function handleInboundKey(e, cid) {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    pickUp(cid, "the inbound queue");
+    const target = slotCursor && baySlots.includes(slotCursor) ? slotCursor : baySlots[0];
+    if (target) {
+      setSlotCursor(target);
+      pendingFocusRef.current = target;
+    }
+  }
 
   function formatDate(value) {
     if (!value) return "—";
@@ -364,6 +1148,12 @@ export default function YardSlotWireframe() {
     return Number.isNaN(date.getTime()) ? "—" : date.toLocaleDateString();
   }
 
+  function formatDateTime(value) {
+    if (!value) return "—";
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "—" : date.toLocaleString();
+  }
+
   // UI styling
   const styles = {
     page: { fontFamily: "system-ui, Segoe UI, Roboto, Arial", padding: 16, background: "#0b1220", color: "#e7eefc", minHeight: "100vh" },
@@ -390,15 +1180,27 @@ export default function YardSlotWireframe() {
       background: active ? "rgba(134,168,255,0.12)" : "#0b1430",
       cursor: "pointer",
     }),
+    dropZone: (active) => ({
+      display: "block",
+      marginBottom: 10,
+      padding: 10,
+      borderRadius: 12,
+      border: `1px dashed ${active ? "#86a8ff" : "#2a3e6b"}`,
+      background: active ? "rgba(134,168,255,0.12)" : "transparent",
+      fontSize: 12,
+      opacity: 0.85,
+      textAlign: "center",
+      cursor: "pointer",
+    }),
     yard: { display: "flex", flexDirection: "column", gap: 12 },
     zoneRow: { display: "flex", gap: 12, alignItems: "start" },
     zoneLabel: { width: 26, textAlign: "center", fontWeight: 800, opacity: 0.9, paddingTop: 8 },
-    zoneGrid: { display: "grid", gap: 8, gridTemplateColumns: `repeat(${config.colsPerZone}, minmax(110px, 1fr))` },
-    slot: (isSelected, isChanged) => ({
+    zoneGrid: (cols, cellSize) => ({ display: "grid", gap: 3, gridTemplateColumns: `repeat(${cols}, ${cellSize}px)` }),
+    slot: (isSelected, isChanged, isBlocked) => ({
       borderRadius: 14,
       padding: 10,
       border: isSelected ? "1px solid #86a8ff" : "1px solid #22355f",
-      background: "#0b1430",
+      background: isBlocked ? "repeating-linear-gradient(45deg, #1d1420, #1d1420 6px, #0b1430 6px, #0b1430 12px)" : "#0b1430",
       position: "relative",
       outline: isChanged ? "2px solid #ffd166" : "none",
       boxShadow: isChanged ? "0 0 0 3px rgba(255,209,102,0.18)" : "none",
@@ -422,7 +1224,40 @@ export default function YardSlotWireframe() {
       fontSize: 11,
       cursor: "pointer",
     }),
+    dropTarget: (valid) => ({
+      border: valid ? "1px dashed #7dffb2" : "1px dashed #ff8fa3",
+      boxShadow: valid ? "0 0 0 3px rgba(125,255,178,0.15)" : "none",
+      opacity: valid ? 1 : 0.55,
+    }),
+    carried: { outline: "2px dashed #86a8ff", outlineOffset: 2 },
+    reservedChip: {
+      padding: "6px 8px",
+      borderRadius: 10,
+      border: "1px dashed #ffd479",
+      color: "#ffd479",
+      fontSize: 11,
+      cursor: "pointer",
+    },
+    srOnly: { position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" },
     chipRight: { display: "flex", gap: 6, alignItems: "center" },
+    // Two slot widths plus the grid gap and both slots' padding and borders in between
+    wideChip: { boxSizing: "border-box", width: "calc(200% + 30px)", position: "relative", zIndex: 1 },
+    badgeRow: { display: "flex", gap: 4, flexWrap: "wrap", marginBottom: 6 },
+    badgeRowFixed: { display: "flex", gap: 4, flexWrap: "nowrap", overflow: "hidden", height: 20, marginBottom: 6 },
+    weightTrack: { height: 4, borderRadius: 999, background: "#0b1430", border: "1px solid #22355f", overflow: "hidden", marginBottom: 6 },
+    weightFill: (ratio) => ({
+      width: `${Math.min(100, Math.round(ratio * 100))}%`,
+      height: "100%",
+      background: ratio > 1 ? "#ff8fa3" : ratio > 0.85 ? "#ffd479" : "#7dffb2",
+    }),
+    placementTag: (manual) => ({
+      fontSize: 9,
+      padding: "1px 5px",
+      borderRadius: 999,
+      border: manual ? "1px solid #7b2a3f" : "1px solid #2a3f73",
+      background: manual ? "rgba(123,42,63,0.25)" : "rgba(134,168,255,0.12)",
+      fontWeight: 700,
+    }),
     linkBtn: {
       fontSize: 10,
       padding: "3px 6px",
@@ -444,8 +1279,28 @@ export default function YardSlotWireframe() {
       color: "#ffd166",
       fontWeight: 800,
     },
+    retrievalSource: { border: "1px solid #ff8fa3", boxShadow: "0 0 0 3px rgba(255,143,163,0.18)" },
+    retrievalTemp: { border: "1px dashed #7ee0b5" },
+    planTag: {
+      fontSize: 10,
+      padding: "1px 6px",
+      borderRadius: 999,
+      background: "rgba(126,224,181,0.14)",
+      border: "1px solid rgba(126,224,181,0.5)",
+      color: "#7ee0b5",
+      fontWeight: 800,
+    },
+    alertTag: (severity) => ({
+      fontSize: 10,
+      padding: "1px 6px",
+      borderRadius: 999,
+      color: severity === "critical" ? "#ff8fa3" : "#ffd479",
+      border: `1px solid ${severity === "critical" ? "#ff8fa3" : "#ffd479"}`,
+      background: severity === "critical" ? "rgba(255,143,163,0.14)" : "rgba(255,212,121,0.12)",
+      fontWeight: 800,
+    }),
     hint: { fontSize: 12, opacity: 0.8, marginTop: 10, lineHeight: 1.35 },
-    splitCol: { display: "grid", gridTemplateRows: "1fr 4fr", gap: 12, alignItems: "start" },
+    splitCol: { display: "grid", gap: 12, alignItems: "start" },
     searchOverlay: {
       position: "fixed",
       inset: 0,
@@ -494,58 +1349,176 @@ export default function YardSlotWireframe() {
       cursor: "pointer",
       fontSize: 10,
     },
-    resultItem: {
-      padding: 10,
-      borderRadius: 12,
-      border: "1px solid #22355f",
-      background: "#0b1430",
-      cursor: "pointer",
-    },
   };
 
   const selectedContainer = selectedContainerId ? containers[selectedContainerId] : null;
-  const searchOptions = useMemo(() => {
-    const values = new Set();
-    for (const container of Object.values(containers)) {
-      if (searchType === "container" && container.id) values.add(container.id);
-      if (searchType === "company" && container.companyName) values.add(container.companyName);
-      if (searchType === "owner" && container.ownerName) values.add(container.ownerName);
-    }
-    return Array.from(values).sort((a, b) => a.localeCompare(b));
-  }, [containers, searchType]);
-
-  useEffect(() => {
-    if (!searchOpen) return;
-    if (!searchOptions.length) {
-      setSearchValue("");
-      return;
-    }
-    if (!searchOptions.includes(searchValue)) {
-      setSearchValue(searchOptions[0]);
-    }
-  }, [searchOpen, searchOptions, searchValue]);
-
-  const searchValueNormalized = searchValue.trim().toLowerCase();
-  const searchResults = Object.values(containers).filter((container) => {
-    if (!searchValueNormalized) return false;
-    if (searchType === "container") return container.id.toLowerCase() === searchValueNormalized;
-    if (searchType === "company") return container.companyName?.toLowerCase() === searchValueNormalized;
-    return container.ownerName?.toLowerCase() === searchValueNormalized;
-  });
+  const selectedDwell = selectedContainer?.slotId ? dwellDays(selectedContainer, now) : null;
+  const selectedOrder = selectedContainerId ? openOrderFor(workOrders, selectedContainerId) : null;
+  const selectedPickup = selectedContainerId ? bookedFor(appointments, selectedContainerId) : null;
+  const openAlerts = alerts.filter((a) => !a.acknowledged);
+  const canPlace = !deniedReason(currentUser, ACTIONS.PLACE);
+  const selectedTimeline = useMemo(
+    () => (selectedContainerId ? containerTimeline(events, selectedContainerId, history.undone) : []),
+    [events, selectedContainerId, history]
+  );
+  const placementSuggestions = useMemo(() => {
+    if (!selectedContainer || selectedContainer.slotId) return [];
+    return rankSlots({ config, layout: plannedLayout, containers }, selectedContainer, placementStrategy).slice(0, 3);
+  }, [config, plannedLayout, containers, selectedContainer, placementStrategy]);
+  if (!hydrated) {
+    return (
+      <div style={styles.page}>
+        {/* Not role-gated: nothing is loaded to protect yet, and there is no header to switch users from */}
+        {loadError ? (
+          <RecoveryScreen
+            styles={styles}
+            storageName={storage.name}
+            error={loadError}
+            restorePoint={restorePoint}
+            formatDateTime={formatDateTime}
+            onRetry={() => setLoadAttempt((n) => n + 1)}
+            onRestore={restoreDocument}
+            onStartEmpty={() => hydrate({ events: [], prevSig: {}, epoch: nowISO() })}
+          />
+        ) : (
+          <div style={{ ...styles.card, maxWidth: 520, margin: "10vh auto" }}>
+            <div style={styles.title}>Yard & Slot Management</div>
+            <div style={styles.small}>Loading yard from {storage.name}…</div>
+          </div>
+        )}
+      </div>
+    );
+  }
 
   return (
     <div style={styles.page}>
+      <div aria-live="polite" role="status" style={styles.srOnly}>
+        {announcement}
+      </div>
       <div style={styles.header}>
         <div style={{ fontSize: 18, fontWeight: 900 }}>Yard & Slot Management — Interactive Wireframe</div>
         <div style={styles.pill}>Inbound: <b>{inboundCount}</b></div>
-        <div style={styles.pill}>In Yard: <b>{inYardCount}</b> / {capacity} ({utilizationPct}%)</div>
+        <div style={styles.pill}>In Yard: <b>{inYardCount}</b> · {usedTiers} / {capacity} tiers ({utilizationPct}%)</div>
         <div style={styles.pill}>Changed Slots: <b>{changedSlots.size}</b></div>
+        <div style={styles.pill}>Released: <b>{releasedCount}</b></div>
+        <div
+          style={{ ...styles.pill, ...(storageStatus.state === "error" ? { border: "1px solid #7b2a3f" } : null) }}
+          title={storageStatus.error || storageStatus.detail || (storageStatus.at ? `Last saved ${formatDateTime(storageStatus.at)}` : undefined)}
+        >
+          {storage.name}: <b>{storageStatus.state === "error" ? "save failed" : storageStatus.state}</b>
+        </div>
+        {Object.keys(syncStatus).length > 0 && (
+          <div
+            style={{ ...styles.pill, ...(Object.values(syncStatus).some((st) => st.state !== "open") ? { border: "1px solid #7b2a3f" } : null) }}
+            title={Object.entries(syncStatus)
+              .map(([name, st]) => `${name}: ${st.state}${st.error ? ` (${st.error})` : ""}`)
+              .join("\n")}
+          >
+            Sync: <b>{Object.entries(syncStatus).map(([name, st]) => `${name} ${st.state === "open" ? "✓" : "…"}`).join(", ")}</b>
+          </div>
+        )}
+        {skippedEvents.length > 0 && (
+          <div
+            style={{ ...styles.pill, border: "1px solid #7b2a3f" }}
+            title={skippedEvents.map((e) => `#${e.seq} ${e.type}${e.containerId ? ` (${e.containerId})` : ""}: ${e.error}`).join("\n")}
+          >
+            Skipped events: <b>{skippedEvents.length}</b>
+          </div>
+        )}
+        {feedStatus && (
+          <div
+            style={{ ...styles.pill, ...(feedStatus.error ? { border: "1px solid #7b2a3f" } : null) }}
+            title={
+              feedStatus.error ||
+              [
+                `${feedStatus.received} record(s) received`,
+                feedStatus.duplicates.length ? `Duplicates skipped: ${feedStatus.duplicates.join(", ")}` : null,
+                ...feedStatus.rejected.map((r) => `Rejected #${r.index + 1}${r.id ? ` (${r.id})` : ""}: ${r.errors.join("; ")}`),
+              ]
+                .filter(Boolean)
+                .join("\n")
+            }
+          >
+            {feedStatus.feed} @ {formatDateTime(feedStatus.finishedAt)}:{" "}
+            {feedStatus.error ? (
+              <b>failed</b>
+            ) : (
+              <b>
+                +{feedStatus.added}
+                {feedStatus.duplicates.length ? `, ${feedStatus.duplicates.length} dup` : ""}
+                {feedStatus.rejected.length ? `, ${feedStatus.rejected.length} rejected` : ""}
+              </b>
+            )}
+          </div>
+        )}
+        <div
+          style={{ ...styles.pill, ...(openAlerts.some((a) => a.severity === "critical") ? { border: "1px solid #7b2a3f" } : null) }}
+          title="Overdue move-outs and long-dwelling containers not yet acknowledged"
+        >
+          Alerts: <b>{openAlerts.length}</b>
+        </div>
+        <div style={styles.pill} title="Extra moves needed because a later-leaving container sits on an earlier one">
+          Rehandles: <b>{rehandles.total}</b>
+        </div>
 
+        <div style={styles.pill} title={identity.pinned ? "User pinned by VITE_AUTH_USER" : "Local user; switching to someone who may do more needs their PIN"}>
+          User:{" "}
+          <select
+            style={{ ...styles.select, padding: "2px 6px", fontSize: 12 }}
+            value={currentUser.id}
+            disabled={identity.pinned}
+            onChange={(e) => switchUser(e.target.value)}
+          >
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>{u.name} ({roleLabel(u.role)})</option>
+            ))}
+          </select>
+        </div>
+        <button style={styles.button} onClick={() => setAppointmentsOpen(true)}>Appointments</button>
+        <button style={styles.button} onClick={() => setUsersOpen(true)}>Users</button>
+
+        <button
+          {...gate(ACTIONS.UNDO, { ...styles.button, opacity: history.undoBatch ? 1 : 0.5 })}
+          disabled={!history.undoBatch || !!deniedReason(currentUser, ACTIONS.UNDO)}
+          onClick={undo}
+        >
+          ↶ Undo
+        </button>
+        <button
+          {...gate(ACTIONS.UNDO, { ...styles.button, opacity: history.redoBatch ? 1 : 0.5 })}
+          disabled={!history.redoBatch || !!deniedReason(currentUser, ACTIONS.UNDO)}
+          onClick={redo}
+        >
+          ↷ Redo
+        </button>
         <button style={styles.button} onClick={() => setSearchOpen(true)}>Search Containers</button>
-        <button style={styles.button} onClick={() => pollInbound(5)}>Poll +5 Containers</button>
-        <button style={styles.button} onClick={() => autoPlace(10)}>Auto-place (up to 10)</button>
-        <button style={styles.button} onClick={snapshotSignatures}>Acknowledge changes</button>
-        <button style={{ ...styles.button, ...styles.buttonDanger }} onClick={resetAll}>Reset local data</button>
+        <select style={styles.select} value={feedId} onChange={(e) => setFeedId(e.target.value)} title="Inbound feed">
+          {Object.entries(feeds).map(([id, feed]) => (
+            <option key={id} value={id}>{feed.label}</option>
+          ))}
+        </select>
+        <button {...gate(ACTIONS.POLL_FEED)} onClick={() => pollFeed(feeds[feedId], currentUser)}>Poll now</button>
+        <select
+          style={styles.select}
+          value={placementStrategy}
+          onChange={(e) => setPlacementStrategy(e.target.value)}
+          title="Placement strategy used by auto-place"
+        >
+          {PLACEMENT_STRATEGIES.map((strategy) => (
+            <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+          ))}
+        </select>
+        <button {...gate(ACTIONS.PLACE)} onClick={() => autoPlace(10)}>Auto-place (up to 10)</button>
+        <button {...gate(ACTIONS.EDIT_LAYOUT)} onClick={() => setLayoutEditorOpen(true)}>Edit layout</button>
+        <button {...gate(ACTIONS.IMPORT)} onClick={() => setBulkImportOpen(true)}>Import sheet</button>
+        <button style={styles.button} onClick={() => setEdiOpen(true)}>EDI</button>
+        <button {...gate(ACTIONS.OWNER_CODES)} onClick={() => setOwnerCodesOpen(true)}>Owner codes</button>
+        <button style={styles.button} onClick={() => setArchiveOpen(true)}>
+          Departures ({Object.keys(archive).length})
+        </button>
+        <button {...gate(ACTIONS.BILLING)} onClick={() => setBillingOpen(true)}>Billing</button>
+        <button {...gate(ACTIONS.BACKUP)} onClick={() => setBackupOpen(true)}>Backups</button>
+        <button {...gate(ACTIONS.RESET, { ...styles.button, ...styles.buttonDanger })} onClick={resetAll}>Reset local data</button>
       </div>
 
       <div style={styles.gridWrap}>
@@ -573,19 +1546,42 @@ export default function YardSlotWireframe() {
             </div>
           </div>
 
+          <label
+            style={styles.dropZone(feedDragOver)}
+            onDragOver={(e) => {
+              if (!e.dataTransfer.types.includes("Files")) return; // container drags are not feed files
+              e.preventDefault();
+              setFeedDragOver(true);
+            }}
+            onDragLeave={() => setFeedDragOver(false)}
+            onDrop={dropFeedFile}
+            title="JSON array / { containers: [...] } or CSV with a header row"
+          >
+            Drop a JSON or CSV feed file here, or click to choose one
+            <input type="file" accept=".json,.csv,application/json,text/csv" style={{ display: "none" }} onChange={dropFeedFile} />
+          </label>
+
           <div style={styles.inboundList}>
             {inboundIds.length === 0 ? (
-              <div style={styles.small}>No inbound containers. Click “Poll” to simulate arrival data.</div>
+              <div style={styles.small}>No inbound containers. Click “Poll now” or drop a feed file to add arrivals.</div>
             ) : (
               inboundIds.map((cid) => {
                 const c = containers[cid];
                 const active = cid === selectedContainerId;
+                const order = openOrderFor(workOrders, cid);
                 return (
                   <div
                     key={cid}
-                    style={styles.inboundItem(active)}
+                    style={{ ...styles.inboundItem(active), ...(carrying === cid ? styles.carried : null) }}
                     onClick={() => setSelectedContainerId(cid)}
-                    title="Select to place/move"
+                    draggable={canPlace}
+                    onDragStart={(e) => startDrag(e, cid)}
+                    onDragEnd={() => setDragging(null)}
+                    tabIndex={0}
+                    role="button"
+                    aria-label={`${cid}, ${c?.size} ${c?.type}. Press Enter to pick up and place with the keyboard.`}
+                    onKeyDown={(e) => handleInboundKey(e, cid)}
+                    title="Select to place/move, or drag onto a slot"
                   >
                     <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
                       <div style={{ fontWeight: 800, fontSize: 12 }}>{cid}</div>
@@ -593,6 +1589,11 @@ export default function YardSlotWireframe() {
                     </div>
                     <div style={{ fontSize: 11, opacity: 0.75, marginTop: 4 }}>
                       Priority: <b>{c?.priority}</b> • Status: <b>{c?.status}</b>
+                      {order && (
+                        <>
+                          {" "}• <b>{order.id}</b> → {order.toSlot}
+                        </>
+                      )}
                     </div>
                   </div>
                 );
@@ -601,7 +1602,7 @@ export default function YardSlotWireframe() {
           </div>
 
           <div style={styles.hint}>
-            <b>Note (highlight rule):</b> a slot is highlighted if its container stack (IDs + order) differs from the last acknowledged snapshot.
+            <b>Note (highlight rule):</b> a slot is highlighted if its container stack (IDs + order) differs from the stack last signed off in the Changes panel.
           </div>
         </div>
 
@@ -610,16 +1611,121 @@ export default function YardSlotWireframe() {
           <div style={styles.title}>Selected Container Information</div>
           {selectedContainer ? (
             <div style={{ display: "grid", gap: 10 }}>
-              <div style={styles.pill}><b>{selectedContainer.id}</b> • {selectedContainer.size} • {selectedContainer.type}</div>
+              <div style={styles.pill} title={ISO_SIZE_TYPE_CODES[isoSizeTypeCode(selectedContainer)]}>
+                <b>{selectedContainer.id}</b> • {selectedContainer.size} • {selectedContainer.type} • {isoSizeTypeCode(selectedContainer)}
+              </div>
+              {!isValidContainerNumber(selectedContainer.id) && (
+                <div style={{ fontSize: 12, color: "#ffd479" }}>
+                  Recorded before number validation: {validateContainerNumber(selectedContainer.id).error}
+                </div>
+              )}
               <div style={{ display: "grid", gap: 6 }}>
                 <div style={styles.small}><b>Owner:</b> {selectedContainer.ownerName || "—"}</div>
                 <div style={styles.small}><b>Company:</b> {selectedContainer.companyName || "—"}</div>
                 <div style={styles.small}><b>Material:</b> {selectedContainer.material || "—"}</div>
+                {isHazardous(selectedContainer) && (
+                  <div style={styles.small}>
+                    <b>Dangerous goods:</b> {hazmatLabel(selectedContainer)}
+                    {hazmatBreaches[selectedContainer.id] && <span style={{ color: "#ff8fa3" }}> — breaks segregation where it stands</span>}
+                  </div>
+                )}
+                <div style={styles.small}>
+                  <b>Gross weight:</b> {selectedContainer.grossWeightKg ? formatTonnes(selectedContainer.grossWeightKg) : "not declared"}
+                </div>
+                {isReefer(selectedContainer) &&
+                  (setPointDraft?.cid === selectedContainer.id ? (
+                    <div style={{ ...styles.small, display: "flex", gap: 6, alignItems: "center" }}>
+                      <b>Set point:</b>
+                      <input
+                        style={{ ...styles.input, minWidth: 0, width: 70, flex: "none", padding: "4px 6px" }}
+                        value={setPointDraft.value}
+                        placeholder="e.g. -18"
+                        autoFocus
+                        onChange={(e) => setSetPointDraft({ cid: selectedContainer.id, value: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") saveSetPoint(selectedContainer.id, setPointDraft.value);
+                          if (e.key === "Escape") setSetPointDraft(null);
+                        }}
+                      />
+                      °C
+                      <button style={styles.linkBtn} onClick={() => saveSetPoint(selectedContainer.id, setPointDraft.value)}>Save</button>
+                      <button style={styles.linkBtn} onClick={() => setSetPointDraft(null)}>Cancel</button>
+                    </div>
+                  ) : (
+                    <div style={styles.small}>
+                      <b>Set point:</b> {selectedContainer.setPointC != null ? formatCelsius(selectedContainer.setPointC) : "not set"}{" "}
+                      <button
+                        {...gate(ACTIONS.REEFER_SET_POINT, styles.linkBtn)}
+                        onClick={() => setSetPointDraft({ cid: selectedContainer.id, value: selectedContainer.setPointC != null ? String(selectedContainer.setPointC) : "" })}
+                      >
+                        Change
+                      </button>
+                    </div>
+                  ))}
                 <div style={styles.small}><b>Move-in:</b> {formatDate(selectedContainer.moveInDate)}</div>
                 <div style={styles.small}><b>Move-out:</b> {formatDate(selectedContainer.moveOutDate)}</div>
                 <div style={styles.small}><b>Status:</b> {selectedContainer.status}</div>
-                <div style={styles.small}><b>Slot:</b> {selectedContainer.slotId || "Inbound"}</div>
+                {selectedDwell != null && <div style={styles.small}><b>Dwell:</b> {selectedDwell.toFixed(1)} days</div>}
+                {selectedContainer.releasedAt && (
+                  <div style={styles.small}><b>Released:</b> {formatDateTime(selectedContainer.releasedAt)}</div>
+                )}
+                <div style={styles.small}>
+                  <b>Slot:</b> {selectedContainer.slotId ? footprint(selectedContainer, selectedContainer.slotId).join(" + ") : "Inbound"}
+                </div>
+                {selectedPickup && (
+                  <div style={styles.small}>
+                    <b>Pickup:</b> {selectedPickup.truckingCompany} {selectedPickup.truckRef} · {selectedPickup.date}{" "}
+                    {findWindow(appointmentSettings, selectedPickup.windowId)?.start ?? selectedPickup.windowId}
+                  </div>
+                )}
+                {selectedOrder && (
+                  <div style={styles.small}>
+                    <b>Work order:</b> {selectedOrder.id} → {selectedOrder.toSlot} ({selectedOrder.status.replace(/_/g, " ").toLowerCase()})
+                  </div>
+                )}
               </div>
+              {selectedContainer.slotId && (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  <button {...gate(ACTIONS.RELEASE, styles.rowButton)} onClick={() => toggleRelease(selectedContainer.id)}>
+                    {selectedContainer.status === STATUS.RELEASED ? "Revoke release" : "Release for pickup"}
+                  </button>
+                  {selectedContainer.status === STATUS.RELEASED && (
+                    <button {...gate(ACTIONS.GATE_OUT, styles.rowButton)} onClick={() => setGateOutId(selectedContainer.id)}>
+                      Gate out…
+                    </button>
+                  )}
+                </div>
+              )}
+              {isReefer(selectedContainer) && selectedContainer.slotId && (
+                <div style={{ display: "grid", gap: 6 }}>
+                  <div style={styles.title}>Temperature</div>
+                  <ReeferChart
+                    styles={styles}
+                    readings={reeferReadings[selectedContainer.id] || []}
+                    setPointC={selectedContainer.setPointC ?? null}
+                    toleranceC={alertSettings.reeferToleranceC}
+                    formatDateTime={formatDateTime}
+                  />
+                </div>
+              )}
+              <PlacementDetails
+                styles={styles}
+                container={selectedContainer}
+                suggestions={placementSuggestions}
+                onPlace={(suggestion) => moveSelectedToSlot(suggestion.slotId, placementRecord(placementStrategy, suggestion, nowISO()))}
+              />
+              <RetrievalPlan
+                styles={styles}
+                container={selectedContainer}
+                plan={retrievalPlan?.cid === selectedContainer.id ? retrievalPlan : null}
+                onShow={() => {
+                  setRetrievalTargetId(selectedContainer.id);
+                  focusSlot(selectedContainer.slotId);
+                }}
+                onHide={() => setRetrievalTargetId(null)}
+                onJumpToSlot={focusSlot}
+              />
+              <ContainerTimeline styles={styles} entries={selectedTimeline} formatDateTime={formatDateTime} />
             </div>
           ) : (
             <div style={styles.small}>Select a container from the list or the yard to view details.</div>
@@ -642,11 +1748,121 @@ export default function YardSlotWireframe() {
             </div>
           </div>
 
+          <AlertsPanel
+            styles={styles}
+            alerts={alerts}
+            settings={alertSettings}
+            canAcknowledge={!deniedReason(currentUser, ACTIONS.ACKNOWLEDGE_ALERTS)}
+            canEditSettings={!deniedReason(currentUser, ACTIONS.ALERT_SETTINGS)}
+            onAcknowledge={(alert, note) =>
+              commit([{ type: EVENT_TYPES.ALERT_ACKNOWLEDGED, containerId: alert.containerId, payload: { alertKey: alert.key, note } }])
+            }
+            onSaveSettings={(settings) => commit([{ type: EVENT_TYPES.ALERT_SETTINGS_UPDATED, payload: { settings } }])}
+            onFocus={(cid) => {
+              setSelectedContainerId(cid);
+              if (containers[cid]?.slotId) focusSlot(containers[cid].slotId);
+            }}
+            formatDateTime={formatDateTime}
+          />
+
+          {(hasHazmat || hazmatOverrides.length > 0) && (
+            <HazmatPanel
+              styles={styles}
+              violations={hazmatBreaches}
+              overrides={hazmatOverrides}
+              formatDateTime={formatDateTime}
+              onFocus={(cid) => {
+                setSelectedContainerId(cid);
+                if (containers[cid]?.slotId) focusSlot(containers[cid].slotId);
+              }}
+            />
+          )}
+
+          {(reeferList.length > 0 || reeferPower.slots > 0) && (
+            <ReeferPanel
+              styles={styles}
+              units={reeferList}
+              alarms={reeferAlerts}
+              power={reeferPower}
+              sources={telemetryFeeds}
+              sourceId={telemetryId}
+              status={telemetryStatus}
+              canPoll={!deniedReason(currentUser, ACTIONS.POLL_FEED)}
+              onSelectSource={setTelemetryId}
+              onPoll={() => pollTelemetry(telemetryFeeds[telemetryId])}
+              onFocus={(cid) => {
+                setSelectedContainerId(cid);
+                if (containers[cid]?.slotId) focusSlot(containers[cid].slotId);
+              }}
+              formatDateTime={formatDateTime}
+            />
+          )}
+
+          <StackingAuditPanel styles={styles} violations={stackingAudit} unweighed={unweighedCount} onFocusSlot={focusSlot} />
+
+          <PreStagingPanel
+            styles={styles}
+            moves={stagingMoves}
+            upcoming={nextTruckWindow}
+            canStage={!deniedReason(currentUser, ACTIONS.PLACE)}
+            formatDateTime={formatDateTime}
+            onStage={stageMoves}
+            onFocus={(move) => {
+              setSelectedContainerId(move.containerId);
+              focusSlot(move.fromSlot);
+            }}
+            onOpenBook={() => setAppointmentsOpen(true)}
+          />
+
+          <WorkOrderQueue
+            styles={styles}
+            orders={orderList}
+            equipment={equipment}
+            canDispatch={!deniedReason(currentUser, ACTIONS.DISPATCH)}
+            canExecute={!deniedReason(currentUser, ACTIONS.EXECUTE)}
+            canEditEquipment={!deniedReason(currentUser, ACTIONS.EQUIPMENT)}
+            formatDateTime={formatDateTime}
+            onDispatch={(order, equipmentId, driver) => workOrderTransition(EVENT_TYPES.WORK_ORDER_DISPATCHED, order, { equipmentId, driver })}
+            onStart={(order) => workOrderTransition(EVENT_TYPES.WORK_ORDER_STARTED, order)}
+            onComplete={completeWorkOrder}
+            onFail={(order, reason) => workOrderTransition(EVENT_TYPES.WORK_ORDER_FAILED, order, { reason })}
+            onCancel={(order, reason) => workOrderTransition(EVENT_TYPES.WORK_ORDER_CANCELLED, order, { reason })}
+            onSaveEquipment={saveEquipment}
+            onFocus={(order) => {
+              setSelectedContainerId(order.containerId);
+              focusSlot(order.toSlot);
+            }}
+          />
+
+          <ChangesPanel
+            styles={styles}
+            changes={slotChanges}
+            zones={config.zones.map((z) => z.id)}
+            signOffs={signOffs}
+            canSignOff={!deniedReason(currentUser, ACTIONS.SIGN_OFF)}
+            formatDateTime={formatDateTime}
+            onSignOff={signOffSlots}
+            onFocusSlot={focusSlot}
+          />
+
+          <YardOverview
+            styles={styles}
+            config={config}
+            layout={layout}
+            containers={containers}
+            changedSlots={changedSlots}
+            now={now}
+            selectedSlotId={selectedSlotId}
+            selectedZone={selectedZone}
+            selectedBay={selectedBay}
+            onSelectSlot={focusSlot}
+          />
+
           <div style={styles.card}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 8 }}>
               <div style={styles.title}>Yard / Slot Management</div>
               <div style={styles.small}>
-                Stack limit: <b>{config.stackLimit}</b>
+                Stack limit: <b>{activeZone.stackLimit}</b>
               </div>
             </div>
 
@@ -661,7 +1877,7 @@ export default function YardSlotWireframe() {
                 }}
               >
                 {config.zones.map((zone) => (
-                  <option key={zone} value={zone}>{zone}</option>
+                  <option key={zone.id} value={zone.id}>{zone.id}</option>
                 ))}
               </select>
               <label style={styles.small}>Bay</label>
@@ -670,58 +1886,170 @@ export default function YardSlotWireframe() {
                 value={selectedBay}
                 onChange={(e) => setSelectedBay(Number(e.target.value))}
               >
-                {Array.from({ length: config.rowsPerZone }, (_, idx) => idx + 1).map((bay) => (
+                {Array.from({ length: activeZone.rows }, (_, idx) => idx + 1).map((bay) => (
                   <option key={bay} value={bay}>R{String(bay).padStart(2, "0")}</option>
                 ))}
               </select>
             </div>
 
             <div style={{ marginTop: 12 }}>
-              <div style={styles.small}>Virtual rack — click a slot to place the selected container.</div>
-              <div style={{ display: "grid", gap: 8, marginTop: 10, gridTemplateColumns: `repeat(${config.colsPerZone}, minmax(120px, 1fr))` }}>
+              <div style={styles.small}>
+                Virtual rack — click a slot to place the selected container, or drag containers between the queue, slots and tiers.
+                Keyboard: Tab into the rack, arrows move, Enter picks up / drops, Alt+↑/↓ restacks, Esc cancels.
+              </div>
+              <div
+                role="grid"
+                aria-label={`Zone ${activeZone.id}, bay R${String(selectedBay).padStart(2, "0")}`}
+                style={{ display: "grid", gap: 8, marginTop: 10, gridTemplateColumns: `repeat(${activeZone.cols}, minmax(120px, 1fr))` }}
+              >
                 {baySlots.map((slotId) => {
                   const stack = layout[slotId] || [];
                   const isSelected = slotId === selectedSlotId;
                   const isChanged = changedSlots.has(slotId);
+                  const isBlocked = isSlotBlocked(config, slotId);
+                  const slotRehandles = rehandles.bySlot[slotId];
+                  const slotAlert = slotAlerts[slotId];
+                  const slotReefer = slotReefers[slotId];
+                  const dwell = slotDwell(stack, containers, now);
+                  const load = stackLoad(config, slotId, stack, containers);
+                  const planSteps = retrievalPlan ? retrievalPlan.steps.filter((st) => st.to === slotId) : [];
+                  const isRetrievalSource = retrievalPlan?.slotId === slotId;
+                  const dropRejection = dropTargets ? dropTargets[slotId] : undefined;
+                  const isCursor = slotId === (baySlots.includes(slotCursor) ? slotCursor : baySlots[0]);
                   return (
                     <div
                       key={slotId}
-                      style={styles.slot(isSelected, isChanged)}
+                      ref={(el) => {
+                        slotRefs.current[slotId] = el;
+                      }}
+                      role="gridcell"
+                      tabIndex={isCursor ? 0 : -1}
+                      aria-label={describeSlot(slotId)}
+                      style={{
+                        ...styles.slot(isSelected, isChanged, isBlocked),
+                        ...(isRetrievalSource ? styles.retrievalSource : planSteps.length ? styles.retrievalTemp : null),
+                        ...(dropTargets ? styles.dropTarget(!dropRejection) : null),
+                      }}
                       onClick={() => {
                         setSelectedSlotId(slotId);
-                        if (selectedContainerId) moveSelectedToSlot(slotId);
+                        if (selectedContainerId && canPlace) moveSelectedToSlot(slotId);
                       }}
-                      title="Click to place/move selected container here"
+                      onFocus={() => setSlotCursor(slotId)}
+                      onKeyDown={(e) => handleSlotKey(e, slotId)}
+                      onDragOver={(e) => allowDrop(e, slotId)}
+                      onDrop={(e) => dropDragged(e, slotId)}
+                      title={dropRejection || (canPlace ? "Click to place/move selected container here" : "Click to select")}
                     >
-                      {isChanged && <div style={styles.changedTag}>REARRANGED</div>}
+                      {isChanged && (
+                        <div style={styles.changedTag} title={describeDiff(slotChanges.get(slotId)).join("\n")}>
+                          REARRANGED {diffSummary(slotChanges.get(slotId))}
+                        </div>
+                      )}
 
                       <div style={styles.slotTop}>
                         <div style={styles.slotId}>{slotId}</div>
                         <div style={styles.badge}>
-                          {stack.length}/{config.stackLimit}
+                          {isBlocked ? "BLOCKED" : `${stack.length}/${slotStackLimit(config, slotId)}`}
                         </div>
                       </div>
 
+                      <div
+                        style={styles.weightTrack}
+                        title={`${formatTonnes(load.totalKg)} of ${formatTonnes(load.limitKg)}${load.unweighed ? ` (+${load.unweighed} unweighed)` : ""}`}
+                      >
+                        <div style={styles.weightFill(load.totalKg / load.limitKg)} />
+                      </div>
+
+                      {(bayHasWide || slotRehandles || slotAlert || slotReefer || dwell || isRetrievalSource || planSteps.length > 0) && (
+                        <div style={bayHasWide ? styles.badgeRowFixed : styles.badgeRow}>
+                          {slotRehandles && (
+                            <span style={styles.badge} title={`Blocking: ${slotRehandles.blockers.join(", ")}`}>
+                              ⛏ {slotRehandles.moves} rehandle{slotRehandles.moves > 1 ? "s" : ""}
+                            </span>
+                          )}
+                          {slotAlert && (
+                            <span style={styles.alertTag(slotAlert.severity)} title="Open alerts in this slot — see the Alerts panel">
+                              ⚠ {slotAlert.count}
+                            </span>
+                          )}
+                          {slotReefer && (
+                            <span style={slotReefer.severity ? styles.alertTag(slotReefer.severity) : styles.badge} title={slotReefer.detail.join("\n")}>
+                              ❄ {slotReefer.label ?? "—"}
+                            </span>
+                          )}
+                          {dwell && (
+                            <span style={styles.badge} title={`Dwell: average ${dwell.avg.toFixed(1)} days, longest ${dwell.max.toFixed(1)} days`}>
+                              ⏱ {dwell.max.toFixed(0)}d
+                            </span>
+                          )}
+                          {isRetrievalSource && <span style={styles.planTag}>RETRIEVE</span>}
+                          {planSteps.map((st) => (
+                            <span key={st.step} style={styles.planTag}>TEMP #{st.step}</span>
+                          ))}
+                        </div>
+                      )}
+
                       <div style={styles.stack}>
-                        {stack.length === 0 ? (
+                        {stack.length === 0 && !reservations[slotId] ? (
                           <div style={{ fontSize: 11, opacity: 0.65 }}>Empty</div>
                         ) : (
                           stack.map((cid, i) => {
                             const active = cid === selectedContainerId;
                             const c = containers[cid];
+                            const planStep = retrievalPlan ? retrievalPlan.steps.find((st) => st.cid === cid) : null;
+                            const cells = c?.size === "40FT" && c.slotId && !unlevelUnits.has(cid) ? footprint(c, c.slotId) : null;
+                            if (cells && cells[0] !== slotId) {
+                              // Second slot of a 40FT: the chip drawn in the first slot covers this tier
+                              return (
+                                <div key={cid} aria-hidden="true" style={{ ...styles.chip(false), visibility: "hidden" }}>
+                                  <span style={styles.linkBtn}>{cid}</span>
+                                </div>
+                              );
+                            }
                             return (
                               <div
                                 key={cid}
-                                style={styles.chip(active)}
+                                style={{
+                                  ...styles.chip(active),
+                                  ...(cells ? styles.wideChip : null),
+                                  ...(carrying === cid || dragging === cid ? styles.carried : null),
+                                }}
                                 onClick={(e) => {
                                   e.stopPropagation();
                                   setSelectedContainerId(cid);
                                 }}
-                                title="Click to select this container"
+                                draggable={canPlace}
+                                onDragStart={(e) => startDrag(e, cid)}
+                                onDragEnd={() => setDragging(null)}
+                                onDrop={(e) => dropDragged(e, slotId, i)}
+                                title="Click to select, drag to move or restack"
                               >
-                                <div style={{ fontWeight: 800 }}>{cid}</div>
+                                <div style={{ fontWeight: 800 }}>
+                                  {planStep && (
+                                    <span style={styles.planTag} title={planStep.to ? `Move to ${planStep.to}` : "Retrieve"}>
+                                      #{planStep.step}
+                                    </span>
+                                  )}{" "}
+                                  {cid}
+                                </div>
                                 <div style={styles.chipRight}>
-                                  <span style={{ opacity: 0.85 }}>{c?.size}</span>
+                                  {isHazardous(c) && (
+                                    <span style={styles.placementTag(Boolean(hazmatBreaches[cid]))} title={hazmatLabel(c)}>
+                                      ☢ {c.imdgClass}
+                                    </span>
+                                  )}
+                                  <span style={{ opacity: 0.85 }}>
+                                    {c?.size}
+                                    {c?.grossWeightKg ? ` · ${formatTonnes(c.grossWeightKg)}` : ""}
+                                  </span>
+                                  {c?.placement && (
+                                    <span
+                                      style={styles.placementTag(c.placement.strategy === MANUAL_PLACEMENT)}
+                                      title={`${c.placement.strategyLabel}${c.placement.score != null ? ` — score ${c.placement.score}` : ""}`}
+                                    >
+                                      {c.placement.strategy === MANUAL_PLACEMENT ? "M" : c.placement.score}
+                                    </span>
+                                  )}
                                   <button
                                     style={styles.linkBtn}
                                     onClick={(e) => {
@@ -742,21 +2070,47 @@ export default function YardSlotWireframe() {
                                   >
                                     ↓
                                   </button>
-                                  <button
-                                    style={styles.linkBtn}
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                      removeFromSlot(slotId, cid);
-                                    }}
-                                    title="Send back to inbound"
-                                  >
-                                    ↩
-                                  </button>
+                                  {c?.status === STATUS.RELEASED ? (
+                                    <button
+                                      style={styles.linkBtn}
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        setGateOutId(cid);
+                                      }}
+                                      title="Gate out (released)"
+                                    >
+                                      ⇥
+                                    </button>
+                                  ) : (
+                                    <button
+                                      style={styles.linkBtn}
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        toggleRelease(cid);
+                                      }}
+                                      title="Release for pickup"
+                                    >
+                                      ✓
+                                    </button>
+                                  )}
                                 </div>
                               </div>
                             );
                           })
                         )}
+                        {(reservations[slotId] || []).map((order) => (
+                          <div
+                            key={order.id}
+                            style={styles.reservedChip}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSelectedContainerId(order.containerId);
+                            }}
+                            title={`Reserved by ${order.id} (${order.fromSlot || "inbound"} → ${slotId})`}
+                          >
+                            ⌛ {order.containerId} · {order.status.replace(/_/g, " ").toLowerCase()}
+                          </div>
+                        ))}
                       </div>
                     </div>
                   );
@@ -767,116 +2121,148 @@ export default function YardSlotWireframe() {
         </div>
       </div>
 
-      {searchOpen && (
-        <div style={styles.searchOverlay} onClick={() => setSearchOpen(false)}>
-          <div style={styles.searchModal} onClick={(e) => e.stopPropagation()}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-              <div style={styles.title}>Search Containers</div>
-              <button style={styles.button} onClick={() => setSearchOpen(false)}>Close</button>
-            </div>
-            <div style={styles.searchRow}>
-              <select style={styles.select} value={searchType} onChange={(e) => setSearchType(e.target.value)}>
-                <option value="owner">Owner Name</option>
-                <option value="company">Company Name</option>
-                <option value="container">Container Number</option>
-              </select>
-              <select
-                style={styles.select}
-                value={searchValue}
-                onChange={(e) => setSearchValue(e.target.value)}
-              >
-                {searchOptions.length === 0 ? (
-                  <option value="">No options available</option>
-                ) : (
-                  searchOptions.map((option) => (
-                    <option key={option} value={option}>
-                      {option}
-                    </option>
-                  ))
-                )}
-              </select>
-            </div>
+      {gateOutId && containers[gateOutId] && (
+        <GateOutDialog
+          styles={styles}
+          container={containers[gateOutId]}
+          appointment={bookedFor(appointments, gateOutId)}
+          onConfirm={(details) => confirmGateOut(gateOutId, details)}
+          onClose={() => setGateOutId(null)}
+        />
+      )}
 
-            <div style={{ marginTop: 12, display: "grid", gap: 8 }}>
-              {!searchValue && <div style={styles.small}>Select a search value to view results.</div>}
-              {searchValue && searchResults.length === 0 && (
-                <div style={styles.small}>No containers match that search.</div>
-              )}
-              {searchValue && searchType === "container" && searchResults[0] && (
-                <div style={styles.resultItem}>
-                  <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
-                    <div style={{ fontWeight: 800 }}>{searchResults[0].id}</div>
-                    <div style={{ fontSize: 11, opacity: 0.8 }}>
-                      {searchResults[0].slotId ? `Slot ${searchResults[0].slotId}` : "Inbound"}
-                    </div>
-                  </div>
-                  <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>
-                    Owner: <b>{searchResults[0].ownerName}</b> • Company: <b>{searchResults[0].companyName}</b>
-                  </div>
-                  <div style={{ fontSize: 11, opacity: 0.75, marginTop: 4 }}>
-                    Material: <b>{searchResults[0].material}</b> • Status: <b>{searchResults[0].status}</b>
-                  </div>
-                  <div style={{ fontSize: 11, opacity: 0.75, marginTop: 4 }}>
-                    Check-in: <b>{formatDate(searchResults[0].moveInDate)}</b> • Check-out:{" "}
-                    <b>{formatDate(searchResults[0].moveOutDate)}</b>
-                  </div>
-                  <div style={{ marginTop: 8 }}>
-                    <button style={styles.rowButton} onClick={() => selectContainerFromSearch(searchResults[0])}>
-                      Focus container
-                    </button>
-                  </div>
-                </div>
-              )}
-              {searchValue && searchType !== "container" && searchResults.length > 0 && (
-                <div style={styles.tableWrap}>
-                  <table style={styles.table}>
-                    <thead>
-                      <tr>
-                        <th style={styles.th}>Container ID</th>
-                        <th style={styles.th}>Owner</th>
-                        <th style={styles.th}>Company</th>
-                        <th style={styles.th}>Material</th>
-                        <th style={styles.th}>Type</th>
-                        <th style={styles.th}>Size</th>
-                        <th style={styles.th}>Check-in</th>
-                        <th style={styles.th}>Check-out</th>
-                        <th style={styles.th}>Status</th>
-                        <th style={styles.th}>Slot</th>
-                        <th style={styles.th}>Action</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {searchResults.map((container) => (
-                        <tr key={container.id}>
-                          <td style={styles.td}>{container.id}</td>
-                          <td style={styles.td}>{container.ownerName}</td>
-                          <td style={styles.td}>{container.companyName}</td>
-                          <td style={styles.td}>{container.material}</td>
-                          <td style={styles.td}>{container.type}</td>
-                          <td style={styles.td}>{container.size}</td>
-                          <td style={styles.td}>{formatDate(container.moveInDate)}</td>
-                          <td style={styles.td}>{formatDate(container.moveOutDate)}</td>
-                          <td style={styles.td}>{container.status}</td>
-                          <td style={styles.td}>{container.slotId || "Inbound"}</td>
-                          <td style={styles.td}>
-                            <button style={styles.rowButton} onClick={() => selectContainerFromSearch(container)}>
-                              Focus
-                            </button>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </div>
-            {searchType === "container" && searchResults.length > 0 && (
-              <div style={{ marginTop: 12, fontSize: 12, opacity: 0.8 }}>
-                Container metadata is shown above. Use “Focus container” to jump to its slot.
-              </div>
-            )}
-          </div>
-        </div>
+      {archiveOpen && (
+        <DepartureArchive styles={styles} archive={archive} formatDateTime={formatDateTime} onClose={() => setArchiveOpen(false)} />
+      )}
+
+      {bulkImportOpen && (
+        <BulkImportDialog
+          styles={styles}
+          yard={yard}
+          formatDate={formatDate}
+          onImport={(drafts) => allowed(ACTIONS.IMPORT) && commit(drafts)}
+          onClose={() => setBulkImportOpen(false)}
+        />
+      )}
+
+      {ownerCodesOpen && (
+        <OwnerCodeRegistry
+          styles={styles}
+          ownerCodes={ownerCodes}
+          onSave={(next) => {
+            if (commit([{ type: EVENT_TYPES.OWNER_CODES_UPDATED, payload: { ownerCodes: next } }])) setOwnerCodesOpen(false);
+          }}
+          onClose={() => setOwnerCodesOpen(false)}
+        />
+      )}
+
+      {ediOpen && (
+        <EdiExchange
+          styles={styles}
+          yard={yard}
+          events={events}
+          formatDateTime={formatDateTime}
+          onApply={(drafts) => allowed(ACTIONS.IMPORT) && commit(drafts)}
+          onClose={() => setEdiOpen(false)}
+        />
+      )}
+
+      {layoutEditorOpen && (
+        <LayoutEditor
+          styles={styles}
+          config={config}
+          layout={layout}
+          containers={containers}
+          onApply={applyLayoutConfig}
+          onClose={() => setLayoutEditorOpen(false)}
+        />
+      )}
+
+      {backupOpen && (
+        <BackupDialog
+          styles={styles}
+          currentDoc={currentDocument()}
+          restorePoint={restorePoint}
+          formatDateTime={formatDateTime}
+          canRestore={!deniedReason(currentUser, ACTIONS.RESTORE)}
+          onRestore={(doc, label) => allowed(ACTIONS.RESTORE) && restoreDocument(doc, label)}
+          onClose={() => setBackupOpen(false)}
+        />
+      )}
+
+      {hazmatPending && (
+        <HazmatOverrideDialog styles={styles} pending={hazmatPending} onConfirm={confirmHazmatOverride} onClose={() => setHazmatPending(null)} />
+      )}
+
+      {appointmentsOpen && (
+        <AppointmentBook
+          styles={styles}
+          appointments={appointments}
+          settings={appointmentSettings}
+          zones={config.zones.map((z) => z.id)}
+          containers={containers}
+          readiness={pickupReadiness}
+          now={now}
+          canBook={!deniedReason(currentUser, ACTIONS.BOOK_APPOINTMENTS)}
+          canEditSettings={!deniedReason(currentUser, ACTIONS.APPOINTMENT_SETTINGS)}
+          formatDateTime={formatDateTime}
+          onBook={bookTruck}
+          onCancel={(appointment) => commit([{ type: EVENT_TYPES.APPOINTMENT_CANCELLED, payload: { appointmentId: appointment.id, reason: "" } }])}
+          onSaveSettings={(settings) => commit([{ type: EVENT_TYPES.APPOINTMENT_SETTINGS_UPDATED, payload: { settings } }])}
+          onFocus={(cid) => {
+            setSelectedContainerId(cid);
+            if (containers[cid]?.slotId) focusSlot(containers[cid].slotId);
+          }}
+          onClose={() => setAppointmentsOpen(false)}
+        />
+      )}
+
+      {billingOpen && (
+        <BillingDialog
+          styles={styles}
+          yard={yard}
+          events={events}
+          tariff={tariff}
+          now={now}
+          canEditTariff={!deniedReason(currentUser, ACTIONS.TARIFF)}
+          formatDateTime={formatDateTime}
+          onSaveTariff={(settings) => commit([{ type: EVENT_TYPES.TARIFF_UPDATED, payload: { settings } }])}
+          onClose={() => setBillingOpen(false)}
+        />
+      )}
+
+      {usersOpen && (
+        <UserDirectory
+          styles={styles}
+          users={users}
+          currentUserId={currentUser.id}
+          canManage={!deniedReason(currentUser, ACTIONS.MANAGE_USERS)}
+          onSave={(next) => allowed(ACTIONS.MANAGE_USERS) && saveUsers(next)}
+          onClose={() => setUsersOpen(false)}
+        />
+      )}
+
+      {syncConflicts.length > 0 && (
+        <SyncConflictDialog
+          styles={styles}
+          conflicts={syncConflicts}
+          formatDateTime={formatDateTime}
+          onDiscard={dismissConflict}
+          onReplan={replanConflict}
+        />
+      )}
+
+      {searchOpen && (
+        <ContainerSearch
+          styles={styles}
+          containers={containers}
+          zones={config.zones}
+          presets={searchPresets}
+          onSavePresets={setSearchPresets}
+          formatDate={formatDate}
+          onFocus={selectContainerFromSearch}
+          onClose={() => setSearchOpen(false)}
+        />
       )}
     </div>
   );
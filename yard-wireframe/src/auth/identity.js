@@ -0,0 +1,125 @@
+import { ACTIONS, PERMISSIONS, ROLES, can } from "./permissions";
+
+/**
+ * Local identities — there is no login server yet; whoever has the page picks who they are
+ * Every identity source offers the same synchronous interface:
+ *   pinned, loadUsers() → [{ id, name, role }], saveUsers(users), loadCurrentId() → id | null, saveCurrentId(id)
+ * - createLocalIdentity(): the user directory and the chosen user live in localStorage
+ * - createIdentityStub(): in memory, pinned to one user; VITE_AUTH_USER (a user ID or role) selects it,
+ *   which is how a role is tried out or tested without touching the directory
+ * - Switching to a user who may do more than the current one takes that user's PIN (admins must have one),
+ *   unless the current user manages users anyway; switching to one who may do no more is free
+ */
+
+export const USERS_KEY = "yard.users.v1";
+export const CURRENT_USER_KEY = "yard.currentUser.v1";
+
+// Automatic changes (scheduled feed polls, the demo seed) are stamped with this instead of a user
+export const SYSTEM_ACTOR = "system";
+
+// Given to admins that have none (a fresh install, a directory saved before PINs); change it in the Users dialog
+export const DEFAULT_ADMIN_PIN = "0000";
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+export const DEFAULT_USERS = [
+  { id: "viewer", name: "Viewer", role: "viewer" },
+  { id: "operator", name: "Operator", role: "operator" },
+  { id: "planner", name: "Planner", role: "planner" },
+  { id: "supervisor", name: "Supervisor", role: "supervisor" },
+  { id: "admin", name: "Admin", role: "admin", pin: DEFAULT_ADMIN_PIN },
+];
+
+export const DEFAULT_USER_ID = "operator";
+
+export function userIdFromName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function isUser(value) {
+  return Boolean(value && typeof value.id === "string" && value.id && typeof value.name === "string" && ROLES.some((r) => r.id === value.role));
+}
+
+function withAdminPins(users) {
+  return users.map((u) => (u?.role === "admin" && !u.pin ? { ...u, pin: DEFAULT_ADMIN_PIN } : u));
+}
+
+// Returns an error message, or null when `users` is a usable directory
+export function validateUsers(users) {
+  if (!users.length) return "Keep at least one user.";
+  if (!users.every(isUser)) return "Every user needs a name and a known role.";
+  if (new Set(users.map((u) => u.id)).size !== users.length) return "User names must be unique.";
+  if (!users.some((u) => u.role === "admin")) return "Keep at least one admin, or nobody can manage users again.";
+  if (users.some((u) => u.pin != null && !PIN_PATTERN.test(u.pin))) return "A PIN is 4 to 8 digits.";
+  if (users.some((u) => u.role === "admin" && !u.pin)) return "Every admin needs a PIN, or anyone could switch to them.";
+  return null;
+}
+
+export function createLocalIdentity(storage = localStorage) {
+  return {
+    pinned: false,
+    loadUsers() {
+      try {
+        const stored = JSON.parse(storage.getItem(USERS_KEY));
+        const users = Array.isArray(stored) ? withAdminPins(stored) : null;
+        return users && !validateUsers(users) ? users : DEFAULT_USERS;
+      } catch {
+        return DEFAULT_USERS;
+      }
+    },
+    saveUsers(users) {
+      storage.setItem(USERS_KEY, JSON.stringify(users));
+    },
+    loadCurrentId() {
+      return storage.getItem(CURRENT_USER_KEY);
+    },
+    saveCurrentId(id) {
+      storage.setItem(CURRENT_USER_KEY, id);
+    },
+  };
+}
+
+export function createIdentityStub({ users = DEFAULT_USERS, currentUserId = DEFAULT_USER_ID } = {}) {
+  let directory = users;
+  const current = users.find((u) => u.id === currentUserId) || users.find((u) => u.role === currentUserId);
+  return {
+    pinned: true,
+    loadUsers: () => directory,
+    saveUsers(next) {
+      directory = next;
+    },
+    loadCurrentId: () => current?.id ?? null,
+    saveCurrentId() {},
+  };
+}
+
+export function identitySettingsFromEnv(env = import.meta.env) {
+  return { user: env.VITE_AUTH_USER || "" };
+}
+
+export function createIdentity(settings = identitySettingsFromEnv()) {
+  return settings.user ? createIdentityStub({ currentUserId: settings.user }) : createLocalIdentity();
+}
+
+// The user `currentId` names, falling back to the default user, then the first one
+export function resolveUser(users, currentId) {
+  return users.find((u) => u.id === currentId) || users.find((u) => u.id === DEFAULT_USER_ID) || users[0] || null;
+}
+
+// Whether switching from `user` to `target` takes the target's PIN: they may do something `user` may not
+export function switchNeedsPin(user, target) {
+  if (!target || can(user, ACTIONS.MANAGE_USERS)) return false;
+  return Object.keys(PERMISSIONS).some((action) => can(target, action) && !can(user, action));
+}
+
+// Why `user` may not switch to `target` with `pin`, or null
+export function switchDenial(user, target, pin) {
+  if (!target) return "Unknown user.";
+  if (!switchNeedsPin(user, target)) return null;
+  if (!target.pin) return `${target.name} has no PIN yet; an admin can set one under Users.`;
+  return pin === target.pin ? null : `Wrong PIN for ${target.name}.`;
+}
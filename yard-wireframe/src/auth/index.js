@@ -0,0 +1,25 @@
+export {
+  ACTIONS,
+  ACTION_LABELS,
+  EVENT_ACTIONS,
+  PERMISSIONS,
+  ROLES,
+  batchDenial,
+  can,
+  deniedReason,
+  roleLabel,
+} from "./permissions";
+export {
+  DEFAULT_ADMIN_PIN,
+  DEFAULT_USERS,
+  SYSTEM_ACTOR,
+  createIdentity,
+  createIdentityStub,
+  createLocalIdentity,
+  identitySettingsFromEnv,
+  resolveUser,
+  switchDenial,
+  switchNeedsPin,
+  userIdFromName,
+  validateUsers,
+} from "./identity";
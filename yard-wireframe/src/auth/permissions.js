@@ -0,0 +1,158 @@
+import { EVENT_TYPES } from "../yard/events";
+
+/**
+ * Roles and what each may do
+ * - Permissions are granted per action, not by rank: a planner may import and release but not gate out
+ * - commit() checks every event it appends against EVENT_ACTIONS, so a button that forgot its check
+ *   still cannot change the yard; the UI disables what the current user may not use
+ * - Events merged in from other operators are not re-checked: their own app did that
+ */
+
+export const ROLES = [
+  { id: "viewer", label: "Viewer" },
+  { id: "operator", label: "Operator" },
+  { id: "planner", label: "Planner" },
+  { id: "supervisor", label: "Supervisor" },
+  { id: "admin", label: "Admin" },
+];
+
+export const ACTIONS = {
+  POLL_FEED: "feed.poll", // poll now, file drop, reefer "Read now"; registers containers
+  IMPORT: "containers.import", // import sheet, EDI import
+  PLACE: "containers.place", // auto-place, place, move, restack, re-plan conflicts — moves become work orders
+  DISPATCH: "workOrders.dispatch", // assign equipment and driver, cancel
+  EXECUTE: "workOrders.execute", // start, complete, fail
+  EQUIPMENT: "equipment.edit",
+  HAZMAT_OVERRIDE: "hazmat.override", // place or restack against the dangerous goods rules, with a reason
+  REEFER_SET_POINT: "reefers.setPoint",
+  BOOK_APPOINTMENTS: "appointments.book", // book, cancel
+  APPOINTMENT_SETTINGS: "appointments.settings", // time windows, capacity, pre-staging
+  BILLING: "billing.view", // charges per company, CSV and invoice export
+  TARIFF: "billing.tariff",
+  RELEASE: "containers.release", // release for pickup, revoke release
+  GATE_OUT: "containers.gateOut",
+  UNDO: "history.undo",
+  ACKNOWLEDGE_ALERTS: "alerts.acknowledge",
+  ALERT_SETTINGS: "alerts.settings",
+  SIGN_OFF: "changes.signOff",
+  EDIT_LAYOUT: "layout.edit",
+  OWNER_CODES: "ownerCodes.edit",
+  BACKUP: "backup.download",
+  RESTORE: "backup.restore",
+  RESET: "yard.reset",
+  MANAGE_USERS: "users.manage",
+};
+
+export const ACTION_LABELS = {
+  [ACTIONS.POLL_FEED]: "Poll inbound feeds",
+  [ACTIONS.IMPORT]: "Import sheets and EDI",
+  [ACTIONS.PLACE]: "Place and move containers",
+  [ACTIONS.DISPATCH]: "Dispatch work orders",
+  [ACTIONS.EXECUTE]: "Carry out work orders",
+  [ACTIONS.EQUIPMENT]: "Edit the equipment list",
+  [ACTIONS.HAZMAT_OVERRIDE]: "Override dangerous goods rules",
+  [ACTIONS.REEFER_SET_POINT]: "Change reefer set points",
+  [ACTIONS.BOOK_APPOINTMENTS]: "Book truck appointments",
+  [ACTIONS.APPOINTMENT_SETTINGS]: "Change appointment windows",
+  [ACTIONS.BILLING]: "View billing and export invoices",
+  [ACTIONS.TARIFF]: "Change the tariff",
+  [ACTIONS.RELEASE]: "Release containers",
+  [ACTIONS.GATE_OUT]: "Gate out",
+  [ACTIONS.UNDO]: "Undo / redo",
+  [ACTIONS.ACKNOWLEDGE_ALERTS]: "Acknowledge alerts",
+  [ACTIONS.ALERT_SETTINGS]: "Change alert thresholds",
+  [ACTIONS.SIGN_OFF]: "Sign off changes",
+  [ACTIONS.EDIT_LAYOUT]: "Edit the layout",
+  [ACTIONS.OWNER_CODES]: "Edit owner codes",
+  [ACTIONS.BACKUP]: "Download backups",
+  [ACTIONS.RESTORE]: "Restore backups",
+  [ACTIONS.RESET]: "Reset the yard",
+  [ACTIONS.MANAGE_USERS]: "Manage users",
+};
+
+const STAFF = ["operator", "planner", "supervisor", "admin"];
+
+export const PERMISSIONS = {
+  [ACTIONS.POLL_FEED]: STAFF,
+  [ACTIONS.IMPORT]: ["planner", "supervisor", "admin"],
+  [ACTIONS.PLACE]: STAFF,
+  [ACTIONS.DISPATCH]: ["planner", "supervisor", "admin"],
+  [ACTIONS.EXECUTE]: ["operator", "supervisor", "admin"],
+  [ACTIONS.EQUIPMENT]: ["supervisor", "admin"],
+  [ACTIONS.HAZMAT_OVERRIDE]: ["supervisor", "admin"],
+  [ACTIONS.REEFER_SET_POINT]: ["planner", "supervisor", "admin"],
+  [ACTIONS.BOOK_APPOINTMENTS]: ["planner", "supervisor", "admin"],
+  [ACTIONS.APPOINTMENT_SETTINGS]: ["supervisor", "admin"],
+  [ACTIONS.BILLING]: ["planner", "supervisor", "admin"],
+  [ACTIONS.TARIFF]: ["supervisor", "admin"],
+  [ACTIONS.RELEASE]: ["planner", "supervisor", "admin"],
+  [ACTIONS.GATE_OUT]: ["operator", "supervisor", "admin"],
+  [ACTIONS.UNDO]: STAFF,
+  [ACTIONS.ACKNOWLEDGE_ALERTS]: ["supervisor", "admin"],
+  [ACTIONS.ALERT_SETTINGS]: ["supervisor", "admin"],
+  [ACTIONS.SIGN_OFF]: ["supervisor", "admin"],
+  [ACTIONS.EDIT_LAYOUT]: ["admin"],
+  [ACTIONS.OWNER_CODES]: ["admin"],
+  [ACTIONS.BACKUP]: ["supervisor", "admin"],
+  [ACTIONS.RESTORE]: ["admin"],
+  [ACTIONS.RESET]: ["admin"],
+  [ACTIONS.MANAGE_USERS]: ["admin"],
+};
+
+// The least an event needs; dialogs that emit them (import, EDI) check their own, stricter action
+export const EVENT_ACTIONS = {
+  [EVENT_TYPES.YARD_INITIALIZED]: ACTIONS.RESET,
+  [EVENT_TYPES.LAYOUT_CONFIGURED]: ACTIONS.EDIT_LAYOUT,
+  [EVENT_TYPES.OWNER_CODES_UPDATED]: ACTIONS.OWNER_CODES,
+  [EVENT_TYPES.ALERT_SETTINGS_UPDATED]: ACTIONS.ALERT_SETTINGS,
+  [EVENT_TYPES.ALERT_ACKNOWLEDGED]: ACTIONS.ACKNOWLEDGE_ALERTS,
+  [EVENT_TYPES.SLOTS_SIGNED_OFF]: ACTIONS.SIGN_OFF,
+  [EVENT_TYPES.EQUIPMENT_UPDATED]: ACTIONS.EQUIPMENT,
+  [EVENT_TYPES.WORK_ORDER_CREATED]: ACTIONS.PLACE,
+  [EVENT_TYPES.WORK_ORDER_DISPATCHED]: ACTIONS.DISPATCH,
+  [EVENT_TYPES.WORK_ORDER_CANCELLED]: ACTIONS.DISPATCH,
+  [EVENT_TYPES.WORK_ORDER_STARTED]: ACTIONS.EXECUTE,
+  [EVENT_TYPES.WORK_ORDER_COMPLETED]: ACTIONS.EXECUTE,
+  [EVENT_TYPES.WORK_ORDER_FAILED]: ACTIONS.EXECUTE,
+  [EVENT_TYPES.APPOINTMENT_SETTINGS_UPDATED]: ACTIONS.APPOINTMENT_SETTINGS,
+  [EVENT_TYPES.APPOINTMENT_BOOKED]: ACTIONS.BOOK_APPOINTMENTS,
+  [EVENT_TYPES.APPOINTMENT_CANCELLED]: ACTIONS.BOOK_APPOINTMENTS,
+  [EVENT_TYPES.TARIFF_UPDATED]: ACTIONS.TARIFF,
+  [EVENT_TYPES.HAZMAT_OVERRIDDEN]: ACTIONS.HAZMAT_OVERRIDE,
+  [EVENT_TYPES.CONTAINER_REGISTERED]: ACTIONS.POLL_FEED,
+  [EVENT_TYPES.CONTAINER_PLACED]: ACTIONS.PLACE,
+  [EVENT_TYPES.CONTAINER_MOVED]: ACTIONS.PLACE,
+  [EVENT_TYPES.CONTAINER_RESTACKED]: ACTIONS.PLACE,
+  [EVENT_TYPES.CONTAINER_RELEASED]: ACTIONS.RELEASE,
+  [EVENT_TYPES.RELEASE_REVOKED]: ACTIONS.RELEASE,
+  [EVENT_TYPES.CONTAINER_GATED_OUT]: ACTIONS.GATE_OUT,
+  [EVENT_TYPES.REEFER_SET_POINT_CHANGED]: ACTIONS.REEFER_SET_POINT,
+  [EVENT_TYPES.UNDO]: ACTIONS.UNDO,
+  [EVENT_TYPES.REDO]: ACTIONS.UNDO,
+};
+
+export function roleLabel(roleId) {
+  return ROLES.find((r) => r.id === roleId)?.label ?? roleId;
+}
+
+export function can(user, action) {
+  return Boolean(user && PERMISSIONS[action]?.includes(user.role));
+}
+
+// Why `user` may not do `action` (for alerts and disabled-button titles), or null
+export function deniedReason(user, action) {
+  if (can(user, action)) return null;
+  const roles = (PERMISSIONS[action] || []).map(roleLabel);
+  const who = roles.length > 1 ? `${roles.slice(0, -1).join(", ")} or ${roles[roles.length - 1]}` : roles[0] || "nobody";
+  return `${ACTION_LABELS[action] || action}: needs the ${who} role${user ? ` (current role: ${roleLabel(user.role)})` : ""}.`;
+}
+
+// First reason `user` may not append these event drafts, or null
+export function batchDenial(user, drafts) {
+  for (const draft of drafts) {
+    const action = EVENT_ACTIONS[draft.type];
+    const reason = action ? deniedReason(user, action) : null;
+    if (reason) return reason;
+  }
+  return null;
+}
@@ -0,0 +1,183 @@
+import { EVENT_TYPES, effectiveEvents } from "../yard/events";
+import { DAY_MS } from "../yard/dwell";
+import { STATUS, isInYard } from "../yard/lifecycle";
+import { isReefer } from "../yard/reefer";
+import { DEFAULT_TARIFF, normalizeTariff, rateKey } from "../yard/tariff";
+
+/**
+ * Storage and demurrage charges for a billing period, each priced at the tariff in force then (yard/tariff.js)
+ * - Yard time runs from the first placement to the gate-out; a unit still in the yard is billed up to the
+ *   end of the period (or now, if that is earlier). Announced move-in/move-out dates are not billed.
+ * - Every started 24 h of yard time is a day. A day belongs to the period its start falls in, so
+ *   back-to-back periods never bill the same day twice, and free days are counted from the first placement
+ *   even when they fell in an earlier period.
+ * - A day is priced at the tariff logged before it started, a move at the one logged before the move; the free
+ *   days are the placement's. A tariff change therefore never reprices days or moves already past.
+ * - Reefers pay the surcharge on every day, free days included; each move after the placement is a handling charge,
+ *   except pre-staging moves for a booked truck, which the yard orders on its own account
+ * - Companies are the containers' `companyName`; containers without one are billed to UNASSIGNED
+ */
+
+export const CHARGE_KINDS = { STORAGE: "STORAGE", REEFER: "REEFER", HANDLING: "HANDLING" };
+
+export const CHARGE_KIND_LABELS = {
+  STORAGE: "Storage (after free days)",
+  REEFER: "Reefer power & monitoring",
+  HANDLING: "Handling moves",
+};
+
+export const UNASSIGNED = "Unassigned";
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function ms(value) {
+  const t = new Date(value ?? "").getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// First placement; records from before the status history fall back to their move-in date
+function placedSince(container) {
+  const placed = container.statusHistory?.find((h) => h.to === STATUS.IN_YARD);
+  if (placed?.at || container.placedAt) return placed?.at || container.placedAt;
+  return isInYard(container) || container.status === STATUS.GATED_OUT ? container.moveInDate || null : null;
+}
+
+/**
+ * [{ since, tariff }], oldest first: each tariff is in force from `since` (epoch ms) until the next one.
+ * A yard reset that carries a tariff starts the history over.
+ */
+export function tariffHistory(events) {
+  let history = [{ since: -Infinity, tariff: DEFAULT_TARIFF }];
+  for (const event of effectiveEvents(events)) {
+    if (event.type === EVENT_TYPES.YARD_INITIALIZED && event.payload?.tariff) {
+      history = [{ since: -Infinity, tariff: normalizeTariff(event.payload.tariff) }];
+    } else if (event.type === EVENT_TYPES.TARIFF_UPDATED) {
+      history.push({ since: ms(event.at) ?? -Infinity, tariff: normalizeTariff(event.payload.settings) });
+    }
+  }
+  return history;
+}
+
+// The tariff in force at `t` (epoch ms)
+export function tariffAt(history, t) {
+  let current = history[0].tariff;
+  for (const entry of history) if (entry.since <= t) current = entry.tariff;
+  return current;
+}
+
+// { [containerId]: [at, ...] } — billable moves since the yard was last (re)initialized; pre-staging moves are left out
+export function movesByContainer(events) {
+  const moves = {};
+  const staging = new Set(); // work orders created for a truck appointment
+  for (const event of effectiveEvents(events)) {
+    if (event.type === EVENT_TYPES.YARD_INITIALIZED) {
+      for (const key of Object.keys(moves)) delete moves[key];
+    } else if (event.type === EVENT_TYPES.WORK_ORDER_CREATED && event.payload.appointmentId) {
+      staging.add(event.payload.orderId);
+    } else if (event.type === EVENT_TYPES.CONTAINER_MOVED && !staging.has(event.payload?.workOrderId)) {
+      (moves[event.containerId] || (moves[event.containerId] = [])).push(event.at);
+    }
+  }
+  return moves;
+}
+
+// Count one more unit of `kind` at `rate`; a rate change in the period opens a second line
+function addUnit(lines, kind, rate) {
+  const line = lines.find((l) => l.kind === kind && l.rate === rate);
+  if (line) line.quantity += 1;
+  else lines.push({ kind, quantity: 1, rate });
+}
+
+/**
+ * One container's charges in [from, to) (epoch ms), or null when it had no yard time and no moves then.
+ * `tariffs` is a tariffHistory(). Returns { containerId, companyName, size, type, entryAt, exitAt, days, freeDays,
+ * lines, total }; `exitAt` is null while the unit is still in the yard.
+ */
+export function billContainer(container, moves, tariffs, { from, to, now = Date.now() }) {
+  const entry = ms(placedSince(container));
+  if (entry == null) return null;
+  const exitAt = container.status === STATUS.GATED_OUT ? container.gateOut?.departedAt || null : null;
+  const exit = exitAt ? ms(exitAt) : Math.min(to, now);
+  const stayDays = Math.max(0, Math.ceil((exit - entry) / DAY_MS));
+
+  // Days k = 0 … stayDays - 1 start at entry + k days; keep the ones starting inside the period
+  const first = Math.max(0, Math.ceil((from - entry) / DAY_MS));
+  const last = Math.min(stayDays, Math.ceil((to - entry) / DAY_MS));
+  const days = Math.max(0, last - first);
+  const moved = (moves || []).filter((at) => ms(at) >= from && ms(at) < to);
+  if (!days && !moved.length) return null;
+
+  const { freeDays } = tariffAt(tariffs, entry);
+  const lines = [];
+  for (let k = first; k < last; k += 1) {
+    const tariff = tariffAt(tariffs, entry + k * DAY_MS);
+    if (k >= freeDays) addUnit(lines, CHARGE_KINDS.STORAGE, tariff.dailyRates[rateKey(container)] ?? 0);
+    if (isReefer(container)) addUnit(lines, CHARGE_KINDS.REEFER, tariff.reeferDailySurcharge);
+  }
+  for (const at of moved) addUnit(lines, CHARGE_KINDS.HANDLING, tariffAt(tariffs, ms(at)).moveCharge);
+  const kinds = Object.keys(CHARGE_KINDS);
+  lines.sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind));
+  for (const line of lines) line.amount = cents(line.quantity * line.rate);
+  const chargeable = Math.max(0, last - Math.max(first, freeDays));
+
+  return {
+    containerId: container.id,
+    companyName: container.companyName || UNASSIGNED,
+    size: container.size,
+    type: container.type,
+    entryAt: new Date(entry).toISOString(),
+    exitAt,
+    days,
+    freeDays: days - chargeable,
+    lines,
+    total: cents(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
+
+function totalsByKind(rows) {
+  const totals = Object.fromEntries(Object.keys(CHARGE_KINDS).map((kind) => [kind, { quantity: 0, amount: 0 }]));
+  for (const line of rows.flatMap((row) => row.lines)) {
+    totals[line.kind].quantity += line.quantity;
+    totals[line.kind].amount = cents(totals[line.kind].amount + line.amount);
+  }
+  return totals;
+}
+
+/**
+ * Charges for every container in the yard or the departure archive, for [from, to) (epoch ms), at the tariffs
+ * logged in `events`. Returns { from, to, currency, tariffs, rows, companies: [{ companyName, rows, totals, total }],
+ * total }: `tariffs` are the ones in force during the period, oldest first; companies and their rows sorted by name.
+ * The currency is the one in force at the end of the period.
+ */
+export function billPeriod(events, { containers, archive }, { from, to, now = Date.now() }) {
+  const history = tariffHistory(events);
+  const moves = movesByContainer(events);
+  const rows = [...Object.values(archive || {}), ...Object.values(containers || {})]
+    .map((container) => billContainer(container, moves[container.id], history, { from, to, now }))
+    .filter(Boolean)
+    .sort((a, b) => a.companyName.localeCompare(b.companyName) || a.containerId.localeCompare(b.containerId));
+
+  const byCompany = new Map();
+  for (const row of rows) {
+    if (!byCompany.has(row.companyName)) byCompany.set(row.companyName, []);
+    byCompany.get(row.companyName).push(row);
+  }
+  const companies = [...byCompany].map(([companyName, own]) => ({
+    companyName,
+    rows: own,
+    totals: totalsByKind(own),
+    total: cents(own.reduce((sum, row) => sum + row.total, 0)),
+  }));
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    currency: tariffAt(history, to - 1).currency,
+    tariffs: history.filter((entry, i) => entry.since < to && (history[i + 1]?.since ?? Infinity) > from),
+    rows,
+    companies,
+    total: cents(companies.reduce((sum, company) => sum + company.total, 0)),
+  };
+}
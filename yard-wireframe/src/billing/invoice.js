@@ -0,0 +1,139 @@
+import { toCsv } from "../lib/csv";
+import { localDay } from "../yard/appointments";
+import { CHARGE_KINDS, CHARGE_KIND_LABELS } from "./charges";
+
+/**
+ * Invoice output for a bill from billPeriod()
+ * - billCsv(): one row per charge line (a container with only free days gets one zero row), for spreadsheets
+ *   and accounting imports
+ * - invoiceHtml(): a self-contained HTML page for one company, laid out for printing to paper or PDF
+ * The period's `to` is exclusive; invoices show the last day that is included.
+ */
+
+const CSV_HEADER = ["invoice", "company", "containerId", "size", "type", "enteredYard", "leftYard", "days", "freeDays", "charge", "quantity", "rate", "amount", "currency"];
+
+export function periodDays(bill) {
+  return { first: localDay(bill.from), last: localDay(new Date(bill.to).getTime() - 1) };
+}
+
+// INV-<first day of the period>-<company, letters and digits only>; stable, so a re-export gets the same number
+export function invoiceNumber(bill, companyName) {
+  const company = companyName.toUpperCase().replace(/[^A-Z0-9]+/g, "").slice(0, 12) || "COMPANY";
+  return `INV-${periodDays(bill).first.replace(/-/g, "")}-${company}`;
+}
+
+export function formatMoney(amount, currency) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount);
+}
+
+export function billCsv(bill, companyNames = bill.companies.map((c) => c.companyName)) {
+  const rows = [CSV_HEADER];
+  for (const company of bill.companies.filter((c) => companyNames.includes(c.companyName))) {
+    const number = invoiceNumber(bill, company.companyName);
+    for (const row of company.rows) {
+      const base = [number, company.companyName, row.containerId, row.size, row.type, row.entryAt, row.exitAt || "", row.days, row.freeDays];
+      if (!row.lines.length) rows.push([...base, "", 0, 0, 0, bill.currency]);
+      for (const line of row.lines) rows.push([...base, line.kind, line.quantity, line.rate, line.amount, bill.currency]);
+    }
+  }
+  return toCsv(rows);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+const INVOICE_CSS = `
+  body { font: 13px/1.45 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .meta { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 20px; }
+  .muted { color: #555; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 18px; }
+  th, td { padding: 5px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; font-size: 12px; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  tr.total td { font-weight: 700; border-top: 2px solid #111; border-bottom: none; }
+  @media print { body { margin: 12mm; } button { display: none; } tr { page-break-inside: avoid; } }
+`;
+
+/**
+ * Printable invoice for one company of `bill`. `issuer` is the yard's name for the header;
+ * `issuedAt` the invoice date.
+ */
+export function invoiceHtml(bill, companyName, { issuer = "Container yard", issuedAt = new Date().toISOString() } = {}) {
+  const company = bill.companies.find((c) => c.companyName === companyName);
+  if (!company) throw new Error(`${companyName} has no charges in this period.`);
+  const money = (amount) => escapeHtml(formatMoney(amount, bill.currency));
+  const number = invoiceNumber(bill, companyName);
+  const { first, last } = periodDays(bill);
+
+  const containerRows = company.rows
+    .map((row) => {
+      const charges = row.lines.length
+        ? row.lines.map((line) => `${escapeHtml(CHARGE_KIND_LABELS[line.kind])}: ${line.quantity} × ${money(line.rate)}`).join("<br>")
+        : '<span class="muted">Within free days</span>';
+      return `<tr>
+        <td>${escapeHtml(row.containerId)}</td>
+        <td>${escapeHtml(row.size)} ${escapeHtml(row.type)}</td>
+        <td>${escapeHtml(localDay(row.entryAt))} → ${row.exitAt ? escapeHtml(localDay(row.exitAt)) : '<span class="muted">in yard</span>'}</td>
+        <td class="num">${row.days}${row.freeDays ? ` <span class="muted">(${row.freeDays} free)</span>` : ""}</td>
+        <td>${charges}</td>
+        <td class="num">${money(row.total)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const summaryRows = Object.keys(CHARGE_KINDS)
+    .filter((kind) => company.totals[kind].quantity > 0)
+    .map((kind) => `<tr><td>${escapeHtml(CHARGE_KIND_LABELS[kind])}</td><td class="num">${company.totals[kind].quantity}</td><td class="num">${money(company.totals[kind].amount)}</td></tr>`)
+    .join("");
+
+  const tariffNotes = bill.tariffs
+    .map(({ since, tariff: t }, i) => {
+      const when = i > 0 || since > new Date(bill.from).getTime() ? `From ${escapeHtml(localDay(since))}: ` : "";
+      return `${when}${t.freeDays} free day${t.freeDays === 1 ? "" : "s"} from placement; reefer surcharge ${money(t.reeferDailySurcharge)} per day; handling ${money(t.moveCharge)} per move.`;
+    })
+    .join("<br>");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(number)} — ${escapeHtml(companyName)}</title>
+<style>${INVOICE_CSS}</style>
+</head>
+<body>
+  <button onclick="window.print()">Print</button>
+  <div class="meta">
+    <div>
+      <h1>Invoice ${escapeHtml(number)}</h1>
+      <div class="muted">${escapeHtml(issuer)}</div>
+    </div>
+    <div style="text-align:right">
+      <div><b>Bill to:</b> ${escapeHtml(companyName)}</div>
+      <div><b>Period:</b> ${escapeHtml(first)} – ${escapeHtml(last)}</div>
+      <div><b>Issued:</b> ${escapeHtml(localDay(issuedAt))}</div>
+    </div>
+  </div>
+
+  <table>
+    <thead><tr><th>Container</th><th>Size / type</th><th>In yard</th><th class="num">Days</th><th>Charges</th><th class="num">Amount</th></tr></thead>
+    <tbody>${containerRows}</tbody>
+  </table>
+
+  <table style="width:auto;min-width:50%;margin-left:auto">
+    <thead><tr><th>Summary</th><th class="num">Qty</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+      ${summaryRows}
+      <tr class="total"><td>Total (${escapeHtml(bill.currency)})</td><td></td><td class="num">${money(company.total)}</td></tr>
+    </tbody>
+  </table>
+
+  <p class="muted">
+    Each started 24 h in the yard is a day, priced at the tariff in force when it started; free days are those of the
+    tariff at placement.<br>
+    ${tariffNotes}
+  </p>
+</body>
+</html>
+`;
+}
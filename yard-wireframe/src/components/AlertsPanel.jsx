@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { ALERT_KIND_LABELS } from "../yard/alerts";
+
+/**
+ * Alerts panel
+ * - Open alerts (overdue move-outs, long dwell, reefer alarms), critical first; each stays until acknowledged
+ * - Acknowledging records an event with an optional note; acknowledged alerts can be shown again
+ * - Thresholds are yard-wide and saved as an event too
+ * - Both are supervisor actions; other roles see the alerts read-only
+ */
+
+const SEVERITY_COLORS = { warning: "#ffd479", critical: "#ff8fa3" };
+
+function severityStyle(severity) {
+  const color = SEVERITY_COLORS[severity];
+  return { color, border: `1px solid ${color}`, background: "rgba(0,0,0,0.2)" };
+}
+
+export default function AlertsPanel({ styles, alerts, settings, canAcknowledge, canEditSettings, onAcknowledge, onSaveSettings, onFocus, formatDateTime }) {
+  const [showAcknowledged, setShowAcknowledged] = useState(false);
+  const [notes, setNotes] = useState({});
+  const [editing, setEditing] = useState(null); // draft thresholds while the settings form is open
+
+  const open = alerts.filter((a) => !a.acknowledged);
+  const shown = showAcknowledged ? alerts : open;
+  const critical = open.filter((a) => a.severity === "critical").length;
+
+  function acknowledge(alert) {
+    onAcknowledge(alert, (notes[alert.key] || "").trim());
+    setNotes((prev) => ({ ...prev, [alert.key]: "" }));
+  }
+
+  function saveSettings() {
+    if (onSaveSettings(editing)) setEditing(null);
+  }
+
+  const thresholdInput = (key, label, unit) => (
+    <label style={styles.small}>
+      {label}{" "}
+      <input
+        type="number"
+        min={1}
+        style={{ ...styles.input, minWidth: 0, width: 64, flex: "none", padding: "4px 6px" }}
+        value={editing[key]}
+        onChange={(e) => setEditing((prev) => ({ ...prev, [key]: e.target.value }))}
+      />{" "}
+      {unit}
+    </label>
+  );
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={styles.title}>
+          Alerts{" "}
+          <span style={{ ...styles.badge, ...(critical ? severityStyle("critical") : null) }}>
+            {open.length} open{critical ? `, ${critical} critical` : ""}
+          </span>
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <label style={styles.small}>
+            <input type="checkbox" checked={showAcknowledged} onChange={(e) => setShowAcknowledged(e.target.checked)} /> Show acknowledged
+          </label>
+          {canEditSettings && (
+            <button style={styles.rowButton} onClick={() => setEditing(editing ? null : { ...settings })}>
+              Thresholds
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <div style={{ ...styles.searchRow, marginTop: 4, marginBottom: 8 }}>
+          {thresholdInput("dwellWarningDays", "Dwell warning", "days")}
+          {thresholdInput("dwellCriticalDays", "critical", "days")}
+          {thresholdInput("overdueCriticalHours", "Overdue critical after", "h")}
+          {thresholdInput("reeferToleranceC", "Reefer tolerance ±", "K")}
+          {thresholdInput("reeferSilentMinutes", "Reefer silent after", "min")}
+          <button style={styles.rowButton} onClick={saveSettings}>Save</button>
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <div style={styles.small}>{alerts.length ? "All alerts acknowledged." : "No overdue or long-dwelling containers, no reefer alarms."}</div>
+      ) : (
+        <div style={{ display: "grid", gap: 6, maxHeight: 260, overflow: "auto", paddingRight: 4 }}>
+          {shown.map((alert) => (
+            <div key={alert.key} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #22355f", opacity: alert.acknowledged ? 0.6 : 1 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                <div>
+                  <span style={{ ...styles.badge, ...severityStyle(alert.severity) }}>{alert.severity.toUpperCase()}</span>{" "}
+                  <button style={styles.linkBtn} onClick={() => onFocus(alert.containerId)}>{alert.containerId}</button>{" "}
+                  <span style={{ opacity: 0.75 }}>{alert.slotId || "Inbound"}</span>
+                </div>
+                <span style={{ opacity: 0.75 }}>{ALERT_KIND_LABELS[alert.kind] || alert.kind}</span>
+              </div>
+              <div style={{ marginTop: 4, opacity: 0.85 }}>{alert.message}</div>
+              {alert.acknowledged ? (
+                <div style={{ marginTop: 4, opacity: 0.75 }}>
+                  Acknowledged by {alert.acknowledged.actor} at {formatDateTime(alert.acknowledged.at)}
+                  {alert.acknowledged.note ? ` — ${alert.acknowledged.note}` : ""}
+                </div>
+              ) : canAcknowledge ? (
+                <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                  <input
+                    style={{ ...styles.input, minWidth: 0, padding: "4px 6px", fontSize: 11 }}
+                    placeholder="Note (optional)"
+                    value={notes[alert.key] || ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [alert.key]: e.target.value }))}
+                  />
+                  <button style={styles.rowButton} onClick={() => acknowledge(alert)}>Acknowledge</button>
+                </div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
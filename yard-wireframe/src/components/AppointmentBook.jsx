@@ -0,0 +1,321 @@
+import React, { useState } from "react";
+import { isBooked, localDay, validateAppointmentSettings, windowLoad } from "../yard/appointments";
+
+/**
+ * Truck appointment book (modal)
+ * - One day at a time: every time window with its load against capacity and the trucks booked into it
+ * - Planners book a truck (company, truck ref, containers) into a window that still has room, or cancel
+ *   a booking; containers due out that day without a booking are offered as shortcuts
+ * - Each booked container shows whether it is ready to hand over: on a top tier in a gate-side zone
+ * - Supervisors edit the windows, their capacity, the pre-staging lead time and the gate-side zones
+ */
+
+const READY_COLORS = { ready: "#7ee0b5", staging: "#ffd479", blocked: "#ff8fa3", done: "#9fb3d9" };
+
+function splitIds(text) {
+  return [...new Set(text.toUpperCase().split(/[\s,;]+/).filter(Boolean))];
+}
+
+function readinessOf(entry, container) {
+  if (!entry || entry.collected) return { tone: "done", label: "collected" };
+  if (!container?.slotId) return { tone: "blocked", label: "not in a slot" };
+  if (entry.buriedUnder) return { tone: "blocked", label: `under ${entry.buriedUnder}` };
+  if (!entry.gateSide) return { tone: "staging", label: "not gate-side" };
+  return { tone: "ready", label: "ready" };
+}
+
+export default function AppointmentBook({
+  styles,
+  appointments,
+  settings,
+  zones,
+  containers,
+  readiness,
+  now,
+  canBook,
+  canEditSettings,
+  formatDateTime,
+  onBook,
+  onCancel,
+  onSaveSettings,
+  onFocus,
+  onClose,
+}) {
+  const [date, setDate] = useState(() => localDay(now));
+  const [form, setForm] = useState({ windowId: "", truckingCompany: "", truckRef: "", containers: "", note: "" });
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // draft settings while the editor is open
+
+  const list = Object.values(appointments);
+  const dayBookings = list.filter((a) => isBooked(a) && a.date === date);
+  const companies = [...new Set(list.map((a) => a.truckingCompany).filter(Boolean))].sort();
+  const booked = new Set(list.filter(isBooked).flatMap((a) => a.containerIds));
+  const dueThatDay = Object.values(containers)
+    .filter((c) => !booked.has(c.id) && c.moveOutDate && localDay(c.moveOutDate) === date)
+    .map((c) => c.id)
+    .sort();
+  const picked = splitIds(form.containers);
+  const openWindow = settings.windows.find((w) => windowLoad(appointments, date, w.id) < w.capacity);
+  const windowId = form.windowId || openWindow?.id || "";
+
+  function updateForm(patch) {
+    setForm((prev) => ({ ...prev, ...patch }));
+  }
+
+  function togglePicked(cid) {
+    const next = picked.includes(cid) ? picked.filter((x) => x !== cid) : [...picked, cid];
+    updateForm({ containers: next.join(" ") });
+  }
+
+  function book() {
+    const unknown = picked.filter((cid) => !containers[cid]);
+    const problem = !windowId
+      ? "Every window on this day is full."
+      : !picked.length
+        ? "Add at least one container."
+        : unknown.length
+          ? `Not in the yard or inbound: ${unknown.join(", ")}.`
+          : !form.truckingCompany.trim()
+            ? "Name the trucking company."
+            : null;
+    setError(problem);
+    if (problem) return;
+    const ok = onBook({
+      date,
+      windowId,
+      truckingCompany: form.truckingCompany,
+      truckRef: form.truckRef,
+      containerIds: picked,
+      note: form.note,
+    });
+    if (ok) setForm((prev) => ({ ...prev, truckRef: "", containers: "", note: "" }));
+  }
+
+  function saveSettings() {
+    const next = {
+      ...editing,
+      stagingLeadHours: Number(editing.stagingLeadHours),
+      windows: editing.windows.map((w) => ({ ...w, id: w.id.trim().toUpperCase(), capacity: Number(w.capacity) })),
+    };
+    const problem = validateAppointmentSettings(next);
+    setError(problem);
+    if (!problem && onSaveSettings(next)) setEditing(null);
+  }
+
+  function updateWindow(idx, patch) {
+    setEditing((prev) => ({ ...prev, windows: prev.windows.map((w, i) => (i === idx ? { ...w, ...patch } : w)) }));
+  }
+
+  const smallInput = { ...styles.input, minWidth: 0, padding: "4px 6px", fontSize: 11 };
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(860px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <div style={styles.title}>Truck appointments</div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <input type="date" style={styles.input} value={date} onChange={(e) => e.target.value && setDate(e.target.value)} />
+            {canEditSettings && (
+              <button style={styles.button} onClick={() => setEditing(editing ? null : { ...settings, windows: settings.windows.map((w) => ({ ...w })) })}>
+                Windows
+              </button>
+            )}
+            <button style={styles.button} onClick={onClose}>Close</button>
+          </div>
+        </div>
+        <div style={styles.small}>
+          Containers of a booked truck are pre-staged {settings.stagingLeadHours} h before its window: moved to a top tier in a gate-side
+          zone through work orders.
+        </div>
+
+        {editing && (
+          <div style={{ display: "grid", gap: 6, marginTop: 10, padding: 10, borderRadius: 12, border: "1px solid #22355f" }}>
+            {editing.windows.map((w, idx) => (
+              <div key={idx} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <input style={{ ...smallInput, width: 50, flex: "none" }} placeholder="Code" value={w.id} onChange={(e) => updateWindow(idx, { id: e.target.value })} />
+                <input type="time" style={smallInput} value={w.start} onChange={(e) => updateWindow(idx, { start: e.target.value })} />
+                <span style={styles.small}>–</span>
+                <input type="time" style={smallInput} value={w.end} onChange={(e) => updateWindow(idx, { end: e.target.value })} />
+                <label style={styles.small}>
+                  trucks{" "}
+                  <input
+                    type="number"
+                    min={0}
+                    style={{ ...smallInput, width: 56, flex: "none" }}
+                    value={w.capacity}
+                    onChange={(e) => updateWindow(idx, { capacity: e.target.value })}
+                  />
+                </label>
+                <button style={styles.rowButton} onClick={() => setEditing((prev) => ({ ...prev, windows: prev.windows.filter((_, i) => i !== idx) }))}>
+                  ✕
+                </button>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <button
+                style={styles.rowButton}
+                onClick={() => setEditing((prev) => ({ ...prev, windows: [...prev.windows, { id: "", start: "18:00", end: "20:00", capacity: 4 }] }))}
+              >
+                + Add window
+              </button>
+              <label style={styles.small}>
+                Pre-stage{" "}
+                <input
+                  type="number"
+                  min={0}
+                  style={{ ...smallInput, width: 56, flex: "none" }}
+                  value={editing.stagingLeadHours}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, stagingLeadHours: e.target.value }))}
+                />{" "}
+                h ahead
+              </label>
+              <span style={styles.small}>Gate-side zones:</span>
+              {zones.map((zone) => (
+                <label key={zone} style={styles.small}>
+                  <input
+                    type="checkbox"
+                    checked={editing.gateZones.includes(zone)}
+                    onChange={(e) =>
+                      setEditing((prev) => ({
+                        ...prev,
+                        gateZones: e.target.checked ? [...prev.gateZones, zone] : prev.gateZones.filter((z) => z !== zone),
+                      }))
+                    }
+                  />{" "}
+                  {zone}
+                </label>
+              ))}
+              <span style={{ ...styles.small, opacity: 0.6 }}>(none: closest to the gate)</span>
+              <button style={{ ...styles.rowButton, marginLeft: "auto" }} onClick={saveSettings}>Save windows</button>
+            </div>
+          </div>
+        )}
+
+        <div style={{ ...styles.tableWrap, maxHeight: "38vh", overflow: "auto" }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Window</th>
+                <th style={styles.th}>Trucks</th>
+                <th style={styles.th}>Bookings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {settings.windows.map((w) => {
+                const inWindow = dayBookings.filter((a) => a.windowId === w.id);
+                const full = inWindow.length >= w.capacity;
+                return (
+                  <tr key={w.id}>
+                    <td style={{ ...styles.td, verticalAlign: "top" }}>
+                      <b>{w.start}–{w.end}</b> <span style={{ opacity: 0.6 }}>{w.id}</span>
+                    </td>
+                    <td style={{ ...styles.td, verticalAlign: "top", color: full ? "#ff8fa3" : undefined }}>
+                      {inWindow.length} / {w.capacity}
+                    </td>
+                    <td style={{ ...styles.td, whiteSpace: "normal" }}>
+                      {inWindow.length === 0 ? (
+                        <span style={{ opacity: 0.6 }}>—</span>
+                      ) : (
+                        <div style={{ display: "grid", gap: 6 }}>
+                          {inWindow.map((a) => (
+                            <div key={a.id}>
+                              <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                                <span>
+                                  <b>{a.truckingCompany}</b> {a.truckRef && `· ${a.truckRef}`} <span style={{ opacity: 0.6 }}>{a.id}</span>
+                                </span>
+                                {canBook && (
+                                  <button
+                                    style={styles.rowButton}
+                                    onClick={() => window.confirm(`Cancel ${a.truckingCompany}'s ${w.start} booking?`) && onCancel(a)}
+                                  >
+                                    Cancel
+                                  </button>
+                                )}
+                              </div>
+                              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 4 }}>
+                                {a.containerIds.map((cid) => {
+                                  const state = readinessOf(readiness[cid], containers[cid]);
+                                  return (
+                                    <button
+                                      key={cid}
+                                      style={{ ...styles.linkBtn, color: READY_COLORS[state.tone], border: `1px solid ${READY_COLORS[state.tone]}` }}
+                                      onClick={() => onFocus(cid)}
+                                      title={containers[cid]?.slotId || "Not in the yard"}
+                                    >
+                                      {cid} · {state.label}
+                                    </button>
+                                  );
+                                })}
+                              </div>
+                              <div style={{ fontSize: 11, opacity: 0.6, marginTop: 2 }}>
+                                Booked {formatDateTime(a.bookedAt)} by {a.bookedBy}
+                                {a.note ? ` — ${a.note}` : ""}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {canBook && (
+          <div style={{ marginTop: 12, padding: 10, borderRadius: 12, border: "1px solid #22355f" }}>
+            <div style={{ ...styles.title, fontSize: 13 }}>Book a truck on {date}</div>
+            <div style={{ ...styles.searchRow, marginTop: 0 }}>
+              <select style={styles.select} value={windowId} onChange={(e) => updateForm({ windowId: e.target.value })}>
+                {settings.windows.map((w) => {
+                  const load = windowLoad(appointments, date, w.id);
+                  return (
+                    <option key={w.id} value={w.id} disabled={load >= w.capacity}>
+                      {w.start}–{w.end} ({load}/{w.capacity})
+                    </option>
+                  );
+                })}
+              </select>
+              <input
+                style={styles.input}
+                list="trucking-companies"
+                placeholder="Trucking company"
+                value={form.truckingCompany}
+                onChange={(e) => updateForm({ truckingCompany: e.target.value })}
+              />
+              <datalist id="trucking-companies">
+                {companies.map((c) => (
+                  <option key={c} value={c} />
+                ))}
+              </datalist>
+              <input style={styles.input} placeholder="Truck ref (plate, trip)" value={form.truckRef} onChange={(e) => updateForm({ truckRef: e.target.value })} />
+            </div>
+            <div style={styles.searchRow}>
+              <input
+                style={{ ...styles.input, flex: 2 }}
+                placeholder="Container IDs, separated by spaces or commas"
+                value={form.containers}
+                onChange={(e) => updateForm({ containers: e.target.value })}
+              />
+              <input style={styles.input} placeholder="Note" value={form.note} onChange={(e) => updateForm({ note: e.target.value })} />
+              <button style={styles.button} onClick={book}>Book</button>
+            </div>
+            {dueThatDay.length > 0 && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+                <span style={styles.small}>Due out that day, not booked:</span>
+                {dueThatDay.map((cid) => (
+                  <button key={cid} style={{ ...styles.linkBtn, ...(picked.includes(cid) ? { border: "1px solid #86a8ff" } : null) }} onClick={() => togglePicked(cid)}>
+                    {cid}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff8fa3" }}>{error}</div>}
+      </div>
+    </div>
+  );
+}
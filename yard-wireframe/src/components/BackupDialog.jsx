@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { SCHEMA_VERSION, createBackup, downloadBackup, readBackup } from "../storage";
+
+/**
+ * Backups (modal)
+ * - Download the whole yard document as JSON
+ * - Restore a backup file (previewed first) or the automatic restore point; the current yard
+ *   becomes the new restore point, so a restore can itself be undone
+ * - Restoring is for admins; everyone who can open the dialog may download
+ */
+export default function BackupDialog({ styles, currentDoc, restorePoint, canRestore, formatDateTime, onRestore, onClose }) {
+  const [candidate, setCandidate] = useState(null); // { label, doc, applied, backup }
+  const [error, setError] = useState(null);
+
+  async function chooseFile(e) {
+    const [file] = e.target.files || [];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    try {
+      setCandidate({ label: file.name, ...readBackup(await file.text()) });
+    } catch (err) {
+      setCandidate(null);
+      setError(err.message);
+    }
+  }
+
+  function chooseRestorePoint() {
+    setError(null);
+    try {
+      setCandidate({ label: "automatic restore point", ...readBackup(JSON.stringify(restorePoint)) });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(620px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Backup & restore</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+        <div style={styles.small}>
+          Current yard: {currentDoc.events.length} events, schema v{SCHEMA_VERSION}.
+        </div>
+        <div style={{ ...styles.searchRow, marginTop: 10 }}>
+          <button style={styles.button} onClick={() => downloadBackup(createBackup(currentDoc, "manual backup"))}>
+            Download backup
+          </button>
+          {canRestore && (
+            <label style={styles.small}>
+              Restore from file: <input type="file" accept=".json,application/json" onChange={chooseFile} />
+            </label>
+          )}
+        </div>
+
+        {restorePoint && (
+          <div style={{ ...styles.searchRow, marginTop: 10 }}>
+            <span style={styles.small}>
+              Restore point: <b>{restorePoint.reason}</b>, {formatDateTime(restorePoint.createdAt)} ({restorePoint.document?.events?.length ?? "?"} events)
+            </span>
+            {canRestore && <button style={styles.rowButton} onClick={chooseRestorePoint}>Review</button>}
+            <button style={styles.rowButton} onClick={() => downloadBackup(restorePoint)}>Download</button>
+          </div>
+        )}
+
+        {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ff8fa3" }}>{error}</div>}
+
+        {candidate && (
+          <div style={{ ...styles.card, marginTop: 12, background: "#0b1430" }}>
+            <div style={styles.small}>
+              <b>{candidate.label}</b> — {candidate.backup.reason}, taken {formatDateTime(candidate.backup.createdAt)}
+            </div>
+            <div style={styles.small}>
+              {candidate.doc.events.length} events
+              {candidate.applied.length ? `; will be migrated (${candidate.applied.join("; ")})` : ""}
+            </div>
+            <div style={{ ...styles.searchRow, justifyContent: "flex-end" }}>
+              <button style={styles.rowButton} onClick={() => setCandidate(null)}>Cancel</button>
+              <button
+                style={{ ...styles.button, ...styles.buttonDanger }}
+                onClick={() => onRestore(candidate.doc, `${candidate.label} (${candidate.backup.reason})`)}
+              >
+                Replace the current yard
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
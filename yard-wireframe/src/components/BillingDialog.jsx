@@ -0,0 +1,300 @@
+import React, { useMemo, useState } from "react";
+import { CHARGE_KINDS, CHARGE_KIND_LABELS, billPeriod } from "../billing/charges";
+import { billCsv, formatMoney, invoiceHtml, invoiceNumber, periodDays } from "../billing/invoice";
+import { localDay } from "../yard/appointments";
+import { TARIFF_KEYS, validateTariff } from "../yard/tariff";
+
+/**
+ * Storage and demurrage billing (modal)
+ * - Pick a period (whole days, both ends included); every company with yard time or moves in it is listed with
+ *   its storage, reefer and handling totals, and one company opens into its per-container lines
+ * - Export the period (or one company) as CSV; open a company's invoice as a printable page or download it as HTML
+ * - Supervisors edit the tariff; a new tariff prices the days and moves from then on, earlier ones keep theirs
+ */
+
+function download(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function startOfDay(day) {
+  return new Date(`${day}T00:00`).getTime();
+}
+
+function dayAfter(day) {
+  const d = new Date(`${day}T00:00`);
+  d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
+
+export default function BillingDialog({ styles, yard, events, tariff, now, canEditTariff, formatDateTime, onSaveTariff, onClose }) {
+  const [fromDay, setFromDay] = useState(() => `${localDay(now).slice(0, 8)}01`);
+  const [toDay, setToDay] = useState(() => localDay(now));
+  const [companyName, setCompanyName] = useState(null); // the company opened into its containers
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // draft tariff while the editor is open
+
+  const bill = useMemo(
+    () => billPeriod(events, yard, { from: startOfDay(fromDay), to: dayAfter(toDay), now }),
+    [events, yard, fromDay, toDay, now]
+  );
+  const company = bill.companies.find((c) => c.companyName === companyName) || null;
+  const money = (amount) => formatMoney(amount, bill.currency);
+  const { first, last } = periodDays(bill);
+
+  function setPeriod(nextFrom, nextTo) {
+    if (!nextFrom || !nextTo) return;
+    if (nextFrom > nextTo) {
+      setError("The period must end on or after its first day.");
+      return;
+    }
+    setError(null);
+    setFromDay(nextFrom);
+    setToDay(nextTo);
+  }
+
+  function exportCsv() {
+    const names = company ? [company.companyName] : undefined;
+    const suffix = company ? `-${invoiceNumber(bill, company.companyName)}` : "";
+    download(billCsv(bill, names), `billing-${first}-to-${last}${suffix}.csv`, "text/csv");
+  }
+
+  function printInvoice(name) {
+    const html = invoiceHtml(bill, name, { issuedAt: new Date(now).toISOString() });
+    const page = window.open("", "_blank");
+    if (!page) {
+      setError("The browser blocked the invoice window; download it as HTML instead.");
+      return;
+    }
+    page.document.write(html);
+    page.document.close();
+  }
+
+  function downloadInvoice(name) {
+    download(invoiceHtml(bill, name, { issuedAt: new Date(now).toISOString() }), `${invoiceNumber(bill, name)}.html`, "text/html");
+  }
+
+  function saveTariff() {
+    const next = {
+      currency: editing.currency.trim().toUpperCase(),
+      freeDays: Number(editing.freeDays),
+      dailyRates: Object.fromEntries(TARIFF_KEYS.map((key) => [key, Number(editing.dailyRates[key])])),
+      reeferDailySurcharge: Number(editing.reeferDailySurcharge),
+      moveCharge: Number(editing.moveCharge),
+    };
+    const problem = validateTariff(next);
+    setError(problem);
+    if (!problem && onSaveTariff(next)) setEditing(null);
+  }
+
+  const smallInput = { ...styles.input, minWidth: 0, padding: "4px 6px", fontSize: 11, width: 64, flex: "none" };
+  const num = { ...styles.td, textAlign: "right" };
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(920px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <div style={styles.title}>Billing</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input type="date" style={styles.input} value={fromDay} onChange={(e) => setPeriod(e.target.value, toDay)} />
+            <span style={styles.small}>to</span>
+            <input type="date" style={styles.input} value={toDay} onChange={(e) => setPeriod(fromDay, e.target.value)} />
+            {canEditTariff && (
+              <button style={styles.button} onClick={() => setEditing(editing ? null : { ...tariff, dailyRates: { ...tariff.dailyRates } })}>
+                Tariff
+              </button>
+            )}
+            <button style={styles.button} disabled={!bill.rows.length} onClick={exportCsv}>
+              Export CSV
+            </button>
+            <button style={styles.button} onClick={onClose}>Close</button>
+          </div>
+        </div>
+        <div style={styles.small}>
+          {tariff.freeDays} free day{tariff.freeDays === 1 ? "" : "s"} from placement, then the day rate per size and type; each started 24 h in the
+          yard is a day. Reefers {money(tariff.reeferDailySurcharge)} a day on top; {money(tariff.moveCharge)} per move in the yard (pre-staging moves are
+          free). Units still in the yard are billed up to now; a tariff change applies from then on.
+        </div>
+
+        {editing && (
+          <div style={{ display: "grid", gap: 8, marginTop: 10, padding: 10, borderRadius: 12, border: "1px solid #22355f" }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <label style={styles.small}>
+                Currency{" "}
+                <input style={smallInput} maxLength={3} value={editing.currency} onChange={(e) => setEditing((prev) => ({ ...prev, currency: e.target.value }))} />
+              </label>
+              <label style={styles.small}>
+                Free days{" "}
+                <input
+                  type="number"
+                  min={0}
+                  style={smallInput}
+                  value={editing.freeDays}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, freeDays: e.target.value }))}
+                />
+              </label>
+              <label style={styles.small}>
+                Reefer / day{" "}
+                <input
+                  type="number"
+                  min={0}
+                  step="0.01"
+                  style={smallInput}
+                  value={editing.reeferDailySurcharge}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, reeferDailySurcharge: e.target.value }))}
+                />
+              </label>
+              <label style={styles.small}>
+                Per move{" "}
+                <input
+                  type="number"
+                  min={0}
+                  step="0.01"
+                  style={smallInput}
+                  value={editing.moveCharge}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, moveCharge: e.target.value }))}
+                />
+              </label>
+            </div>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <span style={styles.small}>Day rates:</span>
+              {TARIFF_KEYS.map((key) => (
+                <label key={key} style={styles.small}>
+                  {key.replace(":", " ")}{" "}
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    style={smallInput}
+                    value={editing.dailyRates[key]}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, dailyRates: { ...prev.dailyRates, [key]: e.target.value } }))}
+                  />
+                </label>
+              ))}
+              <button style={{ ...styles.rowButton, marginLeft: "auto" }} onClick={saveTariff}>Save tariff</button>
+            </div>
+          </div>
+        )}
+
+        {error && <div style={{ ...styles.small, color: "#ff8fa3", marginTop: 8 }}>{error}</div>}
+
+        <div style={{ ...styles.tableWrap, maxHeight: "52vh", overflow: "auto" }}>
+          {company ? (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Container</th>
+                  <th style={styles.th}>Size / type</th>
+                  <th style={styles.th}>In yard</th>
+                  <th style={styles.th}>Days (free)</th>
+                  <th style={styles.th}>Charges</th>
+                  <th style={styles.th}>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {company.rows.map((row) => (
+                  <tr key={row.containerId}>
+                    <td style={styles.td}>{row.containerId}</td>
+                    <td style={styles.td}>{row.size} {row.type}</td>
+                    <td style={styles.td}>
+                      {formatDateTime(row.entryAt)} → {row.exitAt ? formatDateTime(row.exitAt) : <span style={{ opacity: 0.6 }}>in yard</span>}
+                    </td>
+                    <td style={styles.td}>
+                      {row.days} ({row.freeDays})
+                    </td>
+                    <td style={{ ...styles.td, whiteSpace: "normal" }}>
+                      {row.lines.length
+                        ? row.lines.map((line) => (
+                            <div key={line.kind}>
+                              {CHARGE_KIND_LABELS[line.kind]}: {line.quantity} × {money(line.rate)}
+                            </div>
+                          ))
+                        : <span style={{ opacity: 0.6 }}>within free days</span>}
+                    </td>
+                    <td style={num}>{money(row.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Company</th>
+                  <th style={styles.th}>Containers</th>
+                  {Object.keys(CHARGE_KINDS).map((kind) => (
+                    <th key={kind} style={styles.th}>{CHARGE_KIND_LABELS[kind]}</th>
+                  ))}
+                  <th style={styles.th}>Total</th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {bill.companies.length === 0 && (
+                  <tr>
+                    <td style={styles.td} colSpan={Object.keys(CHARGE_KINDS).length + 4}>
+                      <span style={{ opacity: 0.6 }}>No containers were in the yard in this period.</span>
+                    </td>
+                  </tr>
+                )}
+                {bill.companies.map((c) => (
+                  <tr key={c.companyName}>
+                    <td style={styles.td}>
+                      <button style={styles.linkBtn} onClick={() => setCompanyName(c.companyName)}>{c.companyName}</button>
+                    </td>
+                    <td style={styles.td}>{c.rows.length}</td>
+                    {Object.keys(CHARGE_KINDS).map((kind) => (
+                      <td key={kind} style={num}>
+                        {c.totals[kind].quantity ? (
+                          <>
+                            {money(c.totals[kind].amount)} <span style={{ opacity: 0.6 }}>({c.totals[kind].quantity})</span>
+                          </>
+                        ) : (
+                          <span style={{ opacity: 0.6 }}>—</span>
+                        )}
+                      </td>
+                    ))}
+                    <td style={num}>
+                      <b>{money(c.total)}</b>
+                    </td>
+                    <td style={styles.td}>
+                      <button style={styles.rowButton} onClick={() => printInvoice(c.companyName)}>Invoice</button>{" "}
+                      <button style={styles.rowButton} onClick={() => downloadInvoice(c.companyName)}>HTML</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginTop: 8 }}>
+          <div style={styles.small}>
+            {company ? (
+              <>
+                <button style={styles.linkBtn} onClick={() => setCompanyName(null)}>← All companies</button> {company.companyName} ·{" "}
+                {invoiceNumber(bill, company.companyName)}
+              </>
+            ) : (
+              `${bill.companies.length} compan${bill.companies.length === 1 ? "y" : "ies"}, ${bill.rows.length} container${bill.rows.length === 1 ? "" : "s"}`
+            )}{" "}
+            · {first} – {last}
+          </div>
+          <div style={styles.title}>
+            {company ? money(company.total) : money(bill.total)} <span style={styles.badge}>{bill.currency}</span>
+          </div>
+        </div>
+        {company && (
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 6 }}>
+            <button style={styles.button} onClick={() => printInvoice(company.companyName)}>Invoice</button>
+            <button style={styles.button} onClick={() => downloadInvoice(company.companyName)}>Download HTML</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
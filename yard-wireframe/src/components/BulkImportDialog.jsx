@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from "react";
+import { IMPORT_COLUMNS, importDrafts, previewImport, readSpreadsheet } from "../feeds";
+import { ownerCompany } from "../yard/ownerCodes";
+
+/**
+ * Bulk import (modal)
+ * - Upload a CSV or XLSX sheet of container master data
+ * - Preview every row with its problems; only clean rows are imported, in one undoable step
+ */
+
+function downloadTemplate() {
+  const example = ["MSCU1234566", "45G1", "40FT", "DRY", "NORMAL", "A. Singh", "HarborLine", "Electronics", "", "", "18400", "", "2026-01-05", "2026-01-12", ""];
+  const text = `${IMPORT_COLUMNS.join(",")}\n${example.join(",")}\n`;
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "container-import-template.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function BulkImportDialog({ styles, yard, formatDate, onImport, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+
+  const preview = useMemo(() => (rows ? previewImport(yard, rows) : []), [rows, yard]);
+  const valid = preview.filter((r) => !r.issues.length);
+  const shown = onlyProblems ? preview.filter((r) => r.issues.length) : preview;
+
+  async function chooseFile(e) {
+    const [file] = e.target.files || [];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    setError(null);
+    try {
+      setRows(await readSpreadsheet(file));
+    } catch (err) {
+      setRows(null);
+      setError(err.message);
+    }
+  }
+
+  function confirmImport() {
+    if (onImport(importDrafts(preview, new Date().toISOString()))) onClose();
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(1100px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Import containers</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+        <div style={styles.small}>
+          Columns: {IMPORT_COLUMNS.join(", ")} (isoCode can replace size and type; slotId optional; common aliases such as “container_number” or “customer” work too).
+        </div>
+
+        <div style={{ ...styles.searchRow, marginTop: 10 }}>
+          <input type="file" accept=".csv,.xlsx" onChange={chooseFile} style={styles.small} />
+          <button style={styles.rowButton} onClick={downloadTemplate}>Download CSV template</button>
+        </div>
+        {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ff8fa3" }}>{error}</div>}
+
+        {rows && (
+          <>
+            <div style={{ ...styles.searchRow, marginTop: 10, justifyContent: "space-between" }}>
+              <div style={styles.small}>
+                {fileName}: {preview.length} row(s), <b>{valid.length}</b> ready, <b>{preview.length - valid.length}</b> with problems
+              </div>
+              <label style={styles.small}>
+                <input type="checkbox" checked={onlyProblems} onChange={(e) => setOnlyProblems(e.target.checked)} /> Only rows with problems
+              </label>
+            </div>
+            <div style={{ ...styles.tableWrap, maxHeight: "55vh", overflow: "auto", marginTop: 8 }}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Row</th>
+                    <th style={styles.th}>Container ID</th>
+                    <th style={styles.th}>Size / Type</th>
+                    <th style={styles.th}>Priority</th>
+                    <th style={styles.th}>Company</th>
+                    <th style={styles.th}>Move-in</th>
+                    <th style={styles.th}>Move-out</th>
+                    <th style={styles.th}>Slot</th>
+                    <th style={styles.th}>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((row) => {
+                    const c = row.container;
+                    const bad = row.issues.length > 0;
+                    return (
+                      <tr key={row.rowNumber} style={bad ? { background: "rgba(255,143,163,0.08)" } : undefined}>
+                        <td style={styles.td}>{row.rowNumber}</td>
+                        <td style={styles.td}>{c?.id || row.record.id || "—"}</td>
+                        <td style={styles.td}>{c ? `${c.size} / ${c.type}` : "—"}</td>
+                        <td style={styles.td}>{c?.priority || "—"}</td>
+                        <td style={styles.td}>{(c && (c.companyName || ownerCompany(yard.ownerCodes, c.id))) || "—"}</td>
+                        <td style={styles.td}>{c?.moveInDate ? formatDate(c.moveInDate) : "—"}</td>
+                        <td style={styles.td}>{c?.moveOutDate ? formatDate(c.moveOutDate) : "—"}</td>
+                        <td style={styles.td}>{row.slotId || "Inbound"}</td>
+                        <td style={{ ...styles.td, color: bad ? "#ff8fa3" : "#7dffb2" }}>{bad ? row.issues.join("; ") : "OK"}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ ...styles.searchRow, justifyContent: "flex-end", marginTop: 10 }}>
+              <button style={{ ...styles.button, opacity: valid.length ? 1 : 0.5 }} disabled={!valid.length} onClick={confirmImport}>
+                Import {valid.length} valid row(s)
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
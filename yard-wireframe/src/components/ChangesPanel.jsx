@@ -0,0 +1,215 @@
+import React, { useMemo, useState } from "react";
+import { SIGN_OFF_SCOPES, describeDiff, diffSummary, slotZone } from "../yard/slotChanges";
+
+/**
+ * Changes panel
+ * - Every slot whose stack differs from its last sign-off, grouped by zone, with a tier-by-tier
+ *   before/after diff (added, removed and reordered containers)
+ * - Supervisors sign off one slot, a zone or everything, with an optional comment; others only see the diffs
+ * - The sign-off log keeps who signed off what, when, and why
+ */
+
+const SLOT_LIMIT = 150; // rows rendered; the counts stay exact
+const LOG_LIMIT = 50;
+
+const DIFF_COLORS = { added: "#7ee0b5", removed: "#ff8fa3", reordered: "#ffd166" };
+
+function scopeLabel(scope) {
+  if (scope?.kind === SIGN_OFF_SCOPES.ZONE) return `Zone ${scope.zoneId}`;
+  if (scope?.kind === SIGN_OFF_SCOPES.ALL) return "All changes";
+  return "Slot";
+}
+
+function cellColor(diff, id, side) {
+  if (!id) return undefined;
+  if (side === "after" && diff.added.some((e) => e.id === id)) return DIFF_COLORS.added;
+  if (side === "before" && diff.removed.some((e) => e.id === id)) return DIFF_COLORS.removed;
+  if (diff.reordered.some((e) => e.id === id)) return DIFF_COLORS.reordered;
+  return undefined;
+}
+
+// Tier-by-tier table, top tier first like the bay view
+function StackDiff({ diff }) {
+  const tiers = Math.max(diff.before.length, diff.after.length);
+  const rows = Array.from({ length: tiers }, (_, idx) => tiers - idx);
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, marginTop: 6 }}>
+      <thead>
+        <tr style={{ opacity: 0.7, textAlign: "left" }}>
+          <th style={{ width: 40, fontWeight: 600 }}>Tier</th>
+          <th style={{ fontWeight: 600 }}>Before</th>
+          <th style={{ fontWeight: 600 }}>After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((tier) => {
+          const before = diff.before[tier - 1];
+          const after = diff.after[tier - 1];
+          return (
+            <tr key={tier} style={{ borderTop: "1px solid #22355f" }}>
+              <td style={{ opacity: 0.7 }}>T{tier}</td>
+              <td style={{ color: cellColor(diff, before, "before") }}>{before || "—"}</td>
+              <td style={{ color: cellColor(diff, after, "after") }}>{after || "—"}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default function ChangesPanel({ styles, changes, zones, signOffs, canSignOff, formatDateTime, onSignOff, onFocusSlot }) {
+  const [comment, setComment] = useState("");
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [showLog, setShowLog] = useState(false);
+
+  // [zone, all changed slotIds, slotIds rendered]
+  const byZone = useMemo(() => {
+    const groups = new Map(zones.map((z) => [z, []]));
+    for (const slotId of [...changes.keys()].sort()) {
+      const zone = slotZone(slotId) ?? "?";
+      if (!groups.has(zone)) groups.set(zone, []);
+      groups.get(zone).push(slotId);
+    }
+    let budget = SLOT_LIMIT;
+    return [...groups.entries()]
+      .filter(([, slotIds]) => slotIds.length)
+      .map(([zone, slotIds]) => {
+        const shown = slotIds.slice(0, Math.max(0, budget));
+        budget -= shown.length;
+        return [zone, slotIds, shown];
+      });
+  }, [changes, zones]);
+
+  function signOff(slotIds, scope) {
+    if (onSignOff(slotIds, scope, comment.trim())) setComment("");
+  }
+
+  function toggle(slotId) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(slotId)) next.delete(slotId);
+      else next.add(slotId);
+      return next;
+    });
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={styles.title}>
+          Changes <span style={styles.badge}>{changes.size} slot{changes.size === 1 ? "" : "s"} to sign off</span>
+        </div>
+        <button style={styles.rowButton} onClick={() => setShowLog((v) => !v)}>
+          {showLog ? "Hide sign-off log" : `Sign-off log (${signOffs.length})`}
+        </button>
+      </div>
+
+      {canSignOff && changes.size > 0 && (
+        <div style={{ ...styles.searchRow, marginTop: 4, marginBottom: 8 }}>
+          <input
+            style={{ ...styles.input, padding: "6px 8px", fontSize: 12 }}
+            placeholder="Comment for the next sign-off (optional)"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <button style={styles.rowButton} onClick={() => signOff([...changes.keys()], { kind: SIGN_OFF_SCOPES.ALL })}>
+            Sign off all
+          </button>
+        </div>
+      )}
+
+      {changes.size === 0 ? (
+        <div style={styles.small}>Every slot matches its last sign-off.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 8, maxHeight: 320, overflow: "auto", paddingRight: 4 }}>
+          {byZone.map(([zone, slotIds, shown]) => (
+            <div key={zone}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                <div style={{ fontSize: 12, fontWeight: 700 }}>
+                  Zone {zone} <span style={{ opacity: 0.7, fontWeight: 400 }}>({slotIds.length})</span>
+                </div>
+                {canSignOff && (
+                  <button style={styles.rowButton} onClick={() => signOff(slotIds, { kind: SIGN_OFF_SCOPES.ZONE, zoneId: zone })}>
+                    Sign off zone
+                  </button>
+                )}
+              </div>
+              <div style={{ display: "grid", gap: 4 }}>
+                {shown.map((slotId) => {
+                  const diff = changes.get(slotId);
+                  const open = expanded.has(slotId);
+                  return (
+                    <div key={slotId} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #22355f" }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6 }}>
+                        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                          <button style={styles.linkBtn} onClick={() => onFocusSlot(slotId)}>{slotId}</button>
+                          <button
+                            style={{ ...styles.linkBtn, border: "none", background: "transparent" }}
+                            aria-expanded={open}
+                            onClick={() => toggle(slotId)}
+                          >
+                            {open ? "▾" : "▸"} {diffSummary(diff)}
+                          </button>
+                        </div>
+                        {canSignOff && (
+                          <button style={styles.rowButton} onClick={() => signOff([slotId], { kind: SIGN_OFF_SCOPES.SLOT })}>
+                            Sign off
+                          </button>
+                        )}
+                      </div>
+                      {open && (
+                        <>
+                          <StackDiff diff={diff} />
+                          <ul style={{ margin: "6px 0 0", paddingLeft: 16, opacity: 0.85 }}>
+                            {describeDiff(diff).map((line) => (
+                              <li key={line}>{line}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          {changes.size > SLOT_LIMIT && (
+            <div style={styles.small}>Showing {SLOT_LIMIT} of {changes.size} slots; zone and all sign-offs cover every one.</div>
+          )}
+        </div>
+      )}
+
+      {showLog && (
+        <div style={{ marginTop: 10, borderTop: "1px solid #22355f", paddingTop: 8 }}>
+          <div style={{ ...styles.small, fontWeight: 700, marginBottom: 6 }}>Sign-off log</div>
+          {signOffs.length === 0 ? (
+            <div style={styles.small}>Nothing signed off yet.</div>
+          ) : (
+            <div style={{ display: "grid", gap: 6, maxHeight: 240, overflow: "auto", paddingRight: 4 }}>
+              {signOffs.slice(0, LOG_LIMIT).map((entry) => (
+                <div key={entry.id} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #22355f" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                    <span>
+                      <b>{entry.actor}</b> · {scopeLabel(entry.scope)} · {entry.slots.length} slot{entry.slots.length === 1 ? "" : "s"}
+                    </span>
+                    <span style={{ opacity: 0.75 }}>{formatDateTime(entry.at)}</span>
+                  </div>
+                  {entry.comment && <div style={{ marginTop: 4, fontStyle: "italic" }}>“{entry.comment}”</div>}
+                  <div style={{ marginTop: 4, opacity: 0.75 }} title={entry.slots.flatMap((s) => (s.diff ? describeDiff(s.diff).map((l) => `${s.slotId}: ${l}`) : [])).join("\n")}>
+                    {entry.slots
+                      .slice(0, 8)
+                      .map((s) => `${s.slotId}${s.diff ? ` (${diffSummary(s.diff)})` : ""}`)
+                      .join(", ")}
+                    {entry.slots.length > 8 ? `, +${entry.slots.length - 8} more` : ""}
+                  </div>
+                </div>
+              ))}
+              {signOffs.length > LOG_LIMIT && <div style={styles.small}>Showing the latest {LOG_LIMIT} of {signOffs.length} sign-offs.</div>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
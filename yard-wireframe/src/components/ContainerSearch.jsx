@@ -0,0 +1,249 @@
+import React, { useDeferredValue, useMemo, useState } from "react";
+import { CONTAINER_SIZES, CONTAINER_TYPES, PRIORITIES } from "../yard/containerModel";
+import { STATUS } from "../yard/lifecycle";
+import { validateContainerNumber } from "../yard/iso6346";
+import { EMPTY_FILTERS, SEARCH_ZONE_INBOUND, buildSearchIndex, isEmptySearch, isOverdue, searchContainers } from "../yard/search";
+
+/**
+ * Container search (modal)
+ * - Fuzzy free text over ID, owner, company and material, combined with status/size/type/priority/zone,
+ *   move-in/out date ranges and an overdue flag
+ * - Sortable result table (capped for rendering; the count is always exact)
+ * - Named filter presets, kept by the parent
+ */
+
+const RESULT_LIMIT = 200;
+
+const COLUMNS = [
+  { key: "id", label: "Container ID" },
+  { key: "ownerName", label: "Owner" },
+  { key: "companyName", label: "Company" },
+  { key: "material", label: "Material" },
+  { key: "type", label: "Type" },
+  { key: "size", label: "Size" },
+  { key: "moveInDate", label: "Check-in", date: true },
+  { key: "moveOutDate", label: "Check-out", date: true },
+  { key: "status", label: "Status" },
+  { key: "slotId", label: "Slot" },
+];
+
+function sortValue(container, column) {
+  const value = container[column.key];
+  if (column.date) {
+    const t = new Date(value || "").getTime();
+    return Number.isNaN(t) ? Infinity : t;
+  }
+  return String(value ?? "").toLowerCase();
+}
+
+export default function ContainerSearch({ styles, containers, zones, presets, onSavePresets, formatDate, onFocus, onClose }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ key: "score", dir: "desc" });
+  const [presetName, setPresetName] = useState("");
+  const [now] = useState(() => Date.now());
+
+  const index = useMemo(() => buildSearchIndex(containers), [containers]);
+  const deferredFilters = useDeferredValue(filters);
+  const empty = isEmptySearch(deferredFilters);
+  const hits = useMemo(() => (empty ? [] : searchContainers(index, deferredFilters, now)), [index, deferredFilters, empty, now]);
+
+  const sorted = useMemo(() => {
+    const byScore = sort.key === "score";
+    const column = COLUMNS.find((c) => c.key === sort.key);
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return [...hits].sort((a, b) => {
+      if (byScore) return sign * (a.score - b.score) || a.container.id.localeCompare(b.container.id);
+      const va = sortValue(a.container, column);
+      const vb = sortValue(b.container, column);
+      return sign * (va < vb ? -1 : va > vb ? 1 : 0);
+    });
+  }, [hits, sort]);
+
+  const number = filters.text.trim().replace(/\s/g, "").length === 11 ? validateContainerNumber(filters.text) : null;
+
+  function update(patch) {
+    setFilters((prev) => ({ ...prev, ...patch }));
+  }
+
+  function toggleSort(key) {
+    setSort((prev) => (prev.key === key ? { key, dir: prev.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "score" ? "desc" : "asc" }));
+  }
+
+  function savePreset() {
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePresets([...presets.filter((p) => p.name !== name), { name, filters }].sort((a, b) => a.name.localeCompare(b.name)));
+    setPresetName("");
+  }
+
+  const dateInput = (key) => (
+    <input type="date" style={{ ...styles.select, padding: "6px 8px" }} value={filters[key]} onChange={(e) => update({ [key]: e.target.value })} />
+  );
+  const header = (key, label) => (
+    <th key={key} style={{ ...styles.th, cursor: "pointer" }} onClick={() => toggleSort(key)} aria-sort={sort.key === key ? `${sort.dir}ending` : "none"}>
+      {label} {sort.key === key ? (sort.dir === "asc" ? "▲" : "▼") : ""}
+    </th>
+  );
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(1100px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Search Containers</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+
+        <div style={styles.searchRow}>
+          <input
+            style={styles.input}
+            autoFocus
+            value={filters.text}
+            onChange={(e) => update({ text: e.target.value })}
+            placeholder="ID, owner, company or material — typos are tolerated"
+          />
+          <select
+            style={styles.select}
+            value=""
+            onChange={(e) => {
+              const preset = presets.find((p) => p.name === e.target.value);
+              if (preset) setFilters({ ...EMPTY_FILTERS, ...preset.filters });
+            }}
+            aria-label="Apply preset"
+          >
+            <option value="">{presets.length ? "Presets…" : "No presets"}</option>
+            {presets.map((p) => (
+              <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+          </select>
+        </div>
+        {number && !number.valid && (
+          <div style={{ marginTop: 6, fontSize: 12, color: "#ffd479" }}>Not a valid ISO 6346 number: {number.error}</div>
+        )}
+
+        <div style={styles.searchRow}>
+          <select style={styles.select} value={filters.status} onChange={(e) => update({ status: e.target.value })} aria-label="Status">
+            <option value="">Any status</option>
+            {Object.values(STATUS)
+              .filter((s) => s !== STATUS.GATED_OUT)
+              .map((s) => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+          </select>
+          <select style={styles.select} value={filters.size} onChange={(e) => update({ size: e.target.value })} aria-label="Size">
+            <option value="">Any size</option>
+            {CONTAINER_SIZES.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <select style={styles.select} value={filters.type} onChange={(e) => update({ type: e.target.value })} aria-label="Type">
+            <option value="">Any type</option>
+            {CONTAINER_TYPES.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+          <select style={styles.select} value={filters.priority} onChange={(e) => update({ priority: e.target.value })} aria-label="Priority">
+            <option value="">Any priority</option>
+            {PRIORITIES.map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+          <select style={styles.select} value={filters.zone} onChange={(e) => update({ zone: e.target.value })} aria-label="Zone">
+            <option value="">Any zone</option>
+            <option value={SEARCH_ZONE_INBOUND}>Inbound (no slot)</option>
+            {zones.map((z) => (
+              <option key={z.id} value={z.id}>Zone {z.id}</option>
+            ))}
+          </select>
+          <label style={styles.small}>
+            <input type="checkbox" checked={filters.overdue} onChange={(e) => update({ overdue: e.target.checked })} /> Overdue
+          </label>
+        </div>
+        <div style={styles.searchRow}>
+          <span style={styles.small}>Check-in</span>
+          {dateInput("moveInFrom")}
+          <span style={styles.small}>to</span>
+          {dateInput("moveInTo")}
+          <span style={{ ...styles.small, marginLeft: 8 }}>Check-out</span>
+          {dateInput("moveOutFrom")}
+          <span style={styles.small}>to</span>
+          {dateInput("moveOutTo")}
+        </div>
+
+        <div style={{ ...styles.searchRow, justifyContent: "space-between" }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <input
+              style={{ ...styles.input, minWidth: 160, flex: "none" }}
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+            />
+            <button style={styles.rowButton} disabled={!presetName.trim() || isEmptySearch(filters)} onClick={savePreset}>
+              Save preset
+            </button>
+            {presets.map((p) => (
+              <span key={p.name} style={styles.badge}>
+                {p.name}{" "}
+                <button
+                  style={{ ...styles.linkBtn, padding: "0 4px" }}
+                  aria-label={`Delete preset ${p.name}`}
+                  onClick={() => onSavePresets(presets.filter((x) => x.name !== p.name))}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <button style={styles.rowButton} onClick={() => setFilters(EMPTY_FILTERS)}>Clear filters</button>
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          {empty ? (
+            <div style={styles.small}>Type a search or set a filter to view results.</div>
+          ) : !hits.length ? (
+            <div style={styles.small}>No containers match that search.</div>
+          ) : (
+            <>
+              <div style={styles.small}>
+                {hits.length} match{hits.length === 1 ? "" : "es"}
+                {hits.length > RESULT_LIMIT ? ` — showing the first ${RESULT_LIMIT}; narrow the filters to see the rest` : ""}
+              </div>
+              <div style={{ ...styles.tableWrap, maxHeight: "50vh", overflow: "auto" }}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      {filters.text.trim() && header("score", "Match")}
+                      {COLUMNS.map((c) => header(c.key, c.label))}
+                      <th style={styles.th}>Action</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sorted.slice(0, RESULT_LIMIT).map(({ container, score }) => (
+                      <tr key={container.id}>
+                        {filters.text.trim() && <td style={styles.td}>{score}</td>}
+                        <td style={styles.td}>{container.id}</td>
+                        <td style={styles.td}>{container.ownerName}</td>
+                        <td style={styles.td}>{container.companyName}</td>
+                        <td style={styles.td}>{container.material}</td>
+                        <td style={styles.td}>{container.type}</td>
+                        <td style={styles.td}>{container.size}</td>
+                        <td style={styles.td}>{formatDate(container.moveInDate)}</td>
+                        <td style={{ ...styles.td, color: isOverdue(container, now) ? "#ff8fa3" : undefined }}>{formatDate(container.moveOutDate)}</td>
+                        <td style={styles.td}>{container.status}</td>
+                        <td style={styles.td}>{container.slotId || "Inbound"}</td>
+                        <td style={styles.td}>
+                          <button style={styles.rowButton} onClick={() => onFocus(container)}>
+                            Focus
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
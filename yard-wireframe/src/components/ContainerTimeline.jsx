@@ -0,0 +1,93 @@
+import React from "react";
+import { EVENT_TYPES } from "../yard/events";
+
+/**
+ * Move timeline for the selected container, newest first.
+ * Undone operations stay visible (struck through) since the log is append-only.
+ */
+
+const LABELS = {
+  [EVENT_TYPES.CONTAINER_REGISTERED]: "Registered inbound",
+  [EVENT_TYPES.CONTAINER_PLACED]: "Placed",
+  [EVENT_TYPES.CONTAINER_MOVED]: "Moved",
+  [EVENT_TYPES.CONTAINER_RESTACKED]: "Restacked",
+  [EVENT_TYPES.CONTAINER_RELEASED]: "Released",
+  [EVENT_TYPES.RELEASE_REVOKED]: "Release revoked",
+  [EVENT_TYPES.CONTAINER_GATED_OUT]: "Gated out",
+  [EVENT_TYPES.ALERT_ACKNOWLEDGED]: "Alert acknowledged",
+  [EVENT_TYPES.HAZMAT_OVERRIDDEN]: "DG override",
+  [EVENT_TYPES.WORK_ORDER_CREATED]: "Work order",
+  [EVENT_TYPES.WORK_ORDER_DISPATCHED]: "Dispatched",
+  [EVENT_TYPES.WORK_ORDER_STARTED]: "Move started",
+  [EVENT_TYPES.WORK_ORDER_COMPLETED]: "Work order done",
+  [EVENT_TYPES.WORK_ORDER_FAILED]: "Move failed",
+  [EVENT_TYPES.WORK_ORDER_CANCELLED]: "Work order cancelled",
+};
+
+function describe(entry) {
+  const tier = entry.stackIndex != null ? ` (tier ${entry.stackIndex + 1})` : "";
+  switch (entry.type) {
+    case EVENT_TYPES.CONTAINER_PLACED:
+      return `→ ${entry.toSlot}${tier}`;
+    case EVENT_TYPES.CONTAINER_MOVED:
+      return `${entry.fromSlot} → ${entry.toSlot}${tier}`;
+    case EVENT_TYPES.CONTAINER_RESTACKED:
+      return `${entry.fromSlot}: tier ${entry.payload.fromIndex + 1} → ${entry.stackIndex + 1}`;
+    case EVENT_TYPES.CONTAINER_GATED_OUT:
+      return `truck ${entry.payload.truckRef}, driver ${entry.payload.driverRef}`;
+    case EVENT_TYPES.HAZMAT_OVERRIDDEN:
+      return `→ ${entry.toSlot}: ${entry.payload.reason}`;
+    case EVENT_TYPES.WORK_ORDER_CREATED:
+      return `${entry.payload.orderId}: ${entry.fromSlot || "inbound"} → ${entry.toSlot}`;
+    case EVENT_TYPES.WORK_ORDER_DISPATCHED:
+      return `${entry.payload.orderId} to ${entry.payload.equipmentId}${entry.payload.driver ? `, ${entry.payload.driver}` : ""}`;
+    case EVENT_TYPES.WORK_ORDER_FAILED:
+    case EVENT_TYPES.WORK_ORDER_CANCELLED:
+      return [entry.payload.orderId, entry.payload.reason].filter(Boolean).join(" — ");
+    case EVENT_TYPES.WORK_ORDER_STARTED:
+    case EVENT_TYPES.WORK_ORDER_COMPLETED:
+      return entry.payload.orderId;
+    case EVENT_TYPES.ALERT_ACKNOWLEDGED:
+      return [entry.payload.alertKey.split(":")[0].toLowerCase(), entry.payload.note].filter(Boolean).join(" — ");
+    default:
+      return entry.fromSlot ? `at ${entry.fromSlot}` : "";
+  }
+}
+
+export default function ContainerTimeline({ styles, entries, formatDateTime }) {
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <div style={styles.title}>Timeline</div>
+      {entries.length === 0 ? (
+        <div style={styles.small}>No recorded moves yet.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 4, maxHeight: 220, overflow: "auto", paddingRight: 4 }}>
+          {[...entries].reverse().map((entry) => (
+            <div
+              key={entry.id}
+              style={{
+                fontSize: 11,
+                padding: "6px 8px",
+                borderRadius: 10,
+                border: "1px solid #22355f",
+                background: "#0b1430",
+                opacity: entry.undone ? 0.5 : 1,
+                textDecoration: entry.undone ? "line-through" : "none",
+              }}
+              title={entry.undone ? "Undone" : undefined}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                <b>{LABELS[entry.type] || entry.type}</b>
+                <span style={{ opacity: 0.75 }}>#{entry.seq}</span>
+              </div>
+              <div style={{ opacity: 0.85 }}>{describe(entry)}</div>
+              <div style={{ opacity: 0.65 }}>
+                {formatDateTime(entry.at)} • {entry.actor}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
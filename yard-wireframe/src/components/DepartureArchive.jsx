@@ -0,0 +1,57 @@
+import React from "react";
+
+/**
+ * Departed containers (modal): everything that was gated out, newest first
+ */
+export default function DepartureArchive({ styles, archive, formatDateTime, onClose }) {
+  const departed = Object.values(archive).sort((a, b) =>
+    String(b.gateOut?.departedAt || "").localeCompare(String(a.gateOut?.departedAt || ""))
+  );
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(960px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Departures ({departed.length})</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+        {departed.length === 0 ? (
+          <div style={styles.small}>No containers have been gated out yet.</div>
+        ) : (
+          <div style={{ ...styles.tableWrap, maxHeight: "70vh", overflow: "auto" }}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Container ID</th>
+                  <th style={styles.th}>Company</th>
+                  <th style={styles.th}>Size / Type</th>
+                  <th style={styles.th}>Last slot</th>
+                  <th style={styles.th}>Truck</th>
+                  <th style={styles.th}>Driver</th>
+                  <th style={styles.th}>Released</th>
+                  <th style={styles.th}>Departed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {departed.map((c) => (
+                  <tr key={c.id}>
+                    <td style={styles.td}>{c.id}</td>
+                    <td style={styles.td}>{c.companyName || "—"}</td>
+                    <td style={styles.td}>
+                      {c.size} / {c.type}
+                    </td>
+                    <td style={styles.td}>{c.lastSlotId || "—"}</td>
+                    <td style={styles.td}>{c.gateOut?.truckRef}</td>
+                    <td style={styles.td}>{c.gateOut?.driverRef}</td>
+                    <td style={styles.td}>{formatDateTime(c.releasedAt)}</td>
+                    <td style={styles.td}>{formatDateTime(c.gateOut?.departedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from "react";
+import { exportCodeco, planEdiImport, readMovements } from "../edi/containerMessages";
+
+/**
+ * EDIFACT exchange (modal)
+ * - Import: paste or load a CODECO/COARRI file, review the validation report and planned moves, then apply
+ * - Export: CODECO gate-in/gate-out report from our own placements and gate-outs
+ */
+
+const KIND_LABELS = { GATE_IN: "Gate in", GATE_OUT: "Gate out", DISCHARGE: "Discharge", LOAD: "Load" };
+
+function downloadText(text, fileName) {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function EdiExchange({ styles, yard, events, formatDateTime, onApply, onClose }) {
+  const [text, setText] = useState("");
+  const [sender, setSender] = useState("YARD");
+  const [receiver, setReceiver] = useState("CARRIER");
+  const [since, setSince] = useState("");
+  const [exported, setExported] = useState(null);
+
+  const parsed = useMemo(() => (text.trim() ? readMovements(text) : null), [text]);
+  const plan = useMemo(() => (parsed ? planEdiImport(yard, parsed.movements) : null), [parsed, yard]);
+  const report = parsed ? [...parsed.report, ...plan.report].sort((a, b) => a.segment - b.segment) : [];
+
+  async function loadFile(e) {
+    const [file] = e.target.files || [];
+    if (file) setText(await file.text());
+    e.target.value = "";
+  }
+
+  function apply() {
+    if (onApply(plan.drafts)) setText("");
+  }
+
+  function generate() {
+    const sinceIso = since ? new Date(since).toISOString() : null;
+    setExported(exportCodeco(events, yard, { sender: sender.trim() || "YARD", receiver: receiver.trim() || "CARRIER", since: sinceIso }));
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(960px, 96vw)", maxHeight: "90vh", overflow: "auto" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>EDIFACT CODECO / COARRI</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+
+        <div style={{ ...styles.title, fontSize: 13, marginTop: 10 }}>Import</div>
+        <div style={styles.searchRow}>
+          <input type="file" accept=".edi,.txt,.codeco,.coarri" onChange={loadFile} style={styles.small} />
+          {text && <button style={styles.rowButton} onClick={() => setText("")}>Clear</button>}
+        </div>
+        <textarea
+          style={{ ...styles.input, width: "100%", minHeight: 120, fontFamily: "monospace", marginTop: 8 }}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="UNA:+.? 'UNB+UNOA:2+SENDER+YARD+…'UNH+1+CODECO:D:95B:UN'BGM+34+…"
+        />
+
+        {parsed && (
+          <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+            <div style={styles.small}>
+              {parsed.movements.length} movement(s) read{parsed.sender ? ` from ${parsed.sender}` : ""}; {plan.applied.length} can be applied
+              ({plan.drafts.length} event(s)).
+            </div>
+            {report.length > 0 && (
+              <div style={{ ...styles.tableWrap, maxHeight: 180, overflow: "auto" }}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Segment</th>
+                      <th style={styles.th}>Tag</th>
+                      <th style={styles.th}>Severity</th>
+                      <th style={styles.th}>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.map((r, i) => (
+                      <tr key={i}>
+                        <td style={styles.td}>{r.segment || "—"}</td>
+                        <td style={styles.td}>{r.tag || "—"}</td>
+                        <td style={{ ...styles.td, color: r.severity === "error" ? "#ff8fa3" : "#ffd479" }}>{r.severity}</td>
+                        <td style={styles.td}>{r.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {plan.applied.length > 0 && (
+              <div style={{ ...styles.tableWrap, maxHeight: 200, overflow: "auto" }}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Movement</th>
+                      <th style={styles.th}>Container</th>
+                      <th style={styles.th}>When</th>
+                      <th style={styles.th}>Slot</th>
+                      <th style={styles.th}>Transport</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.applied.map((m) => (
+                      <tr key={`${m.segment}-${m.containerId}`}>
+                        <td style={styles.td}>{KIND_LABELS[m.kind]}</td>
+                        <td style={styles.td}>{m.containerId}</td>
+                        <td style={styles.td}>{formatDateTime(m.at)}</td>
+                        <td style={styles.td}>{m.slotId || "Inbound"}</td>
+                        <td style={styles.td}>{[m.transportRef, m.driverRef].filter(Boolean).join(" / ") || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <div style={{ ...styles.searchRow, justifyContent: "flex-end" }}>
+              <button
+                style={{ ...styles.button, opacity: plan.drafts.length ? 1 : 0.5 }}
+                disabled={!plan.drafts.length}
+                onClick={apply}
+              >
+                Apply {plan.applied.length} movement(s)
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div style={{ ...styles.title, fontSize: 13, marginTop: 16 }}>Export CODECO</div>
+        <div style={{ ...styles.searchRow, flexWrap: "wrap" }}>
+          <label style={styles.small}>Sender</label>
+          <input style={styles.input} value={sender} onChange={(e) => setSender(e.target.value)} />
+          <label style={styles.small}>Receiver</label>
+          <input style={styles.input} value={receiver} onChange={(e) => setReceiver(e.target.value)} />
+          <label style={styles.small}>Since</label>
+          <input type="datetime-local" style={styles.input} value={since} onChange={(e) => setSince(e.target.value)} />
+          <button style={styles.button} onClick={generate}>Generate</button>
+        </div>
+        {exported && (
+          <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+            <div style={styles.small}>
+              {exported.gateIns} gate-in and {exported.gateOuts} gate-out movement(s).
+            </div>
+            <textarea readOnly style={{ ...styles.input, width: "100%", minHeight: 140, fontFamily: "monospace" }} value={exported.text} />
+            <div style={{ ...styles.searchRow, justifyContent: "flex-end" }}>
+              <button style={styles.button} onClick={() => downloadText(exported.text, `codeco-${Date.now()}.edi`)}>Download</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
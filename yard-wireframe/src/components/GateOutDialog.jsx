@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { validateGateOut } from "../yard/lifecycle";
+
+/**
+ * Gate-out confirmation (modal)
+ * - Records the truck and driver references and the actual departure time
+ * - The container only leaves the yard once this is confirmed
+ * - A booked truck appointment fills in the truck reference
+ */
+
+function localDateTimeValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export default function GateOutDialog({ styles, container, appointment, onConfirm, onClose }) {
+  const [truckRef, setTruckRef] = useState(() => appointment?.truckRef || "");
+  const [driverRef, setDriverRef] = useState("");
+  const [departedAt, setDepartedAt] = useState(() => localDateTimeValue(new Date()));
+  const [errors, setErrors] = useState([]);
+
+  function confirmGateOut() {
+    const details = { truckRef, driverRef, departedAt };
+    const found = validateGateOut(details);
+    setErrors(found);
+    if (!found.length) onConfirm(details);
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(480px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Gate out {container.id}</div>
+          <button style={styles.button} onClick={onClose}>Cancel</button>
+        </div>
+        <div style={styles.small}>
+          {container.size} • {container.type} • {container.companyName || "—"} • last slot {container.slotId || "—"}
+        </div>
+        {appointment && (
+          <div style={styles.small}>
+            Booked pickup: <b>{appointment.truckingCompany}</b> on {appointment.date} ({appointment.id})
+          </div>
+        )}
+
+        <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+          <label style={styles.small}>Truck reference</label>
+          <input style={styles.input} value={truckRef} onChange={(e) => setTruckRef(e.target.value)} placeholder="e.g. plate or trip number" />
+          <label style={styles.small}>Driver reference</label>
+          <input style={styles.input} value={driverRef} onChange={(e) => setDriverRef(e.target.value)} placeholder="e.g. licence or badge number" />
+          <label style={styles.small}>Actual departure time</label>
+          <input type="datetime-local" style={styles.input} value={departedAt} onChange={(e) => setDepartedAt(e.target.value)} />
+        </div>
+
+        {errors.length > 0 && (
+          <div style={{ marginTop: 10, fontSize: 12, color: "#ff8fa3" }}>
+            {errors.map((e) => (
+              <div key={e}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ ...styles.searchRow, justifyContent: "flex-end", marginTop: 14 }}>
+          <button style={{ ...styles.button, ...styles.buttonDanger }} onClick={confirmGateOut}>
+            Confirm gate-out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+
+/**
+ * Dangerous goods override (modal)
+ * - Lists the segregation / zone rules a placement or move would break
+ * - A supervisor may go ahead with a reason; the override is an event and shows in the override log
+ */
+export default function HazmatOverrideDialog({ styles, pending, onConfirm, onClose }) {
+  const [reason, setReason] = useState("");
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div
+        style={{ ...styles.searchModal, width: "min(560px, 96vw)" }}
+        role="alertdialog"
+        aria-labelledby="hazmat-override-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div id="hazmat-override-title" style={styles.title}>
+          ☢ {pending.containerId} → {pending.slotId} breaks the dangerous goods rules
+        </div>
+        <ul style={{ margin: "8px 0", paddingLeft: 18, fontSize: 12, color: "#ff8fa3" }}>
+          {pending.violations.map((v, idx) => (
+            <li key={idx}>{v.message}</li>
+          ))}
+        </ul>
+        <div style={styles.small}>Overriding is logged with your name and the reason below.</div>
+        <textarea
+          style={{ ...styles.input, width: "100%", minHeight: 60, marginTop: 8, boxSizing: "border-box" }}
+          placeholder="Reason (required), e.g. harbour master approval reference"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <div style={{ ...styles.searchRow, justifyContent: "flex-end" }}>
+          <button style={styles.button} onClick={onClose}>Cancel</button>
+          <button style={{ ...styles.button, ...styles.buttonDanger }} disabled={!reason.trim()} onClick={() => onConfirm(reason.trim())}>
+            Override and {pending.action}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
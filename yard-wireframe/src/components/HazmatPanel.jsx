@@ -0,0 +1,57 @@
+import React from "react";
+
+/**
+ * Dangerous goods panel
+ * - Hazardous containers that break a segregation or zone rule where they stand now (after an
+ *   override, or because the layout or a neighbour changed)
+ * - The override log, newest first: who waived which rules for which move, and why
+ */
+
+const LOG_LIMIT = 30;
+
+export default function HazmatPanel({ styles, violations, overrides, formatDateTime, onFocus }) {
+  const offending = Object.entries(violations);
+  const log = [...overrides].reverse().slice(0, LOG_LIMIT);
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>
+        Dangerous goods{" "}
+        <span style={{ ...styles.badge, ...(offending.length ? { color: "#ff8fa3", border: "1px solid #ff8fa3" } : null) }}>
+          {offending.length ? `${offending.length} breaking rules` : "segregated"}
+        </span>
+      </div>
+
+      {offending.length > 0 && (
+        <div style={{ display: "grid", gap: 4, marginBottom: 8 }}>
+          {offending.map(([cid, list]) => (
+            <div key={cid} style={{ fontSize: 11 }}>
+              <button style={styles.linkBtn} onClick={() => onFocus(cid)}>{cid}</button>{" "}
+              <span style={{ opacity: 0.8 }}>{list.map((v) => v.message).join(" ")}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ ...styles.small, fontWeight: 700, marginBottom: 4 }}>Override log</div>
+      {log.length === 0 ? (
+        <div style={styles.small}>No overrides recorded.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 6, maxHeight: 200, overflow: "auto", paddingRight: 4 }}>
+          {log.map((entry) => (
+            <div key={entry.id} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #7b2a3f" }}>
+              <div>
+                <button style={styles.linkBtn} onClick={() => onFocus(entry.containerId)}>{entry.containerId}</button> → {entry.slotId}
+                {entry.orderId ? ` (${entry.orderId})` : ""}
+              </div>
+              <div style={{ marginTop: 4, opacity: 0.8 }}>“{entry.reason}”</div>
+              <div style={{ marginTop: 2, opacity: 0.6 }}>
+                {formatDateTime(entry.at)} by {entry.actor} · waived: {entry.violations.join(" ")}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
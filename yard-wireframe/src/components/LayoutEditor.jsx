@@ -0,0 +1,421 @@
+import React, { useMemo, useState } from "react";
+import {
+  LAYOUT_LIMITS,
+  buildSlotId,
+  migrateLayout,
+  normalizeLayoutConfig,
+  parseSlotId,
+  validateZoneId,
+} from "../yard/layout";
+
+/**
+ * Layout editor (modal)
+ * - Works on a draft copy of the layout config; nothing changes until "Apply layout"
+ * - Zones keep their original code so renames can be migrated instead of treated as remove + add
+ * - Slot overrides are edited per cell ("r-c") so they follow the zone through a rename
+ */
+
+function cellKey(r, c) {
+  return `${r}-${c}`;
+}
+
+function toDraft(config) {
+  return config.zones.map((zone, idx) => {
+    const cells = {};
+    for (const [slotId, settings] of Object.entries(config.slots || {})) {
+      const parsed = parseSlotId(slotId);
+      if (parsed?.zone === zone.id) cells[cellKey(parsed.row, parsed.col)] = { ...settings };
+    }
+    return { ...zone, key: `zone-${idx}`, originalId: zone.id, cells };
+  });
+}
+
+function fromDraft(draftZones, baseConfig) {
+  const zones = [];
+  const slots = {};
+  for (const { key: _key, originalId: _originalId, cells, ...zone } of draftZones) {
+    zones.push(zone);
+    for (const [cell, settings] of Object.entries(cells)) {
+      const [r, c] = cell.split("-").map(Number);
+      slots[buildSlotId(zone.id, r, c)] = settings;
+    }
+  }
+  return normalizeLayoutConfig({ ...baseConfig, zones, slots });
+}
+
+function zoneRenamesFor(draftZones) {
+  const renames = {};
+  for (const zone of draftZones) {
+    if (zone.originalId && zone.originalId !== zone.id) renames[zone.originalId] = zone.id;
+  }
+  return renames;
+}
+
+export default function LayoutEditor({ styles, config, layout, containers, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => toDraft(config));
+  const [activeKey, setActiveKey] = useState(() => draft[0]?.key ?? null);
+  const [activeCell, setActiveCell] = useState(null);
+  const [newZoneId, setNewZoneId] = useState("");
+
+  const activeZone = draft.find((z) => z.key === activeKey) || null;
+
+  const zoneErrors = useMemo(() => {
+    const errors = {};
+    draft.forEach((zone, idx) => {
+      const others = draft.filter((_, i) => i !== idx).map((z) => z.id);
+      const error = validateZoneId(zone.id, others);
+      if (error) errors[zone.key] = error;
+    });
+    return errors;
+  }, [draft]);
+  const hasErrors = Object.keys(zoneErrors).length > 0 || draft.length === 0;
+
+  const preview = useMemo(() => {
+    if (hasErrors) return null;
+    const nextConfig = fromDraft(draft, config);
+    const renames = zoneRenamesFor(draft);
+    // Sizes matter: a 40FT whose second slot goes away is displaced too
+    const { displaced } = migrateLayout({ layout, containers, inboundIds: [] }, nextConfig, renames);
+    return { nextConfig, renames, displaced };
+  }, [draft, config, layout, containers, hasErrors]);
+
+  function updateZone(key, patch) {
+    setDraft((zones) => zones.map((z) => (z.key === key ? { ...z, ...patch } : z)));
+  }
+
+  function updateCell(key, cell, patch) {
+    setDraft((zones) =>
+      zones.map((z) => {
+        if (z.key !== key) return z;
+        const merged = { ...(z.cells[cell] || {}), ...patch };
+        if (merged.stackLimit == null) delete merged.stackLimit;
+        if (merged.maxWeightKg == null) delete merged.maxWeightKg;
+        if (!merged.blocked) delete merged.blocked;
+        if (typeof merged.powered !== "boolean") delete merged.powered;
+        const cells = { ...z.cells };
+        if (Object.keys(merged).length) cells[cell] = merged;
+        else delete cells[cell];
+        return { ...z, cells };
+      })
+    );
+  }
+
+  function addZone() {
+    const id = newZoneId.trim().toUpperCase();
+    const error = validateZoneId(id, draft.map((z) => z.id));
+    if (error) {
+      alert(error);
+      return;
+    }
+    const template = activeZone || draft[draft.length - 1];
+    const key = `zone-new-${Date.now()}`;
+    setDraft((zones) => [
+      ...zones,
+      {
+        id,
+        rows: template?.rows ?? 4,
+        cols: template?.cols ?? 6,
+        stackLimit: template?.stackLimit ?? 2,
+        maxStackWeightKg: template?.maxStackWeightKg ?? 60000,
+        gateDistance: zones.length,
+        powered: false,
+        hazmat: false,
+        key,
+        originalId: null,
+        cells: {},
+      },
+    ]);
+    setActiveKey(key);
+    setActiveCell(null);
+    setNewZoneId("");
+  }
+
+  function removeZone(key) {
+    const remaining = draft.filter((z) => z.key !== key);
+    setDraft(remaining);
+    if (activeKey === key) {
+      setActiveKey(remaining[0]?.key ?? null);
+      setActiveCell(null);
+    }
+  }
+
+  function occupancy(zone, r, c) {
+    if (!zone.originalId) return 0;
+    return (layout[buildSlotId(zone.originalId, r, c)] || []).length;
+  }
+
+  const numberInput = { ...styles.input, flex: "none", minWidth: 0, width: 64 };
+  const activeCellSettings = activeZone && activeCell ? activeZone.cells[activeCell] || {} : null;
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(960px, 96vw)", maxHeight: "92vh", overflow: "auto" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Layout Editor</div>
+          <button style={styles.button} onClick={onClose}>Close</button>
+        </div>
+        <div style={styles.small}>
+          Changes are drafted here and only applied with “Apply layout”. Containers in removed slots, or above a lowered
+          stack limit, go back to the inbound queue.
+        </div>
+
+        <div style={styles.tableWrap}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Zone</th>
+                <th style={styles.th}>Rows</th>
+                <th style={styles.th}>Columns</th>
+                <th style={styles.th}>Stack limit</th>
+                <th style={styles.th}>Load limit (t)</th>
+                <th style={styles.th}>Gate rank</th>
+                <th style={styles.th}>Reefer power</th>
+                <th style={styles.th}>Dangerous goods</th>
+                <th style={styles.th}>Overrides</th>
+                <th style={styles.th}>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map((zone) => (
+                <tr key={zone.key} style={zone.key === activeKey ? { background: "rgba(134,168,255,0.08)" } : undefined}>
+                  <td style={styles.td}>
+                    <input
+                      style={{ ...numberInput, width: 72 }}
+                      value={zone.id}
+                      onChange={(e) => updateZone(zone.key, { id: e.target.value.toUpperCase() })}
+                    />
+                    {zone.originalId && zone.originalId !== zone.id && (
+                      <span style={{ ...styles.small, marginLeft: 6 }}>was {zone.originalId}</span>
+                    )}
+                    {zoneErrors[zone.key] && <div style={{ fontSize: 11, color: "#ff8fa3" }}>{zoneErrors[zone.key]}</div>}
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="number"
+                      min={1}
+                      max={LAYOUT_LIMITS.maxRows}
+                      style={numberInput}
+                      value={zone.rows}
+                      onChange={(e) => updateZone(zone.key, { rows: Number(e.target.value) })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="number"
+                      min={1}
+                      max={LAYOUT_LIMITS.maxCols}
+                      style={numberInput}
+                      value={zone.cols}
+                      onChange={(e) => updateZone(zone.key, { cols: Number(e.target.value) })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="number"
+                      min={1}
+                      max={LAYOUT_LIMITS.maxStackLimit}
+                      style={numberInput}
+                      value={zone.stackLimit}
+                      onChange={(e) => updateZone(zone.key, { stackLimit: Number(e.target.value) })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="number"
+                      min={LAYOUT_LIMITS.minStackWeightKg / 1000}
+                      max={LAYOUT_LIMITS.maxStackWeightKg / 1000}
+                      style={numberInput}
+                      value={zone.maxStackWeightKg / 1000}
+                      title="Total gross weight one ground slot may carry"
+                      onChange={(e) => updateZone(zone.key, { maxStackWeightKg: Number(e.target.value) * 1000 })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="number"
+                      min={0}
+                      max={LAYOUT_LIMITS.maxGateDistance}
+                      style={numberInput}
+                      value={zone.gateDistance}
+                      title="0 = next to the gate"
+                      onChange={(e) => updateZone(zone.key, { gateDistance: Number(e.target.value) })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(zone.powered)}
+                      onChange={(e) => updateZone(zone.key, { powered: e.target.checked })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(zone.hazmat)}
+                      title="Approved for IMDG cargo"
+                      onChange={(e) => updateZone(zone.key, { hazmat: e.target.checked })}
+                    />
+                  </td>
+                  <td style={styles.td}>{Object.keys(zone.cells).length}</td>
+                  <td style={styles.td}>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      <button
+                        style={styles.rowButton}
+                        onClick={() => {
+                          setActiveKey(zone.key);
+                          setActiveCell(null);
+                        }}
+                      >
+                        Edit slots
+                      </button>
+                      <button style={styles.rowButton} onClick={() => removeZone(zone.key)}>
+                        Remove
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={styles.searchRow}>
+          <input
+            style={{ ...styles.input, flex: "none", width: 120, minWidth: 0 }}
+            placeholder="New zone code"
+            value={newZoneId}
+            onChange={(e) => setNewZoneId(e.target.value.toUpperCase())}
+          />
+          <button style={styles.button} onClick={addZone}>Add zone</button>
+        </div>
+
+        {activeZone && (
+          <div style={{ marginTop: 14 }}>
+            <div style={styles.title}>Zone {activeZone.id} — slots</div>
+            <div style={styles.small}>
+              Click a slot to block it, give it its own stack or load limit or change its reefer power. Numbers show containers
+              currently stacked; ⚡ marks powered slots.
+            </div>
+            <div
+              style={{
+                display: "grid",
+                gap: 4,
+                marginTop: 8,
+                gridTemplateColumns: `repeat(${Math.max(1, activeZone.cols || 1)}, minmax(44px, 1fr))`,
+              }}
+            >
+              {Array.from({ length: Math.max(0, activeZone.rows || 0) }, (_, ri) =>
+                Array.from({ length: Math.max(0, activeZone.cols || 0) }, (_, ci) => {
+                  const cell = cellKey(ri + 1, ci + 1);
+                  const settings = activeZone.cells[cell] || {};
+                  const isActive = cell === activeCell;
+                  const powered = settings.powered ?? Boolean(activeZone.powered);
+                  return (
+                    <div
+                      key={cell}
+                      onClick={() => setActiveCell(cell)}
+                      title={buildSlotId(activeZone.id, ri + 1, ci + 1)}
+                      style={{
+                        padding: "6px 4px",
+                        borderRadius: 8,
+                        fontSize: 10,
+                        textAlign: "center",
+                        cursor: "pointer",
+                        border: isActive ? "1px solid #86a8ff" : "1px solid #22355f",
+                        background: settings.blocked ? "repeating-linear-gradient(45deg, #3a1420, #3a1420 4px, #0b1430 4px, #0b1430 8px)" : "#0b1430",
+                      }}
+                    >
+                      <div style={{ fontWeight: 700 }}>
+                        R{ri + 1}·C{ci + 1}
+                        {powered && " ⚡"}
+                      </div>
+                      <div style={{ opacity: 0.8 }}>
+                        {occupancy(activeZone, ri + 1, ci + 1)}/{settings.stackLimit ?? activeZone.stackLimit}
+                      </div>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+
+            {activeCellSettings && (
+              <div style={styles.searchRow}>
+                <div style={styles.small}>
+                  <b>{buildSlotId(activeZone.id, ...activeCell.split("-").map(Number))}</b>
+                </div>
+                <label style={styles.small}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(activeCellSettings.blocked)}
+                    onChange={(e) => updateCell(activeZone.key, activeCell, { blocked: e.target.checked })}
+                  />{" "}
+                  Blocked (maintenance)
+                </label>
+                <label style={styles.small}>Stack limit</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={LAYOUT_LIMITS.maxStackLimit}
+                  placeholder={String(activeZone.stackLimit)}
+                  style={numberInput}
+                  value={activeCellSettings.stackLimit ?? ""}
+                  onChange={(e) =>
+                    updateCell(activeZone.key, activeCell, {
+                      stackLimit: e.target.value === "" ? null : Number(e.target.value),
+                    })
+                  }
+                />
+                <span style={styles.small}>(blank = zone default)</span>
+                <label style={styles.small}>Load limit (t)</label>
+                <input
+                  type="number"
+                  min={LAYOUT_LIMITS.minStackWeightKg / 1000}
+                  max={LAYOUT_LIMITS.maxStackWeightKg / 1000}
+                  placeholder={String(activeZone.maxStackWeightKg / 1000)}
+                  style={numberInput}
+                  value={activeCellSettings.maxWeightKg != null ? activeCellSettings.maxWeightKg / 1000 : ""}
+                  onChange={(e) =>
+                    updateCell(activeZone.key, activeCell, {
+                      maxWeightKg: e.target.value === "" ? null : Number(e.target.value) * 1000,
+                    })
+                  }
+                />
+                <label style={styles.small}>Reefer power</label>
+                <select
+                  style={styles.select}
+                  value={typeof activeCellSettings.powered === "boolean" ? String(activeCellSettings.powered) : ""}
+                  onChange={(e) =>
+                    updateCell(activeZone.key, activeCell, {
+                      powered: e.target.value === "" ? null : e.target.value === "true",
+                    })
+                  }
+                >
+                  <option value="">Zone default</option>
+                  <option value="true">Powered</option>
+                  <option value="false">No power</option>
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div style={{ ...styles.searchRow, justifyContent: "space-between", marginTop: 16 }}>
+          <div style={styles.small}>
+            {hasErrors
+              ? "Fix the zone errors above before applying."
+              : preview.displaced.length
+                ? `${preview.displaced.length} container(s) will go back to the inbound queue: ${preview.displaced.join(", ")}`
+                : "No containers are displaced by this layout."}
+          </div>
+          <button
+            style={{ ...styles.button, opacity: hasErrors ? 0.5 : 1 }}
+            disabled={hasErrors}
+            onClick={() => onApply(preview.nextConfig, preview.renames)}
+          >
+            Apply layout
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { validateOwnerPrefix } from "../yard/ownerCodes";
+
+/**
+ * Owner-code registry (modal)
+ * - Maps container number prefixes (e.g. MSCU) to the company that owns them
+ * - New registrations without a company name take it from here
+ */
+export default function OwnerCodeRegistry({ styles, ownerCodes, onSave, onClose }) {
+  const [rows, setRows] = useState(() =>
+    Object.entries(ownerCodes)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([prefix, company]) => ({ key: prefix, prefix, company }))
+  );
+  const [errors, setErrors] = useState([]);
+
+  function updateRow(key, patch) {
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  }
+
+  function save() {
+    const found = [];
+    const next = {};
+    for (const row of rows) {
+      const prefix = row.prefix.trim().toUpperCase();
+      const company = row.company.trim();
+      const problem = validateOwnerPrefix(prefix);
+      if (problem) found.push(problem);
+      else if (!company) found.push(`${prefix}: company name is required.`);
+      else if (next[prefix]) found.push(`${prefix} is listed twice.`);
+      else next[prefix] = company;
+    }
+    setErrors(found);
+    if (!found.length) onSave(next);
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(560px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Owner codes</div>
+          <button style={styles.button} onClick={onClose}>Cancel</button>
+        </div>
+        <div style={styles.small}>Prefix = ISO 6346 owner code plus equipment category (U, J or Z).</div>
+
+        <div style={{ ...styles.tableWrap, maxHeight: "55vh", overflow: "auto", marginTop: 10 }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Prefix</th>
+                <th style={styles.th}>Company</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key}>
+                  <td style={styles.td}>
+                    <input
+                      style={{ ...styles.input, width: 80 }}
+                      value={row.prefix}
+                      maxLength={4}
+                      onChange={(e) => updateRow(row.key, { prefix: e.target.value.toUpperCase() })}
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <input style={{ ...styles.input, width: "100%" }} value={row.company} onChange={(e) => updateRow(row.key, { company: e.target.value })} />
+                  </td>
+                  <td style={styles.td}>
+                    <button style={styles.rowButton} onClick={() => setRows((prev) => prev.filter((r) => r.key !== row.key))}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {errors.length > 0 && (
+          <div style={{ marginTop: 10, fontSize: 12, color: "#ff8fa3" }}>
+            {errors.map((e) => (
+              <div key={e}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ ...styles.searchRow, justifyContent: "space-between", marginTop: 12 }}>
+          <button
+            style={styles.rowButton}
+            onClick={() => setRows((prev) => [...prev, { key: `new-${Date.now()}`, prefix: "", company: "" }])}
+          >
+            + Add prefix
+          </button>
+          <button style={styles.button} onClick={save}>Save registry</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from "react";
+import { MANUAL_PLACEMENT } from "../yard/placement";
+
+/**
+ * Placement explanation for the selected container
+ * - In the yard: which strategy (or manual override) put it there, and the rule breakdown
+ * - Inbound: the best slots for the current strategy, each placeable with one click
+ */
+export default function PlacementDetails({ styles, container, suggestions, onPlace }) {
+  const placement = container.placement;
+
+  if (!container.slotId) {
+    return (
+      <div style={{ display: "grid", gap: 6 }}>
+        <div style={styles.title}>Suggested slots</div>
+        {suggestions.length === 0 ? (
+          <div style={styles.small}>No slot accepts this container right now.</div>
+        ) : (
+          suggestions.map((s) => (
+            <div key={s.slotId} style={{ ...styles.resultItem, cursor: "default" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                <div style={{ fontWeight: 800, fontSize: 12 }}>{s.slotId}</div>
+                <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                  <span style={styles.badge}>score {s.score}</span>
+                  <button style={styles.rowButton} onClick={() => onPlace(s)}>Place</button>
+                </div>
+              </div>
+              <RuleBreakdown styles={styles} breakdown={s.breakdown} />
+            </div>
+          ))
+        )}
+      </div>
+    );
+  }
+
+  if (!placement) {
+    return <div style={styles.small}>No placement record for this container.</div>;
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <div style={styles.title}>Placement</div>
+      <div style={styles.small}>
+        <b>{placement.strategyLabel}</b>
+        {placement.score != null && <> — score <b>{placement.score}</b></>}
+      </div>
+      {placement.strategy === MANUAL_PLACEMENT ? (
+        <div style={styles.small}>Placed by hand; the auto-placement rules were overridden.</div>
+      ) : placement.note ? (
+        <div style={styles.small}>{placement.note}</div>
+      ) : (
+        <RuleBreakdown styles={styles} breakdown={placement.breakdown} />
+      )}
+    </div>
+  );
+}
+
+function RuleBreakdown({ styles, breakdown }) {
+  if (!breakdown?.length) return <div style={{ ...styles.small, marginTop: 4 }}>No scoring rules (first available slot).</div>;
+  return (
+    <div style={{ display: "grid", gap: 2, marginTop: 4 }}>
+      {breakdown.map((b) => (
+        <div key={b.rule} style={{ display: "flex", justifyContent: "space-between", fontSize: 11, opacity: 0.8 }}>
+          <span>{b.label} ×{b.weight}</span>
+          <span>{b.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
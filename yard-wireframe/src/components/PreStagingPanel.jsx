@@ -0,0 +1,48 @@
+import React from "react";
+
+/**
+ * Pre-staging panel
+ * - Moves that get booked pickups onto a top tier in a gate-side zone before their truck window
+ * - Each becomes a work order on request (one by one, or all at once); once ordered it leaves the list
+ */
+export default function PreStagingPanel({ styles, moves, upcoming, canStage, formatDateTime, onStage, onFocus, onOpenBook }) {
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <div style={styles.title}>
+          Pre-staging <span style={styles.badge}>{moves.length} to move</span>
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          {canStage && moves.length > 1 && (
+            <button style={styles.rowButton} onClick={() => onStage(moves)}>Order all</button>
+          )}
+          <button style={styles.rowButton} onClick={onOpenBook}>Appointments</button>
+        </div>
+      </div>
+
+      {moves.length === 0 ? (
+        <div style={styles.small}>
+          {upcoming ? `Next truck window: ${formatDateTime(upcoming)}. Its containers are ready or already ordered.` : "No trucks booked in the staging lead time."}
+        </div>
+      ) : (
+        <div style={{ display: "grid", gap: 6, maxHeight: 240, overflow: "auto", paddingRight: 4 }}>
+          {moves.map((move) => (
+            <div key={move.containerId} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #22355f" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                <div>
+                  <button style={styles.linkBtn} onClick={() => onFocus(move)}>{move.containerId}</button> {move.fromSlot} → <b>{move.toSlot}</b>
+                </div>
+                {canStage && (
+                  <button style={styles.rowButton} onClick={() => onStage([move])}>Order</button>
+                )}
+              </div>
+              <div style={{ marginTop: 4, opacity: 0.75 }}>
+                {move.reason} · {move.appointment.truckingCompany} {formatDateTime(move.windowStart)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import { readBackup } from "../storage";
+
+/**
+ * Shown instead of the yard when the stored document cannot be loaded
+ * - Lists what is wrong (validation problems or the adapter's error)
+ * - Offers: retry, download the damaged data, restore a backup file or the automatic restore point,
+ *   or start an empty yard — nothing is overwritten until one of them is chosen
+ */
+
+function downloadRaw(raw) {
+  const text = typeof raw === "string" ? raw : JSON.stringify(raw, null, 2);
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "yard-damaged-data.json";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function RecoveryScreen({ styles, storageName, error, restorePoint, formatDateTime, onRetry, onRestore, onStartEmpty }) {
+  const [fileError, setFileError] = useState(null);
+
+  async function chooseFile(e) {
+    const [file] = e.target.files || [];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { backup, doc } = readBackup(await file.text());
+      onRestore(doc, `${file.name} (${backup.reason}, ${formatDateTime(backup.createdAt)})`);
+    } catch (err) {
+      setFileError(err.message);
+    }
+  }
+
+  function restorePointDoc() {
+    try {
+      return readBackup(JSON.stringify(restorePoint)).doc;
+    } catch (err) {
+      setFileError(`The restore point is unusable too: ${err.message}`);
+      return null;
+    }
+  }
+
+  return (
+    <div style={{ ...styles.card, maxWidth: 620, margin: "10vh auto" }}>
+      <div style={styles.title}>The yard could not be loaded</div>
+      <div style={styles.small}>
+        {storageName}: {error.message}
+      </div>
+      {error.problems?.length > 0 && (
+        <ul style={{ fontSize: 12, opacity: 0.85, maxHeight: 160, overflow: "auto", paddingLeft: 18 }}>
+          {error.problems.map((p) => (
+            <li key={p}>{p}</li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button style={styles.button} onClick={onRetry}>Retry</button>
+          {error.raw !== undefined && (
+            <button style={styles.button} onClick={() => downloadRaw(error.raw)}>Download damaged data</button>
+          )}
+        </div>
+        <label style={styles.small}>
+          Restore a backup file: <input type="file" accept=".json,application/json" onChange={chooseFile} />
+        </label>
+        {restorePoint && (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <button
+              style={styles.button}
+              onClick={() => {
+                const doc = restorePointDoc();
+                if (doc) onRestore(doc, `restore point (${restorePoint.reason})`);
+              }}
+            >
+              Restore automatic restore point
+            </button>
+            <span style={styles.small}>
+              {restorePoint.reason}, {formatDateTime(restorePoint.createdAt)}
+            </span>
+          </div>
+        )}
+        <div>
+          <button
+            style={{ ...styles.button, ...styles.buttonDanger }}
+            onClick={() => {
+              if (window.confirm("Start with an empty yard? The damaged data is replaced on the next save.")) onStartEmpty();
+            }}
+          >
+            Start with an empty yard
+          </button>
+        </div>
+        {fileError && <div style={{ fontSize: 12, color: "#ff8fa3" }}>{fileError}</div>}
+      </div>
+    </div>
+  );
+}
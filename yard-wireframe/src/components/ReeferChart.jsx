@@ -0,0 +1,80 @@
+import React from "react";
+import { formatCelsius } from "../yard/reefer";
+
+/**
+ * Temperature history of one reefer (container info panel)
+ * - The line is the recorded temperature, oldest left; the shaded band is set point ± tolerance as it
+ *   stood at each reading, so a set point change shows as a step
+ * - Readings outside the band are drawn red; readings the unit took without power get an orange tick
+ */
+
+const WIDTH = 300;
+const HEIGHT = 110;
+const PAD = { left: 34, right: 6, top: 8, bottom: 18 };
+
+export default function ReeferChart({ styles, readings, setPointC, toleranceC, formatDateTime }) {
+  if (!readings.length) {
+    return <div style={styles.small}>No temperature readings yet.</div>;
+  }
+
+  const times = readings.map((r) => new Date(r.at).getTime());
+  const t0 = times[0];
+  const span = Math.max(1, times[times.length - 1] - t0);
+  const bounds = readings.flatMap((r) => [r.tempC, ...(r.setPointC != null ? [r.setPointC - toleranceC, r.setPointC + toleranceC] : [])]);
+  const low = Math.floor(Math.min(...bounds) - 1);
+  const high = Math.ceil(Math.max(...bounds) + 1);
+  const x = (t) => PAD.left + ((t - t0) / span) * (WIDTH - PAD.left - PAD.right);
+  const y = (c) => PAD.top + ((high - c) / (high - low)) * (HEIGHT - PAD.top - PAD.bottom);
+  const outside = (r) => r.setPointC != null && Math.abs(r.tempC - r.setPointC) > toleranceC;
+
+  // One band segment per reading, up to the next one (the last reading gets a sliver)
+  const band = readings.map((r, i) => {
+    if (r.setPointC == null) return null;
+    const from = x(times[i]);
+    const to = i + 1 < readings.length ? x(times[i + 1]) : from + 2;
+    return <rect key={r.at} x={from} width={Math.max(1, to - from)} y={y(r.setPointC + toleranceC)} height={y(r.setPointC - toleranceC) - y(r.setPointC + toleranceC)} fill="rgba(125,255,178,0.12)" />;
+  });
+
+  const last = readings[readings.length - 1];
+  return (
+    <div style={{ display: "grid", gap: 4 }}>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: "100%", height: "auto", background: "#0b1430", border: "1px solid #22355f", borderRadius: 10 }}
+        role="img"
+        aria-label={`Temperature history: ${readings.length} readings, last ${formatCelsius(last.tempC)}${setPointC != null ? `, set point ${formatCelsius(setPointC)}` : ""}`}
+      >
+        {band}
+        {[high, (high + low) / 2, low].map((c) => (
+          <g key={c}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(c)} y2={y(c)} stroke="#22355f" strokeWidth={0.5} />
+            <text x={PAD.left - 4} y={y(c) + 3} textAnchor="end" fontSize={8} fill="#e7eefc" opacity={0.7}>
+              {Math.round(c * 10) / 10}°
+            </text>
+          </g>
+        ))}
+        <polyline
+          points={readings.map((r, i) => `${x(times[i]).toFixed(1)},${y(r.tempC).toFixed(1)}`).join(" ")}
+          fill="none"
+          stroke="#86a8ff"
+          strokeWidth={1.2}
+        />
+        {readings.map((r, i) => (
+          <g key={r.at}>
+            {outside(r) && <circle cx={x(times[i])} cy={y(r.tempC)} r={1.8} fill="#ff8fa3" />}
+            {r.powered === false && <line x1={x(times[i])} x2={x(times[i])} y1={HEIGHT - PAD.bottom} y2={HEIGHT - PAD.bottom + 4} stroke="#ffb366" strokeWidth={1.5} />}
+          </g>
+        ))}
+        <text x={PAD.left} y={HEIGHT - 4} fontSize={8} fill="#e7eefc" opacity={0.7}>
+          {formatDateTime(readings[0].at)}
+        </text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" fontSize={8} fill="#e7eefc" opacity={0.7}>
+          {formatDateTime(last.at)}
+        </text>
+      </svg>
+      <div style={{ ...styles.small, fontSize: 11 }}>
+        {readings.length} reading{readings.length === 1 ? "" : "s"} · band = set point ± {toleranceC} K · red: out of range · orange tick: no power
+      </div>
+    </div>
+  );
+}
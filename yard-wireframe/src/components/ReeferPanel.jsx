@@ -0,0 +1,78 @@
+import React from "react";
+import { TELEMETRY_OFF } from "../telemetry";
+import { formatCelsius } from "../yard/reefer";
+
+/**
+ * Reefers panel
+ * - Every reefer in the yard with its last reading against its set point; alarms as in the Alerts panel
+ * - Picks the telemetry source (simulator, HTTP, off); readings are polled on the source's interval and
+ *   "Read now" polls at once
+ * - Power points: how many powered slots hold a reefer
+ */
+
+const SEVERITY_COLORS = { warning: "#ffd479", critical: "#ff8fa3" };
+
+export default function ReeferPanel({ styles, units, alarms, power, sources, sourceId, status, canPoll, onSelectSource, onPoll, onFocus, formatDateTime }) {
+  const open = alarms.filter((a) => !a.acknowledged);
+  const worst = (cid) => {
+    const own = open.filter((a) => a.containerId === cid);
+    return own.find((a) => a.severity === "critical") || own[0] || null;
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={styles.title}>
+          Reefers{" "}
+          <span style={{ ...styles.badge, ...(open.length ? { color: SEVERITY_COLORS.critical, border: `1px solid ${SEVERITY_COLORS.critical}` } : null) }}>
+            {units.length} unit{units.length === 1 ? "" : "s"}
+            {open.length ? `, ${open.length} alarm${open.length === 1 ? "" : "s"}` : ""}
+          </span>
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <select style={{ ...styles.select, padding: "4px 6px", fontSize: 11 }} value={sourceId} onChange={(e) => onSelectSource(e.target.value)} title="Telemetry source">
+            <option value={TELEMETRY_OFF}>Telemetry off</option>
+            {Object.entries(sources).map(([id, source]) => (
+              <option key={id} value={id}>{source.label}</option>
+            ))}
+          </select>
+          <button style={styles.rowButton} disabled={!canPoll || sourceId === TELEMETRY_OFF || !units.length} onClick={onPoll}>
+            Read now
+          </button>
+        </div>
+      </div>
+
+      <div style={styles.small}>
+        Power points: <b>{power.used}</b> / {power.slots} powered slots in use
+      </div>
+      {status && (
+        <div style={{ ...styles.small, fontSize: 11, marginTop: 4, ...(status.error ? { color: SEVERITY_COLORS.critical } : null) }}>
+          {status.feed} @ {formatDateTime(status.finishedAt)}:{" "}
+          {status.error || `${status.readings.length} reading${status.readings.length === 1 ? "" : "s"}${status.rejected.length ? `, ${status.rejected.length} rejected` : ""}`}
+        </div>
+      )}
+
+      {units.length === 0 ? (
+        <div style={{ ...styles.small, marginTop: 6 }}>No reefers in the yard.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 4, marginTop: 6, maxHeight: 220, overflow: "auto", paddingRight: 4 }}>
+          {units.map((unit) => {
+            const alarm = worst(unit.containerId);
+            return (
+              <div key={unit.containerId} style={{ fontSize: 11, display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                <div>
+                  <button style={styles.linkBtn} onClick={() => onFocus(unit.containerId)}>{unit.containerId}</button>{" "}
+                  <span style={{ opacity: 0.75 }}>{unit.slotId}{unit.powered ? "" : " (no power)"}</span>
+                </div>
+                <div style={{ textAlign: "right", ...(alarm ? { color: SEVERITY_COLORS[alarm.severity] } : null) }} title={alarm?.message}>
+                  <b>{unit.last ? formatCelsius(unit.last.tempC) : "no reading"}</b>
+                  <span style={{ opacity: 0.75 }}> / set {unit.setPointC != null ? formatCelsius(unit.setPointC) : "—"}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+
+/**
+ * Retrieval plan for the selected container
+ * - Lists each relocation (with its temporary slot) and the final retrieval
+ * - The same plan is drawn as an overlay on the bay view while it is shown
+ */
+export default function RetrievalPlan({ styles, container, plan, onShow, onHide, onJumpToSlot }) {
+  if (!container.slotId) return null;
+
+  if (!plan) {
+    return (
+      <div>
+        <button style={styles.rowButton} onClick={onShow}>Plan retrieval</button>
+      </div>
+    );
+  }
+
+  const relocations = plan.steps.filter((s) => s.type === "RELOCATE").length;
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={styles.title}>Retrieval plan</div>
+        <button style={styles.rowButton} onClick={onHide}>Hide</button>
+      </div>
+      <div style={styles.small}>
+        {relocations === 0 ? "Top of stack — no rehandles needed." : `${relocations} rehandle move(s) before pickup.`}
+      </div>
+      {plan.error && <div style={{ fontSize: 12, color: "#ff8fa3" }}>{plan.error}</div>}
+      <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 4 }}>
+        {plan.steps.map((step) => (
+          <li key={step.step} style={{ fontSize: 12 }}>
+            {step.type === "RELOCATE" ? (
+              <>
+                Move <b>{step.cid}</b> from {step.from} to{" "}
+                <button style={styles.linkBtn} onClick={() => onJumpToSlot(step.to)} title="Show in bay view">
+                  {step.to}
+                </button>{" "}
+                (tier {step.tier})
+              </>
+            ) : (
+              <>
+                Retrieve <b>{step.cid}</b> from {step.from}
+              </>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
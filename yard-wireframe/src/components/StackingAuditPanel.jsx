@@ -0,0 +1,42 @@
+import React from "react";
+import { STACKING_KINDS } from "../yard/stacking";
+
+/**
+ * Stacking audit panel
+ * - Every stack that breaks a weight or size rule as it stands now: heavier on lighter, 40FT on 20FT,
+ *   over the slot's load limit
+ * - New placements and restacks cannot cause these; they come from layout edits (a lower load limit)
+ *   or from stacks built before weights were recorded
+ * - A row jumps to its slot; restack or move the named containers to clear it
+ */
+export default function StackingAuditPanel({ styles, violations, unweighed, onFocusSlot }) {
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>
+        Stacking audit{" "}
+        <span style={{ ...styles.badge, ...(violations.length ? { color: "#ff8fa3", border: "1px solid #ff8fa3" } : null) }}>
+          {violations.length ? `${violations.length} violation${violations.length === 1 ? "" : "s"}` : "clean"}
+        </span>
+      </div>
+
+      {violations.length === 0 ? (
+        <div style={styles.small}>Every stack is within its load limit, heavy units low, no 40FT on a 20FT.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 4, maxHeight: 200, overflow: "auto", paddingRight: 4 }}>
+          {violations.map((v) => (
+            <div key={`${v.slotId}:${v.kind}:${v.containerId}:${v.otherId}`} style={{ fontSize: 11 }}>
+              <button style={styles.linkBtn} onClick={() => onFocusSlot(v.slotId)}>{v.slotId}</button>{" "}
+              <b>{STACKING_KINDS[v.kind]}</b> <span style={{ opacity: 0.8 }}>{v.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {unweighed > 0 && (
+        <div style={{ ...styles.small, marginTop: 6 }}>
+          {unweighed} container{unweighed === 1 ? "" : "s"} in the yard without a gross weight; they are not checked.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import { EVENT_TYPES } from "../yard/events";
+
+/**
+ * Sync conflicts (modal)
+ * - Lists this operator's changes that another tab/operator made impossible in the meantime
+ * - Each can be dropped, or — for placements, moves and work orders — re-planned onto the best free slot now
+ */
+
+function describeEvent(event) {
+  switch (event.type) {
+    case EVENT_TYPES.CONTAINER_PLACED:
+      return `Place ${event.containerId} in ${event.toSlot}`;
+    case EVENT_TYPES.CONTAINER_MOVED:
+      return `Move ${event.containerId} ${event.fromSlot} → ${event.toSlot}`;
+    case EVENT_TYPES.WORK_ORDER_CREATED:
+      return `Work order: ${event.containerId} ${event.fromSlot || "inbound"} → ${event.toSlot}`;
+    case EVENT_TYPES.CONTAINER_RESTACKED:
+      return `Restack ${event.containerId} in ${event.fromSlot}`;
+    default:
+      return `${event.type.replace(/_/g, " ").toLowerCase()}${event.containerId ? ` ${event.containerId}` : ""}`;
+  }
+}
+
+function canReplan(conflict) {
+  const replannable = [EVENT_TYPES.CONTAINER_PLACED, EVENT_TYPES.CONTAINER_MOVED, EVENT_TYPES.WORK_ORDER_CREATED];
+  return conflict.events.some((e) => replannable.includes(e.type));
+}
+
+export default function SyncConflictDialog({ styles, conflicts, formatDateTime, onDiscard, onReplan }) {
+  return (
+    <div style={styles.searchOverlay}>
+      <div style={{ ...styles.searchModal, width: "min(640px, 96vw)" }} role="alertdialog" aria-labelledby="sync-conflict-title">
+        <div id="sync-conflict-title" style={styles.title}>
+          {conflicts.length === 1 ? "A change of yours" : `${conflicts.length} changes of yours`} clashed with another operator
+        </div>
+        <div style={styles.small}>
+          Someone else changed the yard at the same time, so these could not be applied. Nothing has been saved for them yet.
+        </div>
+
+        <div style={{ display: "grid", gap: 8, marginTop: 12, maxHeight: "55vh", overflow: "auto" }}>
+          {conflicts.map((conflict) => (
+            <div key={conflict.batchId} style={{ padding: 10, borderRadius: 12, border: "1px solid #7b2a3f", background: "#0b1430" }}>
+              <div style={{ fontSize: 11, opacity: 0.75 }}>{formatDateTime(conflict.events[0].at)}</div>
+              <ul style={{ margin: "6px 0", paddingLeft: 18, fontSize: 12 }}>
+                {conflict.events.map((e) => (
+                  <li key={e.id}>{describeEvent(e)}</li>
+                ))}
+              </ul>
+              <div style={{ fontSize: 12, color: "#ff8fa3" }}>{conflict.reason}</div>
+              <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                {canReplan(conflict) && (
+                  <button style={styles.rowButton} onClick={() => onReplan(conflict)}>Place on best free slot</button>
+                )}
+                <button style={styles.rowButton} onClick={() => onDiscard(conflict)}>Discard my change</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { ACTION_LABELS, PERMISSIONS, ROLES, userIdFromName, validateUsers } from "../auth";
+
+/**
+ * Users and roles (modal)
+ * - Admins add, rename and remove local users and change their role and PIN; everyone else sees the list read-only,
+ *   PINs hidden
+ * - The permission matrix shows what each role may do
+ */
+export default function UserDirectory({ styles, users, currentUserId, canManage, onSave, onClose }) {
+  const [rows, setRows] = useState(() => users.map((u) => ({ ...u, key: u.id })));
+  const [error, setError] = useState(null);
+
+  function updateRow(key, patch) {
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  }
+
+  function save() {
+    // Existing users keep their ID (it is stamped on their events); new ones get one from their name
+    const next = rows.map((row) => ({
+      id: row.id || userIdFromName(row.name),
+      name: row.name.trim(),
+      role: row.role,
+      ...(row.pin?.trim() ? { pin: row.pin.trim() } : {}),
+    }));
+    const problem = next.some((u) => !u.id) ? "Every user needs a name." : validateUsers(next);
+    setError(problem);
+    if (!problem) onSave(next);
+  }
+
+  return (
+    <div style={styles.searchOverlay} onClick={onClose}>
+      <div style={{ ...styles.searchModal, width: "min(720px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={styles.title}>Users and roles</div>
+          <button style={styles.button} onClick={onClose}>{canManage ? "Cancel" : "Close"}</button>
+        </div>
+        <div style={styles.small}>
+          Local users only: anyone at this browser can switch user in the header, but becoming someone who may do more takes
+          their PIN. Admins need one. Changes are stamped with the user's ID.
+        </div>
+
+        <div style={{ ...styles.tableWrap, maxHeight: "30vh", overflow: "auto", marginTop: 10 }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Name</th>
+                <th style={styles.th}>ID</th>
+                <th style={styles.th}>Role</th>
+                <th style={styles.th}>PIN</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key}>
+                  <td style={styles.td}>
+                    <input
+                      style={{ ...styles.input, width: "100%" }}
+                      value={row.name}
+                      disabled={!canManage}
+                      onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                    />
+                  </td>
+                  <td style={{ ...styles.td, opacity: 0.75 }}>{row.id || userIdFromName(row.name) || "—"}</td>
+                  <td style={styles.td}>
+                    <select style={styles.select} value={row.role} disabled={!canManage} onChange={(e) => updateRow(row.key, { role: e.target.value })}>
+                      {ROLES.map((role) => (
+                        <option key={role.id} value={role.id}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={styles.td}>
+                    {canManage ? (
+                      <input
+                        style={{ ...styles.input, width: 90 }}
+                        type="password"
+                        inputMode="numeric"
+                        maxLength={8}
+                        placeholder="none"
+                        value={row.pin || ""}
+                        onChange={(e) => updateRow(row.key, { pin: e.target.value })}
+                      />
+                    ) : (
+                      <span style={{ opacity: 0.75 }}>{row.pin ? "set" : "—"}</span>
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    {canManage && row.id !== currentUserId && (
+                      <button style={styles.rowButton} onClick={() => setRows((prev) => prev.filter((r) => r.key !== row.key))}>
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff8fa3" }}>{error}</div>}
+
+        {canManage && (
+          <div style={{ ...styles.searchRow, justifyContent: "space-between", marginTop: 12 }}>
+            <button
+              style={styles.rowButton}
+              onClick={() => setRows((prev) => [...prev, { key: `new-${Date.now()}`, id: "", name: "", role: "viewer" }])}
+            >
+              + Add user
+            </button>
+            <button style={styles.button} onClick={save}>Save users</button>
+          </div>
+        )}
+
+        <div style={{ ...styles.title, marginTop: 14 }}>Permissions</div>
+        <div style={{ ...styles.tableWrap, maxHeight: "30vh", overflow: "auto" }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Action</th>
+                {ROLES.map((role) => (
+                  <th key={role.id} style={{ ...styles.th, textAlign: "center" }}>{role.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(PERMISSIONS).map(([action, roles]) => (
+                <tr key={action}>
+                  <td style={styles.td}>{ACTION_LABELS[action]}</td>
+                  {ROLES.map((role) => (
+                    <td key={role.id} style={{ ...styles.td, textAlign: "center" }}>{roles.includes(role.id) ? "✓" : ""}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import React, { useState } from "react";
+import { EQUIPMENT_KINDS, ORDER_STATUS, equipmentDrivers, isOpenOrder, normalizeEquipment } from "../yard/workOrders";
+
+/**
+ * Work-order queue
+ * - Open orders oldest first, filterable by equipment; finished ones on request
+ * - Planners dispatch (equipment + driver) or cancel; drivers start, complete or fail with a reason
+ * - The equipment list is edited inline, like the alert thresholds
+ */
+
+const STATUS_COLORS = {
+  [ORDER_STATUS.PENDING]: "#9fb3d9",
+  [ORDER_STATUS.DISPATCHED]: "#ffd479",
+  [ORDER_STATUS.IN_PROGRESS]: "#7ee0b5",
+  [ORDER_STATUS.COMPLETED]: "#7ee0b5",
+  [ORDER_STATUS.FAILED]: "#ff8fa3",
+  [ORDER_STATUS.CANCELLED]: "#9fb3d9",
+};
+
+const UNASSIGNED = "__unassigned";
+
+function statusLabel(status) {
+  return status.replace(/_/g, " ").toLowerCase();
+}
+
+export default function WorkOrderQueue({
+  styles,
+  orders,
+  equipment,
+  canDispatch,
+  canExecute,
+  canEditEquipment,
+  formatDateTime,
+  onDispatch,
+  onStart,
+  onComplete,
+  onFail,
+  onCancel,
+  onSaveEquipment,
+  onFocus,
+}) {
+  const [filter, setFilter] = useState("");
+  const [showFinished, setShowFinished] = useState(false);
+  const [drafts, setDrafts] = useState({}); // { [orderId]: { equipmentId, driver, reason } }
+  const [editing, setEditing] = useState(null); // equipment rows while the editor is open
+
+  const drivers = equipmentDrivers(equipment);
+  const open = orders.filter(isOpenOrder);
+  const shown = orders.filter(
+    (o) =>
+      (showFinished || isOpenOrder(o)) &&
+      (!filter || (filter === UNASSIGNED ? !o.equipmentId : o.equipmentId === filter))
+  );
+
+  // Picking another unit suggests its usual driver
+  function draftFor(order) {
+    const draft = drafts[order.id] || {};
+    const unit = equipment.find((e) => e.id === (draft.equipmentId ?? order.equipmentId)) || equipment[0];
+    return {
+      equipmentId: unit?.id ?? "",
+      driver: draft.driver ?? (draft.equipmentId ? unit?.driver : order.driver || unit?.driver) ?? "",
+      reason: draft.reason ?? "",
+    };
+  }
+
+  function updateDraft(orderId, patch) {
+    setDrafts((prev) => ({ ...prev, [orderId]: { ...prev[orderId], ...patch } }));
+  }
+
+  function clearDraft(orderId) {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[orderId];
+      return next;
+    });
+  }
+
+  function run(order, action) {
+    if (action()) clearDraft(order.id);
+  }
+
+  function saveEquipment() {
+    if (onSaveEquipment(normalizeEquipment(editing))) setEditing(null);
+  }
+
+  const smallInput = { ...styles.input, minWidth: 0, padding: "4px 6px", fontSize: 11 };
+  const smallSelect = { ...styles.select, padding: "4px 6px", fontSize: 11 };
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={styles.title}>
+          Work orders <span style={styles.badge}>{open.length} open</span>
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <select style={smallSelect} value={filter} onChange={(e) => setFilter(e.target.value)} title="Filter by equipment">
+            <option value="">All equipment</option>
+            <option value={UNASSIGNED}>Unassigned</option>
+            {equipment.map((unit) => (
+              <option key={unit.id} value={unit.id}>{unit.id}</option>
+            ))}
+          </select>
+          <label style={styles.small}>
+            <input type="checkbox" checked={showFinished} onChange={(e) => setShowFinished(e.target.checked)} /> Finished
+          </label>
+          {canEditEquipment && (
+            <button style={styles.rowButton} onClick={() => setEditing(editing ? null : equipment.map((u) => ({ ...u })))}>
+              Equipment
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <div style={{ display: "grid", gap: 4, margin: "4px 0 8px" }}>
+          {editing.map((unit, idx) => (
+            <div key={idx} style={{ display: "flex", gap: 6 }}>
+              <input
+                style={{ ...smallInput, width: 70, flex: "none" }}
+                placeholder="ID"
+                value={unit.id}
+                onChange={(e) => setEditing((prev) => prev.map((u, i) => (i === idx ? { ...u, id: e.target.value } : u)))}
+              />
+              <select
+                style={smallSelect}
+                value={unit.kind}
+                onChange={(e) => setEditing((prev) => prev.map((u, i) => (i === idx ? { ...u, kind: e.target.value } : u)))}
+              >
+                {EQUIPMENT_KINDS.map((kind) => (
+                  <option key={kind.id} value={kind.id}>{kind.label}</option>
+                ))}
+              </select>
+              <input
+                style={smallInput}
+                placeholder="Driver"
+                value={unit.driver}
+                onChange={(e) => setEditing((prev) => prev.map((u, i) => (i === idx ? { ...u, driver: e.target.value } : u)))}
+              />
+              <button style={styles.rowButton} onClick={() => setEditing((prev) => prev.filter((_, i) => i !== idx))}>✕</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 6, justifyContent: "space-between" }}>
+            <button style={styles.rowButton} onClick={() => setEditing((prev) => [...prev, { id: "", kind: EQUIPMENT_KINDS[0].id, driver: "" }])}>
+              + Add equipment
+            </button>
+            <button style={styles.rowButton} onClick={saveEquipment}>Save</button>
+          </div>
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <div style={styles.small}>{open.length ? "No orders for this equipment." : "No open work orders. Placing or moving a container creates one."}</div>
+      ) : (
+        <div style={{ display: "grid", gap: 6, maxHeight: 320, overflow: "auto", paddingRight: 4 }}>
+          {shown.map((order) => {
+            const draft = draftFor(order);
+            const last = order.history[order.history.length - 1];
+            const canAssign = canDispatch && (order.status === ORDER_STATUS.PENDING || order.status === ORDER_STATUS.DISPATCHED);
+            return (
+              <div key={order.id} style={{ fontSize: 11, padding: "6px 8px", borderRadius: 10, border: "1px solid #22355f", opacity: isOpenOrder(order) ? 1 : 0.6 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+                  <div>
+                    <button style={styles.linkBtn} onClick={() => onFocus(order)}>{order.containerId}</button>{" "}
+                    {order.fromSlot || "Inbound"} → <b>{order.toSlot}</b>
+                  </div>
+                  <span style={{ ...styles.badge, color: STATUS_COLORS[order.status], border: `1px solid ${STATUS_COLORS[order.status]}` }}>
+                    {statusLabel(order.status)}
+                  </span>
+                </div>
+                <div style={{ marginTop: 4, opacity: 0.75 }}>
+                  {order.id} · {order.equipmentId ? `${order.equipmentId}, ${order.driver || "no driver"}` : "unassigned"} · {formatDateTime(last.at)} by {last.actor}
+                  {last.note ? ` — ${last.note}` : ""}
+                </div>
+
+                {isOpenOrder(order) && (
+                  <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+                    {canAssign && (
+                      <>
+                        <select style={smallSelect} value={draft.equipmentId} onChange={(e) => updateDraft(order.id, { equipmentId: e.target.value, driver: undefined })}>
+                          {equipment.map((unit) => (
+                            <option key={unit.id} value={unit.id}>{unit.id}</option>
+                          ))}
+                        </select>
+                        <select style={smallSelect} value={draft.driver} onChange={(e) => updateDraft(order.id, { driver: e.target.value })}>
+                          {drivers.map((driver) => (
+                            <option key={driver} value={driver}>{driver}</option>
+                          ))}
+                        </select>
+                        <button
+                          style={styles.rowButton}
+                          disabled={!draft.equipmentId}
+                          onClick={() => run(order, () => onDispatch(order, draft.equipmentId, draft.driver))}
+                        >
+                          {order.status === ORDER_STATUS.PENDING ? "Dispatch" : "Reassign"}
+                        </button>
+                      </>
+                    )}
+                    {canExecute && order.status === ORDER_STATUS.DISPATCHED && (
+                      <button style={styles.rowButton} onClick={() => run(order, () => onStart(order))}>Start</button>
+                    )}
+                    {canExecute && order.status === ORDER_STATUS.IN_PROGRESS && (
+                      <button style={styles.rowButton} onClick={() => run(order, () => onComplete(order))}>Complete</button>
+                    )}
+                    {(canExecute || canDispatch) && (
+                      <input
+                        style={{ ...smallInput, flex: 1 }}
+                        placeholder="Reason (fail / cancel)"
+                        value={draft.reason}
+                        onChange={(e) => updateDraft(order.id, { reason: e.target.value })}
+                      />
+                    )}
+                    {canExecute && order.status !== ORDER_STATUS.PENDING && (
+                      <button style={styles.rowButton} onClick={() => run(order, () => onFail(order, draft.reason.trim()))}>Fail</button>
+                    )}
+                    {canDispatch && order.status !== ORDER_STATUS.IN_PROGRESS && (
+                      <button style={styles.rowButton} onClick={() => run(order, () => onCancel(order, draft.reason.trim()))}>Cancel</button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
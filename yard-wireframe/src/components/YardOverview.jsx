@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from "react";
+import { buildSlotId, isSlotBlocked, isSlotPowered, slotStackLimit } from "../yard/layout";
+import { isHazardous } from "../yard/containerModel";
+import { slotDwell } from "../yard/dwell";
+
+/**
+ * Whole-yard overview
+ * - Every zone drawn as a rows × cols grid of cells, zoomable with the slider
+ * - Heat layers: fill level against the slot's stack limit, average dwell, rearranged slots, reefer/hazmat
+ * - The bay shown in the rack is framed; clicking a cell jumps the rack to that slot
+ */
+
+const OVERVIEW_LAYERS = {
+  fill: "Fill level",
+  dwell: "Average dwell",
+  changed: "Rearranged",
+  special: "Reefer / hazmat",
+};
+
+const DWELL_SCALE_DAYS = 14; // full colour at two weeks
+const MIN_CELL = 12;
+const MAX_CELL = 44;
+const BLOCKED_BG = "repeating-linear-gradient(45deg, #1d1420, #1d1420 3px, #0b1430 3px, #0b1430 6px)";
+
+const heat = (rgb, t) => `rgba(${rgb}, ${(0.12 + 0.78 * Math.min(1, t)).toFixed(2)})`;
+
+function slotCell(layer, { stack, limit, containers, changed, now }) {
+  if (layer === "fill") {
+    return {
+      background: stack.length ? heat("134,168,255", stack.length / limit) : "#0b1430",
+      text: `${stack.length}/${limit}`,
+      detail: `${stack.length} of ${limit} tiers used`,
+    };
+  }
+  if (layer === "dwell") {
+    const dwell = slotDwell(stack, containers, now);
+    if (!dwell) return { background: "#0b1430", text: "", detail: "empty" };
+    const { avg } = dwell;
+    return { background: heat("255,143,102", avg / DWELL_SCALE_DAYS), text: avg.toFixed(0), detail: `average dwell ${avg.toFixed(1)} days` };
+  }
+  if (layer === "changed") {
+    return changed
+      ? { background: "rgba(255,209,102,0.55)", text: "●", detail: "rearranged since last snapshot" }
+      : { background: "#0b1430", text: "", detail: "unchanged" };
+  }
+  const reefers = stack.filter((cid) => containers[cid]?.type === "REEFER").length;
+  const hazmat = stack.filter((cid) => isHazardous(containers[cid])).length;
+  const parts = [reefers && `${reefers} reefer`, hazmat && `${hazmat} hazmat`].filter(Boolean);
+  let background = "#0b1430";
+  if (hazmat) background = "rgba(255,143,163,0.6)";
+  else if (reefers) background = "rgba(126,200,255,0.55)";
+  else if (stack.length) background = "#16223c";
+  return { background, text: hazmat ? "☢" : reefers ? "❄" : "", detail: parts.join(", ") || `${stack.length} other` };
+}
+
+function Legend({ layer }) {
+  const items = {
+    fill: [
+      ["#0b1430", "empty"],
+      [heat("134,168,255", 0.5), "part full"],
+      [heat("134,168,255", 1), "full"],
+    ],
+    dwell: [
+      [heat("255,143,102", 0), "< 1 day"],
+      [heat("255,143,102", 0.5), `${DWELL_SCALE_DAYS / 2} days`],
+      [heat("255,143,102", 1), `${DWELL_SCALE_DAYS}+ days`],
+    ],
+    changed: [["rgba(255,209,102,0.55)", "rearranged"]],
+    special: [
+      ["rgba(126,200,255,0.55)", "reefer"],
+      ["rgba(255,143,163,0.6)", "hazmat"],
+      ["#16223c", "other"],
+    ],
+  }[layer];
+  return (
+    <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 11, opacity: 0.85 }}>
+      {items.map(([color, label]) => (
+        <span key={label} style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+          <span style={{ width: 12, height: 12, borderRadius: 3, background: color, border: "1px solid #22355f" }} />
+          {label}
+        </span>
+      ))}
+      <span style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+        <span style={{ width: 12, height: 12, borderRadius: 3, background: BLOCKED_BG, border: "1px solid #22355f" }} />
+        blocked
+      </span>
+      {layer === "special" && (
+        <span style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+          <span style={{ width: 12, height: 12, borderRadius: 3, border: "2px solid #7dffb2" }} />
+          powered
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default function YardOverview({ styles, config, layout, containers, changedSlots, now, selectedSlotId, selectedZone, selectedBay, onSelectSlot }) {
+  const [layer, setLayer] = useState("fill");
+  const [cellSize, setCellSize] = useState(22);
+
+  const cells = useMemo(() => {
+    const result = {};
+    for (const zone of config.zones) {
+      for (let r = 1; r <= zone.rows; r++) {
+        for (let c = 1; c <= zone.cols; c++) {
+          const slotId = buildSlotId(zone.id, r, c);
+          const stack = layout[slotId] || [];
+          const blocked = isSlotBlocked(config, slotId);
+          const cell = slotCell(layer, {
+            stack,
+            limit: slotStackLimit(config, slotId),
+            containers,
+            changed: changedSlots.has(slotId),
+            now,
+          });
+          result[slotId] = { ...cell, blocked, powered: isSlotPowered(config, slotId) };
+        }
+      }
+    }
+    return result;
+  }, [config, layout, containers, changedSlots, layer, now]);
+
+  const showText = cellSize >= 30;
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 8 }}>
+        <div style={styles.title}>Yard overview</div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <select style={styles.select} value={layer} onChange={(e) => setLayer(e.target.value)} aria-label="Heat layer">
+            {Object.entries(OVERVIEW_LAYERS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <label style={styles.small}>
+            Zoom{" "}
+            <input
+              type="range"
+              min={MIN_CELL}
+              max={MAX_CELL}
+              step={2}
+              value={cellSize}
+              onChange={(e) => setCellSize(Number(e.target.value))}
+              style={{ verticalAlign: "middle" }}
+            />
+          </label>
+        </div>
+      </div>
+      <Legend layer={layer} />
+
+      <div style={{ ...styles.yard, marginTop: 10, overflow: "auto", maxHeight: 420 }}>
+        {config.zones.map((zone) => (
+          <div key={zone.id} style={styles.zoneRow}>
+            <div style={styles.zoneLabel}>{zone.id}</div>
+            <div style={styles.zoneGrid(zone.cols, cellSize)}>
+              {Array.from({ length: zone.rows }, (_, ri) =>
+                Array.from({ length: zone.cols }, (_, ci) => {
+                  const slotId = buildSlotId(zone.id, ri + 1, ci + 1);
+                  const cell = cells[slotId];
+                  const inBay = zone.id === selectedZone && ri + 1 === selectedBay;
+                  return (
+                    <button
+                      key={slotId}
+                      type="button"
+                      onClick={() => onSelectSlot(slotId)}
+                      title={`${slotId}${cell.blocked ? " (blocked)" : ""}: ${cell.detail}${cell.powered ? ", powered" : ""}`}
+                      aria-label={`${slotId}: ${cell.blocked ? "blocked" : cell.detail}`}
+                      style={{
+                        width: cellSize,
+                        height: cellSize,
+                        padding: 0,
+                        borderRadius: 4,
+                        fontSize: 9,
+                        color: "#e7eefc",
+                        cursor: "pointer",
+                        background: cell.blocked ? BLOCKED_BG : cell.background,
+                        border: layer === "special" && cell.powered ? "2px solid #7dffb2" : inBay ? "1px solid #86a8ff" : "1px solid #22355f",
+                        outline: slotId === selectedSlotId ? "2px solid #ffffff" : "none",
+                        outlineOffset: 1,
+                      }}
+                    >
+                      {showText && !cell.blocked ? cell.text : ""}
+                    </button>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={styles.hint}>Rows run top to bottom (R01 first); the framed row is the bay shown below. Click a cell to jump there.</div>
+    </div>
+  );
+}
@@ -0,0 +1,348 @@
+import { EVENT_TYPES, applyEvent, effectiveEvents } from "../yard/events";
+import { fromIsoSizeTypeCode, isoSizeTypeCode, normalizeSetPointC, normalizeWeightKg } from "../yard/containerModel";
+import { normalizeContainerNumber, validateContainerNumber } from "../yard/iso6346";
+import { STATUS, isInYard } from "../yard/lifecycle";
+import { placementRejection } from "../yard/placement";
+import { openOrderFor, reservedLayout, reservedTierRejection } from "../yard/workOrders";
+import { elementValue, parseInterchange, serializeInterchange } from "./edifact";
+
+/**
+ * CODECO (gate in/out) and COARRI (discharge/load) ↔ yard events
+ * - readMovements(): one movement per EQD group, with the report entries for anything unusable
+ * - planEdiImport(): movements → event drafts, each checked against the yard as it would be by then
+ * - exportCodeco(): our first placements (gate-in) and gate-outs as a CODECO interchange
+ *
+ * Local conventions on top of the D.95B messages:
+ * - LOC+147 (stowage cell) carries our yard slot ID, e.g. LOC+147+A-R01-C03
+ * - NAD+DR carries the driver reference next to the truck in TDT (C222 transport identification)
+ * - MEA+AAE+VGM (or +G) with KGM carries the gross weight; other measurements are ignored
+ * - TMP+2 (transport temperature) with CEL carries a reefer's set point
+ */
+
+export const MESSAGE_KINDS = {
+  "CODECO:34": "GATE_IN",
+  "CODECO:36": "GATE_OUT",
+  "COARRI:98": "DISCHARGE",
+  "COARRI:46": "LOAD",
+};
+
+const ARRIVALS = new Set(["GATE_IN", "DISCHARGE"]);
+
+export const EDI_PLACEMENT = "edi";
+
+// DTM with format 203 (CCYYMMDDHHMM) or 102 (CCYYMMDD), read as UTC
+function parseEdiDate(value, format) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?$/.exec(value);
+  if (!m || (format === "203" && !m[5]) || (format === "102" && m[4])) return null;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0)));
+  return Number.isNaN(date.getTime()) || date.getUTCDate() !== +m[3] ? null : date.toISOString();
+}
+
+function formatEdiDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:T]/g, "").slice(0, 12);
+}
+
+// Transport details from TDT/NAD/DTM segments; used for both message level and equipment level
+function readDetails(segment, details, report, where) {
+  switch (segment.tag) {
+    case "TDT":
+      details.transportRef = elementValue(segment, 7) || details.transportRef;
+      details.voyage = elementValue(segment, 1) || details.voyage;
+      break;
+    case "NAD": {
+      const qualifier = elementValue(segment, 0);
+      if (qualifier === "CF") details.carrier = elementValue(segment, 1);
+      if (qualifier === "DR") details.driverRef = elementValue(segment, 1);
+      break;
+    }
+    case "DTM": {
+      const [qualifier, value, format] = segment.elements[0] || [];
+      if (qualifier !== "7" && qualifier !== "137") break;
+      const at = parseEdiDate(value || "", format || "203");
+      if (!at) report.push({ severity: "error", segment: segment.index, tag: "DTM", message: `${where}: unreadable date "${value}".` });
+      else if (qualifier === "7" || !details.at) details.at = at;
+      break;
+    }
+    case "MEA": {
+      const [unit, value] = segment.elements[2] || [];
+      if (elementValue(segment, 0) !== "AAE" || !["VGM", "G"].includes(elementValue(segment, 1))) break;
+      const kg = unit === "KGM" ? normalizeWeightKg(value) : null;
+      if (!kg) report.push({ severity: "warning", segment: segment.index, tag: "MEA", message: `${where}: unreadable gross weight "${unit || ""}:${value || ""}", ignored.` });
+      else details.grossWeightKg = kg;
+      break;
+    }
+    case "TMP": {
+      const [value, unit] = segment.elements[1] || [];
+      if (elementValue(segment, 0) !== "2") break;
+      const celsius = unit === "CEL" ? normalizeSetPointC(value) : null;
+      if (celsius == null) report.push({ severity: "warning", segment: segment.index, tag: "TMP", message: `${where}: unreadable set point "${value || ""}:${unit || ""}", ignored.` });
+      else details.setPointC = celsius;
+      break;
+    }
+    case "LOC":
+      if (elementValue(segment, 0) === "147") details.slotId = elementValue(segment, 1).toUpperCase();
+      break;
+    default:
+  }
+}
+
+/**
+ * Returns { movements, report, sender }. A movement is
+ * { kind, containerId, size, type, at, slotId, transportRef, voyage, driverRef, carrier, grossWeightKg, setPointC, segment }.
+ */
+export function readMovements(text) {
+  const interchange = parseInterchange(text);
+  const report = [...interchange.report];
+  const movements = [];
+
+  if (!interchange.messages.length && !report.some((r) => r.severity === "error")) {
+    report.push({ severity: "error", segment: 0, tag: "", message: "No UNH…UNT messages found." });
+  }
+
+  for (const message of interchange.messages) {
+    const bgm = message.segments.find((s) => s.tag === "BGM");
+    const kind = MESSAGE_KINDS[`${message.type}:${elementValue(bgm, 0)}`];
+    if (!kind) {
+      report.push({
+        severity: "error",
+        segment: bgm?.index ?? message.startSegment,
+        tag: bgm ? "BGM" : "UNH",
+        message: `Message ${message.reference}: unsupported ${message.type || "message"} ${bgm ? `document code ${elementValue(bgm, 0)}` : "without BGM"}.`,
+      });
+      continue;
+    }
+
+    const defaults = {};
+    const groups = [];
+    let declaredCount = null;
+    for (const segment of message.segments) {
+      if (segment.tag === "EQD") groups.push({ eqd: segment, segments: [] });
+      else if (segment.tag === "CNT") declaredCount = Number(elementValue(segment, 0, 1));
+      else if (groups.length) groups[groups.length - 1].segments.push(segment);
+      else readDetails(segment, defaults, report, `Message ${message.reference}`);
+    }
+    if (!groups.length) {
+      report.push({ severity: "error", segment: message.startSegment, tag: "UNH", message: `Message ${message.reference} has no EQD segments.` });
+    }
+    if (declaredCount != null && declaredCount !== groups.length) {
+      report.push({ severity: "warning", segment: message.startSegment, tag: "CNT", message: `Message ${message.reference}: CNT says ${declaredCount} containers, found ${groups.length}.` });
+    }
+
+    for (const { eqd, segments } of groups) {
+      const containerId = normalizeContainerNumber(elementValue(eqd, 1));
+      const where = containerId || `EQD at segment ${eqd.index}`;
+      if (elementValue(eqd, 0) !== "CN") {
+        report.push({ severity: "warning", segment: eqd.index, tag: "EQD", message: `${where}: equipment qualifier ${elementValue(eqd, 0)} is not a container, skipped.` });
+        continue;
+      }
+      const number = validateContainerNumber(containerId);
+      if (!number.valid) {
+        report.push({ severity: "error", segment: eqd.index, tag: "EQD", message: number.error });
+        continue;
+      }
+      const details = { ...defaults };
+      const before = report.length;
+      for (const segment of segments) readDetails(segment, details, report, where);
+      if (report.slice(before).some((r) => r.severity === "error")) continue;
+
+      const sizeType = fromIsoSizeTypeCode(elementValue(eqd, 2));
+      if (ARRIVALS.has(kind) && !sizeType) {
+        report.push({ severity: "error", segment: eqd.index, tag: "EQD", message: `${where}: unknown size/type code "${elementValue(eqd, 2)}".` });
+        continue;
+      }
+      if (!details.at) {
+        report.push({ severity: "error", segment: eqd.index, tag: "DTM", message: `${where}: no event date (DTM+7 or DTM+137).` });
+        continue;
+      }
+      movements.push({ kind, containerId, ...sizeType, ...details, segment: eqd.index });
+    }
+  }
+
+  return { movements, report, sender: interchange.sender };
+}
+
+function ediPlacementRecord(at) {
+  return {
+    strategy: EDI_PLACEMENT,
+    strategyLabel: "EDI position",
+    score: null,
+    breakdown: [],
+    note: "Position taken from an imported CODECO/COARRI message.",
+    at,
+  };
+}
+
+// EDI positions go straight into the layout, so they must not take what open work orders have planned
+function directPlacementRejection(state, container, slotId) {
+  const open = openOrderFor(state.workOrders, container.id);
+  if (open) return `it has an open work order (${open.id}); finish or cancel it first.`;
+  return (
+    reservedTierRejection(state.workOrders, state.containers, container, slotId) ||
+    placementRejection({ ...state, layout: reservedLayout(state.layout, state.workOrders, state.containers) }, container, slotId)
+  );
+}
+
+// Drafts for one movement, given the yard state it would apply to; throws with a readable message
+// when nothing of it can be applied, and adds to `notes` when only part of it can
+function movementDrafts(state, movement, notes) {
+  const { kind, containerId: cid, at } = movement;
+  const drafts = [];
+
+  if (ARRIVALS.has(kind)) {
+    let container = state.containers[cid];
+    if (state.archive[cid]) throw new Error(`${cid} has already left the yard.`);
+    if (!container) {
+      container = {
+        id: cid,
+        size: movement.size,
+        type: movement.type,
+        isoCode: movement.code,
+        priority: "NORMAL",
+        ownerName: null,
+        companyName: movement.carrier || null, // otherwise the owner-code registry fills it in
+        material: null,
+        grossWeightKg: movement.grossWeightKg ?? null,
+        setPointC: movement.type === "REEFER" ? (movement.setPointC ?? null) : null,
+        moveInDate: at,
+        moveOutDate: null,
+        createdAt: at,
+        source: "edifact",
+      };
+      drafts.push({ type: EVENT_TYPES.CONTAINER_REGISTERED, containerId: cid, payload: { container } });
+    }
+    const rejection = movement.slotId && movement.slotId !== container.slotId && directPlacementRejection(state, container, movement.slotId);
+    if (rejection) {
+      // The arrival itself still counts; the unit just waits in the inbound queue
+      if (!drafts.length) throw new Error(`${cid} cannot go to ${movement.slotId}: ${rejection}`);
+      notes.push(`${cid} registered but left inbound: ${rejection}`);
+    } else if (movement.slotId && movement.slotId !== container.slotId) {
+      const placed = isInYard(container);
+      drafts.push({
+        type: placed ? EVENT_TYPES.CONTAINER_MOVED : EVENT_TYPES.CONTAINER_PLACED,
+        containerId: cid,
+        fromSlot: container.slotId ?? null,
+        toSlot: movement.slotId,
+        stackIndex: state.layout[movement.slotId]?.length ?? 0,
+        payload: { placement: ediPlacementRecord(at) },
+      });
+    }
+    if (!drafts.length) throw new Error(`${cid} is already registered${container.slotId ? ` in ${container.slotId}` : ""}.`);
+    return drafts;
+  }
+
+  const container = state.containers[cid];
+  if (!container) throw new Error(state.archive[cid] ? `${cid} has already been gated out.` : `${cid} is not known in the yard.`);
+  if (!isInYard(container)) throw new Error(`${cid} is still inbound and cannot leave.`);
+  const truckRef = kind === "LOAD" ? [movement.transportRef, movement.voyage].filter(Boolean).join(" / ") : movement.transportRef;
+  const driverRef = movement.driverRef || (kind === "LOAD" ? "vessel loading" : "");
+  if (!truckRef) throw new Error(`${cid}: no transport identification in TDT.`);
+  if (!driverRef) throw new Error(`${cid}: no driver reference (NAD+DR).`);
+  if (container.status === STATUS.IN_YARD) drafts.push({ type: EVENT_TYPES.CONTAINER_RELEASED, containerId: cid });
+  drafts.push({
+    type: EVENT_TYPES.CONTAINER_GATED_OUT,
+    containerId: cid,
+    fromSlot: container.slotId ?? null,
+    payload: { truckRef, driverRef, departedAt: at },
+  });
+  return drafts;
+}
+
+/**
+ * Turn movements into event drafts (in file order). Movements that do not fit the yard are
+ * reported and skipped; the rest are applied to a scratch copy so later ones see earlier ones.
+ * Returns { drafts, applied: [movement], report }.
+ */
+export function planEdiImport(state, movements) {
+  let scratch = state;
+  const drafts = [];
+  const applied = [];
+  const report = [];
+
+  for (const movement of movements) {
+    try {
+      const notes = [];
+      const next = movementDrafts(scratch, movement, notes);
+      scratch = next.reduce((s, draft) => applyEvent(s, { ...draft, at: movement.at }), scratch);
+      drafts.push(...next);
+      applied.push(movement);
+      for (const message of notes) report.push({ severity: "warning", segment: movement.segment, tag: "LOC", message });
+    } catch (err) {
+      report.push({ severity: "error", segment: movement.segment, tag: "EQD", message: err.message });
+    }
+  }
+  return { drafts, applied, report };
+}
+
+// EQD+CN+<number>+<ISO size/type>:102:5++<supplier>+<full/empty>; we only report full units
+function equipmentSegment(container, cid) {
+  return ["EQD", "CN", cid, [isoSizeTypeCode(container || {}), "102", "5"], "", "", "5"];
+}
+
+function weightSegments(container) {
+  return container?.grossWeightKg ? [["MEA", "AAE", "VGM", ["KGM", String(container.grossWeightKg)]]] : [];
+}
+
+function temperatureSegments(container) {
+  return container?.setPointC != null ? [["TMP", "2", [container.setPointC.toFixed(1), "CEL"]]] : [];
+}
+
+/**
+ * CODECO interchange for effective gate-ins (first placement of each container) and gate-outs
+ * recorded at or after `since`. Returns { text, gateIns, gateOuts }.
+ */
+export function exportCodeco(events, { containers, archive }, { sender, receiver, since = null, at = new Date() }) {
+  const lookup = (cid) => containers[cid] || archive[cid];
+  const placedBefore = new Set();
+  const gateIn = [];
+  const gateOut = [];
+
+  for (const event of effectiveEvents(events)) {
+    if (event.type === EVENT_TYPES.CONTAINER_PLACED) {
+      const first = !placedBefore.has(event.containerId);
+      placedBefore.add(event.containerId);
+      if (!first || (since && event.at < since)) continue;
+      gateIn.push([
+        equipmentSegment(lookup(event.containerId), event.containerId),
+        ["DTM", ["7", formatEdiDate(event.at), "203"]],
+        ["LOC", "147", event.toSlot],
+        ...weightSegments(lookup(event.containerId)),
+        ...temperatureSegments(lookup(event.containerId)),
+      ]);
+    }
+    if (event.type === EVENT_TYPES.CONTAINER_GATED_OUT) {
+      const departedAt = event.payload?.departedAt || event.at;
+      if (since && departedAt < since) continue;
+      gateOut.push([
+        equipmentSegment(lookup(event.containerId), event.containerId),
+        ["DTM", ["7", formatEdiDate(departedAt), "203"]],
+        ...(event.fromSlot ? [["LOC", "147", event.fromSlot]] : []),
+        ["TDT", "1", "", "3", "", "", "", "", [event.payload?.truckRef || ""]],
+        ["NAD", "DR", event.payload?.driverRef || ""],
+      ]);
+    }
+  }
+
+  const stamp = at instanceof Date ? at : new Date(at);
+  const message = (code, groups, label) => ({
+    type: "CODECO",
+    version: "D:95B:UN",
+    segments: [
+      ["BGM", code, `${label}${formatEdiDate(stamp.toISOString())}`, "9"],
+      ["DTM", ["137", formatEdiDate(stamp.toISOString()), "203"]],
+      ...groups.flat(),
+      ["CNT", ["16", String(groups.length)]],
+    ],
+  });
+  const messages = [];
+  if (gateIn.length) messages.push(message("34", gateIn, "GI"));
+  if (gateOut.length) messages.push(message("36", gateOut, "GO"));
+
+  const text = serializeInterchange({
+    sender,
+    receiver,
+    reference: formatEdiDate(stamp.toISOString()).slice(2),
+    at: stamp,
+    messages,
+  });
+  return { text, gateIns: gateIn.length, gateOuts: gateOut.length };
+}
@@ -0,0 +1,195 @@
+/**
+ * UN/EDIFACT syntax layer (no message semantics)
+ * - parseInterchange() splits text into segments → elements → components, honouring the UNA
+ *   service string advice and the release character, and groups segments into UNH…UNT messages
+ * - serializeInterchange() writes UNA/UNB…UNZ around message bodies, escaping as it goes
+ * Problems are collected as report entries { severity, segment, tag, message } instead of thrown.
+ */
+
+const DEFAULT_DELIMITERS = { component: ":", element: "+", decimal: ".", release: "?", segment: "'" };
+
+function readDelimiters(text) {
+  if (!text.startsWith("UNA")) return { delimiters: DEFAULT_DELIMITERS, offset: 0 };
+  const [component, element, decimal, release, , segment] = text.slice(3, 9);
+  return { delimiters: { component, element, decimal, release, segment }, offset: 9 };
+}
+
+// Split on `separator` outside release sequences; release characters are kept so nested splits still see them
+function splitEscaped(text, separator, release) {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === release && i + 1 < text.length) {
+      current += ch + text[i + 1];
+      i++;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unescape(text, release) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === release && i + 1 < text.length) i++;
+    out += text[i];
+  }
+  return out;
+}
+
+/**
+ * Parse raw EDIFACT text.
+ * Returns { delimiters, segments: [{ index, tag, elements: [[component]] }], report }.
+ */
+export function parseSegments(text) {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const { delimiters, offset } = readDelimiters(input);
+  const report = [];
+  const rawSegments = splitEscaped(input.slice(offset), delimiters.segment, delimiters.release);
+
+  const trailing = rawSegments.pop();
+  if (trailing.trim()) {
+    report.push({ severity: "error", segment: rawSegments.length + 1, tag: trailing.trim().slice(0, 3), message: "Last segment is not terminated." });
+    rawSegments.push(trailing);
+  }
+
+  const segments = [];
+  rawSegments.forEach((raw, i) => {
+    const body = raw.replace(/^[\r\n\s]+/, "");
+    const index = i + 1;
+    if (!body) {
+      report.push({ severity: "warning", segment: index, tag: "", message: "Empty segment ignored." });
+      return;
+    }
+    const [tagPart, ...elementParts] = splitEscaped(body, delimiters.element, delimiters.release);
+    const tag = unescape(tagPart, delimiters.release).trim();
+    if (!/^[A-Z]{3}$/.test(tag)) {
+      report.push({ severity: "error", segment: index, tag, message: `Malformed segment tag "${tag.slice(0, 12)}".` });
+      return;
+    }
+    const elements = elementParts.map((part) =>
+      splitEscaped(part, delimiters.component, delimiters.release).map((c) => unescape(c, delimiters.release))
+    );
+    segments.push({ index, tag, elements });
+  });
+
+  return { delimiters, segments, report };
+}
+
+// First component of element `n` (0-based, after the tag), or "" when absent
+export function elementValue(segment, n, component = 0) {
+  return segment?.elements[n]?.[component] ?? "";
+}
+
+/**
+ * Parse an interchange and group its messages.
+ * Returns { sender, receiver, reference, messages: [{ reference, type, version, segments }], report }.
+ */
+export function parseInterchange(text) {
+  const { segments, report } = parseSegments(text);
+  const interchange = { sender: "", receiver: "", reference: "", messages: [], report };
+
+  let message = null;
+  let unzSeen = false;
+  for (const segment of segments) {
+    switch (segment.tag) {
+      case "UNB":
+        interchange.sender = elementValue(segment, 1);
+        interchange.receiver = elementValue(segment, 2);
+        interchange.reference = elementValue(segment, 4);
+        break;
+      case "UNH":
+        if (message) report.push({ severity: "error", segment: segment.index, tag: "UNH", message: `Message ${message.reference} has no UNT.` });
+        message = {
+          reference: elementValue(segment, 0),
+          type: elementValue(segment, 1, 0),
+          version: [1, 2, 3].map((c) => elementValue(segment, 1, c)).filter(Boolean).join(":"),
+          startSegment: segment.index,
+          segments: [],
+        };
+        break;
+      case "UNT": {
+        if (!message) {
+          report.push({ severity: "error", segment: segment.index, tag: "UNT", message: "UNT without a matching UNH." });
+          break;
+        }
+        // The count includes UNH and UNT themselves
+        const declared = Number(elementValue(segment, 0));
+        const actual = message.segments.length + 2;
+        if (declared !== actual) {
+          report.push({ severity: "warning", segment: segment.index, tag: "UNT", message: `Segment count says ${declared}, message has ${actual}.` });
+        }
+        if (elementValue(segment, 1) !== message.reference) {
+          report.push({ severity: "error", segment: segment.index, tag: "UNT", message: `Reference ${elementValue(segment, 1)} does not match UNH ${message.reference}.` });
+        }
+        interchange.messages.push(message);
+        message = null;
+        break;
+      }
+      case "UNZ": {
+        unzSeen = true;
+        const declared = Number(elementValue(segment, 0));
+        if (declared !== interchange.messages.length) {
+          report.push({ severity: "warning", segment: segment.index, tag: "UNZ", message: `Message count says ${declared}, interchange has ${interchange.messages.length}.` });
+        }
+        break;
+      }
+      default:
+        if (!message) {
+          report.push({ severity: "error", segment: segment.index, tag: segment.tag, message: "Segment outside of a UNH…UNT message." });
+        } else {
+          message.segments.push(segment);
+        }
+    }
+  }
+
+  if (message) report.push({ severity: "error", segment: message.startSegment, tag: "UNH", message: `Message ${message.reference} has no UNT.` });
+  if (interchange.sender && !unzSeen) report.push({ severity: "warning", segment: segments.length, tag: "UNZ", message: "Interchange has no UNZ trailer." });
+  return interchange;
+}
+
+function escape(value, delimiters) {
+  const special = new Set([delimiters.component, delimiters.element, delimiters.release, delimiters.segment]);
+  return Array.from(String(value ?? ""))
+    .map((ch) => (special.has(ch) ? delimiters.release + ch : ch))
+    .join("");
+}
+
+function writeSegment([tag, ...elements], delimiters) {
+  const parts = elements.map((element) =>
+    (Array.isArray(element) ? element : [element]).map((c) => escape(c, delimiters)).join(delimiters.component)
+  );
+  // Trailing empty elements are omitted
+  while (parts.length && parts[parts.length - 1].split(delimiters.component).every((c) => c === "")) parts.pop();
+  return [tag, ...parts].join(delimiters.element) + delimiters.segment;
+}
+
+function ediDateTime(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${String(date.getUTCFullYear()).slice(2)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}:${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}`;
+}
+
+/**
+ * Write an interchange. `messages` are { type, version: "D:95B:UN", segments: [[tag, ...elements]] };
+ * an element is a string or an array of components. One segment per line.
+ */
+export function serializeInterchange({ sender, receiver, reference, at = new Date(), messages }) {
+  const d = DEFAULT_DELIMITERS;
+  const lines = [`UNA${d.component}${d.element}${d.decimal}${d.release} ${d.segment}`];
+  const date = at instanceof Date ? at : new Date(at);
+  lines.push(writeSegment(["UNB", ["UNOA", "2"], sender, receiver, ediDateTime(date).split(":"), reference], d));
+  messages.forEach((message, i) => {
+    const ref = String(i + 1);
+    lines.push(writeSegment(["UNH", ref, [message.type, ...message.version.split(":")]], d));
+    for (const segment of message.segments) lines.push(writeSegment(segment, d));
+    lines.push(writeSegment(["UNT", String(message.segments.length + 2), ref], d));
+  });
+  lines.push(writeSegment(["UNZ", String(messages.length), reference], d));
+  return lines.join("\n") + "\n";
+}
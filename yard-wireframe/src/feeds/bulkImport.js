@@ -0,0 +1,106 @@
+import { parseCsv } from "../lib/csv";
+import { readXlsxRows } from "../lib/xlsx";
+import { EVENT_TYPES } from "../yard/events";
+import { placeInLayout } from "../yard/layout";
+import { placementRejection } from "../yard/placement";
+import { reservedLayout, reservedTierRejection } from "../yard/workOrders";
+import { fieldValue, mapExternalRecord } from "./mapping";
+
+/**
+ * Bulk container master-data import (CSV or XLSX)
+ * - readSpreadsheet(): file → [{ rowNumber, record }] keyed by the header row, blank rows skipped
+ * - previewImport(): every row checked against the yard as planned (open work orders hold their tiers) and the
+ *   rows above it; nothing is committed
+ * - importDrafts(): REGISTERED (+ PLACED when a slot was given) drafts for the rows that passed
+ */
+
+export const IMPORT_PLACEMENT = "import";
+
+export const IMPORT_COLUMNS = ["id", "isoCode", "size", "type", "priority", "ownerName", "companyName", "material", "imdgClass", "unNumber", "grossWeightKg", "setPointC", "moveInDate", "moveOutDate", "slotId"];
+
+function rowsToRecords([header, ...rows]) {
+  if (!header) return [];
+  const keys = header.map((h) => String(h ?? "").trim());
+  return rows
+    .map((cells, idx) => ({ rowNumber: idx + 2, cells }))
+    .filter(({ cells }) => cells.some((cell) => String(cell ?? "").trim() !== ""))
+    .map(({ rowNumber, cells }) => ({
+      rowNumber,
+      record: Object.fromEntries(keys.map((k, i) => [k, String(cells[i] ?? "").trim()])),
+    }));
+}
+
+export async function readSpreadsheet(file) {
+  if (/\.xlsx$/i.test(file.name)) return rowsToRecords(await readXlsxRows(await file.arrayBuffer()));
+  if (/\.(csv|txt)$/i.test(file.name)) return rowsToRecords(parseCsv(await file.text()));
+  throw new Error(`${file.name}: only .csv and .xlsx files can be imported.`);
+}
+
+/**
+ * Returns [{ rowNumber, record, container, slotId, stackIndex, issues: [string] }] in file order.
+ * A row is importable when `issues` is empty.
+ */
+export function previewImport({ config, layout, containers, archive, workOrders = {} }, rows) {
+  const seenRows = {};
+  const scratch = { config, layout: { ...layout }, containers: { ...containers } };
+
+  return rows.map(({ rowNumber, record }) => {
+    const { container, errors, id } = mapExternalRecord(record);
+    const issues = [...errors];
+    const slotId = String(fieldValue(record, "slotId") ?? "").trim().toUpperCase() || null;
+
+    if (id && seenRows[id]) issues.push(`duplicate ID (also on row ${seenRows[id]})`);
+    else if (id && containers[id]) issues.push("ID already in the yard");
+    else if (id && archive[id]) issues.push("ID already gated out");
+    if (id && !seenRows[id]) seenRows[id] = rowNumber;
+
+    if (slotId && container) {
+      const rejection =
+        reservedTierRejection(workOrders, scratch.containers, container, slotId) ||
+        placementRejection({ ...scratch, layout: reservedLayout(scratch.layout, workOrders, scratch.containers) }, container, slotId);
+      if (rejection) issues.push(rejection);
+    }
+
+    let stackIndex = null;
+    if (!issues.length) {
+      scratch.containers[container.id] = container;
+      if (slotId) {
+        stackIndex = scratch.layout[slotId].length;
+        scratch.layout = placeInLayout(scratch.layout, container, slotId);
+      }
+    }
+    return { rowNumber, record, container, slotId, stackIndex, issues };
+  });
+}
+
+export function importDrafts(previewRows, at) {
+  const drafts = [];
+  for (const row of previewRows) {
+    if (row.issues.length) continue;
+    const cid = row.container.id;
+    drafts.push({
+      type: EVENT_TYPES.CONTAINER_REGISTERED,
+      containerId: cid,
+      payload: { container: { ...row.container, createdAt: at, source: "bulk-import" } },
+    });
+    if (row.slotId) {
+      drafts.push({
+        type: EVENT_TYPES.CONTAINER_PLACED,
+        containerId: cid,
+        toSlot: row.slotId,
+        stackIndex: row.stackIndex,
+        payload: {
+          placement: {
+            strategy: IMPORT_PLACEMENT,
+            strategyLabel: "Imported position",
+            score: null,
+            breakdown: [],
+            note: `Slot given on row ${row.rowNumber} of a bulk import.`,
+            at,
+          },
+        },
+      });
+    }
+  }
+  return drafts;
+}
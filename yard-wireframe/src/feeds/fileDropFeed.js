@@ -0,0 +1,26 @@
+import { parseCsvRecords } from "../lib/csv";
+
+/**
+ * File-drop feed: JSON (array, or { containers: [...] }) or CSV with a header row.
+ */
+
+export function parseFeedText(text, fileName = "") {
+  const trimmed = String(text ?? "").trim();
+  const looksJson = /\.json$/i.test(fileName) || trimmed.startsWith("[") || trimmed.startsWith("{");
+  if (!looksJson) return parseCsvRecords(text);
+
+  const body = JSON.parse(trimmed);
+  const records = Array.isArray(body) ? body : body?.containers;
+  if (!Array.isArray(records)) throw new Error(`${fileName || "File"} has no container array.`);
+  return records;
+}
+
+export function createFileDropFeed(file) {
+  return {
+    id: "file",
+    label: `File ${file.name}`,
+    async fetch() {
+      return parseFeedText(await file.text(), file.name);
+    },
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * HTTP JSON polling feed.
+ * The endpoint may answer with an array of records or an object holding one
+ * (`recordsPath`, default "containers").
+ */
+export function createHttpPollingFeed({ url, intervalMs = 30000, recordsPath = "containers", fieldMap = {}, headers = {} }) {
+  return {
+    id: "http",
+    label: "HTTP JSON polling",
+    intervalMs,
+    fieldMap,
+    async fetch() {
+      if (!url) throw new Error("No feed URL configured.");
+      const res = await fetch(url, { headers: { Accept: "application/json", ...headers } });
+      if (!res.ok) throw new Error(`GET ${url} failed: ${res.status} ${res.statusText}`);
+      const body = await res.json();
+      const records = Array.isArray(body) ? body : body?.[recordsPath];
+      if (!Array.isArray(records)) throw new Error(`Feed response has no "${recordsPath}" array.`);
+      return records;
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { createHttpPollingFeed } from "./httpPollingFeed";
+import { mapFeedRecords } from "./mapping";
+import { createSimulatorFeed } from "./simulatorFeed";
+
+/**
+ * Inbound feed subsystem
+ * An adapter is { id, label, fetch({ knownIds }) → Promise<records[]>, fieldMap?, intervalMs? }.
+ * runFeed() fetches, maps records onto container fields and drops duplicates by container ID;
+ * it never throws — failures come back in `error` so the header can show them.
+ */
+
+export { IMPORT_COLUMNS, importDrafts, previewImport, readSpreadsheet } from "./bulkImport";
+export { createFileDropFeed, parseFeedText } from "./fileDropFeed";
+export { createHttpPollingFeed } from "./httpPollingFeed";
+export { createSimulatorFeed, makeContainer, randomContainerNumber } from "./simulatorFeed";
+
+export function feedSettingsFromEnv(env = import.meta.env) {
+  return {
+    url: env.VITE_INBOUND_FEED_URL || "",
+    intervalMs: Number(env.VITE_INBOUND_POLL_MS ?? 30000) || 0,
+  };
+}
+
+// Feeds selectable in the header; file drops are one-off and created per file
+export function createFeeds(settings = feedSettingsFromEnv()) {
+  return {
+    simulator: createSimulatorFeed({ count: 5 }),
+    http: createHttpPollingFeed(settings),
+  };
+}
+
+export async function runFeed(adapter, knownIds) {
+  const startedAt = new Date().toISOString();
+  try {
+    const records = await adapter.fetch({ knownIds });
+    const result = mapFeedRecords(records, knownIds, adapter.fieldMap);
+    return { feed: adapter.label, startedAt, received: records.length, ...result, error: null };
+  } catch (err) {
+    return { feed: adapter.label, startedAt, received: 0, containers: [], duplicates: [], rejected: [], error: err.message };
+  }
+}
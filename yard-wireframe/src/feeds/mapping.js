@@ -0,0 +1,151 @@
+import {
+  fromIsoSizeTypeCode,
+  normalizeDate,
+  normalizeImdgClass,
+  normalizePriority,
+  normalizeSetPointC,
+  normalizeSize,
+  normalizeType,
+  normalizeUnNumber,
+  normalizeWeightKg,
+} from "../yard/containerModel";
+import { validateContainerNumber } from "../yard/iso6346";
+
+/**
+ * Map external inbound records onto our container fields.
+ * Field names are matched case-insensitively against the aliases below; a feed may pass
+ * its own `fieldMap` ({ ourField: "theirField" }) to override them.
+ */
+
+export const FIELD_ALIASES = {
+  id: ["id", "containerId", "container_id", "containerNumber", "container_number", "containerNo", "equipmentId"],
+  isoCode: ["isoCode", "iso_code", "sizeType", "size_type", "isoSizeType", "iso"],
+  size: ["size", "containerSize", "container_size", "length"],
+  type: ["type", "containerType", "container_type"],
+  priority: ["priority"],
+  ownerName: ["ownerName", "owner", "owner_name"],
+  companyName: ["companyName", "company", "company_name", "customer", "shipper"],
+  material: ["material", "commodity", "cargo", "goods"],
+  moveInDate: ["moveInDate", "move_in_date", "moveIn", "arrival", "eta"],
+  moveOutDate: ["moveOutDate", "move_out_date", "moveOut", "departure", "etd"],
+  imdgClass: ["imdgClass", "imdg_class", "imdg", "hazardClass", "dgClass"],
+  unNumber: ["unNumber", "un_number", "un", "unNo", "un_no"],
+  grossWeightKg: ["grossWeightKg", "grossWeight", "gross_weight", "weight", "vgm", "weightKg", "weight_kg"],
+  setPointC: ["setPointC", "setPoint", "set_point", "setTemp", "set_temp", "reeferTemp", "reefer_temp", "temperature"],
+  slotId: ["slotId", "slot_id", "slot", "position", "yardSlot", "yard_slot"],
+};
+
+// Value of one of our fields in an external record (first matching alias with a non-empty value)
+export function fieldValue(record, field, fieldMap = {}) {
+  const keys = fieldMap[field] ? [fieldMap[field]] : FIELD_ALIASES[field];
+  const lowered = Object.fromEntries(Object.keys(record).map((k) => [k.toLowerCase(), k]));
+  for (const key of keys) {
+    const actual = lowered[key.toLowerCase()];
+    if (actual !== undefined && record[actual] !== "" && record[actual] != null) return record[actual];
+  }
+  return undefined;
+}
+
+/**
+ * Returns { container, errors }. `container` is null when the record cannot be used.
+ */
+export function mapExternalRecord(record, fieldMap = {}) {
+  const errors = [];
+  const rawId = fieldValue(record, "id", fieldMap);
+  const number = validateContainerNumber(rawId);
+  const id = number.number;
+  if (!number.valid) errors.push(number.error);
+
+  // An ISO size/type code decides size and type; plain size/type columns must agree with it
+  const rawCode = fieldValue(record, "isoCode", fieldMap);
+  const fromCode = rawCode != null ? fromIsoSizeTypeCode(rawCode) : null;
+  const codeBroken = rawCode != null && !fromCode;
+  if (codeBroken) errors.push(`unsupported ISO size/type code "${rawCode}"`);
+
+  const rawSize = fieldValue(record, "size", fieldMap);
+  const rawType = fieldValue(record, "type", fieldMap);
+  const size = rawSize != null ? normalizeSize(rawSize) : (fromCode?.size ?? null);
+  const type = rawType != null ? normalizeType(rawType) : (fromCode?.type ?? null);
+  if (!size && !codeBroken) errors.push(`unknown size "${rawSize ?? ""}"`);
+  if (!type && !codeBroken) errors.push(`unknown type "${rawType ?? ""}"`);
+  if (fromCode && size && type && (size !== fromCode.size || type !== fromCode.type)) {
+    errors.push(`size/type ${size} ${type} contradicts ISO code ${fromCode.code}`);
+  }
+
+  const rawPriority = fieldValue(record, "priority", fieldMap);
+  const priority = normalizePriority(rawPriority);
+  if (!priority) errors.push(`unknown priority "${rawPriority}"`);
+
+  const rawImdg = fieldValue(record, "imdgClass", fieldMap);
+  const imdgClass = normalizeImdgClass(rawImdg);
+  if (rawImdg != null && !imdgClass) errors.push(`bad IMDG class "${rawImdg}"`);
+  const rawUn = fieldValue(record, "unNumber", fieldMap);
+  const unNumber = normalizeUnNumber(rawUn);
+  if (rawUn != null && !unNumber) errors.push(`bad UN number "${rawUn}"`);
+  if (unNumber && rawImdg == null) errors.push(`UN number ${unNumber} without an IMDG class`);
+
+  const rawWeight = fieldValue(record, "grossWeightKg", fieldMap);
+  const grossWeightKg = normalizeWeightKg(rawWeight);
+  if (rawWeight != null && !grossWeightKg) errors.push(`bad gross weight "${rawWeight}"`);
+
+  const rawSetPoint = fieldValue(record, "setPointC", fieldMap);
+  const setPointC = normalizeSetPointC(rawSetPoint);
+  if (rawSetPoint != null && setPointC == null) errors.push(`bad reefer set point "${rawSetPoint}"`);
+  if (setPointC != null && type && type !== "REEFER") errors.push(`set point ${setPointC} °C on a ${type} container`);
+
+  const rawIn = fieldValue(record, "moveInDate", fieldMap);
+  const rawOut = fieldValue(record, "moveOutDate", fieldMap);
+  const moveInDate = normalizeDate(rawIn);
+  const moveOutDate = normalizeDate(rawOut);
+  if (rawIn != null && !moveInDate) errors.push(`bad move-in date "${rawIn}"`);
+  if (rawOut != null && !moveOutDate) errors.push(`bad move-out date "${rawOut}"`);
+
+  if (errors.length) return { container: null, errors, id: id || null };
+  return {
+    id,
+    errors,
+    container: {
+      id,
+      size,
+      type,
+      isoCode: fromCode?.code ?? null,
+      priority,
+      ownerName: fieldValue(record, "ownerName", fieldMap) ?? null,
+      companyName: fieldValue(record, "companyName", fieldMap) ?? null,
+      material: fieldValue(record, "material", fieldMap) ?? null,
+      imdgClass,
+      unNumber,
+      grossWeightKg,
+      setPointC,
+      moveInDate,
+      moveOutDate,
+    },
+  };
+}
+
+/**
+ * Map a batch of records and drop duplicates by container ID (against `knownIds` and within the batch).
+ * Returns { containers, duplicates: [id], rejected: [{ index, id, errors }] }.
+ */
+export function mapFeedRecords(records, knownIds, fieldMap = {}) {
+  const seen = new Set(knownIds);
+  const containers = [];
+  const duplicates = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const { container, errors, id } = mapExternalRecord(record || {}, fieldMap);
+    if (!container) {
+      rejected.push({ index, id, errors });
+      return;
+    }
+    if (seen.has(container.id)) {
+      duplicates.push(container.id);
+      return;
+    }
+    seen.add(container.id);
+    containers.push(container);
+  });
+
+  return { containers, duplicates, rejected };
+}
@@ -0,0 +1,79 @@
+import { ISO_SIZE_TYPE_CODES, fromIsoSizeTypeCode } from "../yard/containerModel";
+import { buildContainerNumber } from "../yard/iso6346";
+
+/**
+ * Random inbound simulator — the original "Poll" behaviour, as a feed adapter.
+ * Numbers are valid ISO 6346 numbers under the demo companies' owner codes, so the
+ * owner-code registry supplies the company name on registration.
+ */
+
+const SIMULATED_PREFIXES = ["BWLU", "HBLU", "NVFU", "ATSU", "SMTU"];
+
+function randomFrom(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+export function randomContainerNumber(prefix = randomFrom(SIMULATED_PREFIXES)) {
+  return buildContainerNumber(prefix, Math.floor(Math.random() * 1000000));
+}
+
+// Roughly one container in ten carries dangerous goods
+const DANGEROUS_GOODS = [
+  { imdgClass: "3", unNumber: "UN1203", material: "Gasoline" },
+  { imdgClass: "2.1", unNumber: "UN1075", material: "LPG" },
+  { imdgClass: "5.1", unNumber: "UN1942", material: "Ammonium nitrate" },
+  { imdgClass: "6.1", unNumber: "UN1547", material: "Aniline" },
+  { imdgClass: "8", unNumber: "UN1830", material: "Sulphuric acid" },
+  { imdgClass: "9", unNumber: "UN3480", material: "Lithium-ion batteries" },
+];
+
+// Gross weight in kg, to the nearest 100: a 20FT between 4 and 28 t, a 40FT between 6 and 30 t
+function randomWeightKg(size) {
+  const [min, max] = size === "40FT" ? [6000, 30000] : [4000, 28000];
+  return Math.round((min + Math.random() * (max - min)) / 100) * 100;
+}
+
+// Typical reefer cargo: deep-frozen fish, frozen meat, chilled meat, dairy, fruit, bananas
+const SET_POINTS_C = [-25, -18, -1, 2, 5, 13];
+
+export function makeContainer(id) {
+  const isoCode = randomFrom(Object.keys(ISO_SIZE_TYPE_CODES));
+  const { size, type } = fromIsoSizeTypeCode(isoCode);
+  const priorities = ["NORMAL", "HIGH"];
+  const owners = ["A. Singh", "R. Patel", "M. Chen", "K. Gomez", "S. Williams", "N. Okafor"];
+  const materials = ["Steel Coils", "Apparel", "Electronics", "Food Grade", "Auto Parts", "Building Materials"];
+  const moveIn = new Date(Date.now() - Math.floor(Math.random() * 6) * 24 * 60 * 60 * 1000);
+  const moveOut = new Date(moveIn.getTime() + (Math.floor(Math.random() * 6) + 2) * 24 * 60 * 60 * 1000);
+  return {
+    id,
+    size,
+    type,
+    isoCode,
+    priority: Math.random() < 0.2 ? "HIGH" : randomFrom(priorities),
+    ownerName: randomFrom(owners),
+    material: randomFrom(materials),
+    grossWeightKg: randomWeightKg(size),
+    ...(type === "REEFER" ? { setPointC: randomFrom(SET_POINTS_C) } : null),
+    moveInDate: moveIn.toISOString(),
+    moveOutDate: moveOut.toISOString(),
+    ...(Math.random() < 0.1 ? randomFrom(DANGEROUS_GOODS) : null),
+  };
+}
+
+export function createSimulatorFeed({ count = 5 } = {}) {
+  return {
+    id: "simulator",
+    label: `Simulator (+${count} random)`,
+    async fetch({ knownIds = [] } = {}) {
+      const taken = new Set(knownIds);
+      const records = [];
+      for (let i = 0; i < count; i++) {
+        let id = randomContainerNumber();
+        while (taken.has(id)) id = randomContainerNumber();
+        taken.add(id);
+        records.push(makeContainer(id));
+      }
+      return records;
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes (""), CRLF/LF line ends.
+ * parseCsvRecords() maps rows onto the header row and skips blank lines; toCsv() writes rows back out,
+ * with formula-like text defused for spreadsheets.
+ */
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows
+    .filter((r) => r.some((cell) => cell.trim() !== ""))
+    .map((r) => Object.fromEntries(keys.map((k, idx) => [k, (r[idx] ?? "").trim()])));
+}
+
+// Text starting like a formula (=, +, -, @, tab, CR) gets a leading ' so spreadsheets show it instead of evaluating it
+function defuse(value) {
+  return typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Quote a field only when it needs it (comma, quote, line break, or edge whitespace)
+function csvField(value) {
+  const safe = defuse(value);
+  const text = safe == null ? "" : String(safe);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,138 @@
+/**
+ * Minimal XLSX reader: first worksheet → rows of strings, no dependencies.
+ * - Unzips with DecompressionStream("deflate-raw") (stored entries are read as-is)
+ * - Resolves shared and inline strings; cells with a date number format come back as ISO strings
+ * Formulas yield their cached value. Anything fancier (merged cells, rich formatting) is ignored.
+ */
+
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// { [path]: () => Promise<Uint8Array> } from the zip central directory
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not an XLSX file (no zip directory found).");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt XLSX file (bad zip directory).");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries[name] = async () => {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`Unsupported zip compression method ${method} in ${name}.`);
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readXml(entries, path) {
+  if (!entries[path]) return null;
+  const text = new TextDecoder().decode(await entries[path]());
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+// "AB12" → 27 (0-based column index)
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0] || "A";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Excel serial day (1900 date system) → ISO string
+function excelSerialToIso(serial) {
+  const ms = Math.round((Number(serial) - 25569) * 86400000);
+  return new Date(ms).toISOString();
+}
+
+function isDateFormatCode(code) {
+  const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, "");
+  return /[dmy]/i.test(bare) && !/^[#0.,%\s]*$/.test(bare);
+}
+
+async function dateStyleIndexes(entries) {
+  const styles = await readXml(entries, "xl/styles.xml");
+  if (!styles) return new Set();
+  const customDates = new Set(
+    [...styles.getElementsByTagName("numFmt")]
+      .filter((f) => isDateFormatCode(f.getAttribute("formatCode") || ""))
+      .map((f) => Number(f.getAttribute("numFmtId")))
+  );
+  const cellXfs = styles.getElementsByTagName("cellXfs")[0];
+  const result = new Set();
+  [...(cellXfs?.getElementsByTagName("xf") || [])].forEach((xf, i) => {
+    const id = Number(xf.getAttribute("numFmtId"));
+    if (BUILTIN_DATE_FORMATS.has(id) || customDates.has(id)) result.add(i);
+  });
+  return result;
+}
+
+async function firstSheetPath(entries) {
+  const workbook = await readXml(entries, "xl/workbook.xml");
+  const rels = await readXml(entries, "xl/_rels/workbook.xml.rels");
+  const sheet = workbook?.getElementsByTagName("sheet")[0];
+  const relId = sheet?.getAttribute("r:id");
+  const rel = relId && [...(rels?.getElementsByTagName("Relationship") || [])].find((r) => r.getAttribute("Id") === relId);
+  const target = rel?.getAttribute("Target");
+  if (!target) return "xl/worksheets/sheet1.xml";
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Rows (arrays of strings) of the workbook's first sheet; empty cells are "".
+ */
+export async function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+  const sharedDoc = await readXml(entries, "xl/sharedStrings.xml");
+  const shared = [...(sharedDoc?.getElementsByTagName("si") || [])].map((si) =>
+    [...si.getElementsByTagName("t")]
+      .filter((t) => t.parentNode.nodeName !== "rPh") // phonetic hints are not part of the value
+      .map((t) => t.textContent)
+      .join("")
+  );
+  const dateStyles = await dateStyleIndexes(entries);
+  const sheet = await readXml(entries, await firstSheetPath(entries));
+  if (!sheet) throw new Error("The workbook has no readable worksheet.");
+
+  const rows = [];
+  for (const row of sheet.getElementsByTagName("row")) {
+    const values = [];
+    for (const cell of row.getElementsByTagName("c")) {
+      const type = cell.getAttribute("t");
+      const raw = cell.getElementsByTagName("v")[0]?.textContent ?? "";
+      let value = raw;
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = [...cell.getElementsByTagName("t")].map((t) => t.textContent).join("");
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw !== "" && (!type || type === "n") && dateStyles.has(Number(cell.getAttribute("s")))) value = excelSerialToIso(raw);
+      const ref = cell.getAttribute("r");
+      values[ref ? columnIndex(ref) : values.length] = value;
+    }
+    const index = Number(row.getAttribute("r")) - 1;
+    rows[Number.isNaN(index) ? rows.length : index] = Array.from(values, (v) => v ?? "");
+  }
+  return Array.from(rows, (r) => r ?? []);
+}
@@ -0,0 +1,65 @@
+import { SchemaError, migrateDocument } from "./schema";
+
+/**
+ * Full-state backups
+ * - A backup wraps one yard document: { format, createdAt, reason, document }
+ * - Files can be downloaded and restored on any version that can migrate the document
+ * - The app also keeps one automatic restore point (before a reset, a restore or a migration)
+ *   in localStorage, independent of the storage backend; it is skipped when it does not fit the quota
+ */
+
+export const BACKUP_FORMAT = "yard-backup";
+
+const RESTORE_POINT_KEY = "yard.restorePoint.v1";
+
+export function createBackup(doc, reason) {
+  return { format: BACKUP_FORMAT, createdAt: new Date().toISOString(), reason, document: doc };
+}
+
+export function backupFileName(backup) {
+  return `yard-backup-${backup.createdAt.replace(/[:.]/g, "-")}.json`;
+}
+
+export function downloadBackup(backup) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(backup)], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = backupFileName(backup);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse a backup file (or a bare yard document) into { backup, doc, applied }.
+ * Throws SchemaError when it is not a usable backup.
+ */
+export function readBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new SchemaError("The file is not valid JSON.");
+  }
+  const backup = parsed?.format === BACKUP_FORMAT ? parsed : createBackup(parsed, "imported document");
+  const { doc, applied } = migrateDocument(backup.document);
+  return { backup, doc, applied };
+}
+
+// true when stored; a restore point is best-effort, never a reason to block the operation
+export function saveRestorePoint(backup) {
+  try {
+    localStorage.setItem(RESTORE_POINT_KEY, JSON.stringify(backup));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function loadRestorePoint() {
+  try {
+    const backup = JSON.parse(localStorage.getItem(RESTORE_POINT_KEY));
+    return backup?.format === BACKUP_FORMAT ? backup : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,80 @@
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { createRestAdapter } from "./restAdapter";
+
+export { SCHEMA_VERSION, SchemaError, createDocument, migrateDocument, validateDocument } from "./schema";
+export { createBackup, downloadBackup, loadRestorePoint, readBackup, saveRestorePoint } from "./backup";
+
+/**
+ * Storage adapters
+ * Every backend implements the same async interface:
+ *   load() → document | null, save(document), clear()
+ * The document holds everything the yard persists, so one save() is one atomic write.
+ *
+ * Backend is picked by configuration (Vite env):
+ *   VITE_STORAGE_BACKEND = local (default) | indexeddb | rest
+ *   VITE_STORAGE_URL     = base URL for the REST backend, e.g. http://localhost:4010/api/yard
+ */
+
+export const STORAGE_BACKENDS = {
+  local: createLocalStorageAdapter,
+  indexeddb: createIndexedDbAdapter,
+  rest: createRestAdapter,
+};
+
+export function storageSettingsFromEnv(env = import.meta.env) {
+  return {
+    backend: (env.VITE_STORAGE_BACKEND || "local").toLowerCase(),
+    baseUrl: env.VITE_STORAGE_URL || "",
+  };
+}
+
+// Misconfiguration surfaces as a failing load() instead of a crash during render
+function createUnavailableAdapter(name, error) {
+  const fail = async () => {
+    throw error;
+  };
+  return { name, load: fail, save: fail, clear: fail };
+}
+
+export function createStorage(settings = storageSettingsFromEnv()) {
+  const factory = STORAGE_BACKENDS[settings.backend];
+  if (!factory) return createUnavailableAdapter(settings.backend, new Error(`Unknown storage backend "${settings.backend}".`));
+  try {
+    return factory(settings);
+  } catch (err) {
+    return createUnavailableAdapter(settings.backend, err);
+  }
+}
+
+/**
+ * Serialise saves: at most one write in flight, and only the newest pending document
+ * is written next. `onStatus` gets { state: "saving" | "saved" | "error", error?, at? }.
+ */
+export function createSaveQueue(adapter, onStatus = () => {}) {
+  let running = false;
+  let pending = null;
+
+  async function drain() {
+    running = true;
+    while (pending) {
+      const doc = pending;
+      pending = null;
+      onStatus({ state: "saving" });
+      try {
+        await adapter.save(doc);
+        onStatus({ state: "saved", at: new Date().toISOString() });
+      } catch (err) {
+        onStatus({ state: "error", error: err.message });
+      }
+    }
+    running = false;
+  }
+
+  return {
+    save(doc) {
+      pending = doc;
+      if (!running) drain();
+    },
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * IndexedDB backend: one record in one object store, written in a single readwrite transaction.
+ * No size cap beyond the browser's quota.
+ */
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDatabase(dbName, storeName) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function createIndexedDbAdapter({ dbName = "yard-wireframe", storeName = "state", recordKey = "yard" } = {}) {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) dbPromise = openDatabase(dbName, storeName);
+    return dbPromise;
+  };
+
+  async function run(mode, fn) {
+    const tx = (await db()).transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+      tx.onerror = () => reject(tx.error);
+    });
+    const result = await request(fn(tx.objectStore(storeName)));
+    await done;
+    return result;
+  }
+
+  return {
+    name: "IndexedDB",
+    async load() {
+      return (await run("readonly", (store) => store.get(recordKey))) ?? null;
+    },
+    async save(doc) {
+      await run("readwrite", (store) => store.put(doc, recordKey));
+    },
+    async clear() {
+      await run("readwrite", (store) => store.delete(recordKey));
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import { SchemaError } from "./schema";
+
+/**
+ * localStorage backend: the whole yard document under one key, so a save is a single write.
+ * Unparseable data is reported (with the raw text) rather than treated as an empty yard.
+ */
+export function createLocalStorageAdapter({ key = "yard.state.v1" } = {}) {
+  return {
+    name: "localStorage",
+    async load() {
+      const raw = localStorage.getItem(key);
+      if (raw == null) return null;
+      try {
+        return JSON.parse(raw);
+      } catch {
+        throw new SchemaError("The stored yard data is not valid JSON.", [], raw);
+      }
+    },
+    async save(doc) {
+      localStorage.setItem(key, JSON.stringify(doc));
+    },
+    async clear() {
+      localStorage.removeItem(key);
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * HTTP REST backend: GET/PUT/DELETE one JSON document at `baseUrl`/state.
+ * The server replaces the document as a whole, so a save is atomic on its side.
+ * See mock-server/server.js for a local stand-in.
+ */
+export function createRestAdapter({ baseUrl, headers = {} }) {
+  if (!baseUrl) throw new Error("REST storage needs a base URL (VITE_STORAGE_URL).");
+  const url = `${baseUrl.replace(/\/$/, "")}/state`;
+
+  async function send(method, body) {
+    const res = await fetch(url, {
+      method,
+      headers: { Accept: "application/json", ...(body ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (method === "GET" && res.status === 404) return null;
+    if (!res.ok) throw new Error(`${method} ${url} failed: ${res.status} ${res.statusText}`);
+    return res.status === 204 ? null : res.json();
+  }
+
+  return {
+    name: "REST",
+    async load() {
+      return send("GET");
+    },
+    async save(doc) {
+      await send("PUT", doc);
+    },
+    async clear() {
+      await send("DELETE");
+    },
+  };
+}
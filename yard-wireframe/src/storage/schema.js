@@ -0,0 +1,109 @@
+import { DEFAULT_ACTOR, EVENT_TYPES } from "../yard/events";
+
+/**
+ * Persisted yard document: { schemaVersion, epoch, events, prevSig, reeferReadings, savedAt }
+ * - `epoch` changes whenever the log is replaced wholesale (reset, restore); when two peers hold
+ *   unrelated logs, the later epoch wins
+ * - Documents are migrated one version at a time through MIGRATIONS, then validated; anything that does not
+ *   validate raises SchemaError and the app shows the recovery screen instead of starting empty
+ *
+ * Version history
+ *   1 — { events, prevSig, savedAt } (no version field)
+ *   2 — adds schemaVersion and epoch; every event carries seq, batchId, actor and payload;
+ *       optional `reeferReadings` ({ [containerId]: [reading] }, capped per unit — see yard/reefer.js)
+ */
+
+export const SCHEMA_VERSION = 2;
+
+// `raw` keeps the unreadable data (if any) so the recovery screen can offer it for download
+export class SchemaError extends Error {
+  constructor(message, problems = [], raw = undefined) {
+    super(problems.length ? `${message} ${problems.slice(0, 3).join(" ")}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ""}` : message);
+    this.name = "SchemaError";
+    this.problems = problems;
+    this.raw = raw;
+  }
+}
+
+const KNOWN_EVENT_TYPES = new Set(Object.values(EVENT_TYPES));
+
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    label: "Stamp events and add the log epoch",
+    migrate(doc) {
+      const events = (doc.events || []).map((e, idx) => ({
+        ...e,
+        seq: idx + 1,
+        batchId: e.batchId || `legacy-${e.id || idx}`,
+        actor: e.actor || DEFAULT_ACTOR,
+        payload: e.payload ?? null,
+      }));
+      return { ...doc, schemaVersion: 2, epoch: events[0]?.at || doc.savedAt || null, events };
+    },
+  },
+];
+
+export function documentVersion(doc) {
+  return Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 1;
+}
+
+/**
+ * Problems (strings) with a current-version document; empty when it is usable.
+ */
+export function validateDocument(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["The stored data is not a yard document."];
+  const problems = [];
+  if (doc.schemaVersion !== SCHEMA_VERSION) problems.push(`Expected schema version ${SCHEMA_VERSION}, found ${doc.schemaVersion}.`);
+  if (!Array.isArray(doc.events)) problems.push("The event log is missing.");
+  if (doc.prevSig != null && (typeof doc.prevSig !== "object" || Array.isArray(doc.prevSig))) problems.push("Slot signatures are malformed.");
+  if (doc.reeferReadings != null && (typeof doc.reeferReadings !== "object" || Array.isArray(doc.reeferReadings))) {
+    problems.push("Reefer readings are malformed.");
+  }
+
+  const ids = new Set();
+  (Array.isArray(doc.events) ? doc.events : []).forEach((e, idx) => {
+    const where = `Event ${idx + 1}`;
+    if (!e || typeof e !== "object") return problems.push(`${where} is not an object.`);
+    if (!e.id || ids.has(e.id)) problems.push(`${where} has a missing or duplicate id.`);
+    ids.add(e.id);
+    if (!KNOWN_EVENT_TYPES.has(e.type)) problems.push(`${where} has unknown type "${e.type}".`);
+    if (!e.batchId) problems.push(`${where} has no batch.`);
+    if (Number.isNaN(new Date(e.at || "").getTime())) problems.push(`${where} has no valid timestamp.`);
+    if (e.seq !== idx + 1) problems.push(`${where} is out of sequence (seq ${e.seq}).`);
+  });
+  return problems;
+}
+
+/**
+ * Bring any known version up to SCHEMA_VERSION and validate it.
+ * Returns { doc, applied: [label] }; throws SchemaError when that is impossible.
+ */
+export function migrateDocument(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new SchemaError("The stored data is not a yard document.", [], raw);
+  let doc = raw;
+  const applied = [];
+  let version = documentVersion(doc);
+  if (version > SCHEMA_VERSION) {
+    throw new SchemaError(`The data was saved by a newer version of the app (schema ${version}; this one reads up to ${SCHEMA_VERSION}).`, [], raw);
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === version);
+    if (!step) throw new SchemaError(`No migration from schema version ${version}.`, [], raw);
+    try {
+      doc = step.migrate(doc);
+    } catch (err) {
+      throw new SchemaError(`Migration ${step.from}→${step.to} failed: ${err.message}`, [], raw);
+    }
+    applied.push(`${step.from}→${step.to}: ${step.label}`);
+    version = step.to;
+  }
+  const problems = validateDocument(doc);
+  if (problems.length) throw new SchemaError("The stored yard data is damaged.", problems, raw);
+  return { doc, applied };
+}
+
+export function createDocument({ events, prevSig, epoch, reeferReadings = {} }) {
+  return { schemaVersion: SCHEMA_VERSION, epoch, events, prevSig, reeferReadings, savedAt: new Date().toISOString() };
+}
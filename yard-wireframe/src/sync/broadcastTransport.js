@@ -0,0 +1,41 @@
+/**
+ * Same-browser transport: BroadcastChannel, or `storage` events where BroadcastChannel is missing
+ * (the message is written to a scratch localStorage key, which other tabs see as a change).
+ * A tab never receives its own messages on either path.
+ */
+export function createBroadcastTransport({ channelName = "yard-sync", storageKey = "yard.sync.v1" } = {}) {
+  let channel = null;
+  let onStorage = null;
+
+  return {
+    name: "tabs",
+    connect(onMessage, onStatus = () => {}) {
+      if (typeof BroadcastChannel !== "undefined") {
+        channel = new BroadcastChannel(channelName);
+        channel.onmessage = (e) => onMessage(e.data);
+      } else {
+        onStorage = (e) => {
+          if (e.key !== storageKey || !e.newValue) return;
+          try {
+            onMessage(JSON.parse(e.newValue).message);
+          } catch {
+            // another tab's half-written or foreign value; nothing to sync
+          }
+        };
+        window.addEventListener("storage", onStorage);
+      }
+      onStatus({ state: "open" });
+    },
+    publish(message) {
+      if (channel) channel.postMessage(message);
+      // The nonce makes repeated identical messages still count as a change
+      else localStorage.setItem(storageKey, JSON.stringify({ message, nonce: Math.random() }));
+    },
+    close() {
+      channel?.close();
+      channel = null;
+      if (onStorage) window.removeEventListener("storage", onStorage);
+      onStorage = null;
+    },
+  };
+}
@@ -0,0 +1,105 @@
+import { createBroadcastTransport } from "./broadcastTransport";
+import { createWebSocketTransport } from "./webSocketTransport";
+import { mergeLogs } from "./mergeLog";
+
+export { createBroadcastTransport } from "./broadcastTransport";
+export { createWebSocketTransport } from "./webSocketTransport";
+export { concurrentConflict, mergeLogs } from "./mergeLog";
+
+/**
+ * Live sync of the event log between tabs (always) and operators (when VITE_SYNC_URL points at a relay)
+ * Messages, all tagged with the sender's `origin` and its log `epoch` (see storage/schema.js):
+ *   HELLO    { lastId }           — "this is where my log ends"; peers that differ answer with a SNAPSHOT
+ *   APPEND   { baseId, events }   — new batches, made on top of the event `baseId` (null: a fresh log)
+ *   SNAPSHOT { events }           — a whole log; the receiver merges it and answers if it still knows more
+ * receiveSyncMessage() turns a message into { merge, reply } without touching anything, so the caller
+ * decides when to update state and publish.
+ */
+
+export const SYNC_MESSAGES = { HELLO: "HELLO", APPEND: "APPEND", SNAPSHOT: "SNAPSHOT" };
+
+export function syncSettingsFromEnv(env = import.meta.env) {
+  return { url: env.VITE_SYNC_URL || "" };
+}
+
+export function createSyncTransports(settings = syncSettingsFromEnv()) {
+  const transports = [createBroadcastTransport()];
+  if (settings.url) transports.push(createWebSocketTransport({ url: settings.url }));
+  return transports;
+}
+
+export function createPeerId() {
+  return `peer-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const lastId = (events) => (events.length ? events[events.length - 1].id : null);
+
+export function helloMessage(origin, epoch, events) {
+  return { type: SYNC_MESSAGES.HELLO, origin, epoch, lastId: lastId(events) };
+}
+
+export function snapshotMessage(origin, epoch, events) {
+  return { type: SYNC_MESSAGES.SNAPSHOT, origin, epoch, events };
+}
+
+// `events` are the newest entries of `log`
+export function appendMessage(origin, epoch, log, events) {
+  const start = log.length - events.length;
+  return { type: SYNC_MESSAGES.APPEND, origin, epoch, baseId: start > 0 ? log[start - 1].id : null, events };
+}
+
+/**
+ * Returns { merge: mergeLogs() result | null, reply: message | null } for an incoming message.
+ * When `merge.reset` is set, the caller adopts `message.epoch` along with the log.
+ */
+export function receiveSyncMessage(origin, epoch, local, message) {
+  if (!message || message.origin === origin) return { merge: null, reply: null };
+  const epochs = { localEpoch: epoch, remoteEpoch: message.epoch };
+
+  switch (message.type) {
+    case SYNC_MESSAGES.HELLO:
+      return {
+        merge: null,
+        reply: message.lastId !== lastId(local) || message.epoch !== epoch ? snapshotMessage(origin, epoch, local) : null,
+      };
+
+    case SYNC_MESSAGES.APPEND: {
+      const baseIndex = message.baseId ? local.findIndex((e) => e.id === message.baseId) : -1;
+      // Built on history we have not seen: ask for the whole log instead
+      if (message.baseId && baseIndex < 0) return { merge: null, reply: helloMessage(origin, epoch, local) };
+      return { merge: mergeLogs(local, [...local.slice(0, baseIndex + 1), ...message.events], epochs), reply: null };
+    }
+
+    case SYNC_MESSAGES.SNAPSHOT: {
+      const merge = mergeLogs(local, message.events || [], epochs);
+      const theirs = new Set((message.events || []).map((e) => e.id));
+      const weKnowMore = merge.events.some((e) => !theirs.has(e.id));
+      return { merge, reply: weKnowMore ? snapshotMessage(origin, merge.reset ? message.epoch : epoch, merge.events) : null };
+    }
+
+    default:
+      return { merge: null, reply: null };
+  }
+}
+
+/**
+ * Connects every transport; publish() fans out to all of them.
+ * `onStatus` gets { [transportName]: { state, error? } } whenever one of them changes.
+ */
+export function createSync({ transports, onMessage, onStatus = () => {} }) {
+  const statuses = {};
+  for (const transport of transports) {
+    transport.connect(onMessage, (status) => {
+      statuses[transport.name] = status;
+      onStatus({ ...statuses }, transport.name);
+    });
+  }
+  return {
+    publish(message) {
+      for (const transport of transports) transport.publish(message);
+    },
+    close() {
+      for (const transport of transports) transport.close();
+    },
+  };
+}
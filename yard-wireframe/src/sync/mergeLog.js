@@ -0,0 +1,125 @@
+import { EVENT_TYPES, applyEvent, rebuildState } from "../yard/events";
+import { STATUS } from "../yard/lifecycle";
+import { moveRejection, placementRejection } from "../yard/placement";
+import { reservedLayout } from "../yard/workOrders";
+
+/**
+ * Merging two copies of the append-only event log (this tab vs. another tab or operator)
+ * - Both copies share a prefix; the batches after it were made concurrently
+ * - Those batches are ordered by (at, batchId), the same on every peer, and replayed one by one.
+ *   A batch that no longer fits — its container was moved meanwhile, or its target slot filled up —
+ *   is rejected instead of silently corrupting the yard. Every peer rejects the same batches, so all
+ *   copies converge; the peer that made a rejected batch asks its operator what to do.
+ * - Copies that do not even share their first event come from a reset or restore; the later epoch
+ *   (when the log was last replaced) wins, falling back to the later first batch.
+ */
+
+// Batches in first-seen order; an event present in both copies counts once
+function groupBatches(events) {
+  const batches = new Map();
+  const ids = new Set();
+  for (const event of events) {
+    if (ids.has(event.id)) continue;
+    ids.add(event.id);
+    if (!batches.has(event.batchId)) batches.set(event.batchId, []);
+    batches.get(event.batchId).push(event);
+  }
+  return [...batches.values()];
+}
+
+function batchOrder(a, b) {
+  return String(a[0].at).localeCompare(String(b[0].at)) || String(a[0].batchId).localeCompare(String(b[0].batchId));
+}
+
+function renumber(events) {
+  return events.map((e, idx) => (e.seq === idx + 1 ? e : { ...e, seq: idx + 1 }));
+}
+
+// A supervisor waived the dangerous goods rules for this move: in its own batch, or for its work order
+function hazmatOverridden(state, event) {
+  const orderId = event.payload?.orderId ?? event.payload?.workOrderId ?? null;
+  return state.hazmatOverrides.some(
+    (o) => o.containerId === event.containerId && (o.batchId === event.batchId || (orderId && o.orderId === orderId))
+  );
+}
+
+/**
+ * Why `event` cannot be replayed on `state` under the rules its author checked, or null.
+ * applyEvent only enforces hard invariants, so the soft placement rules are re-checked here.
+ */
+export function concurrentConflict(state, event) {
+  const container = event.containerId ? state.containers[event.containerId] : null;
+  const options = { hazmatOverride: hazmatOverridden(state, event) };
+  switch (event.type) {
+    case EVENT_TYPES.CONTAINER_PLACED:
+      if (!container) return `${event.containerId} is no longer in the yard.`;
+      if (container.status !== STATUS.INBOUND) return `${event.containerId} was already placed in ${container.slotId}.`;
+      return placementRejection(state, container, event.toSlot, options);
+    case EVENT_TYPES.CONTAINER_MOVED:
+      if (!container) return `${event.containerId} is no longer in the yard.`;
+      if (event.fromSlot && container.slotId !== event.fromSlot) return `${event.containerId} was moved to ${container.slotId} meanwhile.`;
+      return moveRejection(state, event.containerId, event.toSlot, options);
+    case EVENT_TYPES.WORK_ORDER_CREATED:
+      // The target tier may have been reserved by someone else's order in the meantime
+      if (!container) return `${event.containerId} is no longer in the yard.`;
+      return moveRejection({ ...state, layout: reservedLayout(state.layout, state.workOrders, state.containers) }, event.containerId, event.toSlot, options);
+    default:
+      return null;
+  }
+}
+
+// Replay one batch on `state`; returns { state } or { reason }
+function tryBatch(state, batch) {
+  if (batch.every((e) => e.type === EVENT_TYPES.UNDO || e.type === EVENT_TYPES.REDO)) return { state };
+  let next = state;
+  for (const event of batch) {
+    const reason = concurrentConflict(next, event);
+    if (reason) return { reason };
+    try {
+      next = applyEvent(next, event);
+    } catch (err) {
+      return { reason: err.message };
+    }
+  }
+  return { state: next };
+}
+
+/**
+ * Returns { events, rejected: [{ batchId, events, reason }], changed, reset }.
+ * `events` is the merged log (seq renumbered); `changed` is false when `local` already was the result.
+ */
+export function mergeLogs(local, remote, { localEpoch = null, remoteEpoch = null } = {}) {
+  if (!remote.length) return { events: local, rejected: [], changed: false, reset: false };
+  if (!local.length) return { events: renumber(remote), rejected: [], changed: true, reset: false };
+
+  if (local[0].id !== remote[0].id) {
+    const byEpoch = String(remoteEpoch || "").localeCompare(String(localEpoch || ""));
+    const remoteNewer = byEpoch ? byEpoch > 0 : batchOrder(remote, local) > 0;
+    return { events: remoteNewer ? renumber(remote) : local, rejected: [], changed: remoteNewer, reset: remoteNewer };
+  }
+
+  let prefix = 0;
+  while (prefix < local.length && prefix < remote.length && local[prefix].id === remote[prefix].id) prefix++;
+  if (prefix === remote.length) return { events: local, rejected: [], changed: false, reset: false };
+
+  const base = local.slice(0, prefix);
+  const tail = groupBatches([...local.slice(prefix), ...remote.slice(prefix)]).sort(batchOrder);
+
+  const accepted = [...base];
+  const rejected = [];
+  let state = rebuildState(base);
+  for (const batch of tail) {
+    const result = tryBatch(state, batch);
+    if (result.reason) {
+      rejected.push({ batchId: batch[0].batchId, events: batch, reason: result.reason });
+      continue;
+    }
+    accepted.push(...batch);
+    // UNDO/REDO change which batches count, so those need a full rebuild
+    state = result.state === state ? rebuildState(accepted) : result.state;
+  }
+
+  const events = renumber(accepted);
+  const changed = events.length !== local.length || events.some((e, i) => e.id !== local[i].id);
+  return { events, rejected, changed, reset: false };
+}
@@ -0,0 +1,52 @@
+/**
+ * Multi-operator transport: JSON messages over a WebSocket relay (see mock-server/server.js, /api/sync).
+ * The relay forwards each message to every other client; this side reconnects with backoff and
+ * reports { state: "connecting" | "open" | "closed", error? } so the header can show it.
+ */
+export function createWebSocketTransport({ url, maxBackoffMs = 30000 }) {
+  if (!url) throw new Error("WebSocket sync needs a URL (VITE_SYNC_URL).");
+  let socket = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let closed = false;
+
+  function open(onMessage, onStatus) {
+    onStatus({ state: "connecting" });
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      attempts = 0;
+      onStatus({ state: "open" });
+    };
+    socket.onmessage = (e) => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch {
+        // not one of ours
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      const delay = Math.min(maxBackoffMs, 1000 * 2 ** attempts++);
+      onStatus({ state: "closed", error: `Disconnected; retrying in ${Math.round(delay / 1000)} s` });
+      retryTimer = setTimeout(() => open(onMessage, onStatus), delay);
+    };
+  }
+
+  return {
+    name: "server",
+    connect(onMessage, onStatus = () => {}) {
+      closed = false;
+      open(onMessage, onStatus);
+    },
+    publish(message) {
+      // Offline messages are dropped: the hello sent on (re)connect swaps logs and catches up both sides
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+      socket = null;
+    },
+  };
+}
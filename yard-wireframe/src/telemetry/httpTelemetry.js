@@ -0,0 +1,24 @@
+/**
+ * HTTP JSON telemetry: GETs the URL with the expected container numbers as `?containers=A,B`
+ * and takes an array of readings, or an object holding one (`readingsPath`, default "readings").
+ * Field names are matched by runTelemetry(), so a monitoring system's own names mostly work as they are.
+ */
+export function createHttpTelemetry({ url, intervalMs = 5 * 60 * 1000, readingsPath = "readings", headers = {} }) {
+  return {
+    id: "http",
+    label: "HTTP JSON",
+    intervalMs,
+    async read({ reefers = [] } = {}) {
+      if (!url) throw new Error("No telemetry URL configured.");
+      if (!reefers.length) return [];
+      const target = new URL(url, window.location.href);
+      target.searchParams.set("containers", reefers.map((r) => r.containerId).join(","));
+      const res = await fetch(target, { headers: { Accept: "application/json", ...headers } });
+      if (!res.ok) throw new Error(`GET ${target} failed: ${res.status} ${res.statusText}`);
+      const body = await res.json();
+      const readings = Array.isArray(body) ? body : body?.[readingsPath];
+      if (!Array.isArray(readings)) throw new Error(`Telemetry response has no "${readingsPath}" array.`);
+      return readings;
+    },
+  };
+}
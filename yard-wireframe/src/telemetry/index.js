@@ -0,0 +1,82 @@
+import { normalizeDate } from "../yard/containerModel";
+import { normalizeContainerNumber } from "../yard/iso6346";
+import { MAX_READING_C, MIN_READING_C } from "../yard/reefer";
+import { createHttpTelemetry } from "./httpTelemetry";
+import { createSimulatorTelemetry } from "./simulatorTelemetry";
+
+/**
+ * Reefer telemetry subsystem
+ * An adapter is { id, label, intervalMs, read({ reefers }) → Promise<records[]> }, where `reefers` are the
+ * units the yard expects to hear from: [{ containerId, slotId, setPointC, powered, lastTempC }].
+ * runTelemetry() maps records onto readings { containerId, tempC, powered, at } and never throws;
+ * a failed read comes back in `error`, unusable records in `rejected`.
+ */
+
+export { createHttpTelemetry } from "./httpTelemetry";
+export { createSimulatorTelemetry } from "./simulatorTelemetry";
+
+export const TELEMETRY_OFF = "off";
+
+const READING_FIELDS = {
+  containerId: ["containerId", "container_id", "containerNumber", "container_number", "id", "unit"],
+  tempC: ["tempC", "temperature", "temp", "returnAirTemp", "return_air_temp", "supplyAirTemp", "supply_air_temp"],
+  powered: ["powered", "power", "powerOn", "power_on", "plugged"],
+  at: ["at", "timestamp", "time", "readAt", "read_at"],
+};
+
+const POWER_VALUES = { true: true, on: true, yes: true, 1: true, false: false, off: false, no: false, 0: false };
+
+function readingValue(record, field) {
+  const lowered = Object.fromEntries(Object.keys(record).map((k) => [k.toLowerCase(), k]));
+  for (const key of READING_FIELDS[field]) {
+    const actual = lowered[key.toLowerCase()];
+    if (actual !== undefined && record[actual] !== "" && record[actual] != null) return record[actual];
+  }
+  return undefined;
+}
+
+export function telemetrySettingsFromEnv(env = import.meta.env) {
+  return {
+    url: env.VITE_REEFER_TELEMETRY_URL || "",
+    intervalMs: Number(env.VITE_REEFER_POLL_MS ?? 5 * 60 * 1000) || 0,
+  };
+}
+
+// Telemetry sources selectable in the Reefers panel
+export function createTelemetryFeeds(settings = telemetrySettingsFromEnv()) {
+  return {
+    simulator: createSimulatorTelemetry({ intervalMs: settings.intervalMs }),
+    http: createHttpTelemetry(settings),
+  };
+}
+
+export async function runTelemetry(adapter, reefers) {
+  const startedAt = new Date().toISOString();
+  try {
+    const records = await adapter.read({ reefers });
+    const expected = new Set(reefers.map((r) => r.containerId));
+    const readings = [];
+    const rejected = [];
+    records.forEach((record, index) => {
+      const containerId = normalizeContainerNumber(readingValue(record || {}, "containerId"));
+      const rawTemp = readingValue(record || {}, "tempC");
+      const tempC = Math.round(Number(rawTemp) * 10) / 10;
+      const rawPower = readingValue(record || {}, "powered");
+      const rawAt = readingValue(record || {}, "at");
+      if (!expected.has(containerId)) rejected.push({ index, id: containerId || null, error: "not a reefer in the yard" });
+      else if (rawTemp == null || !Number.isFinite(tempC) || tempC < MIN_READING_C || tempC > MAX_READING_C) {
+        rejected.push({ index, id: containerId, error: `implausible temperature "${rawTemp ?? ""}"` });
+      } else {
+        readings.push({
+          containerId,
+          tempC,
+          powered: rawPower == null ? null : (POWER_VALUES[String(rawPower).trim().toLowerCase()] ?? null),
+          at: (rawAt != null && normalizeDate(rawAt)) || startedAt,
+        });
+      }
+    });
+    return { feed: adapter.label, startedAt, received: records.length, readings, rejected, error: null };
+  } catch (err) {
+    return { feed: adapter.label, startedAt, received: 0, readings: [], rejected: [], error: err.message };
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Reefer telemetry simulator, for local use.
+ * Each unit drifts towards its set point while it has power and warms towards the outside air
+ * without it; now and then a unit has an excursion (a defrost cycle, a door left open).
+ */
+
+const AMBIENT_C = 25;
+const UNSET_TARGET_C = 4; // a unit nobody gave a set point holds whatever it was last set to
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function simulateReading(unit, excursionRate) {
+  const target = unit.setPointC ?? UNSET_TARGET_C;
+  const start = unit.lastTempC ?? target;
+  let tempC;
+  if (!unit.powered) tempC = start + (AMBIENT_C - start) * 0.2;
+  else if (Math.random() < excursionRate) tempC = start + 3 + Math.random() * 4;
+  else tempC = start + (target - start) * 0.6 + (Math.random() - 0.5) * 0.6;
+  return { containerId: unit.containerId, tempC: round1(tempC), powered: unit.powered };
+}
+
+export function createSimulatorTelemetry({ intervalMs = 5 * 60 * 1000, excursionRate = 0.03 } = {}) {
+  return {
+    id: "simulator",
+    label: "Simulator",
+    intervalMs,
+    async read({ reefers = [] } = {}) {
+      return reefers.map((unit) => simulateReading(unit, excursionRate));
+    },
+  };
+}
@@ -0,0 +1,110 @@
+import { DAY_MS, dwellDays, yardEntryAt } from "./dwell";
+import { isInYard } from "./lifecycle";
+import { REEFER_ALARM_KINDS, reeferAlarms } from "./reefer";
+
+/**
+ * Yard alerts, derived from the containers on every render (never stored)
+ * - OVERDUE: in the yard past its moveOutDate; critical once it is `overdueCriticalHours` late
+ * - DWELL: in the yard longer than `dwellWarningDays` / `dwellCriticalDays`
+ * - REEFER_*: reefer temperature, power and telemetry alarms (see reefer.js); they need the layout
+ *   and the recorded readings, so they are only raised when those are passed in
+ * An alert's key includes what raised it (date, severity), so an acknowledged alert comes back
+ * when it escalates or the move-out date changes.
+ */
+
+export const ALERT_KINDS = { OVERDUE: "OVERDUE", DWELL: "DWELL", ...REEFER_ALARM_KINDS };
+
+export const ALERT_KIND_LABELS = {
+  OVERDUE: "Overdue",
+  DWELL: "Dwell",
+  REEFER_TEMP: "Reefer temperature",
+  REEFER_POWER: "Reefer power",
+  REEFER_SILENT: "Reefer telemetry",
+};
+
+export const SEVERITIES = ["warning", "critical"]; // ascending
+
+export const DEFAULT_ALERT_SETTINGS = {
+  dwellWarningDays: 7,
+  dwellCriticalDays: 14,
+  overdueCriticalHours: 24,
+  reeferToleranceC: 2, // either side of the set point, in kelvin
+  reeferSilentMinutes: 30,
+};
+
+export function normalizeAlertSettings(raw) {
+  const num = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+  const warning = num(raw?.dwellWarningDays, DEFAULT_ALERT_SETTINGS.dwellWarningDays);
+  return {
+    dwellWarningDays: warning,
+    dwellCriticalDays: Math.max(warning, num(raw?.dwellCriticalDays, DEFAULT_ALERT_SETTINGS.dwellCriticalDays)),
+    overdueCriticalHours: num(raw?.overdueCriticalHours, DEFAULT_ALERT_SETTINGS.overdueCriticalHours),
+    reeferToleranceC: num(raw?.reeferToleranceC, DEFAULT_ALERT_SETTINGS.reeferToleranceC),
+    reeferSilentMinutes: num(raw?.reeferSilentMinutes, DEFAULT_ALERT_SETTINGS.reeferSilentMinutes),
+  };
+}
+
+export function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+function formatDays(days) {
+  return `${days.toFixed(1)} days`;
+}
+
+/**
+ * Returns [{ key, kind, severity, containerId, slotId, message, acknowledged }],
+ * critical first, then longest-running. Reefer alarms are included when `yard` has the layout config.
+ */
+export function computeAlerts(containers, settings, acknowledged = {}, now = Date.now(), yard = {}) {
+  const s = normalizeAlertSettings(settings);
+  const alerts = [];
+  for (const container of Object.values(containers)) {
+    if (!isInYard(container)) continue;
+
+    const out = new Date(container.moveOutDate || "").getTime();
+    if (!Number.isNaN(out) && out < now) {
+      const lateDays = (now - out) / DAY_MS;
+      const severity = lateDays * 24 >= s.overdueCriticalHours ? "critical" : "warning";
+      alerts.push({
+        key: `${ALERT_KINDS.OVERDUE}:${container.id}:${container.moveOutDate}:${severity}`,
+        kind: ALERT_KINDS.OVERDUE,
+        severity,
+        containerId: container.id,
+        slotId: container.slotId || null,
+        measure: lateDays,
+        message: `Move-out was due ${formatDays(lateDays)} ago`,
+      });
+    }
+
+    const days = dwellDays(container, now);
+    if (days != null && days >= s.dwellWarningDays) {
+      const severity = days >= s.dwellCriticalDays ? "critical" : "warning";
+      alerts.push({
+        key: `${ALERT_KINDS.DWELL}:${container.id}:${yardEntryAt(container)}:${severity}`,
+        kind: ALERT_KINDS.DWELL,
+        severity,
+        containerId: container.id,
+        slotId: container.slotId || null,
+        measure: days,
+        message: `In the yard for ${formatDays(days)} (limit ${severity === "critical" ? s.dwellCriticalDays : s.dwellWarningDays} days)`,
+      });
+    }
+  }
+  if (yard.config) alerts.push(...reeferAlarms({ config: yard.config, containers, reeferReadings: yard.reeferReadings || {} }, s, now));
+  return alerts
+    .map((alert) => ({ ...alert, acknowledged: acknowledged[alert.key] || null }))
+    .sort((a, b) => severityRank(b.severity) - severityRank(a.severity) || b.measure - a.measure);
+}
+
+// { [slotId]: { count, severity } } over open (unacknowledged) alerts
+export function alertsBySlot(alerts) {
+  const bySlot = {};
+  for (const alert of alerts) {
+    if (alert.acknowledged || !alert.slotId) continue;
+    const entry = bySlot[alert.slotId] || (bySlot[alert.slotId] = { count: 0, severity: alert.severity });
+    entry.count++;
+    if (severityRank(alert.severity) > severityRank(entry.severity)) entry.severity = alert.severity;
+  }
+  return bySlot;
+}
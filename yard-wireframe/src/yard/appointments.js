@@ -0,0 +1,262 @@
+import { findZone, parseSlotId, placeInLayout, withoutContainer } from "./layout";
+import { isInYard } from "./lifecycle";
+import { rankSlots } from "./placement";
+import { openOrderFor } from "./workOrders";
+
+/**
+ * Truck appointments
+ * - A day is cut into fixed time windows; each window takes at most `capacity` trucks
+ * - An appointment books one truck (trucking company + truck ref) into a window to collect
+ *   one or more containers; a container is on at most one booked appointment
+ * - Capacity and double bookings are checked in the reducer, so two planners booking the last
+ *   truck of a window at once end with one of them getting a sync conflict
+ * - Pre-staging: `stagingLeadHours` before a window opens, its containers should sit on a top tier
+ *   in a gate-side zone; planPreStaging() proposes the moves (they become work orders)
+ *
+ * Dates are local calendar days ("YYYY-MM-DD") and window times local "HH:MM".
+ */
+
+export const APPOINTMENT_STATUS = { BOOKED: "BOOKED", CANCELLED: "CANCELLED" };
+
+export const DEFAULT_APPOINTMENT_SETTINGS = {
+  windows: [
+    { id: "W1", start: "06:00", end: "08:00", capacity: 4 },
+    { id: "W2", start: "08:00", end: "10:00", capacity: 6 },
+    { id: "W3", start: "10:00", end: "12:00", capacity: 6 },
+    { id: "W4", start: "12:00", end: "14:00", capacity: 4 },
+    { id: "W5", start: "14:00", end: "16:00", capacity: 6 },
+    { id: "W6", start: "16:00", end: "18:00", capacity: 4 },
+  ],
+  stagingLeadHours: 4,
+  gateZones: [], // empty: the zone(s) closest to the gate
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+export function newAppointmentId() {
+  return `AP-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+}
+
+// Windows sorted by start, without overlaps or bad times; ids stay as given so bookings keep pointing at them
+export function normalizeAppointmentSettings(raw) {
+  const source = Array.isArray(raw?.windows) && raw.windows.length ? raw.windows : DEFAULT_APPOINTMENT_SETTINGS.windows;
+  const seen = new Set();
+  const windows = [];
+  for (const w of [...source].sort((a, b) => String(a.start).localeCompare(String(b.start)))) {
+    const id = String(w?.id || "").trim().toUpperCase();
+    if (!id || seen.has(id) || !TIME_PATTERN.test(w.start) || !TIME_PATTERN.test(w.end) || w.end <= w.start) continue;
+    if (windows.length && windows[windows.length - 1].end > w.start) continue;
+    seen.add(id);
+    windows.push({ id, start: w.start, end: w.end, capacity: Math.max(0, Math.floor(Number(w.capacity)) || 0) });
+  }
+  const lead = Number(raw?.stagingLeadHours);
+  return {
+    windows: windows.length ? windows : DEFAULT_APPOINTMENT_SETTINGS.windows,
+    stagingLeadHours: Number.isFinite(lead) && lead >= 0 ? lead : DEFAULT_APPOINTMENT_SETTINGS.stagingLeadHours,
+    gateZones: [...new Set((Array.isArray(raw?.gateZones) ? raw.gateZones : []).map((z) => String(z).trim().toUpperCase()).filter(Boolean))],
+  };
+}
+
+// Why `settings` cannot be saved, or null
+export function validateAppointmentSettings(settings) {
+  const windows = Array.isArray(settings?.windows) ? settings.windows : [];
+  if (!windows.length) return "Add at least one time window.";
+  const ids = new Set();
+  for (const w of windows) {
+    const id = String(w.id || "").trim().toUpperCase();
+    if (!id) return "Every window needs a code.";
+    if (ids.has(id)) return `Window ${id} appears twice.`;
+    ids.add(id);
+    if (!TIME_PATTERN.test(w.start) || !TIME_PATTERN.test(w.end)) return `Window ${id}: times must be HH:MM.`;
+    if (w.end <= w.start) return `Window ${id} must end after it starts.`;
+    if (!(Number(w.capacity) >= 0)) return `Window ${id}: capacity must be 0 or more.`;
+  }
+  const sorted = [...windows].sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) return `Windows ${sorted[i - 1].id} and ${sorted[i].id} overlap.`;
+  }
+  return null;
+}
+
+export function findWindow(settings, windowId) {
+  return settings.windows.find((w) => w.id === windowId) || null;
+}
+
+// Local calendar day of a date/ISO string, "YYYY-MM-DD"
+export function localDay(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// { start, end } epoch ms of an appointment's window, or null when the window no longer exists
+export function appointmentWindow(appointment, settings) {
+  const w = findWindow(settings, appointment.windowId);
+  if (!w) return null;
+  return { start: new Date(`${appointment.date}T${w.start}`).getTime(), end: new Date(`${appointment.date}T${w.end}`).getTime() };
+}
+
+export function isBooked(appointment) {
+  return appointment?.status === APPOINTMENT_STATUS.BOOKED;
+}
+
+export function bookedFor(appointments, cid) {
+  return Object.values(appointments).find((a) => isBooked(a) && a.containerIds.includes(cid)) || null;
+}
+
+export function windowLoad(appointments, date, windowId) {
+  return Object.values(appointments).filter((a) => isBooked(a) && a.date === date && a.windowId === windowId).length;
+}
+
+/**
+ * Appointments map with a new booking from an APPOINTMENT_BOOKED event.
+ * Throws when the window is unknown or full, or a container is missing or already booked.
+ */
+export function bookAppointment(state, event) {
+  const { appointments } = state;
+  const settings = state.appointmentSettings;
+  const input = event.payload.appointment;
+  if (appointments[input.id]) throw new Error(`Appointment ${input.id} already exists.`);
+  if (!DATE_PATTERN.test(input.date || "")) throw new Error(`Invalid appointment date ${input.date}.`);
+  const w = findWindow(settings, input.windowId);
+  if (!w) throw new Error(`Unknown time window ${input.windowId}.`);
+  if (windowLoad(appointments, input.date, w.id) >= w.capacity) {
+    throw new Error(`Window ${w.start}–${w.end} on ${input.date} is full (${w.capacity} truck${w.capacity === 1 ? "" : "s"}).`);
+  }
+  const containerIds = [...new Set(input.containerIds || [])];
+  if (!containerIds.length) throw new Error("An appointment needs at least one container.");
+  for (const cid of containerIds) {
+    if (!state.containers[cid]) throw new Error(`Unknown container ${cid}.`);
+    const other = bookedFor(appointments, cid);
+    if (other) throw new Error(`${cid} is already booked on ${other.id} (${other.date}).`);
+  }
+  const appointment = {
+    id: input.id,
+    date: input.date,
+    windowId: w.id,
+    truckingCompany: String(input.truckingCompany || "").trim(),
+    truckRef: String(input.truckRef || "").trim(),
+    containerIds,
+    note: String(input.note || "").trim(),
+    status: APPOINTMENT_STATUS.BOOKED,
+    bookedAt: event.at,
+    bookedBy: event.actor,
+  };
+  return { ...appointments, [appointment.id]: appointment };
+}
+
+export function cancelAppointment(appointments, appointmentId, { at, actor, reason = "" }) {
+  const appointment = appointments[appointmentId];
+  if (!isBooked(appointment)) throw new Error(`Appointment ${appointmentId} is not booked.`);
+  return {
+    ...appointments,
+    [appointmentId]: { ...appointment, status: APPOINTMENT_STATUS.CANCELLED, cancelledAt: at, cancelledBy: actor, cancelReason: reason },
+  };
+}
+
+// Gate-side zones follow zone code changes from a layout edit
+export function renameGateZones(settings, zoneRenames) {
+  if (!Object.keys(zoneRenames || {}).length) return settings;
+  return { ...settings, gateZones: settings.gateZones.map((z) => zoneRenames[z] || z) };
+}
+
+// The zones pre-staging aims for: the configured ones still in the layout, else the closest to the gate
+export function stagingZones(config, settings) {
+  const configured = settings.gateZones.filter((z) => findZone(config, z));
+  if (configured.length) return configured;
+  const nearest = Math.min(...config.zones.map((z) => z.gateDistance));
+  return config.zones.filter((z) => z.gateDistance === nearest).map((z) => z.id);
+}
+
+/**
+ * How far each booked container is from being ready for its truck:
+ * { [cid]: { appointment, slotId, gateSide, buriedUnder, collected } }
+ * `buriedUnder` counts the units above it in `layout` (pass the planned layout to see reserved tiers);
+ * for a 40FT, in the fuller of its two stacks.
+ */
+export function appointmentReadiness({ config, layout, containers, archive }, appointments, settings) {
+  const zones = new Set(stagingZones(config, settings));
+  const slotOf = {};
+  for (const [slotId, stack] of Object.entries(layout)) {
+    stack.forEach((cid, tier) => {
+      const buried = stack.length - tier - 1;
+      slotOf[cid] = { slotId: slotOf[cid]?.slotId ?? slotId, buried: Math.max(buried, slotOf[cid]?.buried ?? 0) };
+    });
+  }
+  const readiness = {};
+  for (const appointment of Object.values(appointments)) {
+    if (!isBooked(appointment)) continue;
+    for (const cid of appointment.containerIds) {
+      const at = slotOf[cid];
+      readiness[cid] = {
+        appointment,
+        slotId: at?.slotId ?? null,
+        gateSide: Boolean(at && zones.has(parseSlotId(at.slotId)?.zone)),
+        buriedUnder: at ? at.buried : 0,
+        collected: Boolean(archive[cid]) || !containers[cid],
+      };
+    }
+  }
+  return readiness;
+}
+
+/**
+ * Pre-staging moves for every booked window that opens within the lead time (or is open now):
+ * each of its containers that is buried or outside the gate-side zones gets a move to the best
+ * top tier there. Containers with an open work order are left alone; so is one that is already
+ * on top in a gate-side zone.
+ * Returns [{ appointment, windowStart, containerId, fromSlot, toSlot, reason, best }], soonest window first.
+ */
+export function planPreStaging({ config, layout, containers, workOrders }, appointments, settings, strategyId, now = Date.now()) {
+  const zones = new Set(stagingZones(config, settings));
+  const due = Object.values(appointments)
+    .filter(isBooked)
+    .map((appointment) => ({ appointment, window: appointmentWindow(appointment, settings) }))
+    .filter(({ window }) => window && window.end > now && window.start - settings.stagingLeadHours * HOUR_MS <= now)
+    .sort((a, b) => a.window.start - b.window.start);
+
+  let scratch = { ...layout };
+  const moves = [];
+  for (const { appointment, window } of due) {
+    for (const cid of appointment.containerIds) {
+      const container = containers[cid];
+      if (!isInYard(container) || !container.slotId || openOrderFor(workOrders, cid)) continue;
+      const cells = Object.keys(scratch).filter((s) => scratch[s].includes(cid));
+      if (!cells.length) continue;
+      const slotId = cells[0];
+      const buried = Math.max(...cells.map((s) => scratch[s].length - scratch[s].indexOf(cid) - 1));
+      const gateSide = zones.has(parseSlotId(slotId)?.zone);
+      if (!buried && gateSide) continue;
+
+      const ranked = rankSlots({ config, layout: scratch, containers }, container, strategyId);
+      // Do not bury a unit whose own truck comes earlier
+      const best = ranked.find(
+        (r) =>
+          r.slotId !== slotId &&
+          zones.has(parseSlotId(r.slotId)?.zone) &&
+          !scratch[r.slotId].some((x) => pickupStart(appointments, settings, x) < window.start)
+      );
+      if (!best) continue;
+      scratch = placeInLayout(withoutContainer(scratch, cid), container, best.slotId);
+      moves.push({
+        appointment,
+        windowStart: window.start,
+        containerId: cid,
+        fromSlot: slotId,
+        toSlot: best.slotId,
+        reason: buried ? `under ${buried} unit${buried === 1 ? "" : "s"}` : "not gate-side",
+        best,
+      });
+    }
+  }
+  return moves;
+}
+
+// When `cid`'s truck window opens (Infinity when it has no booking)
+function pickupStart(appointments, settings, cid) {
+  const appointment = bookedFor(appointments, cid);
+  return (appointment && appointmentWindow(appointment, settings)?.start) ?? Infinity;
+}
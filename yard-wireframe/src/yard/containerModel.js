@@ -0,0 +1,120 @@
+/**
+ * Container master-data fields and the values they may take.
+ * normalize*() accept common external spellings and return null when a value is not recognised.
+ */
+
+export const CONTAINER_SIZES = ["20FT", "40FT"];
+export const CONTAINER_TYPES = ["DRY", "REEFER", "OPEN"];
+export const PRIORITIES = ["NORMAL", "HIGH"];
+// An empty 20FT tare is about 2 t; ISO 668 caps a loaded 40FT at 32.5 t
+export const MIN_GROSS_WEIGHT_KG = 1500;
+export const MAX_GROSS_WEIGHT_KG = 32500;
+// What a reefer unit can be set to: deep-frozen cargo at -35 °C up to tropical fruit at +30 °C
+export const MIN_SET_POINT_C = -35;
+export const MAX_SET_POINT_C = 30;
+
+const TYPE_ALIASES = {
+  DRY: "DRY",
+  GP: "DRY",
+  DV: "DRY",
+  GENERAL: "DRY",
+  REEFER: "REEFER",
+  RF: "REEFER",
+  RH: "REEFER",
+  OPEN: "OPEN",
+  OT: "OPEN",
+  "OPEN TOP": "OPEN",
+};
+
+export function normalizeSize(value) {
+  const text = String(value ?? "").trim().toUpperCase();
+  if (/^20(\s*FT|'|FT)?$/.test(text)) return "20FT";
+  if (/^4[05](\s*FT|'|FT)?$/.test(text)) return "40FT";
+  return null;
+}
+
+export function normalizeType(value) {
+  return TYPE_ALIASES[String(value ?? "").trim().toUpperCase()] ?? null;
+}
+
+export function normalizePriority(value) {
+  const text = String(value ?? "").trim().toUpperCase();
+  if (!text || text === "NORMAL" || text === "LOW") return "NORMAL";
+  if (text === "HIGH" || text === "URGENT") return "HIGH";
+  return null;
+}
+
+// IMDG hazard class 1–9 with optional division (e.g. "3", "2.1"); null when blank or malformed
+export function normalizeImdgClass(value) {
+  const text = String(value ?? "").trim();
+  return /^[1-9](\.[1-6])?$/.test(text) ? text : null;
+}
+
+// UN number as "UN" + 4 digits ("1203", "un 1203" → "UN1203"); null when blank or malformed
+export function normalizeUnNumber(value) {
+  const match = /^(?:UN)?\s*(\d{4})$/.exec(String(value ?? "").trim().toUpperCase());
+  return match ? `UN${match[1]}` : null;
+}
+
+// Gross weight in kg from a number or text like "24500", "24,500 kg", "24.5 t"; null when blank or
+// outside what a loaded container can weigh
+export function normalizeWeightKg(value) {
+  const match = /^(\d+(?:[.,]\d+)*)\s*(KG|KGS|T|TON|TONNES?)?$/.exec(String(value ?? "").trim().toUpperCase());
+  if (!match) return null;
+  const unit = match[2] || "KG";
+  const number = unit === "KG" || unit === "KGS" ? Number(match[1].replace(/,/g, "")) : Number(match[1].replace(",", "."));
+  const kg = Math.round(unit.startsWith("T") ? number * 1000 : number);
+  return Number.isFinite(kg) && kg >= MIN_GROSS_WEIGHT_KG && kg <= MAX_GROSS_WEIGHT_KG ? kg : null;
+}
+
+// Reefer set point in °C, to one decimal, from a number or text like "-18", "+5 C", "-18.0°C", "2,5";
+// null when blank or outside what a reefer unit can hold
+export function normalizeSetPointC(value) {
+  const match = /^([+-]?\d+(?:[.,]\d+)?)\s*(?:°\s*)?C?$/.exec(String(value ?? "").trim().toUpperCase());
+  if (!match) return null;
+  const celsius = Math.round(Number(match[1].replace(",", ".")) * 10) / 10;
+  return celsius >= MIN_SET_POINT_C && celsius <= MAX_SET_POINT_C ? celsius : null;
+}
+
+export function isHazardous(container) {
+  return Boolean(container?.imdgClass);
+}
+
+// ISO string, or null for blank / unparseable input
+export function normalizeDate(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ISO 6346 size/type codes: length, height, type group + detail (e.g. 45R1 = 40' high-cube reefer).
+// Only lengths 2 (20') and 4 (40') and groups G/R/U map onto our size/type fields.
+export const ISO_SIZE_TYPE_CODES = {
+  "22G1": "20' general purpose",
+  "25G1": "20' high-cube general purpose",
+  "42G1": "40' general purpose",
+  "45G1": "40' high-cube general purpose",
+  "22R1": "20' reefer",
+  "42R1": "40' reefer",
+  "45R1": "40' high-cube reefer",
+  "22U1": "20' open top",
+  "42U1": "40' open top",
+};
+
+const ISO_TYPE_GROUPS = { G: "DRY", R: "REEFER", U: "OPEN" };
+const DEFAULT_CODES = { "20FT:DRY": "22G1", "40FT:DRY": "42G1", "20FT:REEFER": "22R1", "40FT:REEFER": "45R1", "20FT:OPEN": "22U1", "40FT:OPEN": "42U1" };
+
+// { size, type, code } for a size/type code we can hold, otherwise null
+export function fromIsoSizeTypeCode(code) {
+  const text = String(code ?? "").trim().toUpperCase();
+  if (!/^[0-9A-Z]{2}[A-Z][0-9]$/.test(text)) return null;
+  const size = { 2: "20FT", 4: "40FT" }[text[0]] ?? null;
+  const type = ISO_TYPE_GROUPS[text[2]] ?? null;
+  return size && type ? { size, type, code: text } : null;
+}
+
+// The container's own code when it has one, else the usual code for its size and type
+export function isoSizeTypeCode({ size, type, isoCode }) {
+  if (fromIsoSizeTypeCode(isoCode)) return isoCode;
+  return DEFAULT_CODES[`${size}:${type}`] || DEFAULT_CODES["20FT:DRY"];
+}
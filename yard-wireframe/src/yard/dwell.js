@@ -0,0 +1,29 @@
+import { STATUS } from "./lifecycle";
+
+/**
+ * Dwell time: how long a container has been in the yard.
+ * The clock starts at its first move to IN_YARD (placement), falling back to the announced
+ * move-in date for records that predate the status history.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function yardEntryAt(container) {
+  const placed = container?.statusHistory?.find((h) => h.to === STATUS.IN_YARD);
+  return placed?.at || container?.placedAt || container?.moveInDate || null;
+}
+
+// Fractional days, or null when the container has no entry time
+export function dwellDays(container, now = Date.now()) {
+  const since = yardEntryAt(container);
+  if (!since) return null;
+  const ms = now - new Date(since).getTime();
+  return Number.isNaN(ms) ? null : Math.max(0, ms / DAY_MS);
+}
+
+// { avg, max } over the containers in a slot with a known entry time, or null
+export function slotDwell(stack, containers, now = Date.now()) {
+  const days = (stack || []).map((cid) => dwellDays(containers[cid], now)).filter((d) => d != null);
+  if (!days.length) return null;
+  return { avg: days.reduce((a, b) => a + b, 0) / days.length, max: Math.max(...days) };
+}
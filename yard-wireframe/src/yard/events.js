@@ -0,0 +1,419 @@
+import {
+  DEFAULT_LAYOUT_CONFIG,
+  emptyLayout,
+  footprint,
+  migrateLayout,
+  misalignedUnits,
+  normalizeLayoutConfig,
+  placeInLayout,
+  unlevelledByRemoving,
+  withoutContainer,
+} from "./layout";
+import {
+  STATUS,
+  gateOutContainer,
+  releaseContainer,
+  revokeRelease,
+  statusAfterPlacement,
+  transitionContainer,
+} from "./lifecycle";
+import { DEFAULT_OWNER_CODES, ownerCompany } from "./ownerCodes";
+import { normalizeSetPointC } from "./containerModel";
+import { isReefer } from "./reefer";
+import { DEFAULT_ALERT_SETTINGS, normalizeAlertSettings } from "./alerts";
+import {
+  DEFAULT_APPOINTMENT_SETTINGS,
+  bookAppointment,
+  cancelAppointment,
+  normalizeAppointmentSettings,
+  renameGateZones,
+} from "./appointments";
+import { DEFAULT_TARIFF, normalizeTariff } from "./tariff";
+import { DEFAULT_EQUIPMENT, ORDER_STATUS, normalizeEquipment, openOrderFor, openWorkOrder, renameOrderSlots, transitionWorkOrder } from "./workOrders";
+
+/**
+ * Event-sourced yard state
+ * - Every yard operation is an append-only event:
+ *   { id, seq, batchId, type, containerId, fromSlot, toSlot, stackIndex, at, actor, payload }
+ * - One user action = one batch (e.g. auto-place emits one PLACED event per container)
+ * - Undo/redo are events too: UNDO/REDO point at a batch, and replay skips undone batches
+ * - rebuildState() folds the effective events into
+ *   { config, containers, inboundIds, layout, archive, ownerCodes, alertSettings, acknowledgedAlerts, signedOffStacks,
+ *     equipment, workOrders, appointments, appointmentSettings, hazmatOverrides, tariff, skippedEvents }
+ * - Reefer telemetry is not logged here; readings live in their own capped store (see reefer.js)
+ */
+
+export const EVENT_TYPES = {
+  YARD_INITIALIZED: "YARD_INITIALIZED", // payload: full yard snapshot (legacy data import)
+  LAYOUT_CONFIGURED: "LAYOUT_CONFIGURED", // payload: { config, zoneRenames }
+  OWNER_CODES_UPDATED: "OWNER_CODES_UPDATED", // payload: { ownerCodes } — the whole registry
+  ALERT_SETTINGS_UPDATED: "ALERT_SETTINGS_UPDATED", // payload: { settings } — dwell/overdue thresholds
+  ALERT_ACKNOWLEDGED: "ALERT_ACKNOWLEDGED", // payload: { alertKey, note }
+  SLOTS_SIGNED_OFF: "SLOTS_SIGNED_OFF", // payload: { slots: { [slotId]: { before, after } }, scope, comment }
+  EQUIPMENT_UPDATED: "EQUIPMENT_UPDATED", // payload: { equipment } — the whole list
+  WORK_ORDER_CREATED: "WORK_ORDER_CREATED", // fromSlot (null: inbound) → toSlot; payload: { orderId, placement, appointmentId } — appointmentId only on pre-staging orders
+  WORK_ORDER_DISPATCHED: "WORK_ORDER_DISPATCHED", // payload: { orderId, equipmentId, driver }
+  WORK_ORDER_STARTED: "WORK_ORDER_STARTED", // payload: { orderId }
+  WORK_ORDER_COMPLETED: "WORK_ORDER_COMPLETED", // payload: { orderId }; batched with the PLACED/MOVED it executes
+  WORK_ORDER_FAILED: "WORK_ORDER_FAILED", // payload: { orderId, reason }
+  WORK_ORDER_CANCELLED: "WORK_ORDER_CANCELLED", // payload: { orderId, reason }
+  APPOINTMENT_SETTINGS_UPDATED: "APPOINTMENT_SETTINGS_UPDATED", // payload: { settings } — windows, capacity, staging
+  APPOINTMENT_BOOKED: "APPOINTMENT_BOOKED", // payload: { appointment: { id, date, windowId, truckingCompany, truckRef, containerIds, note } }
+  APPOINTMENT_CANCELLED: "APPOINTMENT_CANCELLED", // payload: { appointmentId, reason }
+  TARIFF_UPDATED: "TARIFF_UPDATED", // payload: { settings } — free days, day rates, surcharges
+  HAZMAT_OVERRIDDEN: "HAZMAT_OVERRIDDEN", // toSlot; payload: { violations: [message], reason, orderId } — batched with the move it allows
+  CONTAINER_REGISTERED: "CONTAINER_REGISTERED", // payload: { container }
+  CONTAINER_PLACED: "CONTAINER_PLACED", // inbound → slot; payload: { placement }
+  CONTAINER_MOVED: "CONTAINER_MOVED", // slot → slot; payload: { placement }
+  CONTAINER_RESTACKED: "CONTAINER_RESTACKED", // within a slot; payload: { fromIndex }
+  CONTAINER_RELEASED: "CONTAINER_RELEASED",
+  RELEASE_REVOKED: "RELEASE_REVOKED",
+  CONTAINER_GATED_OUT: "CONTAINER_GATED_OUT", // payload: { truckRef, driverRef, departedAt }
+  REEFER_SET_POINT_CHANGED: "REEFER_SET_POINT_CHANGED", // payload: { setPointC } — null clears it
+  UNDO: "UNDO", // payload: { batchId }
+  REDO: "REDO", // payload: { batchId }
+};
+
+export const DEFAULT_ACTOR = "local-operator";
+
+const HISTORY_TYPES = new Set([EVENT_TYPES.UNDO, EVENT_TYPES.REDO]);
+
+function uid(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function initialYardState(config = DEFAULT_LAYOUT_CONFIG) {
+  const normalized = normalizeLayoutConfig(config);
+  return {
+    config: normalized,
+    containers: {},
+    inboundIds: [],
+    layout: emptyLayout(normalized),
+    archive: {},
+    ownerCodes: DEFAULT_OWNER_CODES,
+    alertSettings: DEFAULT_ALERT_SETTINGS,
+    acknowledgedAlerts: {}, // { [alertKey]: { at, actor, note } }
+    signedOffStacks: {}, // { [slotId]: [containerId, ...] } — the stack as last signed off
+    equipment: DEFAULT_EQUIPMENT,
+    workOrders: {}, // { [orderId]: order } — see workOrders.js
+    appointments: {}, // { [appointmentId]: appointment } — see appointments.js
+    appointmentSettings: DEFAULT_APPOINTMENT_SETTINGS,
+    hazmatOverrides: [], // dangerous-goods rules a supervisor waived, oldest first
+    tariff: DEFAULT_TARIFF,
+    skippedEvents: [], // set by rebuildState()
+  };
+}
+
+/**
+ * Stamp a batch of event drafts ({ type, containerId, fromSlot, toSlot, stackIndex, payload })
+ * so they can be appended after `existing`.
+ */
+export function createBatch(existing, drafts, { actor = DEFAULT_ACTOR, at = new Date().toISOString() } = {}) {
+  const batchId = uid("batch");
+  const lastSeq = existing.length ? existing[existing.length - 1].seq : 0;
+  return drafts.map((draft, idx) => ({
+    id: uid("evt"),
+    seq: lastSeq + idx + 1,
+    batchId,
+    type: draft.type,
+    containerId: draft.containerId ?? null,
+    fromSlot: draft.fromSlot ?? null,
+    toSlot: draft.toSlot ?? null,
+    stackIndex: draft.stackIndex ?? null,
+    at,
+    actor,
+    payload: draft.payload ?? null,
+  }));
+}
+
+function requireContainer(state, cid) {
+  const container = state.containers[cid];
+  if (!container) throw new Error(`Unknown container ${cid}.`);
+  return container;
+}
+
+function requireSlot(state, slotId) {
+  if (!(slotId in state.layout)) throw new Error(`Slot ${slotId} does not exist in the current layout.`);
+}
+
+// A unit may only leave its stacks when no 40FT above it would be left with one end hanging
+function requireFreeToLeave(state, cid) {
+  const stranded = unlevelledByRemoving(state.layout, state.containers, cid);
+  if (stranded.length) {
+    throw new Error(`${cid} has the 40FT ${stranded.join(", ")} above it; move ${stranded.length === 1 ? "it" : "them"} off first.`);
+  }
+}
+
+/**
+ * Apply one event to the yard state. Pure; throws when the event does not fit the state.
+ * Soft placement rules (stack limits, reefer power…) are checked when the command is issued,
+ * not here, so history still replays after the rules change.
+ */
+export function applyEvent(state, event) {
+  const { type, containerId: cid, at, payload } = event;
+  switch (type) {
+    case EVENT_TYPES.YARD_INITIALIZED: {
+      const config = normalizeLayoutConfig(payload.config);
+      const layout = emptyLayout(config);
+      for (const [slotId, stack] of Object.entries(payload.layout || {})) {
+        if (slotId in layout && Array.isArray(stack)) layout[slotId] = stack;
+      }
+      return {
+        config,
+        containers: payload.containers || {},
+        inboundIds: payload.inboundIds || [],
+        layout,
+        archive: payload.archive || {},
+        ownerCodes: payload.ownerCodes || state.ownerCodes,
+        alertSettings: payload.alertSettings ? normalizeAlertSettings(payload.alertSettings) : state.alertSettings,
+        acknowledgedAlerts: state.acknowledgedAlerts,
+        signedOffStacks: state.signedOffStacks,
+        equipment: payload.equipment ? normalizeEquipment(payload.equipment) : state.equipment,
+        workOrders: {},
+        appointments: {},
+        appointmentSettings: payload.appointmentSettings
+          ? normalizeAppointmentSettings(payload.appointmentSettings)
+          : state.appointmentSettings,
+        hazmatOverrides: state.hazmatOverrides,
+        tariff: payload.tariff ? normalizeTariff(payload.tariff) : state.tariff,
+      };
+    }
+
+    case EVENT_TYPES.LAYOUT_CONFIGURED: {
+      const config = normalizeLayoutConfig(payload.config);
+      const migrated = migrateLayout(state, config, payload.zoneRenames || {}, at);
+      return {
+        ...state,
+        config,
+        layout: migrated.layout,
+        containers: migrated.containers,
+        inboundIds: migrated.inboundIds,
+        workOrders: renameOrderSlots(state.workOrders, payload.zoneRenames),
+        appointmentSettings: renameGateZones(state.appointmentSettings, payload.zoneRenames),
+      };
+    }
+
+    case EVENT_TYPES.OWNER_CODES_UPDATED:
+      return { ...state, ownerCodes: { ...payload.ownerCodes } };
+
+    case EVENT_TYPES.ALERT_SETTINGS_UPDATED:
+      return { ...state, alertSettings: normalizeAlertSettings(payload.settings) };
+
+    case EVENT_TYPES.ALERT_ACKNOWLEDGED:
+      return {
+        ...state,
+        acknowledgedAlerts: { ...state.acknowledgedAlerts, [payload.alertKey]: { at, actor: event.actor, note: payload.note || "" } },
+      };
+
+    case EVENT_TYPES.SLOTS_SIGNED_OFF: {
+      const signedOffStacks = { ...state.signedOffStacks };
+      for (const [slotId, { after }] of Object.entries(payload.slots)) signedOffStacks[slotId] = after;
+      return { ...state, signedOffStacks };
+    }
+
+    case EVENT_TYPES.EQUIPMENT_UPDATED:
+      return { ...state, equipment: normalizeEquipment(payload.equipment) };
+
+    case EVENT_TYPES.WORK_ORDER_CREATED: {
+      const container = requireContainer(state, cid);
+      requireSlot(state, event.toSlot);
+      if ((container.slotId || null) !== (event.fromSlot || null)) {
+        throw new Error(`${cid} is in ${container.slotId || "the inbound queue"}, not ${event.fromSlot || "the inbound queue"}.`);
+      }
+      if (event.fromSlot) requireFreeToLeave(state, cid);
+      return { ...state, workOrders: openWorkOrder(state.workOrders, event) };
+    }
+
+    case EVENT_TYPES.WORK_ORDER_DISPATCHED:
+    case EVENT_TYPES.WORK_ORDER_STARTED:
+    case EVENT_TYPES.WORK_ORDER_COMPLETED:
+    case EVENT_TYPES.WORK_ORDER_FAILED:
+    case EVENT_TYPES.WORK_ORDER_CANCELLED: {
+      const to = {
+        [EVENT_TYPES.WORK_ORDER_DISPATCHED]: ORDER_STATUS.DISPATCHED,
+        [EVENT_TYPES.WORK_ORDER_STARTED]: ORDER_STATUS.IN_PROGRESS,
+        [EVENT_TYPES.WORK_ORDER_COMPLETED]: ORDER_STATUS.COMPLETED,
+        [EVENT_TYPES.WORK_ORDER_FAILED]: ORDER_STATUS.FAILED,
+        [EVENT_TYPES.WORK_ORDER_CANCELLED]: ORDER_STATUS.CANCELLED,
+      }[type];
+      const patch = type === EVENT_TYPES.WORK_ORDER_DISPATCHED ? { equipmentId: payload.equipmentId, driver: payload.driver } : {};
+      return {
+        ...state,
+        workOrders: transitionWorkOrder(state.workOrders, payload.orderId, to, { at, actor: event.actor, note: payload.reason || "", patch }),
+      };
+    }
+
+    case EVENT_TYPES.APPOINTMENT_SETTINGS_UPDATED:
+      return { ...state, appointmentSettings: normalizeAppointmentSettings(payload.settings) };
+
+    case EVENT_TYPES.TARIFF_UPDATED:
+      return { ...state, tariff: normalizeTariff(payload.settings) };
+
+    case EVENT_TYPES.APPOINTMENT_BOOKED:
+      return { ...state, appointments: bookAppointment(state, event) };
+
+    case EVENT_TYPES.APPOINTMENT_CANCELLED:
+      return {
+        ...state,
+        appointments: cancelAppointment(state.appointments, payload.appointmentId, { at, actor: event.actor, reason: payload.reason || "" }),
+      };
+
+    case EVENT_TYPES.HAZMAT_OVERRIDDEN: {
+      requireContainer(state, cid);
+      if (!payload.reason?.trim()) throw new Error("A dangerous goods override needs a reason.");
+      const entry = {
+        id: event.id,
+        batchId: event.batchId,
+        at,
+        actor: event.actor,
+        containerId: cid,
+        slotId: event.toSlot,
+        violations: payload.violations || [],
+        reason: payload.reason.trim(),
+        orderId: payload.orderId ?? null,
+      };
+      return { ...state, hazmatOverrides: [...state.hazmatOverrides, entry] };
+    }
+
+    case EVENT_TYPES.CONTAINER_REGISTERED: {
+      const container = payload.container;
+      if (state.containers[container.id] || state.archive[container.id]) {
+        throw new Error(`Container ${container.id} is already registered.`);
+      }
+      // The owner-code registry fills in the company when the source did not name one
+      const companyName = container.companyName || ownerCompany(state.ownerCodes, container.id);
+      return {
+        ...state,
+        containers: { ...state.containers, [container.id]: { ...container, companyName, status: STATUS.INBOUND } },
+        inboundIds: [container.id, ...state.inboundIds], // newest first
+      };
+    }
+
+    case EVENT_TYPES.CONTAINER_PLACED:
+    case EVENT_TYPES.CONTAINER_MOVED: {
+      const container = requireContainer(state, cid);
+      footprint(container, event.toSlot).forEach((slotId) => requireSlot(state, slotId));
+      if (type === EVENT_TYPES.CONTAINER_MOVED) requireFreeToLeave(state, cid);
+      const layout = placeInLayout(withoutContainer(state.layout, cid), container, event.toSlot);
+      const patch =
+        type === EVENT_TYPES.CONTAINER_PLACED
+          ? { placedAt: at, slotId: event.toSlot, placement: payload?.placement ?? null }
+          : { movedAt: at, slotId: event.toSlot, placement: payload?.placement ?? null };
+      return {
+        ...state,
+        layout,
+        inboundIds: state.inboundIds.filter((x) => x !== cid),
+        containers: { ...state.containers, [cid]: transitionContainer(container, statusAfterPlacement(container), patch, at) },
+      };
+    }
+
+    case EVENT_TYPES.CONTAINER_RESTACKED: {
+      // A 40FT moves in both of its stacks; nothing may end up on different tiers in its two slots
+      const container = state.containers[cid];
+      const cells = container?.slotId && footprint(container, container.slotId).includes(event.fromSlot) ? footprint(container, container.slotId) : [event.fromSlot];
+      const fromIndex = payload.fromIndex;
+      const layout = { ...state.layout };
+      for (const slotId of cells) {
+        const stack = [...(layout[slotId] || [])];
+        if (stack[fromIndex] !== cid) throw new Error(`${cid} is not at tier ${fromIndex + 1} of ${slotId}.`);
+        if (event.stackIndex < 0 || event.stackIndex >= stack.length) throw new Error(`Invalid tier for ${cid}.`);
+        const [item] = stack.splice(fromIndex, 1);
+        stack.splice(event.stackIndex, 0, item);
+        layout[slotId] = stack;
+      }
+      const touched = cells.flatMap((slotId) => layout[slotId]);
+      const before = misalignedUnits(state.layout, state.containers, touched);
+      const broken = misalignedUnits(layout, state.containers, touched).filter((x) => !before.includes(x));
+      if (broken.length) throw new Error(`Restacking ${cid} would put the 40FT ${broken.join(", ")} on different tiers in its two slots.`);
+      return { ...state, layout };
+    }
+
+    case EVENT_TYPES.CONTAINER_RELEASED:
+      return { ...state, containers: releaseContainer(state.containers, cid, at) };
+
+    case EVENT_TYPES.RELEASE_REVOKED:
+      return { ...state, containers: revokeRelease(state.containers, cid, at) };
+
+    case EVENT_TYPES.CONTAINER_GATED_OUT: {
+      const open = openOrderFor(state.workOrders, cid);
+      if (open) throw new Error(`${cid} has an open work order (${open.id}); finish or cancel it first.`);
+      requireFreeToLeave(state, cid);
+      return { ...state, ...gateOutContainer(state, cid, payload, at) };
+    }
+
+    case EVENT_TYPES.REEFER_SET_POINT_CHANGED: {
+      const container = requireContainer(state, cid);
+      if (!isReefer(container)) throw new Error(`${cid} is not a reefer.`);
+      const setPointC = payload.setPointC == null ? null : normalizeSetPointC(payload.setPointC);
+      if (payload.setPointC != null && setPointC == null) throw new Error(`"${payload.setPointC}" is not a reefer set point.`);
+      return { ...state, containers: { ...state.containers, [cid]: { ...container, setPointC } } };
+    }
+
+    case EVENT_TYPES.UNDO:
+    case EVENT_TYPES.REDO:
+      return state;
+
+    default:
+      throw new Error(`Unknown event type ${type}.`);
+  }
+}
+
+/**
+ * Undo/redo bookkeeping from the log alone.
+ * Returns the set of undone batch IDs and the batches the next undo/redo would target.
+ */
+export function historyState(events) {
+  const undoStack = [];
+  let redoStack = [];
+  const undone = new Set();
+  let lastBatch = null;
+
+  for (const event of events) {
+    if (event.type === EVENT_TYPES.UNDO) {
+      undone.add(event.payload.batchId);
+      if (undoStack[undoStack.length - 1] === event.payload.batchId) undoStack.pop();
+      redoStack.push(event.payload.batchId);
+    } else if (event.type === EVENT_TYPES.REDO) {
+      undone.delete(event.payload.batchId);
+      if (redoStack[redoStack.length - 1] === event.payload.batchId) redoStack.pop();
+      undoStack.push(event.payload.batchId);
+    } else if (event.batchId !== lastBatch) {
+      // A new operation makes everything undone so far permanent
+      if (event.type !== EVENT_TYPES.YARD_INITIALIZED) undoStack.push(event.batchId);
+      redoStack = [];
+    }
+    lastBatch = HISTORY_TYPES.has(event.type) ? null : event.batchId;
+  }
+
+  return {
+    undone,
+    undoBatch: undoStack[undoStack.length - 1] ?? null,
+    redoBatch: redoStack[redoStack.length - 1] ?? null,
+  };
+}
+
+export function effectiveEvents(events, undone = historyState(events).undone) {
+  return events.filter((e) => !HISTORY_TYPES.has(e.type) && !undone.has(e.batchId));
+}
+
+// `skippedEvents` lists the events replay could not apply: [{ seq, type, containerId, error }], oldest first
+export function rebuildState(events, initial = initialYardState()) {
+  let state = initial;
+  const skippedEvents = [];
+  for (const event of effectiveEvents(events)) {
+    try {
+      state = applyEvent(state, event);
+    } catch (err) {
+      // A bad event must not make the whole yard unreadable; skip it, keep going and report it with the state
+      skippedEvents.push({ seq: event.seq, type: event.type, containerId: event.containerId ?? null, error: err.message });
+    }
+  }
+  return { ...state, skippedEvents };
+}
+
+// Every event touching `cid`, oldest first, flagged when its batch was undone
+export function containerTimeline(events, cid, undone = historyState(events).undone) {
+  return events
+    .filter((e) => e.containerId === cid && !HISTORY_TYPES.has(e.type))
+    .map((e) => ({ ...e, undone: undone.has(e.batchId) }));
+}
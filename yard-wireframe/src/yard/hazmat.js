@@ -0,0 +1,136 @@
+import { findZone, footprint, parseSlotId } from "./layout";
+import { isHazardous } from "./containerModel";
+
+/**
+ * Dangerous goods (IMDG) segregation in the yard
+ * - Hazardous containers (an IMDG class) may only stand in hazmat-approved zones
+ * - Two hazardous containers must keep the distance the segregation table asks for their classes.
+ *   The table is the IMDG Code's general segregation table (7.2.4); its shipboard terms are read as
+ *   yard distances between stacks of the same zone:
+ *     1 "away from"                      not in the same stack
+ *     2 "separated from"                 not in the same or a neighbouring stack (diagonals count)
+ *     3 "separated by a compartment"     at least two stacks in between
+ *     4 "separated longitudinally"       not in the same zone
+ *   "X" (see the dangerous goods list) and explosives among themselves count as no requirement here.
+ * - Distance is counted in slots within a zone (the larger of the row and column gap); different zones
+ *   satisfy every level. A 40FT is as close as the nearer of its two slots.
+ */
+
+export const SEGREGATION_LEVELS = {
+  1: { label: "Away from", minDistance: 1 },
+  2: { label: "Separated from", minDistance: 2 },
+  3: { label: "Separated by a complete compartment", minDistance: 3 },
+  4: { label: "Separated longitudinally", minDistance: Infinity },
+};
+
+// Table rows/columns, in IMDG order; classes with divisions map onto the row that covers them
+export const SEGREGATION_GROUPS = ["1.1", "1.3", "1.4", "2.1", "2.2", "2.3", "3", "4.1", "4.2", "4.3", "5.1", "5.2", "6.1", "6.2", "7", "8", "9"];
+
+const TABLE = [
+  //1.1 1.3 1.4 2.1 2.2 2.3  3  4.1 4.2 4.3 5.1 5.2 6.1 6.2  7   8   9
+  [0,  0,  0,  4,  2,  2,  4,  4,  4,  4,  4,  4,  2,  4,  2,  4,  0], // 1.1, 1.2, 1.5
+  [0,  0,  0,  4,  2,  2,  4,  3,  3,  4,  4,  4,  2,  4,  2,  2,  0], // 1.3, 1.6
+  [0,  0,  0,  2,  1,  1,  2,  2,  2,  2,  2,  2,  0,  4,  2,  2,  0], // 1.4
+  [4,  4,  2,  0,  0,  0,  2,  1,  2,  2,  2,  2,  0,  4,  2,  1,  0], // 2.1
+  [2,  2,  1,  0,  0,  0,  1,  0,  1,  0,  0,  1,  0,  2,  1,  0,  0], // 2.2
+  [2,  2,  1,  0,  0,  0,  2,  0,  2,  0,  0,  2,  0,  2,  1,  0,  0], // 2.3
+  [4,  4,  2,  2,  1,  2,  0,  0,  2,  1,  2,  2,  0,  3,  2,  0,  0], // 3
+  [4,  3,  2,  1,  0,  0,  0,  0,  1,  0,  1,  2,  0,  3,  2,  1,  0], // 4.1
+  [4,  3,  2,  2,  1,  2,  2,  1,  0,  1,  2,  2,  1,  3,  2,  1,  0], // 4.2
+  [4,  4,  2,  2,  0,  0,  1,  0,  1,  0,  2,  2,  0,  2,  2,  1,  0], // 4.3
+  [4,  4,  2,  2,  0,  0,  2,  1,  2,  2,  0,  2,  1,  3,  1,  2,  0], // 5.1
+  [4,  4,  2,  2,  1,  2,  2,  2,  2,  2,  2,  0,  1,  3,  2,  2,  0], // 5.2
+  [2,  2,  0,  0,  0,  0,  0,  0,  1,  0,  1,  1,  0,  1,  0,  0,  0], // 6.1
+  [4,  4,  4,  4,  2,  2,  3,  3,  3,  2,  3,  3,  1,  0,  3,  3,  0], // 6.2
+  [2,  2,  2,  2,  1,  1,  2,  2,  2,  2,  1,  2,  0,  3,  0,  2,  0], // 7
+  [4,  2,  2,  1,  0,  0,  0,  1,  1,  1,  2,  2,  0,  3,  2,  0,  0], // 8
+  [0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0,  0], // 9
+];
+
+const GROUP_ALIASES = { "1": "1.1", "1.2": "1.1", "1.5": "1.1", "1.6": "1.3", "2": "2.2", "4": "4.1", "5": "5.1", "6": "6.1" };
+
+function groupIndex(imdgClass) {
+  const text = String(imdgClass || "");
+  return SEGREGATION_GROUPS.indexOf(GROUP_ALIASES[text] || text);
+}
+
+// Segregation level (0–4) between two IMDG classes; 0 when either is not dangerous goods
+export function segregationLevel(classA, classB) {
+  const a = groupIndex(classA);
+  const b = groupIndex(classB);
+  if (a < 0 || b < 0) return 0;
+  return Math.max(TABLE[a][b], TABLE[b][a]);
+}
+
+export function isHazmatApproved(config, slotId) {
+  return Boolean(findZone(config, parseSlotId(slotId)?.zone)?.hazmat);
+}
+
+function slotGap(a, b) {
+  if (!a || !b || a.zone !== b.zone) return Infinity;
+  return Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col));
+}
+
+function footprintGap(cells, slotId) {
+  const other = parseSlotId(slotId);
+  return Math.min(...cells.map((cell) => slotGap(cell, other)));
+}
+
+export function hazmatLabel(container) {
+  if (!isHazardous(container)) return null;
+  return `IMDG ${container.imdgClass}${container.unNumber ? ` ${container.unNumber}` : ""}`;
+}
+
+/**
+ * Why `container` may not stand in `slotId` given the rest of `layout`:
+ * [{ kind: "ZONE" | "SEGREGATION", otherId, level, message }]. `layout` should not contain the
+ * container itself (see withoutContainer); an empty list means it may go there.
+ */
+export function hazmatViolations({ config, layout, containers }, container, slotId) {
+  if (!isHazardous(container)) return [];
+  const violations = [];
+  if (!isHazmatApproved(config, slotId)) {
+    violations.push({ kind: "ZONE", otherId: null, level: null, message: `Zone ${parseSlotId(slotId)?.zone} is not approved for dangerous goods.` });
+  }
+  const cells = footprint(container, slotId).map(parseSlotId);
+  // Nearest slot of every other hazardous container (a 40FT shows up in two stacks)
+  const nearest = {};
+  for (const [otherSlot, stack] of Object.entries(layout)) {
+    const gap = footprintGap(cells, otherSlot);
+    if (gap === Infinity) continue;
+    for (const cid of stack) {
+      if (cid === container.id || !isHazardous(containers[cid])) continue;
+      if (!nearest[cid] || gap < nearest[cid].gap) nearest[cid] = { gap, otherSlot };
+    }
+  }
+  for (const [cid, { gap, otherSlot }] of Object.entries(nearest)) {
+    const other = containers[cid];
+    const level = segregationLevel(container.imdgClass, other.imdgClass);
+    if (!level || gap >= SEGREGATION_LEVELS[level].minDistance) continue;
+    const where = gap === 0 ? "in the same stack" : `${gap} slot${gap === 1 ? "" : "s"} away in ${otherSlot}`;
+    violations.push({
+      kind: "SEGREGATION",
+      otherId: cid,
+      level,
+      message: `Class ${container.imdgClass} must be "${SEGREGATION_LEVELS[level].label.toLowerCase()}" class ${other.imdgClass}; ${cid} is ${where}.`,
+    });
+  }
+  return violations;
+}
+
+// Every hazardous container in `layout` that breaks a rule where it stands now: { [cid]: violations }
+export function yardHazmatViolations({ config, layout, containers }) {
+  const found = {};
+  const checked = new Set();
+  for (const [slotId, stack] of Object.entries(layout)) {
+    for (const cid of stack) {
+      const container = containers[cid];
+      if (!isHazardous(container) || checked.has(cid)) continue;
+      checked.add(cid);
+      // The first stack a 40FT turns up in is its own slot, in layout order
+      const violations = hazmatViolations({ config, layout, containers }, container, slotId);
+      if (violations.length) found[cid] = violations;
+    }
+  }
+  return found;
+}
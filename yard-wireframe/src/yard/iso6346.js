@@ -0,0 +1,66 @@
+/**
+ * ISO 6346 container numbers: owner code (3 letters) + equipment category (U/J/Z) + 6-digit serial + check digit,
+ * e.g. MSCU 123456 5. Stored without spaces ("MSCU1234565").
+ */
+
+export const EQUIPMENT_CATEGORIES = {
+  U: "Freight container",
+  J: "Detachable freight container equipment",
+  Z: "Trailer or chassis",
+};
+
+// Letter values skip multiples of 11 (A=10, B=12 … K=21, L=23 …)
+const LETTER_VALUES = (() => {
+  const values = {};
+  let n = 10;
+  for (const ch of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+    if (n % 11 === 0) n++;
+    values[ch] = n++;
+  }
+  return values;
+})();
+
+export function normalizeContainerNumber(value) {
+  return String(value ?? "").replace(/[\s\-/.]/g, "").toUpperCase();
+}
+
+// Check digit for the first 10 characters; a remainder of 10 counts as 0
+export function checkDigit(first10) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const ch = first10[i];
+    const value = /[0-9]/.test(ch) ? Number(ch) : LETTER_VALUES[ch];
+    sum += value * 2 ** i;
+  }
+  return (sum % 11) % 10;
+}
+
+/**
+ * Returns { valid, number, ownerCode, category, serial, checkDigit, error }.
+ * `number` is the normalized form; `error` explains the first problem found.
+ */
+export function validateContainerNumber(value) {
+  const number = normalizeContainerNumber(value);
+  const parts = { number, ownerCode: number.slice(0, 3), category: number[3] || "", serial: number.slice(4, 10), checkDigit: number[10] ?? "" };
+  const fail = (error) => ({ ...parts, valid: false, error });
+
+  if (!number) return fail("Container number is missing.");
+  if (number.length !== 11) return fail(`${number} must be 11 characters (4 letters, 7 digits).`);
+  if (!/^[A-Z]{3}$/.test(parts.ownerCode)) return fail(`${number}: owner code must be 3 letters.`);
+  if (!EQUIPMENT_CATEGORIES[parts.category]) return fail(`${number}: equipment category must be U, J or Z.`);
+  if (!/^\d{6}$/.test(parts.serial)) return fail(`${number}: serial number must be 6 digits.`);
+  if (!/^\d$/.test(parts.checkDigit)) return fail(`${number}: check digit must be a digit.`);
+  const expected = checkDigit(number);
+  if (Number(parts.checkDigit) !== expected) return fail(`${number}: check digit should be ${expected}.`);
+  return { ...parts, valid: true, error: null };
+}
+
+export function isValidContainerNumber(value) {
+  return validateContainerNumber(value).valid;
+}
+
+// Complete owner code + category + serial with its check digit
+export function buildContainerNumber(prefix, serial) {
+  const first10 = `${prefix}${String(serial).padStart(6, "0")}`.toUpperCase();
+  return `${first10}${checkDigit(first10)}`;
+}
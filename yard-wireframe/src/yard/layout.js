@@ -0,0 +1,316 @@
+import { STATUS, transitionContainer } from "./lifecycle";
+
+/**
+ * Yard layout configuration
+ * - Zones carry their own rows, columns, default stack limit, gate distance rank,
+ *   whether their slots have reefer power, whether they are approved for dangerous goods
+ *   and the gross weight one ground slot may carry
+ * - Per-slot overrides (stack limit, load limit, blocked for maintenance, reefer power) live in
+ *   `slots`, keyed by slot ID
+ * - migrateLayout() moves a yard layout onto a new configuration without
+ *   losing containers: anything that no longer fits goes back to inbound
+ * - A 20FT container takes one ground slot; a 40FT takes two side by side in the same row (its own
+ *   column and the next). Its ID is in both stacks, on the same tier, and its `slotId` names the first.
+ */
+
+export const DEFAULT_LAYOUT_CONFIG = {
+  zones: [
+    { id: "A", rows: 4, cols: 6, stackLimit: 2, maxStackWeightKg: 60000, gateDistance: 0, powered: false, hazmat: false },
+    { id: "B", rows: 4, cols: 6, stackLimit: 2, maxStackWeightKg: 60000, gateDistance: 1, powered: false, hazmat: true },
+    { id: "C", rows: 4, cols: 6, stackLimit: 2, maxStackWeightKg: 60000, gateDistance: 2, powered: true, hazmat: false },
+  ],
+  slots: {}, // { [slotId]: { stackLimit?: number, maxWeightKg?: number, blocked?: boolean, powered?: boolean } }
+};
+
+export const LAYOUT_LIMITS = {
+  maxRows: 20,
+  maxCols: 20,
+  maxStackLimit: 8,
+  maxGateDistance: 99,
+  minStackWeightKg: 1000,
+  maxStackWeightKg: 400000,
+};
+
+const DEFAULT_STACK_WEIGHT_KG = 60000;
+
+const ZONE_ID_PATTERN = /^[A-Z0-9]{1,3}$/;
+
+export function buildSlotId(zone, r, c) {
+  // 1-indexed for human readability
+  return `${zone}-R${String(r).padStart(2, "0")}-C${String(c).padStart(2, "0")}`;
+}
+
+export function parseSlotId(slotId) {
+  const match = /^([^-]+)-R(\d+)-C(\d+)$/.exec(slotId || "");
+  if (!match) return null;
+  return { zone: match[1], row: Number(match[2]), col: Number(match[3]) };
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export function validateZoneId(id, existingIds = []) {
+  const code = String(id || "").trim().toUpperCase();
+  if (!code) return "Zone code is required.";
+  if (!ZONE_ID_PATTERN.test(code)) return "Zone code must be 1–3 letters or digits.";
+  if (existingIds.includes(code)) return `Zone ${code} already exists.`;
+  return null;
+}
+
+export function normalizeLayoutConfig(raw) {
+  const source = raw && Array.isArray(raw.zones) && raw.zones.length ? raw : DEFAULT_LAYOUT_CONFIG;
+  const seen = new Set();
+  const zones = [];
+  for (const [idx, z] of source.zones.entries()) {
+    const id = String(z?.id || "").trim().toUpperCase();
+    if (!ZONE_ID_PATTERN.test(id) || seen.has(id)) continue;
+    seen.add(id);
+    zones.push({
+      ...z,
+      id,
+      rows: clampInt(z.rows, 1, LAYOUT_LIMITS.maxRows, 1),
+      cols: clampInt(z.cols, 1, LAYOUT_LIMITS.maxCols, 1),
+      stackLimit: clampInt(z.stackLimit, 1, LAYOUT_LIMITS.maxStackLimit, 1),
+      maxStackWeightKg: clampInt(z.maxStackWeightKg ?? DEFAULT_STACK_WEIGHT_KG, LAYOUT_LIMITS.minStackWeightKg, LAYOUT_LIMITS.maxStackWeightKg, DEFAULT_STACK_WEIGHT_KG),
+      gateDistance: clampInt(z.gateDistance, 0, LAYOUT_LIMITS.maxGateDistance, idx),
+      powered: Boolean(z.powered),
+      hazmat: Boolean(z.hazmat),
+    });
+  }
+  if (!zones.length) return normalizeLayoutConfig(DEFAULT_LAYOUT_CONFIG);
+
+  const config = { ...source, zones, slots: {} };
+  // Drop overrides that point at slots no longer in the layout
+  for (const [slotId, settings] of Object.entries(source.slots || {})) {
+    if (!slotExists(config, slotId) || !settings) continue;
+    const next = {};
+    if (settings.stackLimit != null) {
+      next.stackLimit = clampInt(settings.stackLimit, 1, LAYOUT_LIMITS.maxStackLimit, 1);
+    }
+    if (settings.maxWeightKg != null) {
+      next.maxWeightKg = clampInt(settings.maxWeightKg, LAYOUT_LIMITS.minStackWeightKg, LAYOUT_LIMITS.maxStackWeightKg, DEFAULT_STACK_WEIGHT_KG);
+    }
+    if (settings.blocked) next.blocked = true;
+    if (typeof settings.powered === "boolean") next.powered = settings.powered;
+    if (Object.keys(next).length) config.slots[slotId] = next;
+  }
+  return config;
+}
+
+export function findZone(config, zoneId) {
+  return config.zones.find((z) => z.id === zoneId) || null;
+}
+
+export function slotExists(config, slotId) {
+  const parsed = parseSlotId(slotId);
+  if (!parsed) return false;
+  const zone = findZone(config, parsed.zone);
+  return Boolean(zone && parsed.row >= 1 && parsed.row <= zone.rows && parsed.col >= 1 && parsed.col <= zone.cols);
+}
+
+export function buildSlots(config) {
+  const slots = [];
+  for (const z of config.zones) {
+    for (let r = 1; r <= z.rows; r++) {
+      for (let c = 1; c <= z.cols; c++) {
+        slots.push(buildSlotId(z.id, r, c));
+      }
+    }
+  }
+  return slots;
+}
+
+export function slotStackLimit(config, slotId) {
+  const override = config.slots?.[slotId]?.stackLimit;
+  if (override != null) return override;
+  const parsed = parseSlotId(slotId);
+  return findZone(config, parsed?.zone)?.stackLimit ?? 0;
+}
+
+// Gross weight (kg) the slot may carry in total: slot override wins, otherwise the zone default
+export function slotMaxWeightKg(config, slotId) {
+  const override = config.slots?.[slotId]?.maxWeightKg;
+  if (override != null) return override;
+  return findZone(config, parseSlotId(slotId)?.zone)?.maxStackWeightKg ?? DEFAULT_STACK_WEIGHT_KG;
+}
+
+export function isSlotBlocked(config, slotId) {
+  return Boolean(config.slots?.[slotId]?.blocked);
+}
+
+// Reefer power: slot override wins, otherwise the zone default
+export function isSlotPowered(config, slotId) {
+  const override = config.slots?.[slotId]?.powered;
+  if (typeof override === "boolean") return override;
+  return Boolean(findZone(config, parseSlotId(slotId)?.zone)?.powered);
+}
+
+// Relative walking distance from the gate: zone rank first, then row, then column
+export function gateDistance(config, slotId) {
+  const parsed = parseSlotId(slotId);
+  const zone = findZone(config, parsed?.zone);
+  if (!zone) return Infinity;
+  return zone.gateDistance * 10000 + parsed.row * 100 + parsed.col;
+}
+
+// Why a slot cannot take another container right now, or null if it can
+export function slotRejection(config, layout, slotId) {
+  if (!slotExists(config, slotId)) return `Slot ${slotId} does not exist in the current layout.`;
+  if (isSlotBlocked(config, slotId)) return `Slot ${slotId} is blocked for maintenance.`;
+  const limit = slotStackLimit(config, slotId);
+  if ((layout[slotId] || []).length >= limit) return `Slot ${slotId} is full (stack limit ${limit}).`;
+  return null;
+}
+
+export function slotCapacity(config, slotIds) {
+  return slotIds.reduce((acc, slotId) => acc + (isSlotBlocked(config, slotId) ? 0 : slotStackLimit(config, slotId)), 0);
+}
+
+export function emptyLayout(config) {
+  const layout = {};
+  for (const s of buildSlots(config)) layout[s] = [];
+  return layout;
+}
+
+// The ground slots `container` covers when it stands in `slotId` (first one = `slotId`)
+export function footprint(container, slotId) {
+  const parsed = container?.size === "40FT" ? parseSlotId(slotId) : null;
+  return parsed ? [slotId, buildSlotId(parsed.zone, parsed.row, parsed.col + 1)] : [slotId];
+}
+
+// Why `container` cannot go on top at `slotId`: every slot it covers must take another tier, and a 40FT
+// needs both stacks level. Null if it can.
+export function footprintRejection(config, layout, container, slotId) {
+  const cells = footprint(container, slotId);
+  for (const cell of cells) {
+    if (cell !== slotId && !slotExists(config, cell)) return `A 40FT needs two slots side by side; ${slotId} has no neighbour in the next column.`;
+    const reason = slotRejection(config, layout, cell);
+    if (reason) return reason;
+  }
+  const heights = cells.map((cell) => (layout[cell] || []).length);
+  if (heights.some((h) => h !== heights[0])) {
+    return `${cells.join(" and ")} are not level (${heights.join(" and ")} tiers); a 40FT needs both at the same height.`;
+  }
+  return null;
+}
+
+// `layout` with `container` on top of every slot it covers at `slotId` (slots not in `layout` are skipped)
+export function placeInLayout(layout, container, slotId) {
+  const next = { ...layout };
+  for (const cell of footprint(container, slotId)) {
+    if (cell in next) next[cell] = [...next[cell], container.id];
+  }
+  return next;
+}
+
+/**
+ * Containers that do not stand where their footprint says: a 40FT missing from one of its slots or on
+ * different tiers in the two, or a 20FT in more than one stack. Only `cids` are checked when given.
+ */
+export function misalignedUnits(layout, containers, cids = null) {
+  const found = {};
+  for (const [slotId, stack] of Object.entries(layout)) {
+    stack.forEach((cid, tier) => (found[cid] = found[cid] || []).push({ slotId, tier }));
+  }
+  return Object.keys(found).filter((cid) => {
+    if (cids && !cids.includes(cid)) return false;
+    const cells = found[cid];
+    const anchor = cells.map((c) => c.slotId).sort()[0];
+    const expected = footprint(containers[cid], anchor);
+    return cells.length !== expected.length || !expected.every((slotId) => cells.some((c) => c.slotId === slotId)) || cells.some((c) => c.tier !== cells[0].tier);
+  });
+}
+
+/**
+ * 40FT containers above `cid` that taking it out would leave on different tiers in their two slots.
+ * They have to be moved off first; the retrieval plan lists them with the rest of the dig-out.
+ */
+export function unlevelledByRemoving(layout, containers, cid) {
+  const above = [...new Set(Object.values(layout).flatMap((stack) => (stack.includes(cid) ? stack.slice(stack.indexOf(cid) + 1) : [])))].filter(
+    (other) => containers[other]?.size === "40FT"
+  );
+  if (!above.length) return [];
+  const before = misalignedUnits(layout, containers, above);
+  return misalignedUnits(withoutContainer(layout, cid), containers, above).filter((other) => !before.includes(other));
+}
+
+export function withoutContainer(layout, cid) {
+  const next = { ...layout };
+  for (const [slotId, stack] of Object.entries(next)) {
+    if (stack.includes(cid)) next[slotId] = stack.filter((x) => x !== cid);
+  }
+  return next;
+}
+
+// Where a slot ends up after zone code changes ({ oldZone: newZone }).
+// Returns null when the slot's zone code was handed to another zone.
+export function renamedSlotId(slotId, zoneRenames) {
+  const parsed = parseSlotId(slotId);
+  if (!parsed) return slotId;
+  const nextZone = zoneRenames[parsed.zone];
+  if (nextZone) return buildSlotId(nextZone, parsed.row, parsed.col);
+  if (Object.values(zoneRenames).includes(parsed.zone)) return null;
+  return slotId;
+}
+
+/**
+ * Move the yard onto `nextConfig`.
+ * - Zone renames carry stacks across to the new slot IDs
+ * - Containers in removed slots, or above a lowered stack limit, are sent back to inbound; so is a 40FT
+ *   that lost one of its two slots or ended up on different tiers in them (and, in turn, whatever that frees)
+ * Returns the new layout/containers/inbound plus the list of displaced container IDs.
+ */
+export function migrateLayout({ layout, containers, inboundIds }, nextConfig, zoneRenames = {}, stampedAt = new Date().toISOString()) {
+  let nextLayout = emptyLayout(nextConfig);
+  const nextContainers = { ...containers };
+  const displaced = [];
+
+  const displace = (cid) => {
+    if (displaced.includes(cid)) return;
+    displaced.push(cid);
+    if (nextContainers[cid]) {
+      nextContainers[cid] = transitionContainer(nextContainers[cid], STATUS.INBOUND, { slotId: null }, stampedAt);
+    }
+  };
+
+  for (const [prevSlotId, stack] of Object.entries(layout)) {
+    const items = Array.isArray(stack) ? stack : [];
+    const slotId = renamedSlotId(prevSlotId, zoneRenames);
+    if (!slotId || !(slotId in nextLayout)) {
+      items.forEach(displace);
+      continue;
+    }
+    const limit = slotStackLimit(nextConfig, slotId);
+    nextLayout[slotId] = items.slice(0, limit);
+    items.slice(limit).forEach(displace);
+  }
+
+  // A 40FT cut in half goes too; removing it can drop the units above out of line, so repeat until stable
+  let broken = misalignedUnits(nextLayout, nextContainers);
+  while (broken.length) {
+    for (const cid of broken) {
+      nextLayout = withoutContainer(nextLayout, cid);
+      displace(cid);
+    }
+    broken = misalignedUnits(nextLayout, nextContainers);
+  }
+
+  // Slot IDs come from the first slot each container stands in (layout order: zone, row, column)
+  const seen = new Set();
+  for (const [slotId, stack] of Object.entries(nextLayout)) {
+    for (const cid of stack) {
+      if (seen.has(cid)) continue;
+      seen.add(cid);
+      if (nextContainers[cid] && nextContainers[cid].slotId !== slotId) {
+        nextContainers[cid] = { ...nextContainers[cid], slotId };
+      }
+    }
+  }
+
+  // Displaced containers join the front of the inbound queue
+  const nextInbound = [...displaced, ...inboundIds.filter((cid) => !displaced.includes(cid))];
+  return { layout: nextLayout, containers: nextContainers, inboundIds: nextInbound, displaced };
+}
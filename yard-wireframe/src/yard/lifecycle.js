@@ -0,0 +1,120 @@
+/**
+ * Container status lifecycle
+ *   INBOUND → IN_YARD → RELEASED → GATED_OUT
+ * - RELEASED can go back to IN_YARD (release revoked)
+ * - IN_YARD/RELEASED fall back to INBOUND only when a layout change removes their slot
+ * - GATED_OUT is final; the container moves from `containers` to the departure archive
+ * Every status change is appended to `statusHistory`.
+ */
+
+export const STATUS = {
+  INBOUND: "INBOUND",
+  IN_YARD: "IN_YARD",
+  RELEASED: "RELEASED",
+  GATED_OUT: "GATED_OUT",
+};
+
+const TRANSITIONS = {
+  [STATUS.INBOUND]: [STATUS.IN_YARD],
+  [STATUS.IN_YARD]: [STATUS.RELEASED, STATUS.INBOUND],
+  [STATUS.RELEASED]: [STATUS.IN_YARD, STATUS.GATED_OUT, STATUS.INBOUND],
+  [STATUS.GATED_OUT]: [],
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(cid, from, to) {
+    super(`${cid}: cannot change status from ${from || "unknown"} to ${to}.`);
+    this.name = "InvalidTransitionError";
+    this.cid = cid;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+export function isInYard(container) {
+  return container?.status === STATUS.IN_YARD || container?.status === STATUS.RELEASED;
+}
+
+/**
+ * New container record in status `to`; throws InvalidTransitionError if the lifecycle forbids it.
+ * Staying in the same status is not a transition and just applies `patch`.
+ */
+export function transitionContainer(container, to, patch = {}, at = new Date().toISOString()) {
+  const from = container.status;
+  if (from === to) return { ...container, ...patch };
+  if (!canTransition(from, to)) throw new InvalidTransitionError(container.id, from, to);
+  return {
+    ...container,
+    ...patch,
+    status: to,
+    updatedAt: at,
+    statusHistory: [...(container.statusHistory || []), { from, to, at }],
+  };
+}
+
+// Placing or moving keeps RELEASED units released; only inbound ones become IN_YARD
+export function statusAfterPlacement(container) {
+  return container.status === STATUS.RELEASED ? STATUS.RELEASED : STATUS.IN_YARD;
+}
+
+export function releaseContainer(containers, cid, at) {
+  const container = containers[cid];
+  if (!container) throw new Error(`Unknown container ${cid}.`);
+  return { ...containers, [cid]: transitionContainer(container, STATUS.RELEASED, { releasedAt: at }, at) };
+}
+
+export function revokeRelease(containers, cid, at) {
+  const container = containers[cid];
+  if (!container) throw new Error(`Unknown container ${cid}.`);
+  return { ...containers, [cid]: transitionContainer(container, STATUS.IN_YARD, { releasedAt: null }, at) };
+}
+
+export function validateGateOut({ truckRef, driverRef, departedAt }) {
+  const errors = [];
+  if (!truckRef?.trim()) errors.push("Truck reference is required.");
+  if (!driverRef?.trim()) errors.push("Driver reference is required.");
+  const departed = new Date(departedAt || "");
+  if (Number.isNaN(departed.getTime())) errors.push("Departure time is not a valid date.");
+  return errors;
+}
+
+/**
+ * Gate a RELEASED container out of the yard.
+ * Removes it from its slot, the inbound queue and `containers`, and files it in `archive`.
+ */
+export function gateOutContainer({ layout, containers, inboundIds, archive }, cid, details, at) {
+  const container = containers[cid];
+  if (!container) throw new Error(`Unknown container ${cid}.`);
+  const errors = validateGateOut(details);
+  if (errors.length) throw new Error(errors.join(" "));
+
+  const departedAt = new Date(details.departedAt).toISOString();
+  const departed = transitionContainer(
+    container,
+    STATUS.GATED_OUT,
+    {
+      slotId: null,
+      lastSlotId: container.slotId || null,
+      gateOut: { truckRef: details.truckRef.trim(), driverRef: details.driverRef.trim(), departedAt, recordedAt: at },
+    },
+    at
+  );
+
+  const nextLayout = { ...layout };
+  for (const [slotId, stack] of Object.entries(nextLayout)) {
+    if (stack.includes(cid)) nextLayout[slotId] = stack.filter((x) => x !== cid);
+  }
+  const nextContainers = { ...containers };
+  delete nextContainers[cid];
+
+  return {
+    layout: nextLayout,
+    containers: nextContainers,
+    inboundIds: inboundIds.filter((x) => x !== cid),
+    archive: { ...archive, [cid]: departed },
+  };
+}
@@ -0,0 +1,34 @@
+import { normalizeContainerNumber } from "./iso6346";
+
+/**
+ * Owner-code registry: container number prefix (owner code + category, e.g. "MSCU") → company name.
+ * Lives in the yard state (OWNER_CODES_UPDATED events) so every client resolves prefixes the same way.
+ */
+
+export const DEFAULT_OWNER_CODES = {
+  MSCU: "MSC Mediterranean Shipping",
+  MAEU: "Maersk",
+  CMAU: "CMA CGM",
+  HLXU: "Hapag-Lloyd",
+  OOLU: "OOCL",
+  ONEU: "Ocean Network Express",
+  BWLU: "BlueWave Logistics",
+  HBLU: "HarborLine",
+  NVFU: "Nova Freight",
+  ATSU: "Atlas Shipping",
+  SMTU: "Summit Trade",
+};
+
+export function ownerPrefix(containerNumber) {
+  return normalizeContainerNumber(containerNumber).slice(0, 4);
+}
+
+export function ownerCompany(ownerCodes, containerNumber) {
+  return ownerCodes?.[ownerPrefix(containerNumber)] ?? null;
+}
+
+// Returns an error message, or null when `prefix` may be registered
+export function validateOwnerPrefix(prefix) {
+  if (!/^[A-Z]{3}[UJZ]$/.test(prefix)) return `${prefix || "Prefix"} must be 3 letters followed by U, J or Z.`;
+  return null;
+}
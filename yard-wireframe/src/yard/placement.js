@@ -0,0 +1,265 @@
+import {
+  buildSlotId,
+  buildSlots,
+  footprintRejection,
+  gateDistance,
+  isSlotPowered,
+  parseSlotId,
+  placeInLayout,
+  slotStackLimit,
+  withoutContainer,
+} from "./layout";
+import { STATUS, transitionContainer } from "./lifecycle";
+import { hazmatViolations } from "./hazmat";
+import { placementStackingViolations } from "./stacking";
+
+/**
+ * Rule-based auto-placement
+ * - A rule scores one candidate slot for one container between 0 (bad) and 1 (good);
+ *   rules may also hard-reject a slot
+ * - A strategy is a named set of rule weights; the slot score is the weighted average (0–100)
+ * - Ties keep layout order, so a strategy with no weights behaves like the old first-fit
+ * - An `overridable` rejection (dangerous goods) can be waived for one move by a supervisor
+ *
+ * Stacks are ordered bottom → top: the last ID in `layout[slotId]` is the top tier.
+ * A 40FT candidate is scored on its first slot and checked on both (see footprint()).
+ */
+
+function time(value) {
+  const t = new Date(value || "").getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function neighbourSlots(slotId) {
+  const parsed = parseSlotId(slotId);
+  if (!parsed) return [];
+  const { zone, row, col } = parsed;
+  return [col - 1, col + 1].filter((c) => c >= 1).map((c) => buildSlotId(zone, row, c));
+}
+
+export const PLACEMENT_RULES = {
+  companyCluster: {
+    label: "Same company together",
+    score({ container, stack, containers, layout, slotId }) {
+      const companies = stack.map((cid) => containers[cid]?.companyName);
+      if (companies.length) {
+        const same = companies.filter((c) => c === container.companyName).length;
+        return same === companies.length ? 1 : same > 0 ? 0.6 : 0;
+      }
+      const nearby = neighbourSlots(slotId).flatMap((s) => layout[s] || []);
+      if (nearby.some((cid) => containers[cid]?.companyName === container.companyName)) return 0.8;
+      return nearby.length ? 0.2 : 0.4;
+    },
+  },
+  priorityNearGate: {
+    label: "HIGH priority near gate",
+    score({ container, slotId, gateRange, config }) {
+      const { min, max } = gateRange;
+      const closeness = max > min ? 1 - (gateDistance(config, slotId) - min) / (max - min) : 1;
+      // NORMAL units lean away from the gate to keep it free for HIGH ones
+      return container.priority === "HIGH" ? closeness : 0.5 + (0.5 - closeness) * 0.5;
+    },
+  },
+  reeferPower: {
+    label: "Reefers on power",
+    reject({ container, config, slotId }) {
+      if (container.type === "REEFER" && !isSlotPowered(config, slotId)) return `Slot ${slotId} has no reefer power.`;
+      return null;
+    },
+    score({ container, config, slotId }) {
+      if (container.type === "REEFER") return 1;
+      // Non-reefers may use powered slots, but only when nothing else is left
+      return isSlotPowered(config, slotId) ? 0 : 1;
+    },
+  },
+  stackWeight: {
+    label: "Weight and size stacking",
+    reject({ container, config, layout, containers, slotId }) {
+      const [first] = placementStackingViolations({ config, layout, containers }, container, slotId);
+      return first ? first.message : null;
+    },
+  },
+  hazmatSegregation: {
+    label: "Dangerous goods segregation",
+    overridable: true,
+    reject({ container, config, layout, containers, slotId }) {
+      const [first, ...more] = hazmatViolations({ config, layout, containers }, container, slotId);
+      if (!first) return null;
+      return more.length ? `${first.message} (+${more.length} more)` : first.message;
+    },
+  },
+  zoneBalance: {
+    label: "Spread load across zones",
+    score({ slotId, zoneFill }) {
+      return 1 - (zoneFill[parseSlotId(slotId)?.zone] ?? 0);
+    },
+  },
+  moveOutOrder: {
+    label: "Earliest move-out on top",
+    score({ container, stack, containers }) {
+      if (!stack.length) return 1;
+      const out = time(container.moveOutDate);
+      if (out == null) return 0.5;
+      // Every unit below that leaves earlier than this one becomes a rehandle
+      const buried = stack.filter((cid) => {
+        const below = time(containers[cid]?.moveOutDate);
+        return below != null && below < out;
+      }).length;
+      return 1 - buried / stack.length;
+    },
+  },
+};
+
+export const PLACEMENT_STRATEGIES = [
+  {
+    id: "balanced",
+    label: "Balanced (all rules)",
+    weights: { companyCluster: 2, priorityNearGate: 2, reeferPower: 3, zoneBalance: 1, moveOutOrder: 3 },
+  },
+  {
+    id: "company",
+    label: "Company clusters",
+    weights: { companyCluster: 5, reeferPower: 3, moveOutOrder: 2 },
+  },
+  {
+    id: "gate",
+    label: "Gate first",
+    weights: { priorityNearGate: 5, reeferPower: 3, moveOutOrder: 2 },
+  },
+  {
+    id: "first-fit",
+    label: "First available (legacy)",
+    weights: {},
+  },
+];
+
+export const MANUAL_PLACEMENT = "manual";
+
+export function findStrategy(strategyId) {
+  return PLACEMENT_STRATEGIES.find((s) => s.id === strategyId) || PLACEMENT_STRATEGIES[0];
+}
+
+// Yard-wide figures every candidate shares; computed once per placement pass
+function placementStats(config, layout, slots) {
+  const distances = slots.map((s) => gateDistance(config, s));
+  const used = {};
+  const total = {};
+  for (const slotId of slots) {
+    const zone = parseSlotId(slotId).zone;
+    used[zone] = (used[zone] || 0) + (layout[slotId]?.length || 0);
+    total[zone] = (total[zone] || 0) + slotStackLimit(config, slotId);
+  }
+  const zoneFill = {};
+  for (const zone of Object.keys(total)) zoneFill[zone] = total[zone] ? used[zone] / total[zone] : 1;
+  return { gateRange: { min: Math.min(...distances), max: Math.max(...distances) }, zoneFill };
+}
+
+function evaluateSlot(base, slotId, strategy) {
+  // Hard rules apply to every strategy, weighted or not
+  const rejected = placementRejection(base, base.container, slotId);
+  if (rejected) return { slotId, rejected };
+
+  const ctx = { ...base, slotId, stack: base.layout[slotId] || [] };
+
+  const breakdown = [];
+  let weighted = 0;
+  let weightSum = 0;
+  for (const [ruleId, weight] of Object.entries(strategy.weights)) {
+    if (!weight) continue;
+    const value = PLACEMENT_RULES[ruleId].score(ctx);
+    breakdown.push({ rule: ruleId, label: PLACEMENT_RULES[ruleId].label, value: Math.round(value * 100), weight });
+    weighted += value * weight;
+    weightSum += weight;
+  }
+  return { slotId, score: weightSum ? Math.round((weighted / weightSum) * 100) : 0, breakdown };
+}
+
+// Capacity plus hard rules: what any placement, manual or automatic, must respect.
+// `hazmatOverride` skips the overridable rules, for a move a supervisor has signed for.
+export function placementRejection({ config, layout, containers }, container, slotId, { hazmatOverride = false } = {}) {
+  const capacity = footprintRejection(config, layout, container, slotId);
+  if (capacity) return capacity;
+  const ctx = { config, layout, containers, container, slotId, stack: layout[slotId] || [] };
+  for (const rule of Object.values(PLACEMENT_RULES)) {
+    if (hazmatOverride && rule.overridable) continue;
+    const reason = rule.reject?.(ctx);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// Same check for a container already in the yard: the space it occupies now counts as free
+export function moveRejection({ config, layout, containers }, cid, slotId, options = {}) {
+  const container = containers[cid];
+  if (!container) return `Unknown container ${cid}.`;
+  return placementRejection({ config, layout: withoutContainer(layout, cid), containers }, container, slotId, options);
+}
+
+/**
+ * Score every slot for `container`; best first.
+ * Rejected slots are left out unless `includeRejected` is set.
+ */
+export function rankSlots({ config, layout, containers }, container, strategyId, { includeRejected = false } = {}) {
+  const strategy = findStrategy(strategyId);
+  const slots = buildSlots(config);
+  const base = { config, layout, containers, container, ...placementStats(config, layout, slots) };
+  const results = slots.map((slotId, order) => ({ ...evaluateSlot(base, slotId, strategy), order }));
+  const ranked = results
+    .filter((r) => !r.rejected)
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+  return includeRejected ? [...ranked, ...results.filter((r) => r.rejected)] : ranked;
+}
+
+export function placementRecord(strategyId, best, at) {
+  if (strategyId === MANUAL_PLACEMENT) {
+    return { strategy: MANUAL_PLACEMENT, strategyLabel: "Manual override", score: null, breakdown: [], at };
+  }
+  const strategy = findStrategy(strategyId);
+  return { strategy: strategy.id, strategyLabel: strategy.label, score: best.score, breakdown: best.breakdown, at };
+}
+
+/**
+ * Place up to `n` inbound containers (oldest first) using `strategyId`.
+ * Containers that fit nowhere stay inbound and are reported in `skipped`.
+ */
+export function planAutoPlacement({ config, layout, containers, inboundIds }, n, strategyId, at) {
+  let nextLayout = { ...layout };
+  const nextContainers = { ...containers };
+  const queue = [...inboundIds];
+  const remaining = [];
+  const placements = [];
+  const skipped = [];
+
+  while (queue.length > 0 && placements.length < n) {
+    const cid = queue.pop(); // place oldest first
+    const container = nextContainers[cid];
+    const [best] = container ? rankSlots({ config, layout: nextLayout, containers: nextContainers }, container, strategyId) : [];
+    if (!best) {
+      skipped.push(cid);
+      remaining.unshift(cid);
+      continue;
+    }
+    nextLayout = placeInLayout(nextLayout, container, best.slotId);
+    nextContainers[cid] = transitionContainer(
+      container,
+      STATUS.IN_YARD,
+      { placedAt: at, slotId: best.slotId, placement: placementRecord(strategyId, best, at) },
+      at
+    );
+    placements.push({
+      cid,
+      slotId: best.slotId,
+      stackIndex: nextLayout[best.slotId].length - 1,
+      score: best.score,
+      placement: nextContainers[cid].placement,
+    });
+  }
+
+  return {
+    layout: nextLayout,
+    containers: nextContainers,
+    inboundIds: [...queue, ...remaining],
+    placements,
+    skipped,
+  };
+}
@@ -0,0 +1,141 @@
+import { yardEntryAt } from "./dwell";
+import { isSlotPowered } from "./layout";
+import { isInYard } from "./lifecycle";
+
+/**
+ * Reefer (refrigerated container) monitoring
+ * - Each reefer carries a set point (°C); telemetry readings { at, tempC, powered } are recorded per
+ *   container while it is in the yard, newest last, the last READING_HISTORY_LIMIT kept
+ * - Readings are measurements, not yard operations: they are stored next to the event log (the document's
+ *   `reeferReadings`), never in it, so polling does not grow the log
+ * - A reading also keeps the set point in force when it was taken, so the history chart stays true
+ *   after the set point changes
+ * - Alarms: out of range (beyond the tolerance either side of the set point), unplugged (the slot has
+ *   no power or the unit reports none) and silent (no reading for a while; a unit that never reported counts
+ *   from its yard entry)
+ * The reading rules live here; where readings come from is the telemetry adapters' business (src/telemetry).
+ */
+
+export const READING_HISTORY_LIMIT = 288; // a day at one reading every five minutes
+
+// Anything outside this is a sensor fault, not a temperature
+export const MIN_READING_C = -60;
+export const MAX_READING_C = 60;
+
+export const REEFER_ALARM_KINDS = {
+  REEFER_TEMP: "REEFER_TEMP",
+  REEFER_POWER: "REEFER_POWER",
+  REEFER_SILENT: "REEFER_SILENT",
+};
+
+export function isReefer(container) {
+  return container?.type === "REEFER";
+}
+
+export function formatCelsius(value) {
+  return value == null ? "—" : `${value > 0 ? "+" : ""}${value.toFixed(1)} °C`;
+}
+
+/**
+ * Fold telemetry `readings` ([{ containerId, tempC, powered, at }]) into `reeferReadings`.
+ * Readings for containers that are not reefers in the yard, implausible ones and readings no newer
+ * than the last one kept are skipped, so a source that repeats its last reading adds nothing.
+ */
+export function recordReadings(reeferReadings, containers, readings) {
+  const next = { ...reeferReadings };
+  for (const reading of readings || []) {
+    const container = containers[reading?.containerId];
+    if (!isReefer(container) || !container.slotId) continue;
+    if (!Number.isFinite(reading.tempC) || reading.tempC < MIN_READING_C || reading.tempC > MAX_READING_C) continue;
+    const history = next[container.id] || [];
+    const last = history[history.length - 1];
+    if (last && reading.at <= last.at) continue;
+    next[container.id] = [
+      ...history,
+      { at: reading.at, tempC: reading.tempC, powered: reading.powered ?? null, setPointC: container.setPointC ?? null },
+    ].slice(-READING_HISTORY_LIMIT);
+  }
+  return next;
+}
+
+// Drop the histories of units that are no longer in the yard (gated out, reset away)
+export function pruneReadings(reeferReadings, containers) {
+  const gone = Object.keys(reeferReadings).filter((cid) => !isInYard(containers[cid]));
+  if (!gone.length) return reeferReadings;
+  const next = { ...reeferReadings };
+  for (const cid of gone) delete next[cid];
+  return next;
+}
+
+export function latestReading(reeferReadings, cid) {
+  const history = reeferReadings[cid];
+  return history?.length ? history[history.length - 1] : null;
+}
+
+// Reefers in the yard, by slot: [{ containerId, slotId, setPointC, powered, last }]; `powered` is the slot's power
+export function reeferUnits({ config, containers, reeferReadings }) {
+  return Object.values(containers)
+    .filter((c) => isReefer(c) && isInYard(c) && c.slotId)
+    .map((c) => ({
+      containerId: c.id,
+      slotId: c.slotId,
+      setPointC: c.setPointC ?? null,
+      powered: isSlotPowered(config, c.slotId),
+      last: latestReading(reeferReadings, c.id),
+    }))
+    .sort((a, b) => a.slotId.localeCompare(b.slotId) || a.containerId.localeCompare(b.containerId));
+}
+
+// Oldest reading of the run that ends with the latest one and still matches `test`
+function runStart(history, test) {
+  let start = null;
+  for (let i = history.length - 1; i >= 0 && test(history[i]); i--) start = history[i];
+  return start;
+}
+
+/**
+ * Alarms for every reefer in the yard, alert-shaped ({ key, kind, severity, containerId, slotId, measure, message });
+ * `settings` are the normalised alert settings (reeferToleranceC, reeferSilentMinutes).
+ * A key names the run that raised it, so an acknowledged alarm comes back with the next excursion or power loss.
+ */
+export function reeferAlarms({ config, containers, reeferReadings }, settings, now) {
+  const alarms = [];
+  for (const unit of reeferUnits({ config, containers, reeferReadings })) {
+    const { containerId: cid, slotId, last, setPointC } = unit;
+    const history = reeferReadings[cid] || [];
+    const alarm = (kind, severity, since, measure, message) =>
+      alarms.push({ key: `${kind}:${cid}:${since}:${severity}`, kind, severity, containerId: cid, slotId, measure, message });
+
+    if (!unit.powered) {
+      alarm(REEFER_ALARM_KINDS.REEFER_POWER, "critical", slotId, 0, `Standing in ${slotId}, which has no reefer power`);
+    } else if (last?.powered === false) {
+      const since = runStart(history, (r) => r.powered === false);
+      const minutes = Math.max(0, Math.round((now - new Date(since.at).getTime()) / 60000));
+      alarm(REEFER_ALARM_KINDS.REEFER_POWER, "critical", since.at, minutes, `Unit has reported no power for ${minutes} min`);
+    }
+
+    if (last && setPointC != null) {
+      const off = (r) => Math.abs(r.tempC - setPointC) > settings.reeferToleranceC;
+      if (off(last)) {
+        const deviation = last.tempC - setPointC;
+        const severity = Math.abs(deviation) > settings.reeferToleranceC * 2 ? "critical" : "warning";
+        alarm(
+          REEFER_ALARM_KINDS.REEFER_TEMP,
+          severity,
+          runStart(history, off).at,
+          Math.abs(deviation),
+          `${formatCelsius(last.tempC)} against a set point of ${formatCelsius(setPointC)} (${deviation > 0 ? "+" : "−"}${Math.abs(deviation).toFixed(1)} K, tolerance ±${settings.reeferToleranceC} K)`
+        );
+      }
+    }
+
+    // A unit that has never reported is silent since it entered the yard
+    const silentSince = last?.at || yardEntryAt(containers[cid]);
+    const silentFor = silentSince ? (now - new Date(silentSince).getTime()) / 60000 : 0;
+    if (silentFor > settings.reeferSilentMinutes) {
+      const message = last ? `No telemetry reading for ${Math.round(silentFor)} min` : `No telemetry reading since it entered the yard ${Math.round(silentFor)} min ago`;
+      alarm(REEFER_ALARM_KINDS.REEFER_SILENT, "warning", silentSince, silentFor, message);
+    }
+  }
+  return alarms;
+}
@@ -0,0 +1,114 @@
+import { buildSlots, footprint, parseSlotId, placeInLayout, withoutContainer } from "./layout";
+import { PLACEMENT_RULES, placementRejection } from "./placement";
+
+/**
+ * Rehandle (dig-out) analysis
+ * - A container is a blocker when something below it in the same stack leaves earlier
+ *   (earlier moveOutDate); each blocker costs one extra move before that pickup
+ * - planRetrieval() lists the moves needed to get one container out: relocate every unit
+ *   above it to a temporary slot (top first), then retrieve it. Above a 40FT means above either of its
+ *   slots, and a 40FT blocker frees only once both of its stacks are clear above it.
+ *
+ * Stacks are ordered bottom → top, as everywhere else.
+ */
+
+function moveOutTime(container) {
+  const t = new Date(container?.moveOutDate || "").getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+export function stackBlockers(stack, containers) {
+  const blockers = [];
+  let earliestBelow = null;
+  for (const cid of stack || []) {
+    const out = moveOutTime(containers[cid]);
+    if (out != null && earliestBelow != null && earliestBelow < out) blockers.push(cid);
+    if (out != null && (earliestBelow == null || out < earliestBelow)) earliestBelow = out;
+  }
+  return blockers;
+}
+
+export function analyzeRehandles({ layout, containers }) {
+  const bySlot = {};
+  const all = new Set(); // a 40FT blocking in both of its stacks is still one move
+  for (const [slotId, stack] of Object.entries(layout)) {
+    const blockers = stackBlockers(stack, containers);
+    if (!blockers.length) continue;
+    bySlot[slotId] = { moves: blockers.length, blockers };
+    blockers.forEach((cid) => all.add(cid));
+  }
+  return { bySlot, total: all.size };
+}
+
+// Closer is better: same row beats same zone beats another zone
+function slotDistance(from, to) {
+  const a = parseSlotId(from);
+  const b = parseSlotId(to);
+  if (!a || !b) return Infinity;
+  if (a.zone !== b.zone) return 10000 + Math.abs(a.row - b.row) * 100 + Math.abs(a.col - b.col);
+  return Math.abs(a.row - b.row) * 100 + Math.abs(a.col - b.col);
+}
+
+function pickTemporarySlot(state, container, digSlots) {
+  let best = null;
+  for (const slotId of buildSlots(state.config)) {
+    if (footprint(container, slotId).some((cell) => digSlots.includes(cell))) continue;
+    if (placementRejection(state, container, slotId)) continue;
+    const stack = state.layout[slotId] || [];
+    // Prefer spots where the relocated unit does not bury anything leaving earlier
+    const order = PLACEMENT_RULES.moveOutOrder.score({ container, stack, containers: state.containers });
+    const candidate = { slotId, order, distance: slotDistance(digSlots[0], slotId) };
+    if (!best || candidate.order > best.order || (candidate.order === best.order && candidate.distance < best.distance)) {
+      best = candidate;
+    }
+  }
+  return best?.slotId ?? null;
+}
+
+// Where `cid` stands: [{ slotId, tier }] for each stack it is in (two for a 40FT)
+function positions(layout, cid) {
+  return Object.keys(layout)
+    .filter((s) => layout[s]?.includes(cid))
+    .map((slotId) => ({ slotId, tier: layout[slotId].indexOf(cid) }));
+}
+
+/**
+ * Step-by-step retrieval plan for `cid`.
+ * Returns { cid, slotId, steps, error } — steps are RELOCATE (with a temporary slot)
+ * followed by a final RETRIEVE. Nothing in `state` is changed.
+ */
+export function planRetrieval({ config, layout, containers }, cid) {
+  const [own] = positions(layout, cid);
+  if (!own) return { cid, slotId: null, steps: [], error: `${cid} is not in the yard.` };
+  const slotId = own.slotId;
+
+  // Everything above the target, and above anything that has to move for it; highest tier moves first
+  const blocking = new Map();
+  const queue = [cid];
+  while (queue.length) {
+    for (const { slotId: cell, tier } of positions(layout, queue.pop())) {
+      layout[cell].slice(tier + 1).forEach((above, i) => {
+        if (blocking.has(above)) return;
+        blocking.set(above, { tier: tier + 1 + i, slotId: positions(layout, above)[0].slotId });
+        queue.push(above);
+      });
+    }
+  }
+  const above = [...blocking.entries()].sort((a, b) => b[1].tier - a[1].tier);
+  const digSlots = [...new Set([cid, ...blocking.keys()].flatMap((x) => positions(layout, x).map((p) => p.slotId)))];
+
+  let working = { ...layout };
+  const steps = [];
+  for (const [blocker, { slotId: from }] of above) {
+    const container = containers[blocker] || { id: blocker };
+    const to = pickTemporarySlot({ config, layout: working, containers }, container, digSlots);
+    if (!to) {
+      return { cid, slotId, steps, error: `No temporary slot available for ${blocker}.` };
+    }
+    working = placeInLayout(withoutContainer(working, blocker), container, to);
+    steps.push({ step: steps.length + 1, type: "RELOCATE", cid: blocker, from, to, tier: working[to].length });
+  }
+
+  steps.push({ step: steps.length + 1, type: "RETRIEVE", cid, from: slotId, to: null, tier: null });
+  return { cid, slotId, steps, error: null };
+}
@@ -0,0 +1,162 @@
+import { parseSlotId } from "./layout";
+import { STATUS } from "./lifecycle";
+
+/**
+ * Container search
+ * - buildSearchIndex(): one flat entry per container with lower-cased fields, words and parsed dates,
+ *   so a search is a single pass over plain strings and numbers (tens of thousands stay interactive)
+ * - Free text is split into tokens; every token must match the ID, owner, company or material.
+ *   Substrings score highest, then a one-typo word match, then an in-order subsequence ("mscu12" → "MSCU1234565")
+ * - Structured filters narrow the result before any text matching
+ */
+
+export const TEXT_FIELDS = ["id", "ownerName", "companyName", "material"];
+
+export const EMPTY_FILTERS = {
+  text: "",
+  status: "",
+  size: "",
+  type: "",
+  priority: "",
+  zone: "", // zone id, "INBOUND" for containers without a slot, "" for any
+  moveInFrom: "",
+  moveInTo: "",
+  moveOutFrom: "",
+  moveOutTo: "",
+  overdue: false,
+};
+
+export const SEARCH_ZONE_INBOUND = "INBOUND";
+
+function time(value) {
+  const t = new Date(value || "").getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// "YYYY-MM-DD" from a date input → local start/end of that day
+function dayStart(day) {
+  return day ? time(`${day}T00:00:00`) : null;
+}
+function dayEnd(day) {
+  return day ? time(`${day}T23:59:59.999`) : null;
+}
+
+export function buildSearchIndex(containers) {
+  return Object.values(containers).map((container) => {
+    const fields = TEXT_FIELDS.map((f) => String(container[f] ?? "").toLowerCase());
+    return {
+      container,
+      fields,
+      words: fields.flatMap((f) => f.split(/[^a-z0-9]+/).filter(Boolean)),
+      zone: container.slotId ? parseSlotId(container.slotId)?.zone ?? null : null,
+      moveIn: time(container.moveInDate),
+      moveOut: time(container.moveOutDate),
+    };
+  });
+}
+
+export function isOverdue(container, now = Date.now()) {
+  const out = time(container?.moveOutDate);
+  return out != null && out < now && container.status !== STATUS.GATED_OUT;
+}
+
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (let j = 0; j < haystack.length && i < needle.length; j++) {
+    if (haystack[j] === needle[i]) i++;
+  }
+  return i === needle.length;
+}
+
+// Edit distance ≤ 1 (one insertion, deletion or substitution), without building a matrix
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function tokenScore(token, entry) {
+  let best = 0;
+  for (const field of entry.fields) {
+    const at = field.indexOf(token);
+    if (at === 0) return 4;
+    if (at > 0) best = Math.max(best, 3);
+  }
+  if (best) return best;
+  if (token.length >= 4 && entry.words.some((w) => withinOneEdit(token, w))) return 2;
+  if (token.length >= 3 && entry.fields.some((f) => isSubsequence(token, f))) return 1;
+  return 0;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Returns [{ container, score }] in index order; `score` is 0 when no text was given.
+ */
+export function searchContainers(index, filters, now = Date.now()) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const tokens = tokenize(f.text);
+  const range = {
+    inFrom: dayStart(f.moveInFrom),
+    inTo: dayEnd(f.moveInTo),
+    outFrom: dayStart(f.moveOutFrom),
+    outTo: dayEnd(f.moveOutTo),
+  };
+
+  const results = [];
+  for (const entry of index) {
+    const c = entry.container;
+    if (f.status && c.status !== f.status) continue;
+    if (f.size && c.size !== f.size) continue;
+    if (f.type && c.type !== f.type) continue;
+    if (f.priority && c.priority !== f.priority) continue;
+    if (f.zone && (f.zone === SEARCH_ZONE_INBOUND ? entry.zone !== null : entry.zone !== f.zone)) continue;
+    if (range.inFrom != null && (entry.moveIn == null || entry.moveIn < range.inFrom)) continue;
+    if (range.inTo != null && (entry.moveIn == null || entry.moveIn > range.inTo)) continue;
+    if (range.outFrom != null && (entry.moveOut == null || entry.moveOut < range.outFrom)) continue;
+    if (range.outTo != null && (entry.moveOut == null || entry.moveOut > range.outTo)) continue;
+    if (f.overdue && !isOverdue(c, now)) continue;
+
+    let score = 0;
+    let matched = true;
+    for (const token of tokens) {
+      const s = tokenScore(token, entry);
+      if (!s) {
+        matched = false;
+        break;
+      }
+      score += s;
+    }
+    if (matched) results.push({ container: c, score });
+  }
+  return results;
+}
+
+// True when no filter (text or structured) is set
+export function isEmptySearch(filters) {
+  return Object.entries(EMPTY_FILTERS).every(([key, empty]) => {
+    const value = filters[key];
+    return typeof empty === "string" ? !String(value ?? "").trim() : !value;
+  });
+}
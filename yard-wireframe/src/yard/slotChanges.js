@@ -0,0 +1,145 @@
+import { EVENT_TYPES, effectiveEvents, historyState } from "./events";
+import { isInYard } from "./lifecycle";
+import { parseSlotId } from "./layout";
+
+/**
+ * Slot changes since the last sign-off
+ * - Each slot's baseline is the stack a supervisor last signed off (SLOTS_SIGNED_OFF events),
+ *   or — for slots never signed off since that event existed — the document's legacy `prevSig`
+ * - A slot is changed when its stack differs from the baseline in any way, order included
+ * - Stacks are bottom → top, so tier n is index n - 1
+ * - A 40FT stands in two stacks, so placing, moving or removing it changes both slots; signing off
+ *   one of them signs off the other as well
+ */
+
+export const SIGN_OFF_SCOPES = { SLOT: "slot", ZONE: "zone", ALL: "all" };
+
+function legacyStack(sig) {
+  return sig ? String(sig).split("|") : [];
+}
+
+/**
+ * { before, after, added: [{ id, tier }], removed: [{ id, tier }], reordered: [{ id, fromTier, toTier }] },
+ * or null when the stacks are identical.
+ */
+export function diffStacks(before, after) {
+  if (before.length === after.length && before.every((id, idx) => after[idx] === id)) return null;
+  const beforeTier = new Map(before.map((id, idx) => [id, idx + 1]));
+  const afterTier = new Map(after.map((id, idx) => [id, idx + 1]));
+  return {
+    before,
+    after,
+    added: after.filter((id) => !beforeTier.has(id)).map((id) => ({ id, tier: afterTier.get(id) })),
+    removed: before.filter((id) => !afterTier.has(id)).map((id) => ({ id, tier: beforeTier.get(id) })),
+    reordered: after
+      .filter((id) => beforeTier.has(id) && beforeTier.get(id) !== afterTier.get(id))
+      .map((id) => ({ id, fromTier: beforeTier.get(id), toTier: afterTier.get(id) })),
+  };
+}
+
+// Where a container that left a slot is now, for the diff view
+function whereabouts({ containers, archive }, id) {
+  const container = containers[id];
+  if (container?.slotId && isInYard(container)) return `now in ${container.slotId}`;
+  if (container) return "back in the inbound queue";
+  if (archive[id]) return "gated out";
+  return "no longer in the yard";
+}
+
+/**
+ * Map of slotId → diff (see diffStacks), with `removed[].whereabouts` filled in.
+ * Slots that no longer exist in the layout show as emptied.
+ */
+export function computeSlotChanges({ layout, containers, archive, signedOffStacks }, legacySig = {}) {
+  const changes = new Map();
+  const slotIds = new Set([...Object.keys(layout), ...Object.keys(legacySig || {}), ...Object.keys(signedOffStacks || {})]);
+  for (const slotId of slotIds) {
+    const before = signedOffStacks?.[slotId] ?? legacyStack(legacySig?.[slotId]);
+    const diff = diffStacks(before, layout[slotId] || []);
+    if (!diff) continue;
+    diff.removed = diff.removed.map((entry) => ({ ...entry, whereabouts: whereabouts({ containers, archive }, entry.id) }));
+    changes.set(slotId, diff);
+  }
+  return changes;
+}
+
+// "+1 −2 ↕1" for the REARRANGED tag
+export function diffSummary(diff) {
+  return [
+    diff.added.length ? `+${diff.added.length}` : null,
+    diff.removed.length ? `−${diff.removed.length}` : null,
+    diff.reordered.length ? `↕${diff.reordered.length}` : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+export function describeDiff(diff) {
+  return [
+    ...diff.added.map((e) => `+ ${e.id} at tier ${e.tier}`),
+    ...diff.removed.map((e) => `− ${e.id} from tier ${e.tier}${e.whereabouts ? ` (${e.whereabouts})` : ""}`),
+    ...diff.reordered.map((e) => `↕ ${e.id} tier ${e.fromTier} → ${e.toTier}`),
+  ];
+}
+
+export function slotZone(slotId) {
+  return parseSlotId(slotId)?.zone ?? null;
+}
+
+// Identical entries (same container, same change, same tier) in two slots: the two halves of a 40FT
+function changeKeys(diff) {
+  return [
+    ...diff.added.map((e) => `+${e.id}@${e.tier}`),
+    ...diff.removed.map((e) => `-${e.id}@${e.tier}`),
+    ...diff.reordered.map((e) => `~${e.id}@${e.fromTier}>${e.toTier}`),
+  ];
+}
+
+// `slotIds` plus every changed slot that shares a change with one of them, transitively
+export function linkedSlots(changes, slotIds) {
+  const linked = new Set(slotIds);
+  const queue = [...slotIds];
+  while (queue.length) {
+    const diff = changes.get(queue.pop());
+    if (!diff) continue;
+    const keys = new Set(changeKeys(diff));
+    for (const [other, otherDiff] of changes) {
+      if (linked.has(other) || !changeKeys(otherDiff).some((k) => keys.has(k))) continue;
+      linked.add(other);
+      queue.push(other);
+    }
+  }
+  return [...linked];
+}
+
+/**
+ * Event draft signing off `slotIds` (and the slots linked to them) as they stand in `changes`.
+ * `scope` is { kind: SIGN_OFF_SCOPES.*, zoneId? }; returns null when none of the slots changed.
+ */
+export function signOffDraft(changes, slotIds, scope, comment) {
+  const slots = {};
+  for (const slotId of linkedSlots(changes, slotIds)) {
+    const diff = changes.get(slotId);
+    if (diff) slots[slotId] = { before: diff.before, after: diff.after };
+  }
+  if (!Object.keys(slots).length) return null;
+  return { type: EVENT_TYPES.SLOTS_SIGNED_OFF, payload: { slots, scope, comment: comment || "" } };
+}
+
+/**
+ * The sign-off log, newest first: [{ id, at, actor, scope, comment, slots: [{ slotId, diff }] }].
+ * Undone sign-offs are left out, like everything else undo removes from the yard.
+ */
+export function signOffLog(events, undone = historyState(events).undone) {
+  return effectiveEvents(events, undone)
+    .filter((e) => e.type === EVENT_TYPES.SLOTS_SIGNED_OFF)
+    .map((e) => ({
+      id: e.id,
+      at: e.at,
+      actor: e.actor,
+      scope: e.payload.scope,
+      comment: e.payload.comment,
+      slots: Object.entries(e.payload.slots).map(([slotId, { before, after }]) => ({ slotId, diff: diffStacks(before, after) })),
+    }))
+    .reverse();
+}
@@ -0,0 +1,135 @@
+import { footprint, misalignedUnits, slotMaxWeightKg } from "./layout";
+
+/**
+ * Weight and size rules within one stack (bottom → top)
+ * - No container stands on a lighter one; a declared gross weight (VGM) is only trusted to about
+ *   a tonne, so smaller differences do not count
+ * - The total gross weight of a stack stays within the slot's load limit (slot override, else zone)
+ * - A 40FT container never stands on a 20FT one, however far down: the 20FT would carry one end only
+ * Containers without a declared weight add nothing to the total and are skipped by the order rule
+ * (it compares against the nearest weighed unit below); the weight bar reports them as unweighed.
+ * A 40FT rests on both of its slots: each stack is checked on its own and carries half its weight.
+ */
+
+export const WEIGHT_ORDER_TOLERANCE_KG = 1000;
+
+export const STACKING_KINDS = {
+  ORDER: "Heavier on lighter",
+  SIZE: "40FT on 20FT",
+  OVERWEIGHT: "Over load limit",
+  FOOTPRINT: "40FT not level",
+};
+
+function weightOf(container) {
+  const kg = container?.grossWeightKg;
+  return typeof kg === "number" && kg > 0 ? kg : null;
+}
+
+export function formatTonnes(kg) {
+  return `${(kg / 1000).toFixed(1)} t`;
+}
+
+// { totalKg, unweighed, limitKg } for the containers in `stack`
+export function stackLoad(config, slotId, stack, containers) {
+  let totalKg = 0;
+  let unweighed = 0;
+  for (const cid of stack) {
+    const kg = weightOf(containers[cid]);
+    if (kg == null) unweighed++;
+    else totalKg += containers[cid].size === "40FT" ? kg / 2 : kg;
+  }
+  return { totalKg, unweighed, limitKg: slotMaxWeightKg(config, slotId) };
+}
+
+// What `container` breaks by standing on top of `below` (ORDER and SIZE only); `planned` words it as a proposal
+function tierViolations(below, container, containers, planned) {
+  const verb = planned ? "would stand" : "stands";
+  const violations = [];
+  const kg = weightOf(container);
+  const support = [...below].reverse().find((cid) => weightOf(containers[cid]) != null);
+  if (kg != null && support && kg > weightOf(containers[support]) + WEIGHT_ORDER_TOLERANCE_KG) {
+    violations.push({
+      kind: "ORDER",
+      containerId: container.id,
+      otherId: support,
+      message: `${container.id} (${formatTonnes(kg)}) ${verb} on the lighter ${support} (${formatTonnes(weightOf(containers[support]))}).`,
+    });
+  }
+  if (container.size === "40FT") {
+    const short = below.find((cid) => containers[cid]?.size === "20FT");
+    if (short) {
+      violations.push({ kind: "SIZE", containerId: container.id, otherId: short, message: `${container.id} is a 40FT and ${verb} on the 20FT ${short}.` });
+    }
+  }
+  return violations;
+}
+
+function overweight(config, slotId, stack, containers, containerId, planned) {
+  const { totalKg, limitKg } = stackLoad(config, slotId, stack, containers);
+  if (totalKg <= limitKg) return null;
+  return {
+    kind: "OVERWEIGHT",
+    containerId,
+    otherId: null,
+    message: `${slotId} ${planned ? "would carry" : "carries"} ${formatTonnes(totalKg)}, over its ${formatTonnes(limitKg)} load limit.`,
+  };
+}
+
+/**
+ * Why `container` may not go on top at `slotId` (every slot it covers): [{ kind, containerId, otherId, message }].
+ * `layout` should not contain the container itself.
+ */
+export function placementStackingViolations({ config, layout, containers }, container, slotId) {
+  const all = { ...containers, [container.id]: container };
+  const violations = [];
+  for (const cell of footprint(container, slotId)) {
+    const stack = layout[cell] || [];
+    violations.push(...tierViolations(stack, container, all, true));
+    const heavy = overweight(config, cell, [...stack, container.id], all, container.id, true);
+    if (heavy) violations.push(heavy);
+  }
+  return dedupe(violations);
+}
+
+// A 40FT breaking the same rule against the same unit in both of its slots is one violation
+function dedupe(violations) {
+  const seen = new Set();
+  return violations.filter((v) => {
+    const key = v.kind === "OVERWEIGHT" ? v.message : `${v.kind}:${v.containerId}:${v.otherId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Every rule a whole stack breaks as it stands, bottom tier first; OVERWEIGHT is reported against the top unit
+export function stackingViolations(config, slotId, stack, containers) {
+  const violations = [];
+  stack.forEach((cid, tier) => {
+    if (containers[cid]) violations.push(...tierViolations(stack.slice(0, tier), containers[cid], containers, false));
+  });
+  const heavy = stack.length ? overweight(config, slotId, stack, containers, stack[stack.length - 1], false) : null;
+  if (heavy) violations.push(heavy);
+  return violations;
+}
+
+// Violations a reorder adds: the ones `next` has that `current` did not (so fixing half a bad stack is allowed)
+export function restackViolations(config, slotId, current, next, containers) {
+  const key = (v) => `${v.kind}:${v.containerId}:${v.otherId}`;
+  const before = new Set(stackingViolations(config, slotId, current, containers).map(key));
+  return stackingViolations(config, slotId, next, containers).filter((v) => v.kind !== "OVERWEIGHT" && !before.has(key(v)));
+}
+
+// Yard audit: [{ slotId, ...violation }] for every stack that breaks a rule now, in layout order.
+// FOOTPRINT lists 40FT units not level across their two slots (stacked before they took two).
+export function auditStacking({ config, layout, containers }) {
+  const found = [];
+  for (const [slotId, stack] of Object.entries(layout)) {
+    for (const violation of stackingViolations(config, slotId, stack, containers)) found.push({ slotId, ...violation });
+  }
+  for (const cid of misalignedUnits(layout, containers)) {
+    const slotId = containers[cid]?.slotId || Object.keys(layout).find((s) => layout[s].includes(cid));
+    found.push({ slotId, kind: "FOOTPRINT", containerId: cid, otherId: null, message: `${cid} does not stand level on ${footprint(containers[cid], slotId).join(" and ")}.` });
+  }
+  return dedupe(found);
+}
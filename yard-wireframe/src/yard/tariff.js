@@ -0,0 +1,55 @@
+import { CONTAINER_SIZES, CONTAINER_TYPES } from "./containerModel";
+
+/**
+ * Yard tariff: what a company pays for its containers' time and handling in the yard
+ * - `freeDays` of storage from the first placement, then `dailyRates` per size and type
+ * - `reeferDailySurcharge` for power and monitoring, every day a reefer is in the yard
+ * - `moveCharge` per move inside the yard after the first placement (pre-staging moves excepted)
+ * One yard-wide tariff in one currency, saved as an event; billing prices each day and move at the tariff in force then.
+ */
+
+export const TARIFF_KEYS = CONTAINER_SIZES.flatMap((size) => CONTAINER_TYPES.map((type) => `${size}:${type}`));
+
+export const DEFAULT_TARIFF = {
+  currency: "EUR",
+  freeDays: 5,
+  dailyRates: { "20FT:DRY": 12, "20FT:REEFER": 18, "20FT:OPEN": 15, "40FT:DRY": 20, "40FT:REEFER": 30, "40FT:OPEN": 25 },
+  reeferDailySurcharge: 40,
+  moveCharge: 35,
+};
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+function money(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : fallback;
+}
+
+export function rateKey(container) {
+  return `${container.size}:${container.type}`;
+}
+
+export function normalizeTariff(raw) {
+  const currency = String(raw?.currency ?? "").trim().toUpperCase();
+  const freeDays = Number(raw?.freeDays);
+  return {
+    currency: CURRENCY_PATTERN.test(currency) ? currency : DEFAULT_TARIFF.currency,
+    freeDays: Number.isInteger(freeDays) && freeDays >= 0 ? freeDays : DEFAULT_TARIFF.freeDays,
+    dailyRates: Object.fromEntries(TARIFF_KEYS.map((key) => [key, money(raw?.dailyRates?.[key], DEFAULT_TARIFF.dailyRates[key])])),
+    reeferDailySurcharge: money(raw?.reeferDailySurcharge, DEFAULT_TARIFF.reeferDailySurcharge),
+    moveCharge: money(raw?.moveCharge, DEFAULT_TARIFF.moveCharge),
+  };
+}
+
+// Why `tariff` cannot be saved, or null
+export function validateTariff(tariff) {
+  if (!CURRENCY_PATTERN.test(String(tariff?.currency ?? "").trim().toUpperCase())) return "The currency must be a three-letter code such as EUR.";
+  const freeDays = Number(tariff.freeDays);
+  if (!Number.isInteger(freeDays) || freeDays < 0) return "Free days must be a whole number, 0 or more.";
+  for (const key of TARIFF_KEYS) {
+    if (!(Number(tariff.dailyRates?.[key]) >= 0)) return `The ${key.replace(":", " ")} day rate must be 0 or more.`;
+  }
+  if (!(Number(tariff.reeferDailySurcharge) >= 0)) return "The reefer surcharge must be 0 or more.";
+  if (!(Number(tariff.moveCharge) >= 0)) return "The move charge must be 0 or more.";
+  return null;
+}
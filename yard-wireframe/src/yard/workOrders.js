@@ -0,0 +1,171 @@
+import { buildSlotId, footprint, parseSlotId } from "./layout";
+
+/**
+ * Equipment work orders
+ *   PENDING → DISPATCHED → IN_PROGRESS → COMPLETED
+ *                 ↘ CANCELLED     ↘ FAILED
+ * - Placing or moving a container creates an order; the yard layout only changes when the
+ *   driver completes it (the completion batch carries the actual PLACED/MOVED event)
+ * - Dispatching assigns a piece of equipment and a driver; re-dispatching reassigns
+ * - Until an order is finished its target tier is reserved: reservedLayout() stacks the container
+ *   there (both slots for a 40FT) for every placement check, and its source tier stays occupied
+ * - A container has at most one open order
+ */
+
+export const ORDER_STATUS = {
+  PENDING: "PENDING",
+  DISPATCHED: "DISPATCHED",
+  IN_PROGRESS: "IN_PROGRESS",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+export const ORDER_KINDS = { PLACE: "PLACE", MOVE: "MOVE" };
+
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.DISPATCHED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.DISPATCHED]: [ORDER_STATUS.DISPATCHED, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.FAILED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.IN_PROGRESS]: [ORDER_STATUS.COMPLETED, ORDER_STATUS.FAILED],
+  [ORDER_STATUS.COMPLETED]: [],
+  [ORDER_STATUS.FAILED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+};
+
+export const EQUIPMENT_KINDS = [
+  { id: "reach-stacker", label: "Reach stacker" },
+  { id: "straddle-carrier", label: "Straddle carrier" },
+  { id: "empty-handler", label: "Empty handler" },
+];
+
+// { id, kind, driver } — `driver` is who usually drives it; dispatch may pick anyone on the list
+export const DEFAULT_EQUIPMENT = [
+  { id: "RS-01", kind: "reach-stacker", driver: "M. Okafor" },
+  { id: "RS-02", kind: "reach-stacker", driver: "L. Brandt" },
+  { id: "SC-01", kind: "straddle-carrier", driver: "P. Duarte" },
+];
+
+export function newOrderId() {
+  return `WO-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+}
+
+export function canTransitionOrder(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+export function isOpenOrder(order) {
+  return Boolean(order) && TRANSITIONS[order.status]?.length > 0;
+}
+
+export function openOrderFor(workOrders, cid) {
+  return Object.values(workOrders).find((o) => o.containerId === cid && isOpenOrder(o)) || null;
+}
+
+export function equipmentDrivers(equipment) {
+  return [...new Set(equipment.map((e) => e.driver).filter(Boolean))].sort();
+}
+
+export function normalizeEquipment(list) {
+  const seen = new Set();
+  const units = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const id = String(raw?.id || "").trim().toUpperCase();
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const kind = EQUIPMENT_KINDS.some((k) => k.id === raw.kind) ? raw.kind : EQUIPMENT_KINDS[0].id;
+    units.push({ id, kind, driver: String(raw.driver || "").trim() });
+  }
+  return units;
+}
+
+/**
+ * Orders map with a new PENDING order from a WORK_ORDER_CREATED event.
+ * Throws when the container already has an open order.
+ */
+export function openWorkOrder(workOrders, event) {
+  const { orderId, placement } = event.payload;
+  if (workOrders[orderId]) throw new Error(`Work order ${orderId} already exists.`);
+  const open = openOrderFor(workOrders, event.containerId);
+  if (open) throw new Error(`${event.containerId} already has work order ${open.id} (${open.status.toLowerCase()}).`);
+  const order = {
+    id: orderId,
+    kind: event.fromSlot ? ORDER_KINDS.MOVE : ORDER_KINDS.PLACE,
+    containerId: event.containerId,
+    fromSlot: event.fromSlot,
+    toSlot: event.toSlot,
+    placement: placement ?? null,
+    status: ORDER_STATUS.PENDING,
+    equipmentId: null,
+    driver: null,
+    createdAt: event.at,
+    createdBy: event.actor,
+    history: [{ status: ORDER_STATUS.PENDING, at: event.at, actor: event.actor, note: "" }],
+  };
+  return { ...workOrders, [orderId]: order };
+}
+
+// Orders map with `orderId` moved to `to`; throws when the order does not exist or may not go there
+export function transitionWorkOrder(workOrders, orderId, to, { at, actor, note = "", patch = {} }) {
+  const order = workOrders[orderId];
+  if (!order) throw new Error(`Unknown work order ${orderId}.`);
+  if (!canTransitionOrder(order.status, to)) {
+    throw new Error(`Work order ${orderId} is ${order.status.toLowerCase()} and cannot become ${to.toLowerCase()}.`);
+  }
+  return {
+    ...workOrders,
+    [orderId]: { ...order, ...patch, status: to, updatedAt: at, history: [...order.history, { status: to, at, actor, note }] },
+  };
+}
+
+// Open orders follow zone renames from a layout change; slots that disappear leave the order to fail
+export function renameOrderSlots(workOrders, zoneRenames) {
+  if (!Object.keys(zoneRenames || {}).length) return workOrders;
+  const rename = (slotId) => {
+    const parsed = parseSlotId(slotId);
+    return parsed && zoneRenames[parsed.zone] ? buildSlotId(zoneRenames[parsed.zone], parsed.row, parsed.col) : slotId;
+  };
+  const next = {};
+  for (const [id, order] of Object.entries(workOrders)) {
+    next[id] = isOpenOrder(order) ? { ...order, fromSlot: order.fromSlot && rename(order.fromSlot), toSlot: rename(order.toSlot) } : order;
+  }
+  return next;
+}
+
+/**
+ * The layout as planned: every open order's container stacked on its target (its source tier stays
+ * taken until the move is done). Placement checks run on this so reserved tiers are not handed out twice.
+ */
+export function reservedLayout(layout, workOrders, containers) {
+  let planned = null;
+  for (const order of Object.values(workOrders)) {
+    if (!isOpenOrder(order) || !(order.toSlot in layout)) continue;
+    planned = planned || { ...layout };
+    for (const slotId of footprint(containers[order.containerId], order.toSlot)) {
+      if (slotId in planned && !planned[slotId].includes(order.containerId)) planned[slotId] = [...planned[slotId], order.containerId];
+    }
+  }
+  return planned || layout;
+}
+
+// { [slotId]: [open order, ...] } by target slot; a 40FT's order is listed under both of its slots
+export function reservationsBySlot(workOrders, containers) {
+  const bySlot = {};
+  for (const order of Object.values(workOrders)) {
+    if (!isOpenOrder(order)) continue;
+    for (const slotId of footprint(containers[order.containerId], order.toSlot)) (bySlot[slotId] = bySlot[slotId] || []).push(order);
+  }
+  return bySlot;
+}
+
+/**
+ * Why a placement that skips work orders (sheet import, EDI) may not go to `slotId`, or null. It would take
+ * the lowest free tier, and in a slot an open order is heading for, that tier is the order's.
+ */
+export function reservedTierRejection(workOrders, containers, container, slotId) {
+  const bySlot = reservationsBySlot(workOrders, containers);
+  for (const cell of footprint(container, slotId)) {
+    const order = (bySlot[cell] || []).find((o) => o.containerId !== container.id);
+    if (order) return `The next tier in ${cell} is reserved by work order ${order.id} (${order.containerId}).`;
+  }
+  return null;
+}